@@ -4,16 +4,42 @@ const cors = require('cors');
 const WebSocket = require('ws');
 const http = require('http');
 const path = require('path');
-const { QuantumCrypto, QuantumUtils } = require('../crypto/quantum-crypto');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { QuantumCrypto, QuantumUtils, DEFAULT_SUITE, getSuite, listAlgorithms, listSuites, backend: cryptoBackend } = require('../crypto/quantum-crypto');
+const { runBenchmarksInWorker } = require('../crypto/benchmark');
+const { NIST_CATEGORIES, STANDARDIZATION_STATUSES, listCatalog, threatSummary } = require('../crypto/algorithm-catalog');
+const { assessMoscaRisk } = require('../crypto/mosca-risk');
+const { TOY_RSA_MODULI, runShorInWorker } = require('../crypto/shor');
+const { runGroverInWorker } = require('../crypto/grover');
+const { runLweInWorker } = require('../crypto/lwe-lab');
+const { HarvestRecorder, runQDayInWorker } = require('../crypto/harvest');
+const Envelope = require('../frontend/envelope');
+const Attachment = require('../frontend/attachment');
+const Label = require('../frontend/label');
 
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Attachment limits; the size can be lowered (not raised) with ATTACHMENT_MAX_BYTES
+const ATTACHMENT_MAX_BYTES = Math.min(Number(process.env.ATTACHMENT_MAX_BYTES) || Attachment.MAX_SIZE, Attachment.MAX_SIZE);
+const MAX_TRANSFERS_PER_CLIENT = 3;
+const TRANSFER_IDLE_MS = 2 * 60 * 1000; // An idle or detached transfer is dropped after this long
+
+// Chat room limits; every client starts in the lobby, which has no password or member cap
+const DEFAULT_ROOM = 'lobby';
+const MAX_ROOMS = 100;
+const MAX_ROOM_MEMBERS = 50;
+const ROOM_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9 _.-]{0,31}$/;
+const MAX_ROOM_PASSWORD_LENGTH = 128;
+const scrypt = promisify(crypto.scrypt);
+
 // Middleware
 app.use(cors());
 app.use(express.json());
 app.use(express.static(path.join(__dirname, '../frontend')));
+app.use('/core', express.static(path.join(__dirname, '../crypto/core'))); // Shared crypto core, imported by pqc.mjs
 
 // Create HTTP server
 const server = http.createServer(app);
@@ -21,9 +47,31 @@ const server = http.createServer(app);
 // Create WebSocket server
 const wss = new WebSocket.Server({ server });
 
-// Store connected clients and their crypto instances
+// Store connected clients and their registered public keys
+// Private keys are generated and kept by each client; the server only relays public data
 const clients = new Map();
+
+// Chat rooms by name: { name, members (client IDs), maxMembers, password (salted scrypt hash or null), createdAt }
+// A client is in exactly one room; key distribution, presence and messages stay inside it
 const chatRooms = new Map();
+chatRooms.set(DEFAULT_ROOM, { name: DEFAULT_ROOM, members: new Set(), maxMembers: null, password: null, createdAt: Date.now() });
+
+// Attachment transfers in progress, by file ID
+// The server sees only ciphertext chunks; the file key travels end-to-end in the signed manifest
+const transfers = new Map();
+
+// Benchmark results, measured once on a worker thread the first time they are asked for
+let benchmarkReport = null;
+
+// The simulation (Shor, Grover, the LWE lab or a Q-Day replay) in progress, if any; each keeps a core busy for seconds, so one runs at a time
+let activeSimulation = null;
+
+// Everything the relay forwards, kept the way a "harvest now, decrypt later" adversary would, for the simulated Q-Day
+const harvest = new HarvestRecorder();
+
+// Q-Day replays the whole recording, so each remote address may start one per QDAY_COOLDOWN_MS
+const QDAY_COOLDOWN_MS = 30 * 1000;
+const lastQDay = new Map(); // Remote address -> when it last started a Q-Day
 
 console.log('🚀 Starting QuantumChat Server...');
 
@@ -36,25 +84,34 @@ wss.on('connection', (ws, req) => {
     // Generate unique client ID
     const clientId = QuantumUtils.generateSessionId();
     
-    // Initialize quantum crypto for this client
-    const quantumCrypto = new QuantumCrypto();
-    
     // Store client info
     clients.set(clientId, {
         ws,
-        crypto: quantumCrypto,
         publicKey: null,
+        algorithm: null,
+        signaturePublicKey: null,
+        signatureAlgorithm: null,
+        suite: null,
+        label: null,
         ready: false,
+        room: DEFAULT_ROOM,
+        pendingExchanges: new Set(), // Initiators whose KEM ciphertext this client has yet to confirm
+        roomRequestPending: false,
+        address: req.socket.remoteAddress,
         joinedAt: Date.now()
     });
+    chatRooms.get(DEFAULT_ROOM).members.add(clientId);
 
     // Send initial connection confirmation
     ws.send(JSON.stringify({
         type: 'connected',
         clientId,
+        room: DEFAULT_ROOM,
+        maxAttachmentBytes: ATTACHMENT_MAX_BYTES,
         message: 'Connected to QuantumChat server',
         timestamp: QuantumUtils.getTimestamp()
     }));
+    broadcastRoomList();
 
     /**
      * Handle incoming messages
@@ -78,14 +135,13 @@ wss.on('connection', (ws, req) => {
      */
     ws.on('close', () => {
         console.log(`👋 Client ${clientId} disconnected`);
+        const { room } = clients.get(clientId);
         clients.delete(clientId);
+        detachFromTransfers(clientId);
         
-        // Notify other clients about disconnection
-        broadcastToAll({
-            type: 'user_left',
-            message: 'A user left the chat',
-            timestamp: QuantumUtils.getTimestamp()
-        }, clientId);
+        // Notify the rest of the room about the disconnection
+        removeFromRoom(clientId, room);
+        broadcastRoomList();
     });
 
     // Start key generation process
@@ -104,12 +160,16 @@ async function handleMessage(clientId, message) {
     console.log(`📨 Received ${message.type} from ${clientId}`);
 
     switch (message.type) {
-        case 'generate_keys':
-            await handleKeyGeneration(clientId);
+        case 'register_keys':
+            await handleKeyRegistration(clientId, message);
             break;
             
-        case 'public_key':
-            await handlePublicKeyExchange(clientId, message);
+        case 'kem_ciphertext':
+            await handleKemCiphertext(clientId, message);
+            break;
+            
+        case 'key_exchange_ack':
+            await handleKeyExchangeAck(clientId, message);
             break;
             
         case 'encrypted_message':
@@ -123,6 +183,40 @@ async function handleMessage(clientId, message) {
         case 'get_security_info':
             await handleSecurityInfoRequest(clientId);
             break;
+
+        case 'mosca_risk':
+            handleMoscaRiskRequest(clientId, message);
+            break;
+
+        case 'shor_rsa':
+        case 'grover_search':
+            handleSimulationRequest(clientId, message);
+            break;
+
+        case 'key_escrow':
+            await handleKeyEscrow(clientId, message);
+            break;
+
+        case 'q_day':
+            handleQDayRequest(clientId);
+            break;
+
+        case 'create_room':
+        case 'join_room':
+        case 'leave_room':
+            await handleRoomRequest(clientId, message);
+            break;
+
+        case 'list_rooms':
+            client.ws.send(JSON.stringify({ type: 'room_list', rooms: listRooms(), timestamp: QuantumUtils.getTimestamp() }));
+            break;
+
+        case 'attachment_start':
+        case 'attachment_resume':
+        case 'attachment_chunk':
+        case 'attachment_cancel':
+            handleAttachmentMessage(clientId, message);
+            break;
             
         default:
             console.log(`❓ Unknown message type: ${message.type}`);
@@ -139,16 +233,12 @@ async function initiateKeyExchange(clientId) {
     try {
         console.log(`🔑 Initiating key exchange for ${clientId}`);
         
+        // The client generates its own key pair and answers with register_keys
         client.ws.send(JSON.stringify({
             type: 'key_generation_start',
             message: 'Generating post-quantum cryptographic keys...',
             timestamp: QuantumUtils.getTimestamp()
         }));
-
-        // Simulate key generation delay (real quantum crypto takes time)
-        setTimeout(() => {
-            handleKeyGeneration(clientId);
-        }, 2000);
         
     } catch (error) {
         console.error('❌ Key exchange initiation failed:', error);
@@ -156,112 +246,94 @@ async function initiateKeyExchange(clientId) {
 }
 
 /**
- * Handle key generation
+ * Handle a client registering its freshly generated public key
  */
-async function handleKeyGeneration(clientId) {
+async function handleKeyRegistration(clientId, message) {
     const client = clients.get(clientId);
     if (!client) return;
 
     try {
-        console.log(`🔐 Generating keys for ${clientId}`);
-        
-        // Generate post-quantum key pair
-        const keyInfo = client.crypto.generateKeyPair();
-        client.publicKey = keyInfo.publicKey;
+        const isHex = (value) => typeof value === 'string' && /^[0-9a-fA-F]+$/.test(value);
+        if (!isHex(message.publicKey) || !isHex(message.signaturePublicKey)) {
+            throw new Error('Missing or malformed public key');
+        }
+        if (message.label !== undefined && message.label !== null &&
+            !Label.isValid(message.label)) {
+            throw new Error(Label.RULE);
+        }
+        // Only active suites are accepted, and the keys must be the ones the suite names
+        const suite = getSuite(message.suite, { active: true });
+        if (message.algorithm !== suite.kem || message.signatureAlgorithm !== suite.signature) {
+            throw new Error(`Keys do not match cipher suite ${suite.name}`);
+        }
+
+        console.log(`🔐 Registered ${suite.name} public keys for ${clientId}`);
+        client.suite = suite.name;
+        client.publicKey = message.publicKey;
+        client.algorithm = message.algorithm;
+        client.signaturePublicKey = message.signaturePublicKey;
+        client.signatureAlgorithm = message.signatureAlgorithm;
+        client.label = message.label || null;
         
-        // Send public key to client
+        // Confirm registration to the client
         client.ws.send(JSON.stringify({
             type: 'keys_generated',
-            publicKey: keyInfo.publicKey,
-            algorithm: keyInfo.algorithm,
+            publicKey: client.publicKey,
+            algorithm: client.algorithm,
+            suite: client.suite,
             message: 'Post-quantum keys generated successfully',
             timestamp: QuantumUtils.getTimestamp()
         }));
 
-        // Broadcast public key to other clients for key exchange
-        broadcastToAll({
-            type: 'peer_public_key',
-            clientId,
-            publicKey: keyInfo.publicKey,
-            algorithm: keyInfo.algorithm,
-            timestamp: QuantumUtils.getTimestamp()
-        }, clientId);
+        // Send the public key to the rest of the room so they can encapsulate to it
+        announcePublicKey(clientId);
 
     } catch (error) {
-        console.error('❌ Key generation failed:', error);
+        console.error('❌ Key registration failed:', error);
         client.ws.send(JSON.stringify({
             type: 'error',
-            message: 'Key generation failed',
+            message: 'Key registration failed',
             error: error.message
         }));
     }
 }
 
 /**
- * Handle public key exchange between clients
+ * Relay a KEM ciphertext from the initiating client to its peer
  */
-async function handlePublicKeyExchange(clientId, message) {
+async function handleKemCiphertext(clientId, message) {
     const client = clients.get(clientId);
     if (!client) return;
 
     try {
-        console.log(`🤝 Processing key exchange for ${clientId} with peer ${message.peerId || 'unknown'}`);
-        
-        // Perform key exchange with peer's public key
-        const success = client.crypto.performKeyExchange(message.peerPublicKey);
+        console.log(`🤝 Relaying key encapsulation from ${clientId} to peer ${message.peerId || 'unknown'}`);
         
-        if (success) {
-            client.ready = true;
-            
-            client.ws.send(JSON.stringify({
-                type: 'key_exchange_complete',
-                message: 'Quantum-safe communication established',
-                peerId: message.peerId, // Include the peer ID in the response
-                securityInfo: client.crypto.getSecurityInfo(),
-                timestamp: QuantumUtils.getTimestamp()
-            }));
-
-            console.log(`✅ Client ${clientId} is ready for secure communication with peer ${message.peerId || 'unknown'}`);
-            
-            // If the peer is specified, notify them about the successful key exchange
-            if (message.peerId) {
-                const peerClient = clients.get(message.peerId);
-                if (peerClient && peerClient.ws.readyState === WebSocket.OPEN) {
-                    // Send peer_ready notification to the peer
-                    peerClient.ws.send(JSON.stringify({
-                        type: 'peer_ready',
-                        peerId: clientId,
-                        message: 'Peer is ready for secure communication',
-                        timestamp: QuantumUtils.getTimestamp()
-                    }));
-                    
-                    // Only send the public key if the peer doesn't have a shared secret with this client
-                    // AND we haven't already sent this client's public key to the peer recently
-                    if (!peerClient.crypto.hasSharedSecretWith(clientId) && 
-                        !peerClient.sentPublicKeyTo?.includes(clientId)) {
-                        
-                        // Track that we've sent this client's public key to the peer
-                        if (!peerClient.sentPublicKeyTo) {
-                            peerClient.sentPublicKeyTo = [];
-                        }
-                        peerClient.sentPublicKeyTo.push(clientId);
-                        
-                        // Send this client's public key to the peer
-                        peerClient.ws.send(JSON.stringify({
-                            type: 'peer_public_key',
-                            clientId: clientId,
-                            publicKey: client.publicKey,
-                            algorithm: 'Kyber-1024',
-                            timestamp: QuantumUtils.getTimestamp()
-                        }));
-                        
-                        console.log(`📤 Sent ${clientId}'s public key to peer ${message.peerId}`);
-                    } else {
-                        console.log(`⏭️ Skipped sending ${clientId}'s public key to peer ${message.peerId} - already processed`);
-                    }
-                }
-            }
+        const peerClient = clients.get(message.peerId);
+        if (!peerClient || peerClient.ws.readyState !== WebSocket.OPEN) {
+            throw new Error('Peer is not connected');
         }
+        if (peerClient.room !== client.room) {
+            throw new Error('Peer is not in your room');
+        }
+
+        peerClient.ws.send(JSON.stringify({
+            type: 'peer_key_exchange',
+            clientId,
+            suite: client.suite,
+            publicKey: client.publicKey,
+            publicKeyAlgorithm: client.algorithm,
+            signaturePublicKey: client.signaturePublicKey,
+            signatureAlgorithm: client.signatureAlgorithm,
+            label: client.label,
+            ciphertext: message.ciphertext,
+            algorithm: message.algorithm,
+            timestamp: QuantumUtils.getTimestamp()
+        }));
+
+        const party = ({ suite, publicKey, algorithm }, id) => ({ clientId: id, suite, publicKey, algorithm });
+        harvest.recordKeyExchange(party(client, clientId), party(peerClient, message.peerId), message);
+        peerClient.pendingExchanges.add(clientId);
+        markKeyExchangeComplete(clientId, message.peerId);
 
     } catch (error) {
         console.error('❌ Key exchange failed:', error);
@@ -273,6 +345,60 @@ async function handlePublicKeyExchange(clientId, message) {
     }
 }
 
+/**
+ * Handle the responder confirming it decapsulated the shared secret
+ * Only an exchange the server relayed to this client can be confirmed, and only
+ * while both ends share a room; anything else would let a client mark itself
+ * ready with, and send peer_ready to, any connected client it names.
+ */
+async function handleKeyExchangeAck(clientId, message) {
+    const client = clients.get(clientId);
+    if (!client) return;
+
+    const peerClient = clients.get(message.peerId);
+    const pending = client.pendingExchanges.delete(message.peerId);
+    if (peerClient && pending && peerClient.room !== client.room) {
+        return; // The initiator switched rooms before the confirmation arrived
+    }
+    if (!peerClient || !pending) {
+        sendToClient(clientId, {
+            type: 'error',
+            message: 'Key exchange confirmation rejected',
+            error: 'No key exchange with that peer is pending'
+        });
+        return;
+    }
+    markKeyExchangeComplete(clientId, message.peerId, message.confirmation);
+}
+
+/**
+ * Mark a client ready and notify both ends of the key exchange
+ */
+function markKeyExchangeComplete(clientId, peerId, confirmation = null) {
+    const client = clients.get(clientId);
+    client.ready = true;
+    
+    client.ws.send(JSON.stringify({
+        type: 'key_exchange_complete',
+        message: 'Quantum-safe communication established',
+        peerId,
+        timestamp: QuantumUtils.getTimestamp()
+    }));
+
+    console.log(`✅ Client ${clientId} is ready for secure communication with peer ${peerId || 'unknown'}`);
+    
+    const peerClient = clients.get(peerId);
+    if (peerClient && peerClient.ws.readyState === WebSocket.OPEN) {
+        peerClient.ws.send(JSON.stringify({
+            type: 'peer_ready',
+            peerId: clientId,
+            confirmation,
+            message: 'Peer is ready for secure communication',
+            timestamp: QuantumUtils.getTimestamp()
+        }));
+    }
+}
+
 /**
  * Handle encrypted messages
  */
@@ -286,14 +412,32 @@ async function handleGroupMessage(clientId, message) {
     try {
         console.log(`📨 Group message from ${clientId} for ${message.encryptedMessages.length} peers`);
 
+        // The server cannot read envelopes, but it only relays well-formed ones whose
+        // routing fields match the connection they came from and the peer they go to
+        const outgoing = message.encryptedMessages.map(({ forPeer, envelope }) => {
+            const { suiteId, sender, recipient } = Envelope.parse(envelope);
+            if (sender !== clientId || recipient !== forPeer) {
+                throw new Error('Envelope sender or recipient does not match the relay request');
+            }
+            const recipientClient = clients.get(forPeer);
+            if (recipientClient && recipientClient.room !== client.room) {
+                throw new Error('Envelope recipient is not in your room');
+            }
+            if (!client.suite || suiteId !== getSuite(client.suite).id) {
+                throw new Error('Envelope suite does not match the registered suite');
+            }
+            return { forPeer, envelope };
+        });
+
         // Forward encrypted messages to intended recipients
-        message.encryptedMessages.forEach(({ forPeer, data }) => {
+        outgoing.forEach(({ forPeer, envelope }) => {
             const recipientClient = clients.get(forPeer);
             if (recipientClient && recipientClient.ws.readyState === WebSocket.OPEN) {
+                harvest.recordEnvelope(clientId, forPeer, envelope);
                 recipientClient.ws.send(JSON.stringify({
                     type: 'message_received',
                     fromPeer: clientId,
-                    encryptedData: data,
+                    envelope,
                     timestamp: QuantumUtils.getTimestamp()
                 }));
             }
@@ -330,14 +474,17 @@ async function handleEncryptedMessage(clientId, message) {
 
     try {
         console.log(`🔒 Relaying encrypted message from ${clientId}`);
+        if (Envelope.parse(message.envelope).sender !== clientId) {
+            throw new Error('Envelope sender does not match the relaying client');
+        }
         // Relay the encrypted message to all other ready clients
         const messageToForward = {
             type: 'message_received',
             from: clientId,
-            encryptedData: message.encryptedData,
+            envelope: message.envelope,
             timestamp: QuantumUtils.getTimestamp()
         };
-        broadcastToReady(messageToForward, clientId);
+        broadcastToReady(client.room, messageToForward, clientId);
         // Send confirmation back to sender
         client.ws.send(JSON.stringify({
             type: 'message_sent',
@@ -362,13 +509,13 @@ async function handleSecurityInfoRequest(clientId) {
     if (!client) return;
 
     try {
-        const securityInfo = client.crypto.getSecurityInfo();
-        const benchmark = client.crypto.benchmark();
+        const sampleCrypto = new QuantumCrypto();
+        const securityInfo = sampleCrypto.getSecurityInfo();
         
         client.ws.send(JSON.stringify({
             type: 'security_info',
             securityInfo,
-            benchmark,
+            benchmark: getBenchmarkReport(),
             timestamp: QuantumUtils.getTimestamp()
         }));
 
@@ -377,6 +524,615 @@ async function handleSecurityInfoRequest(clientId) {
     }
 }
 
+/**
+ * Handle a Mosca risk calculation from the browser's risk panel
+ */
+function handleMoscaRiskRequest(clientId, message) {
+    const client = clients.get(clientId);
+    if (!client) return;
+
+    try {
+        client.ws.send(JSON.stringify({
+            type: 'mosca_risk_result',
+            assessment: assessMoscaRisk(message.input || {}),
+            timestamp: QuantumUtils.getTimestamp()
+        }));
+    } catch (error) {
+        client.ws.send(JSON.stringify({
+            type: 'mosca_risk_result',
+            error: error.message,
+            timestamp: QuantumUtils.getTimestamp()
+        }));
+    }
+}
+
+/**
+ * Handle a toy RSA attack from the browser's Shor panel (shor_rsa) or a key search from its Grover panel (grover_search)
+ * The simulation runs on a worker thread; the result follows as <type>_result when it finishes.
+ */
+function handleSimulationRequest(clientId, message) {
+    const send = (payload) => {
+        const client = clients.get(clientId);
+        if (client && client.ws.readyState === WebSocket.OPEN) {
+            client.ws.send(JSON.stringify({ type: `${message.type}_result`, ...payload, timestamp: QuantumUtils.getTimestamp() }));
+        }
+    };
+    const input = message.input || {};
+    simulate(() => (message.type === 'shor_rsa' ? runShorInWorker({ operation: 'rsa', input }) : runGroverInWorker(input)))
+        .then(result => send({ result }))
+        .catch(error => send({ error: error.message }));
+}
+
+/**
+ * Handle a client on a classical comparison suite revealing a KEM key pair for the simulated Q-Day
+ */
+async function handleKeyEscrow(clientId, message) {
+    const client = clients.get(clientId);
+    if (!client) return;
+
+    try {
+        const isHex = (value) => typeof value === 'string' && /^[0-9a-fA-F]+$/.test(value);
+        if (!isHex(message.publicKey) || !isHex(message.secretKey)) {
+            throw new Error('Missing or malformed key pair');
+        }
+        await harvest.recordEscrow(clientId, message);
+    } catch (error) {
+        sendToClient(clientId, {
+            type: 'error',
+            message: 'Key escrow failed',
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Handle the Q-Day button of the browser's harvest panel
+ * The replay runs on a worker thread over a copy of the recording, like the other simulations.
+ */
+function handleQDayRequest(clientId) {
+    const client = clients.get(clientId);
+    if (!client) return;
+
+    const send = (payload) => {
+        if (client.ws.readyState === WebSocket.OPEN) {
+            client.ws.send(JSON.stringify({ type: 'q_day_result', ...payload, timestamp: QuantumUtils.getTimestamp() }));
+        }
+    };
+    const wait = activeSimulation ? 0 : qDayCooldown(client.address);
+    if (wait > 0) {
+        send({ error: `Q-Day was run from your address a moment ago; try again in ${Math.ceil(wait / 1000)} seconds` });
+        return;
+    }
+    simulate(() => runQDayInWorker(harvest, clientId))
+        .then(result => send({ result }))
+        .catch(error => send({ error: error.message }));
+}
+
+/**
+ * Rate limit for Q-Day: how long an address must still wait, recording a start if it need not
+ * @param {string} address - Remote address of the request
+ * @returns {number} - Milliseconds to wait, 0 if the address may start a Q-Day now
+ */
+function qDayCooldown(address) {
+    const now = Date.now();
+    for (const [key, startedAt] of lastQDay) {
+        if (now - startedAt >= QDAY_COOLDOWN_MS) {
+            lastQDay.delete(key);
+        }
+    }
+    if (lastQDay.has(address)) {
+        return QDAY_COOLDOWN_MS - (now - lastQDay.get(address));
+    }
+    lastQDay.set(address, now);
+    return 0;
+}
+
+/**
+ * Start a simulation on a worker thread, refusing while another one is running
+ * @param {function} start - Returns the worker's result promise
+ */
+function simulate(start) {
+    if (activeSimulation) {
+        return Promise.reject(new Error('A simulation is already running; try again in a few seconds'));
+    }
+    activeSimulation = start().finally(() => {
+        activeSimulation = null;
+    });
+    return activeSimulation;
+}
+
+/**
+ * Handle room requests: create_room, join_room and leave_room
+ * Each one ends in a room (the new one, the joined one, or the lobby after
+ * leaving) and answers room_joined; a refused request answers room_error and
+ * leaves the client where it was.
+ */
+async function handleRoomRequest(clientId, message) {
+    const client = clients.get(clientId);
+    if (!client) return;
+
+    // Password hashing takes a while; one request at a time keeps a client from queuing up scrypt work
+    if (client.roomRequestPending) {
+        sendRoomError(clientId, message, new Error('Another room request is still in progress'));
+        return;
+    }
+    client.roomRequestPending = true;
+
+    try {
+        const name = message.type === 'leave_room' ? DEFAULT_ROOM : parseRoomName(message.room);
+        let room = chatRooms.get(name);
+        if (message.type === 'create_room') {
+            room = await createRoom(name, message);
+        } else if (!room) {
+            throw new Error(`There is no room called "${name}"`);
+        } else if (message.type === 'join_room' && name !== client.room) {
+            await checkRoomPassword(room, typeof message.password === 'string' ? message.password : '');
+        }
+
+        // The client may have left, and the room closed, while the password was hashed
+        if (!clients.has(clientId)) {
+            if (room.members.size === 0 && chatRooms.get(name) === room && name !== DEFAULT_ROOM) {
+                chatRooms.delete(name);
+            }
+            return;
+        }
+        if (chatRooms.get(name) !== room) {
+            throw new Error(`Room "${name}" has closed`);
+        }
+        if (name !== client.room) {
+            joinRoom(clientId, name);
+        }
+        broadcastRoomList();
+    } catch (error) {
+        sendRoomError(clientId, message, error);
+    } finally {
+        client.roomRequestPending = false;
+    }
+}
+
+function sendRoomError(clientId, message, error) {
+    const client = clients.get(clientId);
+    if (!client) return;
+    sendToClient(clientId, {
+        type: 'room_error',
+        room: client.room,
+        message: `Could not ${message.type.replace('_', ' ')}`,
+        error: error.message,
+        timestamp: QuantumUtils.getTimestamp()
+    });
+}
+
+function parseRoomName(name) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!ROOM_NAME_PATTERN.test(trimmed)) {
+        throw new Error('Room names are 1 to 32 letters, digits, spaces, dots, dashes or underscores');
+    }
+    return trimmed;
+}
+
+/**
+ * Register a new room; the creator joins it without its password
+ * @param {object} options - { password (optional), maxMembers (2 to MAX_ROOM_MEMBERS, default MAX_ROOM_MEMBERS) }
+ * @returns {Promise<object>} - The room
+ */
+async function createRoom(name, { password = null, maxMembers = null }) {
+    checkRoomAvailable(name);
+    if (maxMembers !== null && (!Number.isInteger(maxMembers) || maxMembers < 2 || maxMembers > MAX_ROOM_MEMBERS)) {
+        throw new Error(`maxMembers must be an integer from 2 to ${MAX_ROOM_MEMBERS}`);
+    }
+    if (password !== null && (typeof password !== 'string' || password.length === 0 || password.length > MAX_ROOM_PASSWORD_LENGTH)) {
+        throw new Error(`Room passwords are 1 to ${MAX_ROOM_PASSWORD_LENGTH} characters`);
+    }
+    const hashedPassword = password === null ? null : await hashRoomPassword(password);
+    checkRoomAvailable(name); // Another client may have taken the name meanwhile
+    const room = {
+        name,
+        members: new Set(),
+        maxMembers: maxMembers || MAX_ROOM_MEMBERS,
+        password: hashedPassword,
+        createdAt: Date.now()
+    };
+    chatRooms.set(name, room);
+    console.log(`🚪 Room "${name}" created${password === null ? '' : ' with a password'}`);
+    return room;
+}
+
+function checkRoomAvailable(name) {
+    if (chatRooms.has(name)) {
+        throw new Error(`Room "${name}" already exists`);
+    }
+    if (chatRooms.size >= MAX_ROOMS) {
+        throw new Error(`At most ${MAX_ROOMS} rooms can be open at once`);
+    }
+}
+
+/**
+ * Salted scrypt hash of a room password; the server keeps no plaintext
+ * scrypt runs on libuv's thread pool, so other clients are served while it works.
+ */
+async function hashRoomPassword(password, salt = crypto.randomBytes(16)) {
+    return { salt, hash: await scrypt(password, salt, 32) };
+}
+
+async function checkRoomPassword(room, password) {
+    if (!room.password) {
+        return;
+    }
+    const { hash } = await hashRoomPassword(password, room.password.salt);
+    if (!crypto.timingSafeEqual(hash, room.password.hash)) {
+        throw new Error(`Wrong password for room "${room.name}"`);
+    }
+}
+
+/**
+ * Move a client into a room; its password has been checked already, where it needs one
+ * Its old room hears user_left and the new one gets its public keys, so members
+ * start key exchanges with it as they do with a newly registered client.
+ */
+function joinRoom(clientId, name) {
+    const client = clients.get(clientId);
+    const room = chatRooms.get(name);
+    if (room.maxMembers !== null && room.members.size >= room.maxMembers) {
+        throw new Error(`Room "${name}" is full (${room.maxMembers} members)`);
+    }
+
+    leaveTransfers(clientId);
+    removeFromRoom(clientId, client.room);
+    room.members.add(clientId);
+    client.room = name;
+    client.ready = false;
+    client.pendingExchanges.clear();
+    console.log(`🚪 ${clientId} joined room "${name}"`);
+
+    client.ws.send(JSON.stringify({
+        type: 'room_joined',
+        room: name,
+        members: room.members.size,
+        maxMembers: room.maxMembers,
+        passwordProtected: !!room.password,
+        timestamp: QuantumUtils.getTimestamp()
+    }));
+    announcePublicKey(clientId);
+}
+
+/**
+ * Take a client out of a room and tell the members left behind
+ * Rooms other than the lobby close when their last member leaves.
+ */
+function removeFromRoom(clientId, name) {
+    const room = chatRooms.get(name);
+    if (!room || !room.members.delete(clientId)) {
+        return;
+    }
+    broadcastToRoom(name, {
+        type: 'user_left',
+        clientId, // Lets peers wipe the session keys they shared with this client
+        message: 'A user left the room',
+        timestamp: QuantumUtils.getTimestamp()
+    });
+    if (room.members.size === 0 && name !== DEFAULT_ROOM) {
+        chatRooms.delete(name);
+        console.log(`🚪 Room "${name}" closed`);
+    }
+}
+
+/**
+ * Send a client's registered public keys to the other members of its room
+ */
+function announcePublicKey(clientId) {
+    const client = clients.get(clientId);
+    if (!client || !client.publicKey) {
+        return;
+    }
+    broadcastToRoom(client.room, {
+        type: 'peer_public_key',
+        clientId,
+        suite: client.suite,
+        publicKey: client.publicKey,
+        algorithm: client.algorithm,
+        signaturePublicKey: client.signaturePublicKey,
+        signatureAlgorithm: client.signatureAlgorithm,
+        label: client.label,
+        timestamp: QuantumUtils.getTimestamp()
+    }, clientId);
+}
+
+/**
+ * Open rooms as the room switcher shows them; member IDs are not listed
+ */
+function listRooms() {
+    return Array.from(chatRooms.values()).map(room => ({
+        name: room.name,
+        members: room.members.size,
+        maxMembers: room.maxMembers,
+        passwordProtected: !!room.password,
+        default: room.name === DEFAULT_ROOM
+    }));
+}
+
+function broadcastRoomList() {
+    broadcastToAll({ type: 'room_list', rooms: listRooms(), timestamp: QuantumUtils.getTimestamp() });
+}
+
+/**
+ * Handle attachment transfer messages
+ * A sender announces a file (attachment_start), streams its encrypted chunks in
+ * order and gets an attachment_ack for each one relayed. Problems end the
+ * transfer for everyone with attachment_cancelled, rather than leaving
+ * recipients with part of a file.
+ */
+function handleAttachmentMessage(clientId, message) {
+    try {
+        switch (message.type) {
+            case 'attachment_start':
+                startTransfer(clientId, message);
+                break;
+
+            case 'attachment_resume':
+                resumeTransfer(clientId, message);
+                break;
+
+            case 'attachment_chunk':
+                relayChunk(clientId, message);
+                break;
+
+            case 'attachment_cancel':
+                cancelTransfer(ownTransfer(clientId, message.fileId), 'Cancelled by the sender');
+                break;
+        }
+    } catch (error) {
+        console.error(`❌ ${message.type} from ${clientId} failed: ${error.message}`);
+        const transfer = transfers.get(message.fileId);
+        if (transfer && transfer.sender === clientId) {
+            cancelTransfer(transfer, error.message);
+        } else {
+            sendToClient(clientId, {
+                type: 'attachment_cancelled',
+                fileId: message.fileId,
+                reason: error.message,
+                timestamp: QuantumUtils.getTimestamp()
+            });
+        }
+    }
+}
+
+/**
+ * Register a new transfer and tell its recipients to expect it
+ */
+function startTransfer(clientId, { fileId, size, chunkCount, recipients }) {
+    Attachment.checkTransfer({ fileId, size, chunkCount }, ATTACHMENT_MAX_BYTES);
+    if (transfers.has(fileId)) {
+        throw new Error('Attachment file ID is already in use');
+    }
+    if (countTransfers(clientId) >= MAX_TRANSFERS_PER_CLIENT) {
+        throw new Error(`At most ${MAX_TRANSFERS_PER_CLIENT} attachments can be sent at once`);
+    }
+    if (!Array.isArray(recipients) || recipients.length > clients.size) {
+        throw new Error('Attachment recipients must be a list of connected clients');
+    }
+    const { room } = clients.get(clientId);
+    const recipientIds = new Set(recipients.filter(id => id !== clientId && clients.has(id) && clients.get(id).room === room));
+    if (recipientIds.size === 0) {
+        throw new Error('None of the attachment recipients are connected to your room');
+    }
+
+    const transfer = {
+        fileId,
+        sender: clientId,
+        room,
+        recipients: recipientIds,
+        size,
+        chunkCount,
+        nextIndex: 0,
+        resumeToken: crypto.randomBytes(16).toString('hex'),
+        timer: null
+    };
+    transfers.set(fileId, transfer);
+    touchTransfer(transfer);
+    console.log(`📎 ${clientId} is sending ${size} bytes in ${chunkCount} chunks to ${recipientIds.size} peers`);
+
+    recipientIds.forEach(peerId => sendToClient(peerId, {
+        type: 'attachment_incoming',
+        fromPeer: clientId,
+        fileId,
+        size,
+        chunkCount,
+        timestamp: QuantumUtils.getTimestamp()
+    }));
+    sendToClient(clientId, {
+        type: 'attachment_accepted',
+        fileId,
+        resumeToken: transfer.resumeToken,
+        nextIndex: 0,
+        timestamp: QuantumUtils.getTimestamp()
+    });
+}
+
+/**
+ * Continue a transfer from a new connection
+ * Client IDs change on every connection, so the resume token proves it is the same sender.
+ * The recipients stay in the room the file was sent to; a sender resuming from another
+ * room (a reconnect starts in the lobby) has left them, and the transfer is cancelled.
+ */
+function resumeTransfer(clientId, { fileId, resumeToken }) {
+    const transfer = transfers.get(fileId);
+    if (!transfer || typeof resumeToken !== 'string' || resumeToken.length !== transfer.resumeToken.length ||
+        !crypto.timingSafeEqual(Buffer.from(resumeToken), Buffer.from(transfer.resumeToken))) {
+        throw new Error('Unknown attachment or resume token');
+    }
+    if (clients.get(clientId).room !== transfer.room) {
+        transfer.sender = clientId; // The token proves it is the sender, so it hears the cancellation too
+        cancelTransfer(transfer, 'The sender left the room');
+        return;
+    }
+    if (transfer.sender !== clientId && countTransfers(clientId) >= MAX_TRANSFERS_PER_CLIENT) {
+        throw new Error(`At most ${MAX_TRANSFERS_PER_CLIENT} attachments can be sent at once`);
+    }
+    transfer.sender = clientId;
+    touchTransfer(transfer);
+    console.log(`📎 ${clientId} resumed attachment ${fileId.substring(0, 8)}... at chunk ${transfer.nextIndex}`);
+
+    sendToClient(clientId, {
+        type: 'attachment_accepted',
+        fileId,
+        resumeToken: transfer.resumeToken,
+        nextIndex: transfer.nextIndex,
+        timestamp: QuantumUtils.getTimestamp()
+    });
+}
+
+/**
+ * Relay the next chunk of a transfer to its recipients
+ * Chunks must come in order and have exactly the size their index implies.
+ */
+function relayChunk(clientId, { fileId, index, data }) {
+    const transfer = ownTransfer(clientId, fileId);
+    if (!Number.isInteger(index) || index < 0 || index >= transfer.chunkCount) {
+        throw new Error('Attachment chunk index out of range');
+    }
+    if (index < transfer.nextIndex) {
+        // Sent again after a reconnect; it was already relayed
+        sendToClient(clientId, { type: 'attachment_ack', fileId, index });
+        return;
+    }
+    if (index > transfer.nextIndex) {
+        throw new Error(`Expected attachment chunk ${transfer.nextIndex}, got ${index}`);
+    }
+    if (typeof data !== 'string' || data.length !== Attachment.encodedChunkLength(index, transfer.size) || !/^[A-Za-z0-9_-]*$/.test(data)) {
+        throw new Error(`Attachment chunk ${index} is malformed or has the wrong size`);
+    }
+
+    transfer.recipients.forEach(peerId => sendToClient(peerId, {
+        type: 'attachment_chunk',
+        fromPeer: clientId,
+        fileId,
+        index,
+        data
+    }));
+    transfer.nextIndex++;
+    sendToClient(clientId, { type: 'attachment_ack', fileId, index });
+
+    if (transfer.nextIndex === transfer.chunkCount) {
+        clearTimeout(transfer.timer);
+        transfers.delete(fileId);
+        console.log(`📎 Attachment ${fileId.substring(0, 8)}... delivered to ${transfer.recipients.size} peers`);
+        sendToClient(clientId, {
+            type: 'attachment_complete',
+            fileId,
+            recipients: transfer.recipients.size,
+            timestamp: QuantumUtils.getTimestamp()
+        });
+    } else {
+        touchTransfer(transfer);
+    }
+}
+
+/**
+ * Transfer being sent by this client
+ */
+function ownTransfer(clientId, fileId) {
+    const transfer = transfers.get(fileId);
+    if (!transfer || transfer.sender !== clientId) {
+        throw new Error('No such attachment transfer');
+    }
+    return transfer;
+}
+
+function countTransfers(clientId) {
+    return Array.from(transfers.values()).filter(transfer => transfer.sender === clientId).length;
+}
+
+/**
+ * Restart a transfer's idle timer
+ */
+function touchTransfer(transfer) {
+    clearTimeout(transfer.timer);
+    transfer.timer = setTimeout(() => {
+        cancelTransfer(transfer, 'Attachment transfer timed out');
+    }, TRANSFER_IDLE_MS);
+}
+
+/**
+ * Drop a transfer and tell its sender and recipients why
+ */
+function cancelTransfer(transfer, reason) {
+    clearTimeout(transfer.timer);
+    transfers.delete(transfer.fileId);
+    console.log(`📎 Attachment ${transfer.fileId.substring(0, 8)}... cancelled: ${reason}`);
+
+    const notice = {
+        type: 'attachment_cancelled',
+        fileId: transfer.fileId,
+        reason,
+        timestamp: QuantumUtils.getTimestamp()
+    };
+    [transfer.sender, ...transfer.recipients].forEach(peerId => {
+        if (peerId) {
+            sendToClient(peerId, notice);
+        }
+    });
+}
+
+/**
+ * Update transfers when a client disconnects
+ * A sender's transfers wait for attachment_resume until they time out; a
+ * recipient is dropped, and a transfer with no recipients left is cancelled.
+ */
+function detachFromTransfers(clientId) {
+    Array.from(transfers.values()).forEach(transfer => {
+        if (transfer.sender === clientId) {
+            transfer.sender = null;
+        }
+        if (transfer.recipients.delete(clientId) && transfer.recipients.size === 0) {
+            cancelTransfer(transfer, 'All recipients left');
+        }
+    });
+}
+
+/**
+ * Update transfers when a client moves to another room
+ * Its own transfers are cancelled, since their recipients stay behind; as a recipient it is dropped.
+ */
+function leaveTransfers(clientId) {
+    Array.from(transfers.values()).forEach(transfer => {
+        if (transfer.sender === clientId) {
+            cancelTransfer(transfer, 'The sender left the room');
+        } else if (transfer.recipients.delete(clientId) && transfer.recipients.size === 0) {
+            cancelTransfer(transfer, 'All recipients left');
+        }
+    });
+}
+
+/**
+ * Send a message to one client if it is still connected
+ */
+function sendToClient(clientId, message) {
+    const client = clients.get(clientId);
+    if (client && client.ws.readyState === WebSocket.OPEN) {
+        client.ws.send(JSON.stringify(message));
+    }
+}
+
+/**
+ * Current benchmark report
+ * The first call starts the measurement in the background and reports it as
+ * running; later calls return the finished report (or the failure).
+ */
+function getBenchmarkReport() {
+    if (!benchmarkReport) {
+        benchmarkReport = { status: 'running', startedAt: QuantumUtils.getTimestamp() };
+        console.log('⏱️ Benchmarking post-quantum and classical primitives on a worker thread...');
+        runBenchmarksInWorker().then(report => {
+            benchmarkReport = { status: 'complete', ...report };
+            console.log(`⏱️ Benchmark finished in ${(report.durationMs / 1000).toFixed(1)}s`);
+        }).catch(error => {
+            console.error('❌ Benchmark failed:', error);
+            benchmarkReport = { status: 'failed', error: error.message };
+        });
+    }
+    return benchmarkReport;
+}
+
 /**
  * Broadcast message to all connected clients except sender
  */
@@ -389,14 +1145,28 @@ function broadcastToAll(message, excludeClientId = null) {
 }
 
 /**
- * Broadcast message to all ready clients except sender
+ * Broadcast message to the members of a room except sender
  */
-function broadcastToReady(message, excludeClientId = null) {
-    clients.forEach((client, clientId) => {
-        if (clientId !== excludeClientId && 
-            client.ready && 
-            client.ws.readyState === WebSocket.OPEN) {
-            client.ws.send(JSON.stringify(message));
+function broadcastToRoom(roomName, message, excludeClientId = null) {
+    const room = chatRooms.get(roomName);
+    if (!room) return;
+    room.members.forEach(clientId => {
+        if (clientId !== excludeClientId) {
+            sendToClient(clientId, message);
+        }
+    });
+}
+
+/**
+ * Broadcast message to the ready members of a room except sender
+ */
+function broadcastToReady(roomName, message, excludeClientId = null) {
+    const room = chatRooms.get(roomName);
+    if (!room) return;
+    room.members.forEach(clientId => {
+        const client = clients.get(clientId);
+        if (clientId !== excludeClientId && client && client.ready) {
+            sendToClient(clientId, message);
         }
     });
 }
@@ -413,7 +1183,15 @@ app.get('/api/status', (req, res) => {
         readyClients: Array.from(clients.values()).filter(c => c.ready).length,
         uptime: process.uptime(),
         quantumSafe: true,
-        algorithm: 'Post-Quantum Simulation (Kyber + AES-256-GCM)'
+        rooms: chatRooms.size,
+        deterministicRandom: !!cryptoBackend.deterministicRandom,
+        defaultSuite: DEFAULT_SUITE,
+        activeSuites: listSuites().map(suite => suite.name),
+        attachments: {
+            maxBytes: ATTACHMENT_MAX_BYTES,
+            chunkSize: Attachment.CHUNK_SIZE,
+            activeTransfers: transfers.size
+        }
     });
 });
 
@@ -421,21 +1199,19 @@ app.get('/api/status', (req, res) => {
 app.get('/api/security', (req, res) => {
     const sampleCrypto = new QuantumCrypto();
     res.json({
+        // Everything below comes from the algorithm registry; each client picks one suite
+        defaultSuite: DEFAULT_SUITE,
+        suites: listSuites(),
         algorithms: {
-            keyExchange: 'Kyber-1024 (Post-Quantum)',
-            encryption: 'AES-256-GCM',
-            hashing: 'SHA-256',
-            signatures: 'Dilithium-3 (Post-Quantum)'
+            keyExchange: listAlgorithms({ type: 'kem' }),
+            signatures: listAlgorithms({ type: 'signature' }),
+            encryption: listAlgorithms({ type: 'aead' }),
+            keyDerivation: listAlgorithms({ type: 'kdf' })
         },
         security: sampleCrypto.getSecurityInfo(),
-        benchmark: sampleCrypto.benchmark(),
+        benchmark: getBenchmarkReport(),
         quantumThreatAnalysis: sampleCrypto.analyzeQuantumThreats(),
-        quantumThreat: {
-            rsaVulnerable: true,
-            eccVulnerable: true,
-            aesStatus: 'Reduced security but still strong',
-            kyberStatus: 'Quantum-resistant'
-        }
+        quantumThreat: threatSummary()
     });
 });
 
@@ -448,16 +1224,184 @@ app.get('/api/quantum-threats', (req, res) => {
             immediate: 'Migrate from RSA/ECC to post-quantum algorithms',
             shortTerm: 'Implement hybrid schemes (classical + PQC)',
             longTerm: 'Full migration to NIST standardized PQC algorithms',
-            timeline: 'Complete migration within 5-10 years'
+            timeline: 'Finish migrating before shelf life + migration time exceeds the time to a quantum computer (Mosca); see POST /api/mosca-risk'
         },
         nistStandards: {
-            keyEncapsulation: ['Kyber', 'Classic McEliece', 'HQC'],
-            digitalSignatures: ['Dilithium', 'Falcon', 'SPHINCS+'],
-            status: 'Finalized and approved for standardization'
+            keyEncapsulation: catalogByStatus(listCatalog({ use: 'kem', quantumSafe: true })),
+            digitalSignatures: catalogByStatus(listCatalog({ use: 'signature', quantumSafe: true })),
+            statuses: STANDARDIZATION_STATUSES
+        }
+    });
+});
+
+/**
+ * Group catalog entries into { standardized: [...], selected: [...], ... } by standardization status
+ */
+function catalogByStatus(entries) {
+    const groups = {};
+    for (const entry of entries) {
+        const { status, document } = entry.standardization;
+        (groups[status] = groups[status] || []).push({ id: entry.id, document });
+    }
+    return groups;
+}
+
+/**
+ * Read /api/algorithms query parameters into catalog filters
+ * Throws on values that are present but malformed; listCatalog() rejects unknown names.
+ */
+function parseCatalogFilters(query) {
+    const flag = (name) => {
+        if (query[name] === undefined) {
+            return null;
+        }
+        if (query[name] !== 'true' && query[name] !== 'false') {
+            throw new Error(`${name} must be true or false`);
         }
+        return query[name] === 'true';
+    };
+    const number = (name) => {
+        if (query[name] === undefined) {
+            return null;
+        }
+        if (!/^\d+$/.test(query[name])) {
+            throw new Error(`${name} must be a NIST category from 1 to 5`);
+        }
+        return Number(query[name]);
+    };
+    const text = (name) => (typeof query[name] === 'string' ? query[name] : null);
+
+    return {
+        use: text('use'),
+        family: text('family'),
+        nistCategory: number(query.category !== undefined ? 'category' : 'nistCategory'),
+        minCategory: number('minCategory'),
+        quantumSafe: flag('quantumSafe'),
+        status: text('status'),
+        implemented: flag('implemented')
+    };
+}
+
+// Query the algorithm catalog
+app.get('/api/algorithms', (req, res) => {
+    let filters;
+    let entries;
+    try {
+        filters = parseCatalogFilters(req.query);
+        const { implemented, ...catalogFilters } = filters;
+        entries = listCatalog(catalogFilters);
+    } catch (error) {
+        return res.status(400).json({ error: 'Invalid filter', message: error.message });
+    }
+
+    const available = new Set(listAlgorithms({ includeRetired: true }).map(algorithm => algorithm.id));
+    const algorithms = entries
+        .map(entry => ({
+            ...entry,
+            implemented: [entry.id, ...(entry.aliases || [])].some(id => available.has(id))
+        }))
+        .filter(entry => filters.implemented === null || entry.implemented === filters.implemented);
+
+    res.json({
+        count: algorithms.length,
+        filters: Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== null)),
+        categories: NIST_CATEGORIES,
+        statuses: STANDARDIZATION_STATUSES,
+        algorithms
     });
 });
 
+// Mosca's theorem risk assessment for "harvest now, decrypt later"
+app.post('/api/mosca-risk', (req, res) => {
+    let assessment;
+    try {
+        assessment = assessMoscaRisk(req.body || {});
+    } catch (error) {
+        return res.status(400).json({ error: 'Invalid risk input', message: error.message });
+    }
+    res.json(assessment);
+});
+
+// Shor's algorithm on the quantum simulator: factor a small modulus ({ modulus, seed, maxAttempts })
+app.post('/api/shor', async (req, res) => {
+    if (activeSimulation) {
+        return res.status(429).json({ error: 'Simulator busy', message: 'A simulation is already running; try again in a few seconds' });
+    }
+    try {
+        res.json(await simulate(() => runShorInWorker({ operation: 'factor', input: req.body || {} })));
+    } catch (error) {
+        res.status(400).json({ error: 'Invalid Shor input', message: error.message });
+    }
+});
+
+// Toy RSA key generated, message intercepted and decrypted after factoring n ({ modulus, message, seed, maxAttempts })
+app.post('/api/shor/rsa', async (req, res) => {
+    if (activeSimulation) {
+        return res.status(429).json({ error: 'Simulator busy', message: 'A simulation is already running; try again in a few seconds' });
+    }
+    try {
+        res.json(await simulate(() => runShorInWorker({ operation: 'rsa', input: req.body || {} })));
+    } catch (error) {
+        res.status(400).json({ error: 'Invalid Shor input', message: error.message });
+    }
+});
+
+// Toy RSA moduli the Shor simulator can factor
+app.get('/api/shor/moduli', (req, res) => {
+    res.json({ moduli: TOY_RSA_MODULI });
+});
+
+// Grover's algorithm on the quantum simulator: recover the last 8 to 16 bits of an AES-128 key ({ keyBits, iterations, seed })
+app.post('/api/grover', async (req, res) => {
+    if (activeSimulation) {
+        return res.status(429).json({ error: 'Simulator busy', message: 'A simulation is already running; try again in a few seconds' });
+    }
+    try {
+        res.json(await simulate(() => runGroverInWorker(req.body || {})));
+    } catch (error) {
+        res.status(400).json({ error: 'Invalid Grover input', message: error.message });
+    }
+});
+
+// LWE lab: Regev encryption (encrypt), decryption failures as the error grows (noise) and the LLL attack (attack)
+app.post('/api/lwe/:operation', async (req, res) => {
+    const { operation } = req.params;
+    if (!['encrypt', 'noise', 'attack'].includes(operation)) {
+        return res.status(404).json({ error: 'Unknown LWE lab operation', message: 'Use encrypt, noise or attack' });
+    }
+    if (activeSimulation) {
+        return res.status(429).json({ error: 'Simulator busy', message: 'A simulation is already running; try again in a few seconds' });
+    }
+    try {
+        res.json(await simulate(() => runLweInWorker({ operation, input: req.body || {} })));
+    } catch (error) {
+        res.status(400).json({ error: 'Invalid LWE input', message: error.message });
+    }
+});
+
+// What the relay has harvested so far: key exchanges and envelopes per pair of clients
+app.get('/api/harvest', (req, res) => {
+    res.json(harvest.summary());
+});
+
+// Simulated Q-Day: how many harvested messages a quantum computer would decrypt (counts only; the
+// decrypted text goes to each client for its own conversations, over the q_day WebSocket message)
+app.post('/api/harvest/qday', async (req, res) => {
+    if (activeSimulation) {
+        return res.status(429).json({ error: 'Simulator busy', message: 'A simulation is already running; try again in a few seconds' });
+    }
+    const wait = qDayCooldown(req.socket.remoteAddress);
+    if (wait > 0) {
+        res.set('Retry-After', String(Math.ceil(wait / 1000)));
+        return res.status(429).json({ error: 'Too many requests', message: `Q-Day may be run once every ${QDAY_COOLDOWN_MS / 1000} seconds per address` });
+    }
+    try {
+        res.json(await simulate(() => runQDayInWorker(harvest)));
+    } catch (error) {
+        res.status(500).json({ error: 'Q-Day replay failed', message: error.message });
+    }
+});
+
 // Serve main page
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, '../frontend', 'index.html'));
@@ -499,16 +1443,24 @@ process.on('SIGTERM', () => {
 server.listen(PORT, () => {
     console.log(`🚀 QuantumChat server running on http://localhost:${PORT}`);
     console.log(`🔐 Post-quantum cryptography: ENABLED`);
+    if (cryptoBackend.deterministicRandom) {
+        console.log(`⚠️  Randomness: ${cryptoBackend.deterministicRandom.algorithm}, seeded - INSECURE demo mode`);
+    }
     console.log(`🌐 WebSocket server: READY`);
     console.log(`📡 Waiting for clients to connect...`);
     
     // Display some educational info
     console.log('\n🧬 Post-Quantum Cryptography Info:');
-    console.log('   • Algorithm: Kyber-1024 (NIST finalist)');
+    console.log('   • Algorithm: ML-KEM-1024 (FIPS 203, formerly Kyber)');
     console.log('   • Problem: Module Learning With Errors');
     console.log('   • Quantum Resistance: YES');
     console.log('   • Classical Security: 256-bit equivalent');
     console.log('   • Status: Standardized by NIST\n');
+    
+    // Known-answer self-tests for the implemented primitives
+    QuantumUtils.runKnownAnswerTests().forEach(({ algorithm, passed }) => {
+        console.log(`   ${passed ? '✅' : '❌'} ${algorithm} known-answer test ${passed ? 'passed' : 'FAILED'}`);
+    });
 });
 
 // Export for testing
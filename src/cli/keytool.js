@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+// keytool.js - Create and manage QuantumChat identity key files from the command line
+
+const fs = require('fs');
+const crypto = require('crypto');
+const readline = require('readline');
+const { QuantumCrypto, DEFAULT_SUITE, listSuites } = require('../crypto/quantum-crypto');
+const KeyFile = require('../frontend/keyfile');
+const SafetyNumber = require('../frontend/safety-number');
+
+const USAGE = `Usage: node src/cli/keytool.js <command> [options]
+
+Commands:
+  generate                 Generate a new identity key file
+  inspect <file>           Show the suite, algorithms, public key fingerprints and safety-number half of a key file
+  convert <file>           Re-encode a key file (change passphrase, PEM <-> JSON)
+  suites                   List the active cipher suites
+
+Options:
+  --suite <name>           Cipher suite for generate (default ${DEFAULT_SUITE})
+  --out <file>             Write to a file (mode 600) instead of stdout
+  --json                   Write the JWK-like JSON form instead of PEM armor
+  --no-passphrase          Write the private keys unencrypted
+
+Passphrases are read from QUANTUMCHAT_PASSPHRASE (existing files) and
+QUANTUMCHAT_NEW_PASSPHRASE (files being written), or prompted for.
+Key files are interchangeable with the browser client's Export / Import buttons.`;
+
+/**
+ * Split argv into a command, positional arguments and --options
+ */
+function parseArgs(argv) {
+    const [command, ...rest] = argv;
+    const options = { positional: [] };
+    for (let i = 0; i < rest.length; i++) {
+        const arg = rest[i];
+        if (arg === '--suite' || arg === '--out') {
+            if (i + 1 >= rest.length) {
+                throw new Error(`${arg} needs a value`);
+            }
+            options[arg.slice(2)] = rest[++i];
+        } else if (arg === '--json') {
+            options.json = true;
+        } else if (arg === '--no-passphrase') {
+            options.noPassphrase = true;
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            options.positional.push(arg);
+        }
+    }
+    return { command, options };
+}
+
+/**
+ * Read a passphrase from the environment or the terminal without echoing it
+ */
+function askPassphrase(question, envName) {
+    if (process.env[envName] !== undefined) {
+        return Promise.resolve(process.env[envName]);
+    }
+    if (!process.stdin.isTTY) {
+        return Promise.reject(new Error(`No terminal to prompt on; set ${envName}`));
+    }
+    return new Promise((resolve) => {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stderr, terminal: true });
+        let muted = false;
+        rl._writeToOutput = (text) => {
+            if (!muted) {
+                rl.output.write(text);
+            }
+        };
+        rl.question(question, (answer) => {
+            rl.output.write('\n');
+            rl.close();
+            resolve(answer);
+        });
+        muted = true;
+    });
+}
+
+/**
+ * Passphrase for a file being written, confirmed when typed interactively
+ */
+async function newPassphrase(options) {
+    if (options.noPassphrase) {
+        return null;
+    }
+    const passphrase = await askPassphrase('New passphrase: ', 'QUANTUMCHAT_NEW_PASSPHRASE');
+    if (!passphrase) {
+        throw new Error('Empty passphrase; use --no-passphrase to write unencrypted keys');
+    }
+    if (process.env.QUANTUMCHAT_NEW_PASSPHRASE === undefined &&
+        await askPassphrase('Repeat passphrase: ', 'QUANTUMCHAT_NEW_PASSPHRASE') !== passphrase) {
+        throw new Error('Passphrases do not match');
+    }
+    return passphrase;
+}
+
+function readKeyFile(path) {
+    if (!path) {
+        throw new Error('No key file given');
+    }
+    return KeyFile.parse(fs.readFileSync(path, 'utf8'));
+}
+
+async function writeOutput(qc, passphrase, options) {
+    const exported = await qc.exportKeys({ passphrase, format: options.json ? 'json' : 'pem' });
+    const text = options.json ? JSON.stringify(exported, null, 2) + '\n' : exported;
+    if (options.out) {
+        fs.writeFileSync(options.out, text, { mode: 0o600 });
+        console.error(`✅ Wrote ${options.out}`);
+    } else {
+        process.stdout.write(text);
+    }
+}
+
+function print(line) {
+    process.stdout.write(`${line}\n`);
+}
+
+function fingerprint(publicKey) {
+    return crypto.createHash('sha256').update(publicKey).digest('hex').slice(0, 32).match(/.{4}/g).join(' ');
+}
+
+async function main() {
+    const { command, options } = parseArgs(process.argv.slice(2));
+    switch (command) {
+        case 'generate': {
+            const qc = new QuantumCrypto({ suite: options.suite || DEFAULT_SUITE });
+            const passphrase = await newPassphrase(options);
+            await qc.generateKeyPair();
+            await writeOutput(qc, passphrase, options);
+            break;
+        }
+
+        case 'inspect': {
+            const file = readKeyFile(options.positional[0]);
+            const kemPublic = Buffer.from(file.kem.pub, 'base64url');
+            const sigPublic = Buffer.from(file.sig.pub, 'base64url');
+            print(`Suite:      ${file.suite}`);
+            print(`Created:    ${file.created}`);
+            print(`Protection: ${KeyFile.isEncrypted(file) ? `scrypt (N=${file.enc.N}, r=${file.enc.r}, p=${file.enc.p}) + ${file.enc.alg}` : 'none (private keys in the clear)'}`);
+            print(`KEM:        ${file.kem.alg}, ${kemPublic.length}-byte public key, SHA-256 ${fingerprint(kemPublic)}`);
+            print(`Signature:  ${file.sig.alg}, ${sigPublic.length}-byte public key, SHA-256 ${fingerprint(sigPublic)}`);
+            const identity = { kemAlgorithm: file.kem.alg, kemPublicKey: kemPublic, signatureAlgorithm: file.sig.alg, signaturePublicKey: sigPublic };
+            print(`Identity:   ${SafetyNumber.format(SafetyNumber.fingerprint(identity))} (this key's half of every safety number)`);
+            break;
+        }
+
+        case 'convert': {
+            const file = readKeyFile(options.positional[0]);
+            const passphrase = KeyFile.isEncrypted(file) ?
+                await askPassphrase('Current passphrase: ', 'QUANTUMCHAT_PASSPHRASE') : null;
+            const qc = new QuantumCrypto({ suite: file.suite });
+            await qc.importKeys(file, { passphrase });
+            await writeOutput(qc, await newPassphrase(options), options);
+            break;
+        }
+
+        case 'suites':
+            for (const suite of listSuites()) {
+                print(`${String(suite.id).padStart(3)}  ${suite.name.padEnd(38)} ` +
+                    (suite.quantumSafe ? `NIST category ${suite.nistCategory}` : 'not quantum-safe (comparison only)'));
+            }
+            break;
+
+        default:
+            console.error(USAGE);
+            process.exitCode = command ? 1 : 0;
+    }
+}
+
+// Keep the library's progress logging off stdout so key files can be piped
+console.log = console.error.bind(console);
+
+main().catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,410 @@
+// algorithm-catalog.js - Security catalog of classical and post-quantum algorithms
+
+/**
+ * Algorithm catalog
+ *
+ * One entry per parameter set, classical and post-quantum, whether or not
+ * this project implements it. The threat analysis, security-level lookups and
+ * the /api/algorithms endpoint are all computed from these entries, so the
+ * numbers live in exactly one place.
+ *
+ * Each entry carries:
+ * - id, family, uses ('kem', 'key-agreement', 'encryption', 'signature', 'block-cipher'), basis
+ * - nistCategory: 1-5 as defined in NIST_CATEGORIES, or null when a quantum
+ *   computer breaks the scheme outright
+ * - sizes in bytes (public key, ciphertext or signature) where they are fixed
+ * - classicalAttack / quantumAttack: the best known attack, with log2Cost in
+ *   the units named by `model`. Shor-type attacks run in polynomial time, so
+ *   they have no log2Cost and give the logical qubits a known circuit needs.
+ * - standardization: { status, document, year, note }. The status is one of
+ *   STANDARDIZATION_STATUSES.
+ *
+ * Attack costs are published estimates, not measurements. Lattice figures are
+ * core-SVP block-size estimates from the round-3 submissions. Grover figures
+ * count iterations and ignore the depth limits (MAXDEPTH) that make real
+ * attacks far more expensive.
+ */
+
+const NIST_CATEGORIES = {
+    1: { reference: 'Key search on a 128-bit block cipher (AES-128)', log2ClassicalGates: 143, quantumGates: '2^170 / MAXDEPTH' },
+    2: { reference: 'Collision search on a 256-bit hash (SHA-256 / SHA3-256)', log2ClassicalGates: 146, quantumGates: null },
+    3: { reference: 'Key search on a 192-bit block cipher (AES-192)', log2ClassicalGates: 207, quantumGates: '2^233 / MAXDEPTH' },
+    4: { reference: 'Collision search on a 384-bit hash (SHA-384 / SHA3-384)', log2ClassicalGates: 210, quantumGates: null },
+    5: { reference: 'Key search on a 256-bit block cipher (AES-256)', log2ClassicalGates: 272, quantumGates: '2^298 / MAXDEPTH' }
+};
+
+const STANDARDIZATION_STATUSES = {
+    standardized: 'Published standard, approved for new systems',
+    selected: 'Selected by NIST; the standard is still being written',
+    candidate: 'Evaluated or proposed, not (yet) a NIST standard',
+    transition: 'Approved only until the post-quantum migration deadline',
+    disallowed: 'No longer approved'
+};
+
+const CATEGORY_BY_BITS = { 128: 1, 192: 3, 256: 5 };
+
+const CORE_SVP = {
+    classical: { name: 'Primal lattice attack (BKZ with sieving)', model: 'core-SVP, 0.292β' },
+    quantum: { name: 'Primal lattice attack with quantum sieving', model: 'core-SVP, 0.265β' }
+};
+
+function lattice(attack, log2Cost) {
+    return { name: attack.name, log2Cost, model: attack.model };
+}
+
+function quantumTransition(classicalBits) {
+    return classicalBits < 128 ?
+        'Quantum-vulnerable: deprecated after 2030, disallowed after 2035 (NIST IR 8547 draft)' :
+        'Quantum-vulnerable: disallowed after 2035 (NIST IR 8547 draft)';
+}
+
+const CATALOG = [];
+
+// RSA: GNFS strength from SP 800-57 / SP 800-56B; Shor with Beauregard's 2n + 3 qubit circuit
+for (const [bits, strength] of [[1024, 80], [2048, 112], [3072, 128], [4096, 152], [7680, 192], [15360, 256]]) {
+    CATALOG.push({
+        id: `RSA-${bits}`,
+        family: 'RSA',
+        uses: ['encryption', 'signature'],
+        basis: 'Integer factorization',
+        keyBits: bits,
+        nistCategory: null,
+        quantumSafe: false,
+        sizes: { publicKey: bits / 8, ciphertext: bits / 8, signature: bits / 8 },
+        classicalAttack: { name: 'General number field sieve', log2Cost: strength, model: 'security bits (SP 800-57)' },
+        quantumAttack: {
+            name: 'Shor\'s algorithm',
+            log2Cost: null,
+            complexity: 'polynomial',
+            logicalQubits: 2 * bits + 3,
+            model: 'Beauregard circuit (2n + 3 logical qubits)',
+            note: bits === 2048 ? 'Gidney (2025): under a million noisy physical qubits, in under a week' : undefined
+        },
+        standardization: bits === 1024 ?
+            { status: 'disallowed', document: 'SP 800-131A', note: 'Below 112-bit security' } :
+            { status: 'transition', document: 'FIPS 186-5, SP 800-56B', note: quantumTransition(strength) }
+    });
+}
+
+// Elliptic curves: Pollard's rho classically; Shor for ECDLP with Roetteler et al.'s 9n + 2⌈log2 n⌉ + 10 qubits
+for (const { id, uses, fieldBits, strength, sizes, document } of [
+    { id: 'P-256', uses: ['key-agreement', 'signature'], fieldBits: 256, strength: 128, sizes: { publicKey: 65, signature: 64 }, document: 'FIPS 186-5, SP 800-186' },
+    { id: 'P-384', uses: ['key-agreement', 'signature'], fieldBits: 384, strength: 192, sizes: { publicKey: 97, signature: 96 }, document: 'FIPS 186-5, SP 800-186' },
+    { id: 'P-521', uses: ['key-agreement', 'signature'], fieldBits: 521, strength: 256, sizes: { publicKey: 133, signature: 132 }, document: 'FIPS 186-5, SP 800-186' },
+    { id: 'X25519', uses: ['key-agreement'], fieldBits: 255, strength: 126, sizes: { publicKey: 32 }, document: 'RFC 7748, SP 800-186' },
+    { id: 'Ed25519', uses: ['signature'], fieldBits: 255, strength: 126, sizes: { publicKey: 32, signature: 64 }, document: 'RFC 8032, FIPS 186-5' }
+]) {
+    CATALOG.push({
+        id,
+        family: 'ECC',
+        uses,
+        basis: 'Elliptic-curve discrete logarithm',
+        keyBits: fieldBits,
+        nistCategory: null,
+        quantumSafe: false,
+        sizes,
+        classicalAttack: { name: 'Pollard\'s rho', log2Cost: strength, model: 'group operations' },
+        quantumAttack: {
+            name: 'Shor\'s algorithm (ECDLP)',
+            log2Cost: null,
+            complexity: 'polynomial',
+            logicalQubits: 9 * fieldBits + 2 * Math.ceil(Math.log2(fieldBits)) + 10,
+            model: 'Roetteler et al. 2017 circuit'
+        },
+        standardization: { status: 'transition', document, note: quantumTransition(strength) }
+    });
+}
+
+// AES: the reference points of categories 1, 3 and 5
+for (const bits of [128, 192, 256]) {
+    CATALOG.push({
+        id: `AES-${bits}`,
+        aliases: bits === 256 ? ['AES-256-GCM'] : [],
+        family: 'AES',
+        uses: ['block-cipher'],
+        basis: 'Symmetric block cipher',
+        keyBits: bits,
+        nistCategory: CATEGORY_BY_BITS[bits],
+        quantumSafe: true,
+        sizes: { key: bits / 8 },
+        classicalAttack: { name: 'Exhaustive key search', log2Cost: bits, model: 'AES evaluations' },
+        quantumAttack: { name: 'Grover\'s algorithm', log2Cost: bits / 2, model: 'Grover iterations, before MAXDEPTH limits' },
+        standardization: { status: 'standardized', document: 'FIPS 197', year: 2001 }
+    });
+}
+
+// ML-KEM (FIPS 203)
+for (const { id, category, sizes, classical, quantum } of [
+    { id: 'ML-KEM-512', category: 1, sizes: { publicKey: 800, ciphertext: 768 }, classical: 118, quantum: 107 },
+    { id: 'ML-KEM-768', category: 3, sizes: { publicKey: 1184, ciphertext: 1088 }, classical: 182, quantum: 165 },
+    { id: 'ML-KEM-1024', category: 5, sizes: { publicKey: 1568, ciphertext: 1568 }, classical: 256, quantum: 232 }
+]) {
+    CATALOG.push({
+        id,
+        family: 'ML-KEM',
+        uses: ['kem'],
+        basis: 'Module lattices (Module-LWE)',
+        nistCategory: category,
+        quantumSafe: true,
+        sizes,
+        classicalAttack: lattice(CORE_SVP.classical, classical),
+        quantumAttack: lattice(CORE_SVP.quantum, quantum),
+        standardization: { status: 'standardized', document: 'FIPS 203', year: 2024 }
+    });
+}
+
+CATALOG.push({
+    id: 'X25519+ML-KEM-1024',
+    family: 'Hybrid',
+    uses: ['kem'],
+    basis: 'Elliptic-curve discrete logarithm + Module-LWE (secure while either holds)',
+    nistCategory: 5,
+    quantumSafe: true,
+    sizes: { publicKey: 1600, ciphertext: 1600 },
+    classicalAttack: lattice(CORE_SVP.classical, 256),
+    quantumAttack: { ...lattice(CORE_SVP.quantum, 232), note: 'Shor removes the X25519 half; ML-KEM-1024 still stands' },
+    standardization: { status: 'candidate', document: 'FIPS 203 + RFC 7748, X-Wing-style combiner', note: 'Hybrid combiners are permitted by SP 800-227; X-Wing is an IETF draft' }
+});
+
+// ML-DSA (FIPS 204)
+for (const { id, category, sizes, classical, quantum } of [
+    { id: 'ML-DSA-44', category: 2, sizes: { publicKey: 1312, signature: 2420 }, classical: 123, quantum: 112 },
+    { id: 'ML-DSA-65', category: 3, sizes: { publicKey: 1952, signature: 3309 }, classical: 182, quantum: 165 },
+    { id: 'ML-DSA-87', category: 5, sizes: { publicKey: 2592, signature: 4627 }, classical: 252, quantum: 229 }
+]) {
+    CATALOG.push({
+        id,
+        family: 'ML-DSA',
+        uses: ['signature'],
+        basis: 'Module lattices (Module-LWE / Module-SIS)',
+        nistCategory: category,
+        quantumSafe: true,
+        sizes,
+        classicalAttack: lattice(CORE_SVP.classical, classical),
+        quantumAttack: lattice(CORE_SVP.quantum, quantum),
+        standardization: { status: 'standardized', document: 'FIPS 204', year: 2024 }
+    });
+}
+
+// SLH-DSA (FIPS 205): security rests on the hash, so generic (second-)preimage search is the bound
+for (const hash of ['SHA2', 'SHAKE']) {
+    for (const [level, publicKey, small, fast] of [[128, 32, 7856, 17088], [192, 48, 16224, 35664], [256, 64, 29792, 49856]]) {
+        for (const [variant, signature] of [['s', small], ['f', fast]]) {
+            CATALOG.push({
+                id: `SLH-DSA-${hash}-${level}${variant}`,
+                family: 'SLH-DSA',
+                uses: ['signature'],
+                basis: `Hash functions (${hash === 'SHA2' ? 'SHA-2' : 'SHAKE'})`,
+                nistCategory: CATEGORY_BY_BITS[level],
+                quantumSafe: true,
+                sizes: { publicKey, signature },
+                classicalAttack: { name: 'Generic (second-)preimage search', log2Cost: level, model: 'hash evaluations' },
+                quantumAttack: { name: 'Grover preimage search', log2Cost: level / 2, model: 'Grover iterations, before MAXDEPTH limits' },
+                standardization: { status: 'standardized', document: 'FIPS 205', year: 2024 }
+            });
+        }
+    }
+}
+
+// Falcon / FN-DSA
+for (const { id, category, sizes, classical, quantum } of [
+    { id: 'Falcon-512', category: 1, sizes: { publicKey: 897, signature: 666 }, classical: 120, quantum: 108 },
+    { id: 'Falcon-1024', category: 5, sizes: { publicKey: 1793, signature: 1280 }, classical: 278, quantum: 252 }
+]) {
+    CATALOG.push({
+        id,
+        family: 'Falcon',
+        uses: ['signature'],
+        basis: 'NTRU lattices (short integer solution)',
+        nistCategory: category,
+        quantumSafe: true,
+        sizes,
+        classicalAttack: lattice(CORE_SVP.classical, classical),
+        quantumAttack: lattice(CORE_SVP.quantum, quantum),
+        standardization: { status: 'selected', document: 'FIPS 206 (FN-DSA)', note: 'Standard in preparation; signature sizes are averages' }
+    });
+}
+
+// Code-based KEMs: information set decoding; the submissions claim the category rather than a single figure
+const ISD = {
+    classical: 'Information set decoding (BJMM / MMT)',
+    quantum: 'Grover-accelerated information set decoding'
+};
+
+for (const { id, category, sizes } of [
+    { id: 'HQC-128', category: 1, sizes: { publicKey: 2249, ciphertext: 4433 } },
+    { id: 'HQC-192', category: 3, sizes: { publicKey: 4522, ciphertext: 8978 } },
+    { id: 'HQC-256', category: 5, sizes: { publicKey: 7245, ciphertext: 14421 } }
+]) {
+    CATALOG.push({
+        id,
+        family: 'HQC',
+        uses: ['kem'],
+        basis: 'Quasi-cyclic codes (Hamming metric)',
+        nistCategory: category,
+        quantumSafe: true,
+        sizes,
+        classicalAttack: { name: ISD.classical, log2Cost: { 1: 128, 3: 192, 5: 256 }[category], model: 'claimed security bits' },
+        quantumAttack: { name: ISD.quantum, log2Cost: null, model: `claimed to meet category ${category}` },
+        standardization: { status: 'selected', document: 'NIST IR 8545', year: 2025, note: 'Backup KEM to ML-KEM; draft standard in preparation' }
+    });
+}
+
+for (const { id, category, sizes } of [
+    { id: 'mceliece348864', category: 1, sizes: { publicKey: 261120, ciphertext: 96 } },
+    { id: 'mceliece460896', category: 3, sizes: { publicKey: 524160, ciphertext: 156 } },
+    { id: 'mceliece6688128', category: 5, sizes: { publicKey: 1044992, ciphertext: 208 } },
+    { id: 'mceliece6960119', category: 5, sizes: { publicKey: 1047319, ciphertext: 194 } },
+    { id: 'mceliece8192128', category: 5, sizes: { publicKey: 1357824, ciphertext: 208 } }
+]) {
+    CATALOG.push({
+        id,
+        family: 'Classic McEliece',
+        uses: ['kem'],
+        basis: 'Binary Goppa codes',
+        nistCategory: category,
+        quantumSafe: true,
+        sizes,
+        classicalAttack: { name: ISD.classical, log2Cost: { 1: 128, 3: 192, 5: 256 }[category], model: 'claimed security bits' },
+        quantumAttack: { name: ISD.quantum, log2Cost: null, model: `claimed to meet category ${category}` },
+        standardization: { status: 'candidate', document: 'NIST round 4; ISO/IEC 18033-2 amendment', note: 'Not selected by NIST; being standardized by ISO' }
+    });
+}
+
+const FAMILIES = [...new Set(CATALOG.map(entry => entry.family))];
+const USES = [...new Set(CATALOG.flatMap(entry => entry.uses))];
+
+function oneOf(value, allowed, name) {
+    if (value !== undefined && value !== null && !allowed.includes(value)) {
+        throw new Error(`Unknown ${name} "${value}"; expected one of ${allowed.join(', ')}`);
+    }
+}
+
+function category(value, name) {
+    if (value !== undefined && value !== null && !NIST_CATEGORIES[value]) {
+        throw new Error(`${name} must be a NIST category from 1 to 5`);
+    }
+}
+
+/**
+ * Query the catalog
+ * @param {object} filters - { use, family, nistCategory, minCategory, quantumSafe, status }; unknown values are rejected
+ * @returns {object[]} - Matching entries
+ */
+function listCatalog({ use = null, family = null, nistCategory = null, minCategory = null, quantumSafe = null, status = null } = {}) {
+    oneOf(use, USES, 'use');
+    oneOf(family, FAMILIES, 'family');
+    oneOf(status, Object.keys(STANDARDIZATION_STATUSES), 'status');
+    category(nistCategory, 'nistCategory');
+    category(minCategory, 'minCategory');
+
+    return CATALOG.filter(entry =>
+        (!use || entry.uses.includes(use)) &&
+        (!family || entry.family === family) &&
+        (nistCategory === null || entry.nistCategory === nistCategory) &&
+        (minCategory === null || (entry.nistCategory !== null && entry.nistCategory >= minCategory)) &&
+        (quantumSafe === null || entry.quantumSafe === quantumSafe) &&
+        (!status || entry.standardization.status === status)
+    );
+}
+
+/**
+ * Look up one entry by identifier or alias (e.g. 'AES-256-GCM')
+ */
+function getCatalogEntry(id) {
+    const entry = CATALOG.find(candidate => candidate.id === id || (candidate.aliases || []).includes(id));
+    if (!entry) {
+        throw new Error(`Algorithm not in catalog: ${id}`);
+    }
+    return entry;
+}
+
+/**
+ * Entry for an algorithm name, or for a family plus key size ('RSA', 3072)
+ * A size between parameter sets resolves to the largest one it reaches. Post-quantum
+ * parameter sets have no key size, so there the number names the set ('ML-KEM', 1024).
+ * @returns {object|null} - The entry, or null when the key is smaller than every parameter set
+ *   of the family, or names no post-quantum set of it
+ */
+function findCatalogEntry(algorithm, keyBits = null) {
+    const exact = CATALOG.find(entry => entry.id === algorithm || (entry.aliases || []).includes(algorithm));
+    if (exact) {
+        return exact;
+    }
+    oneOf(algorithm, FAMILIES, 'algorithm or family');
+    const members = CATALOG.filter(entry => entry.family === algorithm);
+    if (members.every(entry => entry.keyBits === undefined)) {
+        return members.find(entry => entry.id === `${algorithm}-${keyBits}`) || null;
+    }
+    return members
+        .filter(entry => entry.keyBits <= keyBits)
+        .reduce((best, entry) => (!best || entry.keyBits > best.keyBits ? entry : best), null);
+}
+
+/**
+ * Families a quantum computer weakens or breaks, and the post-quantum replacements
+ * @returns {object} - { currentThreats, postQuantumSolutions }, keyed by family
+ */
+function threatAnalysis() {
+    const byFamily = (entries) => entries.reduce((groups, entry) => {
+        (groups[entry.family] = groups[entry.family] || []).push(entry);
+        return groups;
+    }, {});
+    const statusOf = (entries) => [...new Set(entries.map(entry =>
+        `${entry.standardization.status} (${entry.standardization.document})`))].join('; ');
+
+    const currentThreats = {};
+    for (const [family, entries] of Object.entries(byFamily(CATALOG.filter(entry => !entry.quantumSafe || entry.family === 'AES')))) {
+        const broken = entries.every(entry => !entry.quantumSafe);
+        currentThreats[family] = {
+            status: broken ? 'Vulnerable' : 'Reduced security',
+            threat: entries[0].quantumAttack.name,
+            impact: broken ? 'Complete break in polynomial time' : 'Key search cost square-rooted; 256-bit keys keep category 5',
+            standardization: statusOf(entries),
+            parameterSets: entries.map(entry => ({
+                id: entry.id,
+                classicalBits: entry.classicalAttack.log2Cost,
+                quantumBits: entry.quantumAttack.log2Cost,
+                logicalQubits: entry.quantumAttack.logicalQubits,
+                nistCategory: entry.nistCategory
+            }))
+        };
+    }
+
+    const postQuantumSolutions = {};
+    for (const [family, entries] of Object.entries(byFamily(CATALOG.filter(entry => entry.quantumSafe && entry.family !== 'AES')))) {
+        postQuantumSolutions[family] = {
+            status: 'Quantum-resistant',
+            basis: entries[0].basis,
+            security: `NIST categories ${[...new Set(entries.map(entry => entry.nistCategory))].sort().join(', ')}`,
+            standardization: statusOf(entries),
+            parameterSets: entries.map(entry => entry.id)
+        };
+    }
+
+    return { currentThreats, postQuantumSolutions };
+}
+
+/**
+ * One line per family: is it quantum-safe, and what attacks it
+ */
+function threatSummary() {
+    const summary = {};
+    for (const entry of CATALOG) {
+        summary[entry.family] = summary[entry.family] || { quantumSafe: entry.quantumSafe, attack: entry.quantumAttack.name };
+    }
+    return summary;
+}
+
+module.exports = {
+    NIST_CATEGORIES,
+    STANDARDIZATION_STATUSES,
+    CATALOG,
+    FAMILIES,
+    USES,
+    listCatalog,
+    getCatalogEntry,
+    findCatalogEntry,
+    threatAnalysis,
+    threatSummary
+};
@@ -0,0 +1,304 @@
+// benchmark.js - Measured performance of the post-quantum primitives and classical baselines
+
+const crypto = require('crypto');
+const os = require('os');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { KEM_ALGORITHMS, SIGNATURE_ALGORITHMS, createKEM, createSigner, getAlgorithm, constantTimeEqual } = require('./quantum-crypto');
+
+/**
+ * Benchmarking subsystem
+ *
+ * Every number in the report is measured on the machine running it: each
+ * operation is repeated until it has at least `minSamples` samples and has
+ * used up its time budget (or hit `maxSamples`), and the report gives the
+ * median, 95th percentile and derived operations per second. Sizes are read
+ * from the actual keys, ciphertexts and signatures produced.
+ *
+ * The post-quantum schemes here are pure JavaScript while the RSA-2048 and
+ * ECDH P-256 baselines run on OpenSSL through Node's crypto module, so the
+ * comparison flatters the classical algorithms.
+ */
+
+const DEFAULT_OPTIONS = {
+    minSamples: 3,
+    maxSamples: 200,
+    budgetMs: 1000,
+    messageSize: 1024
+};
+
+/**
+ * Time an operation repeatedly
+ * @param {function} operation - Called once per sample; may use the result of setup()
+ * @param {object} options - { minSamples, maxSamples, budgetMs }
+ * @param {function} setup - Optional untimed preparation run before each sample
+ * @returns {object} - Timing statistics in milliseconds
+ */
+function measure(operation, { minSamples, maxSamples, budgetMs }, setup = () => undefined) {
+    const samples = [];
+    let spent = 0;
+    while (samples.length < maxSamples && (samples.length < minSamples || spent < budgetMs)) {
+        const input = setup();
+        const start = process.hrtime.bigint();
+        operation(input);
+        const elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+        samples.push(elapsed);
+        spent += elapsed;
+    }
+    return summarize(samples);
+}
+
+/**
+ * measure() for operations that may return a promise (the RSA and ECDH KEMs run on async backends)
+ */
+async function measureAsync(operation, { minSamples, maxSamples, budgetMs }) {
+    const samples = [];
+    let spent = 0;
+    while (samples.length < maxSamples && (samples.length < minSamples || spent < budgetMs)) {
+        const start = process.hrtime.bigint();
+        await operation();
+        const elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+        samples.push(elapsed);
+        spent += elapsed;
+    }
+    return summarize(samples);
+}
+
+/**
+ * Median, nearest-rank 95th percentile and throughput of a set of samples
+ */
+function summarize(samples) {
+    const sorted = [...samples].sort((a, b) => a - b);
+    const percentile = (p) => sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+    const round = (ms) => Math.round(ms * 1000) / 1000;
+    const median = sorted.length % 2 ?
+        sorted[(sorted.length - 1) / 2] :
+        (sorted[sorted.length / 2 - 1] + sorted[sorted.length / 2]) / 2;
+
+    return {
+        samples: sorted.length,
+        medianMs: round(median),
+        p95Ms: round(percentile(0.95)),
+        minMs: round(sorted[0]),
+        maxMs: round(sorted[sorted.length - 1]),
+        opsPerSec: median > 0 ? Math.round(1000 / median * 10) / 10 : null
+    };
+}
+
+/**
+ * Key generation, encapsulation and decapsulation for one KEM
+ */
+async function benchmarkKEM(name, options) {
+    const kem = createKEM(name);
+    const { publicKey, secretKey } = await kem.keyGen();
+    const { ciphertext, sharedSecret } = await kem.encapsulate(publicKey);
+    if (!constantTimeEqual(await kem.decapsulate(secretKey, ciphertext), sharedSecret)) {
+        throw new Error(`${name} decapsulation did not recover the shared secret`);
+    }
+
+    return {
+        algorithm: name,
+        quantumSafe: getAlgorithm(name, { type: 'kem' }).quantumSafe,
+        sizes: {
+            publicKey: publicKey.length,
+            secretKey: secretKey.length,
+            ciphertext: ciphertext.length,
+            sharedSecret: sharedSecret.length
+        },
+        operations: {
+            keyGen: await measureAsync(() => kem.keyGen(), options),
+            encapsulate: await measureAsync(() => kem.encapsulate(publicKey), options),
+            decapsulate: await measureAsync(() => kem.decapsulate(secretKey, ciphertext), options)
+        }
+    };
+}
+
+/**
+ * Key generation, signing and verification for one signature scheme
+ */
+function benchmarkSignature(name, message, options) {
+    const signer = createSigner(name);
+    const { publicKey, secretKey } = signer.keyGen();
+    const signature = signer.sign(secretKey, message);
+    if (!signer.verify(publicKey, message, signature)) {
+        throw new Error(`${name} rejected its own signature`);
+    }
+
+    return {
+        algorithm: name,
+        quantumSafe: true,
+        sizes: {
+            publicKey: publicKey.length,
+            secretKey: secretKey.length,
+            signature: signature.length
+        },
+        operations: {
+            keyGen: measure(() => signer.keyGen(), options),
+            sign: measure(() => signer.sign(secretKey, message), options),
+            verify: measure(() => signer.verify(publicKey, message, signature), options)
+        }
+    };
+}
+
+/**
+ * AES-256-GCM over one chat-sized message, as used for every envelope
+ */
+function benchmarkAEAD(message, options) {
+    const key = crypto.randomBytes(32);
+    const iv = crypto.randomBytes(12);
+    const encrypt = () => {
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        const encrypted = Buffer.concat([cipher.update(message), cipher.final()]);
+        return { encrypted, tag: cipher.getAuthTag() };
+    };
+    const sealed = encrypt();
+
+    return {
+        algorithm: 'AES-256-GCM',
+        quantumSafe: true,
+        messageSize: message.length,
+        sizes: { key: key.length, nonce: iv.length, tag: sealed.tag.length },
+        operations: {
+            encrypt: measure(encrypt, options),
+            decrypt: measure(() => {
+                const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+                decipher.setAuthTag(sealed.tag);
+                return Buffer.concat([decipher.update(sealed.encrypted), decipher.final()]);
+            }, options)
+        }
+    };
+}
+
+/**
+ * RSA-2048 baseline: OAEP key transport in place of encapsulation, PSS signatures
+ */
+function benchmarkRSA(message, options) {
+    const generate = () => crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const { publicKey, privateKey } = generate();
+    const oaep = { padding: crypto.constants.RSA_PKCS1_OAEP_PADDING, oaepHash: 'sha256' };
+    const pss = { padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 32 };
+    const secret = crypto.randomBytes(32);
+    const ciphertext = crypto.publicEncrypt({ key: publicKey, ...oaep }, secret);
+    const signature = crypto.sign('sha256', message, { key: privateKey, ...pss });
+
+    return {
+        algorithm: 'RSA-2048',
+        quantumSafe: false,
+        note: 'OAEP-SHA256 key transport stands in for encapsulation; signatures are PSS-SHA256',
+        sizes: {
+            publicKey: publicKey.export({ type: 'spki', format: 'der' }).length,
+            secretKey: privateKey.export({ type: 'pkcs8', format: 'der' }).length,
+            ciphertext: ciphertext.length,
+            sharedSecret: secret.length,
+            signature: signature.length
+        },
+        operations: {
+            keyGen: measure(generate, options),
+            encapsulate: measure(() => crypto.publicEncrypt({ key: publicKey, ...oaep }, crypto.randomBytes(32)), options),
+            decapsulate: measure(() => crypto.privateDecrypt({ key: privateKey, ...oaep }, ciphertext), options),
+            sign: measure(() => crypto.sign('sha256', message, { key: privateKey, ...pss }), options),
+            verify: measure(() => crypto.verify('sha256', message, { key: publicKey, ...pss }, signature), options)
+        }
+    };
+}
+
+/**
+ * ECDH P-256 baseline: an ephemeral key pair plus one agreement acts as encapsulation
+ */
+function benchmarkECDH(options) {
+    const generate = () => {
+        const ecdh = crypto.createECDH('prime256v1');
+        ecdh.generateKeys();
+        return ecdh;
+    };
+    const recipient = generate();
+    const recipientPublicKey = recipient.getPublicKey();
+    const ephemeral = generate();
+    const sharedSecret = ephemeral.computeSecret(recipientPublicKey);
+
+    return {
+        algorithm: 'ECDH P-256',
+        quantumSafe: false,
+        note: 'Encapsulation is ephemeral key generation plus one agreement; decapsulation is one agreement',
+        sizes: {
+            publicKey: recipientPublicKey.length,
+            secretKey: recipient.getPrivateKey().length,
+            ciphertext: ephemeral.getPublicKey().length,
+            sharedSecret: sharedSecret.length
+        },
+        operations: {
+            keyGen: measure(generate, options),
+            encapsulate: measure(() => generate().computeSecret(recipientPublicKey), options),
+            decapsulate: measure(() => recipient.computeSecret(ephemeral.getPublicKey()), options)
+        }
+    };
+}
+
+/**
+ * Run the whole benchmark on the calling thread
+ * Slow schemes (SLH-DSA "s" signing takes seconds per signature) make this
+ * take a minute or more; servers should use runBenchmarksInWorker().
+ * @param {object} overrides - { minSamples, maxSamples, budgetMs, messageSize, kems, signatures }
+ * @returns {Promise<object>} - Benchmark report
+ */
+async function runBenchmarks(overrides = {}) {
+    const options = { ...DEFAULT_OPTIONS, ...overrides };
+    const kems = options.kems || KEM_ALGORITHMS;
+    const signatures = options.signatures || SIGNATURE_ALGORITHMS;
+    const message = crypto.randomBytes(options.messageSize);
+    const started = Date.now();
+
+    const kemReports = [];
+    for (const name of kems) {
+        kemReports.push(await benchmarkKEM(name, options));
+    }
+    const report = {
+        generatedAt: new Date(started).toISOString(),
+        environment: {
+            node: process.version,
+            platform: `${process.platform} ${process.arch}`,
+            cpu: (os.cpus()[0] || {}).model || 'unknown'
+        },
+        method: {
+            minSamples: options.minSamples,
+            maxSamples: options.maxSamples,
+            budgetMsPerOperation: options.budgetMs,
+            messageSize: options.messageSize,
+            note: 'Post-quantum schemes are pure JavaScript; RSA and ECDH baselines use OpenSSL via Node crypto'
+        },
+        kem: kemReports,
+        signatures: signatures.map(name => benchmarkSignature(name, message, options)),
+        symmetric: [benchmarkAEAD(message, options)],
+        classical: [benchmarkRSA(message, options), benchmarkECDH(options)]
+    };
+    report.durationMs = Date.now() - started;
+    return report;
+}
+
+/**
+ * Run the benchmark on a worker thread so the event loop stays responsive
+ * @param {object} overrides - Same as runBenchmarks()
+ * @returns {Promise<object>} - Benchmark report
+ */
+function runBenchmarksInWorker(overrides = {}) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(__filename, { workerData: { benchmarkOptions: overrides } });
+        worker.once('message', resolve);
+        worker.once('error', reject);
+        worker.once('exit', (code) => {
+            if (code !== 0) {
+                reject(new Error(`Benchmark worker exited with code ${code}`));
+            }
+        });
+    });
+}
+
+if (!isMainThread && workerData && workerData.benchmarkOptions) {
+    runBenchmarks(workerData.benchmarkOptions).then(report => parentPort.postMessage(report));
+}
+
+module.exports = {
+    runBenchmarks,
+    runBenchmarksInWorker,
+    measure,
+    summarize
+};
@@ -0,0 +1,99 @@
+/**
+ * Deterministic randomness for reproducible demos and tests
+ *
+ * HMAC_DRBG (NIST SP 800-90A Rev. 1, section 10.1.2) over HMAC-SHA-256, and a
+ * backend wrapper that draws every random byte the core uses - keys, KEM and
+ * ratchet randomness, nonces, key-file salts - from one seeded instance. The
+ * same seed replays the same keys and ciphertexts on every backend.
+ *
+ * That is exactly what makes it insecure: anyone who knows or guesses the seed
+ * can recompute every key. getSecurityInfo() and the UI say so whenever it is on.
+ */
+
+import { concatBytes } from './pure-backend.mjs';
+
+const MAX_BYTES_PER_REQUEST = 1 << 16; // 2^19 bits
+const RESEED_INTERVAL = 2 ** 48;
+
+export const DETERMINISTIC_RNG_ALGORITHM = 'HMAC_DRBG (SP 800-90A, HMAC-SHA-256)';
+const PERSONALIZATION = new TextEncoder().encode('QuantumChat deterministic RNG');
+
+export class HmacDrbg {
+    /**
+     * Instantiate from entropy input, nonce and personalization string
+     * @param {function} hmacSha256 - (key, data) => 32-byte MAC, from a backend
+     */
+    constructor(hmacSha256, entropy, nonce = new Uint8Array(0), personalization = new Uint8Array(0)) {
+        this.hmac = hmacSha256;
+        this.key = new Uint8Array(32);
+        this.value = new Uint8Array(32).fill(0x01);
+        this.update(concatBytes(entropy, nonce, personalization));
+        this.reseedCounter = 1;
+    }
+
+    /**
+     * HMAC_DRBG_Update: mix provided data into Key and V
+     */
+    update(providedData = new Uint8Array(0)) {
+        for (const round of providedData.length ? [0x00, 0x01] : [0x00]) {
+            this.key = this.hmac(this.key, concatBytes(this.value, Uint8Array.of(round), providedData));
+            this.value = this.hmac(this.key, this.value);
+        }
+    }
+
+    reseed(entropy, additionalInput = new Uint8Array(0)) {
+        this.update(concatBytes(entropy, additionalInput));
+        this.reseedCounter = 1;
+    }
+
+    /**
+     * Next `length` pseudorandom bytes (at most 2^16 per request)
+     */
+    generate(length, additionalInput = new Uint8Array(0)) {
+        if (length > MAX_BYTES_PER_REQUEST) {
+            throw new Error(`HMAC_DRBG requests are limited to ${MAX_BYTES_PER_REQUEST} bytes`);
+        }
+        if (this.reseedCounter > RESEED_INTERVAL) {
+            throw new Error('HMAC_DRBG must be reseeded');
+        }
+        if (additionalInput.length) {
+            this.update(additionalInput);
+        }
+        const out = new Uint8Array(length);
+        for (let offset = 0; offset < length; offset += 32) {
+            this.value = this.hmac(this.key, this.value);
+            out.set(this.value.subarray(0, Math.min(32, length - offset)), offset);
+        }
+        this.update(additionalInput);
+        this.reseedCounter++;
+        return out;
+    }
+}
+
+/**
+ * A backend whose randomBytes come from an HMAC_DRBG seeded with `seed`
+ * Everything else is the wrapped backend's. `deterministicRandom` marks it for
+ * getSecurityInfo().
+ * @param {object} backend - Backend as described in pure-backend.mjs
+ * @param {string} seed - Non-empty seed, e.g. from QUANTUMCHAT_RNG_SEED or ?seed=
+ * @returns {object} - Backend
+ */
+export function createSeededBackend(backend, seed) {
+    if (typeof seed !== 'string' || seed.length === 0) {
+        throw new Error('A deterministic RNG seed must be a non-empty string');
+    }
+    const drbg = new HmacDrbg(backend.hmacSha256, new TextEncoder().encode(seed), new Uint8Array(0), PERSONALIZATION);
+
+    return Object.freeze({
+        ...backend,
+        randomBytes(length) {
+            const out = new Uint8Array(length);
+            for (let offset = 0; offset < length; offset += MAX_BYTES_PER_REQUEST) {
+                out.set(drbg.generate(Math.min(MAX_BYTES_PER_REQUEST, length - offset)), offset);
+            }
+            return out;
+        },
+        // The seed itself stays in the closure so nothing can echo it back
+        deterministicRandom: Object.freeze({ algorithm: DETERMINISTIC_RNG_ALGORITHM })
+    });
+}
@@ -0,0 +1,908 @@
+/**
+ * Pure-JavaScript crypto backend for the QuantumChat core (quantum-core.mjs)
+ *
+ * Everything the protocol needs from a crypto library, written out in plain
+ * JavaScript: Keccak (SHA3-256/512, SHAKE128/256), SHA-256, SHA-512, HMAC, HKDF,
+ * PBKDF2, scrypt, X25519 and AES-256-GCM. It runs wherever JavaScript does,
+ * which makes it the fallback when a browser has no WebCrypto (for example a
+ * page served over plain HTTP) and the reference the other backends are
+ * checked against. Node uses node-backend.js and browsers webcrypto-backend.mjs
+ * when they can, since table-driven AES and BigInt X25519 are not constant-time.
+ *
+ * A backend is an object with
+ *
+ *   name                                     'node', 'webcrypto' or 'pure-js'
+ *   randomBytes(length)
+ *   sha256(data, midstate?), sha256Midstate(prefix), sha512(data)
+ *   sha3_256(data), sha3_512(data), shake128(data, length), shake256(data, length)
+ *   hmacSha256(key, data), hkdfSha256(ikm, salt, info, length)
+ *   scrypt(password, salt, { N, r, p, dkLen })
+ *   x25519(secretKey, publicKey), x25519PublicKey(secretKey)
+ *   aesGcmEncrypt(key, nonce, plaintext, aad)  -> Promise of ciphertext || 16-byte tag
+ *   aesGcmDecrypt(key, nonce, sealed, aad)     -> Promise of plaintext, rejected if the tag does not verify
+ *
+ * taking and returning Uint8Arrays. Backends over a platform crypto library may add
+ * the classical primitives behind the comparison suites, all asynchronous:
+ *
+ *   rsaOaepKeyGen(modulusLength)              -> Promise of { publicKey: SPKI, secretKey: PKCS#8 } (DER)
+ *   rsaOaepEncrypt(publicKey, plaintext), rsaOaepDecrypt(secretKey, ciphertext)   (OAEP with SHA-256)
+ *   ecdhP256KeyGen()                          -> Promise of { publicKey: SPKI, secretKey: PKCS#8 } (DER)
+ *   ecdhP256(secretKey, publicKey)            -> Promise of the 32-byte shared x-coordinate
+ *
+ * This one has none of them. Their keys come from the platform's own generator,
+ * so a seeded backend does not replay them. A backend from createSeededBackend()
+ * (drbg.mjs) also carries deterministicRandom: { algorithm }. Otherwise only
+ * the AEAD is asynchronous, because WebCrypto's is; the hashes are synchronous so
+ * the post-quantum algorithms stay synchronous.
+ */
+
+/**
+ * Byte helpers shared by every backend and the core
+ */
+export function concatBytes(...parts) {
+    const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        out.set(part, offset);
+        offset += part.length;
+    }
+    return out;
+}
+
+/**
+ * Constant-time equality for MACs, tags, signature checks and key material
+ * Only the lengths (which are public) can make it return early.
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b
+ * @returns {boolean}
+ */
+export function equalBytes(a, b) {
+    if (!(a instanceof Uint8Array) || !(b instanceof Uint8Array) || a.length !== b.length) {
+        return false;
+    }
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+        diff |= a[i] ^ b[i];
+    }
+    return diff === 0;
+}
+
+/**
+ * Overwrite key buffers with zeros
+ * JavaScript cannot promise that no copy survives elsewhere in the heap,
+ * but the buffers we own stop holding the secret.
+ * @param {...(Uint8Array|null)} buffers - Nulls are skipped
+ */
+export function zeroize(...buffers) {
+    for (const buffer of buffers) {
+        if (buffer instanceof Uint8Array) {
+            buffer.fill(0);
+        }
+    }
+}
+
+export function bytesToHex(bytes) {
+    return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+export function hexToBytes(hex) {
+    if (typeof hex !== 'string' || hex.length % 2 !== 0 || !/^[0-9a-fA-F]*$/.test(hex)) {
+        throw new Error('Invalid hex string');
+    }
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(hex.substr(2 * i, 2), 16);
+    }
+    return bytes;
+}
+
+/**
+ * Keccak-f[1600] with 64-bit lanes held as little-endian 32-bit word pairs
+ */
+const KECCAK_ROTATIONS = [
+    0, 1, 62, 28, 27,
+    36, 44, 6, 55, 20,
+    3, 10, 43, 25, 39,
+    41, 45, 15, 21, 8,
+    18, 2, 61, 56, 14
+];
+
+// Round constants generated by the rc(t) LFSR from the Keccak reference
+const KECCAK_ROUND_CONSTANTS = (() => {
+    const constants = new Uint32Array(48);
+    let r = 1;
+    for (let round = 0; round < 24; round++) {
+        for (let j = 0; j < 7; j++) {
+            r = ((r << 1) ^ ((r >> 7) * 0x71)) & 0xff;
+            if (r & 2) {
+                const bitPos = (1 << j) - 1;
+                constants[2 * round + (bitPos >= 32 ? 1 : 0)] ^= 1 << (bitPos % 32);
+            }
+        }
+    }
+    return constants;
+})();
+
+function keccakF1600(s) {
+    const c = new Uint32Array(10);
+    const b = new Uint32Array(50);
+    for (let round = 0; round < 24; round++) {
+        // θ
+        for (let x = 0; x < 5; x++) {
+            c[2 * x] = s[2 * x] ^ s[2 * x + 10] ^ s[2 * x + 20] ^ s[2 * x + 30] ^ s[2 * x + 40];
+            c[2 * x + 1] = s[2 * x + 1] ^ s[2 * x + 11] ^ s[2 * x + 21] ^ s[2 * x + 31] ^ s[2 * x + 41];
+        }
+        for (let x = 0; x < 5; x++) {
+            const x1 = (x + 1) % 5;
+            const x4 = (x + 4) % 5;
+            const dLo = c[2 * x4] ^ ((c[2 * x1] << 1) | (c[2 * x1 + 1] >>> 31));
+            const dHi = c[2 * x4 + 1] ^ ((c[2 * x1 + 1] << 1) | (c[2 * x1] >>> 31));
+            for (let y = 0; y < 25; y += 5) {
+                s[2 * (x + y)] ^= dLo;
+                s[2 * (x + y) + 1] ^= dHi;
+            }
+        }
+        // ρ and π
+        for (let x = 0; x < 5; x++) {
+            for (let y = 0; y < 5; y++) {
+                const i = x + 5 * y;
+                const j = y + 5 * ((2 * x + 3 * y) % 5);
+                const r = KECCAK_ROTATIONS[i];
+                const lo = s[2 * i];
+                const hi = s[2 * i + 1];
+                if (r === 0) {
+                    b[2 * j] = lo;
+                    b[2 * j + 1] = hi;
+                } else if (r < 32) {
+                    b[2 * j] = (lo << r) | (hi >>> (32 - r));
+                    b[2 * j + 1] = (hi << r) | (lo >>> (32 - r));
+                } else if (r === 32) {
+                    b[2 * j] = hi;
+                    b[2 * j + 1] = lo;
+                } else {
+                    b[2 * j] = (hi << (r - 32)) | (lo >>> (64 - r));
+                    b[2 * j + 1] = (lo << (r - 32)) | (hi >>> (64 - r));
+                }
+            }
+        }
+        // χ
+        for (let y = 0; y < 25; y += 5) {
+            for (let x = 0; x < 5; x++) {
+                const i = x + y;
+                const i1 = ((x + 1) % 5) + y;
+                const i2 = ((x + 2) % 5) + y;
+                s[2 * i] = b[2 * i] ^ (~b[2 * i1] & b[2 * i2]);
+                s[2 * i + 1] = b[2 * i + 1] ^ (~b[2 * i1 + 1] & b[2 * i2 + 1]);
+            }
+        }
+        // ι
+        s[0] ^= KECCAK_ROUND_CONSTANTS[2 * round];
+        s[1] ^= KECCAK_ROUND_CONSTANTS[2 * round + 1];
+    }
+}
+
+/**
+ * Keccak sponge: absorb data at the given rate, pad with the domain suffix, squeeze outputLength bytes
+ */
+function keccak(rate, suffix, data, outputLength) {
+    const s = new Uint32Array(50);
+    const xorByte = (k, v) => { s[k >> 2] ^= v << ((k & 3) * 8); };
+    const readByte = (k) => (s[k >> 2] >>> ((k & 3) * 8)) & 0xff;
+
+    let offset = 0;
+    while (data.length - offset >= rate) {
+        for (let k = 0; k < rate; k++) {
+            xorByte(k, data[offset + k]);
+        }
+        keccakF1600(s);
+        offset += rate;
+    }
+    const remaining = data.length - offset;
+    for (let k = 0; k < remaining; k++) {
+        xorByte(k, data[offset + k]);
+    }
+    xorByte(remaining, suffix);
+    xorByte(rate - 1, 0x80);
+    keccakF1600(s);
+
+    const out = new Uint8Array(outputLength);
+    for (let pos = 0; pos < outputLength; pos++) {
+        if (pos > 0 && pos % rate === 0) {
+            keccakF1600(s);
+        }
+        out[pos] = readByte(pos % rate);
+    }
+    return out;
+}
+
+export const sha3_256 = (...parts) => keccak(136, 0x06, concatBytes(...parts), 32);
+export const sha3_512 = (...parts) => keccak(72, 0x06, concatBytes(...parts), 64);
+export const shake128 = (data, length) => keccak(168, 0x1f, data, length);
+export const shake256 = (data, length) => keccak(136, 0x1f, data, length);
+
+function firstPrimes(count) {
+    const primes = [];
+    for (let c = 2; primes.length < count; c++) {
+        if (primes.every(p => c % p !== 0)) {
+            primes.push(c);
+        }
+    }
+    return primes;
+}
+
+/**
+ * SHA-256 (FIPS 180-4) for the SLH-DSA SHA2 parameter sets
+ * Constants are the fractional parts of the square and cube roots of the first primes.
+ */
+const SHA256_PRIMES = firstPrimes(64);
+const SHA256_IV = Uint32Array.from(SHA256_PRIMES.slice(0, 8), p => (Math.sqrt(p) % 1) * 2 ** 32);
+const SHA256_K = Uint32Array.from(SHA256_PRIMES, p => (Math.cbrt(p) % 1) * 2 ** 32);
+const SHA256_W = new Uint32Array(64);
+
+function sha256Compress(h, block, offset) {
+    const w = SHA256_W;
+    for (let t = 0; t < 16; t++) {
+        const i = offset + 4 * t;
+        w[t] = (block[i] << 24) | (block[i + 1] << 16) | (block[i + 2] << 8) | block[i + 3];
+    }
+    for (let t = 16; t < 64; t++) {
+        const x = w[t - 15];
+        const y = w[t - 2];
+        const s0 = ((x >>> 7) | (x << 25)) ^ ((x >>> 18) | (x << 14)) ^ (x >>> 3);
+        const s1 = ((y >>> 17) | (y << 15)) ^ ((y >>> 19) | (y << 13)) ^ (y >>> 10);
+        w[t] = (w[t - 16] + s0 + w[t - 7] + s1) | 0;
+    }
+    let a = h[0], b = h[1], c = h[2], d = h[3], e = h[4], f = h[5], g = h[6], hh = h[7];
+    for (let t = 0; t < 64; t++) {
+        const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+        const t1 = (hh + S1 + ((e & f) ^ (~e & g)) + SHA256_K[t] + w[t]) | 0;
+        const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+        const t2 = (S0 + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+        hh = g;
+        g = f;
+        f = e;
+        e = (d + t1) | 0;
+        d = c;
+        c = b;
+        b = a;
+        a = (t1 + t2) | 0;
+    }
+    h[0] += a; h[1] += b; h[2] += c; h[3] += d;
+    h[4] += e; h[5] += f; h[6] += g; h[7] += hh;
+}
+
+/**
+ * State after absorbing a prefix of whole 64-byte blocks, reusable across sha256() calls
+ */
+export function sha256Midstate(prefix) {
+    if (prefix.length % 64 !== 0) {
+        throw new Error('SHA-256 midstate prefix must be a multiple of 64 bytes');
+    }
+    const state = Uint32Array.from(SHA256_IV);
+    for (let offset = 0; offset < prefix.length; offset += 64) {
+        sha256Compress(state, prefix, offset);
+    }
+    return { state, length: prefix.length };
+}
+
+/**
+ * SHA-256 of data, optionally continuing from a sha256Midstate() prefix
+ */
+export function sha256(data, midstate = null) {
+    const h = (midstate ? midstate.state : SHA256_IV).slice();
+    const totalBits = ((midstate ? midstate.length : 0) + data.length) * 8;
+    const padded = new Uint8Array(Math.ceil((data.length + 9) / 64) * 64);
+    padded.set(data);
+    padded[data.length] = 0x80;
+    const high = Math.floor(totalBits / 2 ** 32);
+    for (let i = 0; i < 4; i++) {
+        padded[padded.length - 8 + i] = (high >>> (24 - 8 * i)) & 0xff;
+        padded[padded.length - 4 + i] = (totalBits >>> (24 - 8 * i)) & 0xff;
+    }
+    for (let offset = 0; offset < padded.length; offset += 64) {
+        sha256Compress(h, padded, offset);
+    }
+    const out = new Uint8Array(32);
+    for (let i = 0; i < 32; i++) {
+        out[i] = (h[i >> 2] >>> (24 - 8 * (i & 3))) & 0xff;
+    }
+    return out;
+}
+
+/**
+ * SHA-512 (FIPS 180-4), for the crypto.subtle.digest fallback in polyfill.js
+ * 64-bit words are held as big-endian pairs of 32-bit halves. The constants are
+ * SHA-256's roots taken to 64 fractional bits, over the first 80 primes, which
+ * doubles cannot hold, so they are integer roots of p·2^(64k) in BigInt.
+ */
+function integerRoot(n, k) {
+    // Newton's method from above converges to floor(n^(1/k))
+    let x = 1n << BigInt(Math.ceil(n.toString(2).length / Number(k)));
+    for (;;) {
+        const next = ((k - 1n) * x + n / x ** (k - 1n)) / k;
+        if (next >= x) {
+            return x;
+        }
+        x = next;
+    }
+}
+
+const sha512Constants = (root) => {
+    const primes = firstPrimes(root === 2n ? 8 : 80);
+    const words = new Uint32Array(primes.length * 2);
+    primes.forEach((p, i) => {
+        const fraction = BigInt.asUintN(64, integerRoot(BigInt(p) << (64n * root), root));
+        words[2 * i] = Number(fraction >> 32n);
+        words[2 * i + 1] = Number(fraction & 0xffffffffn);
+    });
+    return words;
+};
+const SHA512_IV = sha512Constants(2n);
+const SHA512_K = sha512Constants(3n);
+const SHA512_W = new Uint32Array(160);
+
+// Carry out of a sum of unsigned 32-bit low halves
+const carry = (low) => Math.floor(low / 0x100000000);
+
+function sha512Compress(h, block, offset) {
+    const w = SHA512_W;
+    for (let i = 0; i < 32; i++) {
+        const j = offset + 4 * i;
+        w[i] = (block[j] << 24) | (block[j + 1] << 16) | (block[j + 2] << 8) | block[j + 3];
+    }
+    for (let t = 16; t < 80; t++) {
+        // σ0 = ROTR1 ^ ROTR8 ^ SHR7 of w[t-15], σ1 = ROTR19 ^ ROTR61 ^ SHR6 of w[t-2]
+        const xh = w[2 * t - 30], xl = w[2 * t - 29];
+        const yh = w[2 * t - 4], yl = w[2 * t - 3];
+        const s0h = ((xh >>> 1) | (xl << 31)) ^ ((xh >>> 8) | (xl << 24)) ^ (xh >>> 7);
+        const s0l = ((xl >>> 1) | (xh << 31)) ^ ((xl >>> 8) | (xh << 24)) ^ ((xl >>> 7) | (xh << 25));
+        const s1h = ((yh >>> 19) | (yl << 13)) ^ ((yl >>> 29) | (yh << 3)) ^ (yh >>> 6);
+        const s1l = ((yl >>> 19) | (yh << 13)) ^ ((yh >>> 29) | (yl << 3)) ^ ((yl >>> 6) | (yh << 26));
+        const low = w[2 * t - 31] + (s0l >>> 0) + w[2 * t - 13] + (s1l >>> 0);
+        w[2 * t] = w[2 * t - 32] + s0h + w[2 * t - 14] + s1h + carry(low);
+        w[2 * t + 1] = low;
+    }
+    let ah = h[0], al = h[1], bh = h[2], bl = h[3], ch = h[4], cl = h[5], dh = h[6], dl = h[7];
+    let eh = h[8], el = h[9], fh = h[10], fl = h[11], gh = h[12], gl = h[13], hh = h[14], hl = h[15];
+    for (let t = 0; t < 80; t++) {
+        // Σ1 = ROTR14 ^ ROTR18 ^ ROTR41 of e, Σ0 = ROTR28 ^ ROTR34 ^ ROTR39 of a
+        const S1h = ((eh >>> 14) | (el << 18)) ^ ((eh >>> 18) | (el << 14)) ^ ((el >>> 9) | (eh << 23));
+        const S1l = ((el >>> 14) | (eh << 18)) ^ ((el >>> 18) | (eh << 14)) ^ ((eh >>> 9) | (el << 23));
+        const chooseH = (eh & fh) ^ (~eh & gh);
+        const chooseL = (el & fl) ^ (~el & gl);
+        const t1l = hl + (S1l >>> 0) + (chooseL >>> 0) + SHA512_K[2 * t + 1] + w[2 * t + 1];
+        const t1h = hh + S1h + chooseH + SHA512_K[2 * t] + w[2 * t] + carry(t1l);
+        const S0h = ((ah >>> 28) | (al << 4)) ^ ((al >>> 2) | (ah << 30)) ^ ((al >>> 7) | (ah << 25));
+        const S0l = ((al >>> 28) | (ah << 4)) ^ ((ah >>> 2) | (al << 30)) ^ ((ah >>> 7) | (al << 25));
+        const majorityH = (ah & bh) ^ (ah & ch) ^ (bh & ch);
+        const majorityL = (al & bl) ^ (al & cl) ^ (bl & cl);
+        const t2l = (S0l >>> 0) + (majorityL >>> 0);
+        const t2h = S0h + majorityH + carry(t2l);
+
+        hh = gh; hl = gl;
+        gh = fh; gl = fl;
+        fh = eh; fl = el;
+        const eLow = dl + (t1l >>> 0);
+        eh = (dh + t1h + carry(eLow)) >>> 0;
+        el = eLow >>> 0;
+        dh = ch; dl = cl;
+        ch = bh; cl = bl;
+        bh = ah; bl = al;
+        const aLow = (t1l >>> 0) + (t2l >>> 0);
+        ah = (t1h + t2h + carry(aLow)) >>> 0;
+        al = aLow >>> 0;
+    }
+    const v = [ah, al, bh, bl, ch, cl, dh, dl, eh, el, fh, fl, gh, gl, hh, hl];
+    for (let i = 0; i < 16; i += 2) {
+        const low = h[i + 1] + v[i + 1];
+        h[i] += v[i] + carry(low);
+        h[i + 1] = low;
+    }
+}
+
+/**
+ * SHA-512 of data
+ */
+export function sha512(data) {
+    const h = SHA512_IV.slice();
+    // 0x80, zero padding, then the bit length in the last 16 bytes of a 128-byte block
+    const padded = new Uint8Array(Math.ceil((data.length + 17) / 128) * 128);
+    padded.set(data);
+    padded[data.length] = 0x80;
+    const totalBits = data.length * 8;
+    const high = Math.floor(totalBits / 2 ** 32);
+    for (let i = 0; i < 4; i++) {
+        padded[padded.length - 8 + i] = (high >>> (24 - 8 * i)) & 0xff;
+        padded[padded.length - 4 + i] = (totalBits >>> (24 - 8 * i)) & 0xff;
+    }
+    for (let offset = 0; offset < padded.length; offset += 128) {
+        sha512Compress(h, padded, offset);
+    }
+    const out = new Uint8Array(64);
+    for (let i = 0; i < 64; i++) {
+        out[i] = (h[i >> 2] >>> (24 - 8 * (i & 3))) & 0xff;
+    }
+    return out;
+}
+
+/**
+ * HMAC-SHA-256 (RFC 2104)
+ */
+export function hmacSha256(key, data) {
+    const block = new Uint8Array(64);
+    block.set(key.length > 64 ? sha256(key) : key);
+    const inner = block.map(b => b ^ 0x36);
+    const outer = block.map(b => b ^ 0x5c);
+    return sha256(concatBytes(outer, sha256(concatBytes(inner, data))));
+}
+
+/**
+ * HKDF-SHA256 (RFC 5869) over the pure-JS HMAC, for the synchronous ratchet steps
+ */
+export function hkdfSha256(ikm, salt, info, length) {
+    const prk = hmacSha256(salt.length ? salt : new Uint8Array(32), ikm);
+    const out = new Uint8Array(length);
+    let block = new Uint8Array(0);
+    for (let i = 0, offset = 0; offset < length; i++, offset += 32) {
+        block = hmacSha256(prk, concatBytes(block, info, Uint8Array.of(i + 1)));
+        out.set(block.subarray(0, Math.min(32, length - offset)), offset);
+    }
+    return out;
+}
+
+/**
+ * PBKDF2-HMAC-SHA256 (RFC 8018)
+ */
+export function pbkdf2Sha256(password, salt, iterations, length) {
+    const out = new Uint8Array(length);
+    for (let i = 1, offset = 0; offset < length; i++, offset += 32) {
+        let u = hmacSha256(password, concatBytes(salt, Uint8Array.of(i >>> 24, (i >>> 16) & 0xff, (i >>> 8) & 0xff, i & 0xff)));
+        const t = u.slice();
+        for (let j = 1; j < iterations; j++) {
+            u = hmacSha256(password, u);
+            for (let k = 0; k < 32; k++) {
+                t[k] ^= u[k];
+            }
+        }
+        out.set(t.subarray(0, Math.min(32, length - offset)), offset);
+    }
+    return out;
+}
+
+/**
+ * Salsa20/8 core (RFC 7914 section 3), applied in place to 16 words
+ */
+function salsa208(B, x) {
+    const R = (a, b) => (a << b) | (a >>> (32 - b));
+    x.set(B);
+    for (let i = 0; i < 8; i += 2) {
+        x[4] ^= R(x[0] + x[12], 7); x[8] ^= R(x[4] + x[0], 9);
+        x[12] ^= R(x[8] + x[4], 13); x[0] ^= R(x[12] + x[8], 18);
+        x[9] ^= R(x[5] + x[1], 7); x[13] ^= R(x[9] + x[5], 9);
+        x[1] ^= R(x[13] + x[9], 13); x[5] ^= R(x[1] + x[13], 18);
+        x[14] ^= R(x[10] + x[6], 7); x[2] ^= R(x[14] + x[10], 9);
+        x[6] ^= R(x[2] + x[14], 13); x[10] ^= R(x[6] + x[2], 18);
+        x[3] ^= R(x[15] + x[11], 7); x[7] ^= R(x[3] + x[15], 9);
+        x[11] ^= R(x[7] + x[3], 13); x[15] ^= R(x[11] + x[7], 18);
+        x[1] ^= R(x[0] + x[3], 7); x[2] ^= R(x[1] + x[0], 9);
+        x[3] ^= R(x[2] + x[1], 13); x[0] ^= R(x[3] + x[2], 18);
+        x[6] ^= R(x[5] + x[4], 7); x[7] ^= R(x[6] + x[5], 9);
+        x[4] ^= R(x[7] + x[6], 13); x[5] ^= R(x[4] + x[7], 18);
+        x[11] ^= R(x[10] + x[9], 7); x[8] ^= R(x[11] + x[10], 9);
+        x[9] ^= R(x[8] + x[11], 13); x[10] ^= R(x[9] + x[8], 18);
+        x[12] ^= R(x[15] + x[14], 7); x[13] ^= R(x[12] + x[15], 9);
+        x[14] ^= R(x[13] + x[12], 13); x[15] ^= R(x[14] + x[13], 18);
+    }
+    for (let i = 0; i < 16; i++) {
+        B[i] += x[i];
+    }
+}
+
+/**
+ * scryptBlockMix over 2r 64-byte blocks held as words; Y and the T/x buffers are scratch space
+ */
+function scryptBlockMix(B, Y, r, T, x) {
+    T.set(B.subarray((2 * r - 1) * 16, 2 * r * 16));
+    for (let i = 0; i < 2 * r; i++) {
+        for (let k = 0; k < 16; k++) {
+            T[k] ^= B[i * 16 + k];
+        }
+        salsa208(T, x);
+        Y.set(T, i * 16);
+    }
+    // Even output blocks first, then odd ones
+    for (let i = 0; i < r; i++) {
+        B.set(Y.subarray(2 * i * 16, (2 * i + 1) * 16), i * 16);
+        B.set(Y.subarray((2 * i + 1) * 16, (2 * i + 2) * 16), (r + i) * 16);
+    }
+}
+
+/**
+ * scrypt (RFC 7914), matching Node's crypto.scryptSync for passphrase-protected key files
+ * @param {Uint8Array} password - Passphrase bytes
+ * @param {Uint8Array} salt - Salt
+ * @param {object} params - { N (power of two), r, p, dkLen }
+ * @returns {Uint8Array} - Derived key
+ */
+export function scrypt(password, salt, { N, r, p, dkLen }) {
+    if (!Number.isInteger(N) || N < 2 || (N & (N - 1)) !== 0 || !(r >= 1) || !(p >= 1)) {
+        throw new Error('Invalid scrypt parameters');
+    }
+    const words = 32 * r;
+    const B = pbkdf2Sha256(password, salt, 1, p * 128 * r);
+    const X = new Uint32Array(words);
+    const Y = new Uint32Array(words);
+    const V = new Uint32Array(words * N);
+    const T = new Uint32Array(16);
+    const x = new Uint32Array(16);
+
+    for (let i = 0; i < p; i++) {
+        const offset = i * 128 * r;
+        for (let k = 0; k < words; k++) {
+            const o = offset + 4 * k;
+            X[k] = B[o] | (B[o + 1] << 8) | (B[o + 2] << 16) | (B[o + 3] << 24);
+        }
+        for (let j = 0; j < N; j++) {
+            V.set(X, j * words);
+            scryptBlockMix(X, Y, r, T, x);
+        }
+        for (let j = 0; j < N; j++) {
+            const v = (X[(2 * r - 1) * 16] & (N - 1)) * words;
+            for (let k = 0; k < words; k++) {
+                X[k] ^= V[v + k];
+            }
+            scryptBlockMix(X, Y, r, T, x);
+        }
+        for (let k = 0; k < words; k++) {
+            const o = offset + 4 * k;
+            B[o] = X[k];
+            B[o + 1] = X[k] >>> 8;
+            B[o + 2] = X[k] >>> 16;
+            B[o + 3] = X[k] >>> 24;
+        }
+    }
+    V.fill(0);
+    return pbkdf2Sha256(password, B, 1, dkLen);
+}
+
+/**
+ * X25519 (RFC 7748) Montgomery ladder over BigInt
+ * BigInt arithmetic is not constant-time; fine for a teaching client.
+ */
+const X25519_P = 2n ** 255n - 19n;
+const X25519_A24 = 121665n;
+const X25519_SIZE = 32;
+
+export function x25519(secretKey, publicKey) {
+    const mod = (a) => ((a % X25519_P) + X25519_P) % X25519_P;
+    const k = Uint8Array.from(secretKey);
+    k[0] &= 248;
+    k[31] &= 127;
+    k[31] |= 64;
+    const scalar = bytesToBigIntLE(k);
+    const u = Uint8Array.from(publicKey);
+    u[31] &= 127;
+    const x1 = mod(bytesToBigIntLE(u));
+
+    let x2 = 1n, z2 = 0n, x3 = x1, z3 = 1n, swap = 0n;
+    for (let t = 254; t >= 0; t--) {
+        const kt = (scalar >> BigInt(t)) & 1n;
+        swap ^= kt;
+        if (swap) {
+            [x2, x3] = [x3, x2];
+            [z2, z3] = [z3, z2];
+        }
+        swap = kt;
+        const A = x2 + z2;
+        const AA = mod(A * A);
+        const B = x2 - z2;
+        const BB = mod(B * B);
+        const E = AA - BB;
+        const C = x3 + z3;
+        const D = x3 - z3;
+        const DA = mod(D * A);
+        const CB = mod(C * B);
+        x3 = mod((DA + CB) ** 2n);
+        z3 = mod(x1 * mod((DA - CB) ** 2n));
+        x2 = mod(AA * BB);
+        z2 = mod(E * (AA + X25519_A24 * E));
+    }
+    if (swap) {
+        [x2, x3] = [x3, x2];
+        [z2, z3] = [z3, z2];
+    }
+
+    const result = bigIntToBytesLE(mod(x2 * modPowBig(z2, X25519_P - 2n, X25519_P)), X25519_SIZE);
+    if (result.every(b => b === 0)) {
+        throw new Error('X25519 produced an all-zero shared secret');
+    }
+    return result;
+}
+
+const X25519_BASE_POINT = (() => {
+    const u = new Uint8Array(X25519_SIZE);
+    u[0] = 9;
+    return u;
+})();
+
+export const x25519PublicKey = (secretKey) => x25519(secretKey, X25519_BASE_POINT);
+
+function bytesToBigIntLE(bytes) {
+    let n = 0n;
+    for (let i = bytes.length - 1; i >= 0; i--) {
+        n = (n << 8n) | BigInt(bytes[i]);
+    }
+    return n;
+}
+
+function bigIntToBytesLE(n, length) {
+    const out = new Uint8Array(length);
+    for (let i = 0; i < length; i++) {
+        out[i] = Number(n & 0xffn);
+        n >>= 8n;
+    }
+    return out;
+}
+
+function modPowBig(base, exp, mod) {
+    let result = 1n;
+    base %= mod;
+    while (exp > 0n) {
+        if (exp & 1n) {
+            result = (result * base) % mod;
+        }
+        base = (base * base) % mod;
+        exp >>= 1n;
+    }
+    return result;
+}
+
+/**
+ * AES-256 (FIPS 197) on a column-major 16-byte state
+ * The S-box is generated from the GF(2^8) inverse and the affine map rather than tabulated.
+ */
+const xtime = (b) => ((b << 1) ^ ((b >>> 7) * 0x1b)) & 0xff;
+const rotl8 = (b, n) => ((b << n) | (b >>> (8 - n))) & 0xff;
+
+const AES_SBOX = (() => {
+    const sbox = new Uint8Array(256);
+    // p walks GF(2^8)* by multiplying by 3 while q walks it by dividing by 3, so q = p^-1
+    let p = 1;
+    let q = 1;
+    do {
+        p ^= xtime(p);
+        q ^= q << 1;
+        q ^= q << 2;
+        q ^= q << 4;
+        q &= 0xff;
+        q ^= (q >>> 7) * 0x09;
+        sbox[p] = q ^ rotl8(q, 1) ^ rotl8(q, 2) ^ rotl8(q, 3) ^ rotl8(q, 4) ^ 0x63;
+    } while (p !== 1);
+    sbox[0] = 0x63;
+    return sbox;
+})();
+
+const AES_ROUNDS = 14;
+
+/**
+ * AES-256 key expansion into 15 round keys
+ */
+function aesExpandKey(key) {
+    if (!(key instanceof Uint8Array) || key.length !== 32) {
+        throw new Error('AES-256 needs a 32-byte key');
+    }
+    const w = new Uint8Array(16 * (AES_ROUNDS + 1));
+    w.set(key);
+    let rcon = 1;
+    for (let i = 32; i < w.length; i += 4) {
+        let t = [w[i - 4], w[i - 3], w[i - 2], w[i - 1]];
+        if (i % 32 === 0) {
+            t = [AES_SBOX[t[1]] ^ rcon, AES_SBOX[t[2]], AES_SBOX[t[3]], AES_SBOX[t[0]]];
+            rcon = xtime(rcon);
+        } else if (i % 32 === 16) {
+            t = t.map(b => AES_SBOX[b]);
+        }
+        for (let k = 0; k < 4; k++) {
+            w[i + k] = w[i - 32 + k] ^ t[k];
+        }
+    }
+    return w;
+}
+
+function aesEncryptBlock(roundKeys, input, out) {
+    const s = new Uint8Array(16);
+    for (let i = 0; i < 16; i++) {
+        s[i] = input[i] ^ roundKeys[i];
+    }
+    for (let round = 1; round <= AES_ROUNDS; round++) {
+        // SubBytes and ShiftRows (row r rotates left by r columns)
+        for (let c = 0; c < 4; c++) {
+            for (let r = 0; r < 4; r++) {
+                out[4 * c + r] = AES_SBOX[s[4 * ((c + r) % 4) + r]];
+            }
+        }
+        if (round < AES_ROUNDS) {
+            for (let c = 0; c < 16; c += 4) {
+                const [a0, a1, a2, a3] = [out[c], out[c + 1], out[c + 2], out[c + 3]];
+                const all = a0 ^ a1 ^ a2 ^ a3;
+                out[c] = a0 ^ all ^ xtime(a0 ^ a1);
+                out[c + 1] = a1 ^ all ^ xtime(a1 ^ a2);
+                out[c + 2] = a2 ^ all ^ xtime(a2 ^ a3);
+                out[c + 3] = a3 ^ all ^ xtime(a3 ^ a0);
+            }
+        }
+        for (let i = 0; i < 16; i++) {
+            s[i] = out[i] ^ roundKeys[16 * round + i];
+        }
+    }
+    out.set(s);
+}
+
+/**
+ * X = X·H in GF(2^128) with GCM's bit order, on big-endian 32-bit words
+ * Masks instead of branches keep the timing independent of the operands.
+ */
+function ghashMultiply(x, h) {
+    let z0 = 0, z1 = 0, z2 = 0, z3 = 0;
+    let v0 = h[0], v1 = h[1], v2 = h[2], v3 = h[3];
+    for (let i = 0; i < 128; i++) {
+        const bit = -((x[i >>> 5] >>> (31 - (i & 31))) & 1);
+        z0 ^= v0 & bit;
+        z1 ^= v1 & bit;
+        z2 ^= v2 & bit;
+        z3 ^= v3 & bit;
+        const carry = -(v3 & 1);
+        v3 = (v3 >>> 1) | (v2 << 31);
+        v2 = (v2 >>> 1) | (v1 << 31);
+        v1 = (v1 >>> 1) | (v0 << 31);
+        v0 = (v0 >>> 1) ^ (0xe1000000 & carry);
+    }
+    x[0] = z0;
+    x[1] = z1;
+    x[2] = z2;
+    x[3] = z3;
+}
+
+const readU32 = (bytes, offset) =>
+    ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+
+/**
+ * GHASH over the zero-padded AAD and ciphertext, then their bit lengths
+ */
+function ghash(h, aad, ciphertext) {
+    const y = new Uint32Array(4);
+    const block = new Uint8Array(16);
+    for (const data of [aad, ciphertext]) {
+        for (let offset = 0; offset < data.length; offset += 16) {
+            block.fill(0);
+            block.set(data.subarray(offset, offset + 16));
+            for (let k = 0; k < 4; k++) {
+                y[k] ^= readU32(block, 4 * k);
+            }
+            ghashMultiply(y, h);
+        }
+    }
+    const aadBits = aad.length * 8;
+    const ciphertextBits = ciphertext.length * 8;
+    y[0] ^= Math.floor(aadBits / 2 ** 32);
+    y[1] ^= aadBits >>> 0;
+    y[2] ^= Math.floor(ciphertextBits / 2 ** 32);
+    y[3] ^= ciphertextBits >>> 0;
+    ghashMultiply(y, h);
+
+    const out = new Uint8Array(16);
+    for (let i = 0; i < 16; i++) {
+        out[i] = (y[i >> 2] >>> (24 - 8 * (i & 3))) & 0xff;
+    }
+    return out;
+}
+
+/**
+ * GCTR from the block after J0 (the counter is the last 32 bits, wrapping)
+ */
+function aesCtr(roundKeys, j0, data) {
+    const out = new Uint8Array(data.length);
+    const counter = j0.slice();
+    const stream = new Uint8Array(16);
+    for (let offset = 0; offset < data.length; offset += 16) {
+        for (let i = 15; i >= 12; i--) {
+            counter[i] = (counter[i] + 1) & 0xff;
+            if (counter[i] !== 0) {
+                break;
+            }
+        }
+        aesEncryptBlock(roundKeys, counter, stream);
+        const end = Math.min(16, data.length - offset);
+        for (let k = 0; k < end; k++) {
+            out[offset + k] = data[offset + k] ^ stream[k];
+        }
+    }
+    return out;
+}
+
+/**
+ * Hash subkey, J0 and the tag of a ciphertext (NIST SP 800-38D, 96-bit nonces only)
+ */
+function gcmSetup(key, nonce) {
+    if (!(nonce instanceof Uint8Array) || nonce.length !== 12) {
+        throw new Error('AES-GCM needs a 12-byte nonce');
+    }
+    const roundKeys = aesExpandKey(key);
+    const hBytes = new Uint8Array(16);
+    aesEncryptBlock(roundKeys, new Uint8Array(16), hBytes);
+    const h = Uint32Array.from([0, 1, 2, 3], k => readU32(hBytes, 4 * k));
+    const j0 = new Uint8Array(16);
+    j0.set(nonce);
+    j0[15] = 1;
+    const tag = (aad, ciphertext) => {
+        const mask = new Uint8Array(16);
+        aesEncryptBlock(roundKeys, j0, mask);
+        const s = ghash(h, aad, ciphertext);
+        for (let i = 0; i < 16; i++) {
+            s[i] ^= mask[i];
+        }
+        return s;
+    };
+    return { roundKeys, j0, tag };
+}
+
+/**
+ * AES-256-GCM encryption with a 16-byte tag
+ * @returns {Uint8Array} - Ciphertext || tag, as WebCrypto returns it
+ */
+export function aesGcmEncrypt(key, nonce, plaintext, aad = new Uint8Array(0)) {
+    const { roundKeys, j0, tag } = gcmSetup(key, nonce);
+    const ciphertext = aesCtr(roundKeys, j0, plaintext);
+    const sealed = concatBytes(ciphertext, tag(aad, ciphertext));
+    zeroize(roundKeys);
+    return sealed;
+}
+
+/**
+ * AES-256-GCM decryption; the tag is checked before any plaintext is released
+ * @param {Uint8Array} sealed - Ciphertext || 16-byte tag
+ */
+export function aesGcmDecrypt(key, nonce, sealed, aad = new Uint8Array(0)) {
+    if (!(sealed instanceof Uint8Array) || sealed.length < 16) {
+        throw new Error('AES-GCM ciphertext is shorter than its tag');
+    }
+    const { roundKeys, j0, tag } = gcmSetup(key, nonce);
+    const ciphertext = sealed.subarray(0, sealed.length - 16);
+    try {
+        if (!equalBytes(tag(aad, ciphertext), sealed.subarray(sealed.length - 16))) {
+            throw new Error('AES-GCM authentication failed');
+        }
+        return aesCtr(roundKeys, j0, ciphertext);
+    } finally {
+        zeroize(roundKeys);
+    }
+}
+
+/**
+ * Random bytes from the platform CSPRNG; there is no pure-JS substitute for one
+ */
+export function randomBytes(length) {
+    if (typeof globalThis.crypto === 'undefined' || typeof globalThis.crypto.getRandomValues !== 'function') {
+        throw new Error('No secure random number generator is available');
+    }
+    return globalThis.crypto.getRandomValues(new Uint8Array(length));
+}
+
+export const pureBackend = Object.freeze({
+    name: 'pure-js',
+    randomBytes,
+    sha256,
+    sha256Midstate,
+    sha512,
+    sha3_256,
+    sha3_512,
+    shake128,
+    shake256,
+    hmacSha256,
+    hkdfSha256,
+    scrypt,
+    x25519,
+    x25519PublicKey,
+    aesGcmEncrypt: async (key, nonce, plaintext, aad) => aesGcmEncrypt(key, nonce, plaintext, aad),
+    aesGcmDecrypt: async (key, nonce, sealed, aad) => aesGcmDecrypt(key, nonce, sealed, aad)
+});
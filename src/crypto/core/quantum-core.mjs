@@ -0,0 +1,3267 @@
+/**
+ * QuantumChat protocol core, shared by the Node server and the browser client
+ *
+ * ML-KEM (FIPS 203), X25519 + ML-KEM hybrid, ML-DSA (FIPS 204), SLH-DSA
+ * (FIPS 205), the algorithm and cipher-suite registry, the session key
+ * schedule, the post-quantum double ratchet and the QuantumCrypto client
+ * class. Nothing in here touches Node or the DOM: every hash, the AEAD, X25519
+ * and the random number generator come from a backend (see pure-backend.mjs),
+ * so both ends of a conversation run byte-for-byte identical protocol code.
+ *
+ * src/crypto/quantum-crypto.js builds the core over node-backend.js; the
+ * browser's pqc.mjs over webcrypto-backend.mjs, falling back to the pure one.
+ *
+ * NOTE: This is a simplified educational implementation.
+ * For production use, you would use libraries like:
+ * - Open Quantum Safe (liboqs)
+ * - NIST Post-Quantum Cryptography standards
+ */
+
+import { concatBytes, equalBytes, zeroize, bytesToHex, hexToBytes, pbkdf2Sha256 } from './pure-backend.mjs';
+
+/**
+ * Build the protocol core over a crypto backend
+ * @param {object} options - { backend, Envelope, KeyFile }; Envelope and KeyFile are
+ *                           the shared wire-format modules from src/frontend
+ * @returns {object} - Algorithms, registry, key schedule, ratchet and QuantumCrypto
+ */
+export function createQuantumCore({ backend, Envelope, KeyFile }) {
+    const { randomBytes, sha256, sha256Midstate, sha512, hmacSha256, hkdfSha256, scrypt, shake128, shake256, x25519, x25519PublicKey } = backend;
+    // The algorithms hash several byte strings at once; backends take one
+    const sha3_256 = (...parts) => backend.sha3_256(concatBytes(...parts));
+    const sha3_512 = (...parts) => backend.sha3_512(concatBytes(...parts));
+
+    /**
+     * ML-KEM (FIPS 203) - Module-Lattice-Based Key-Encapsulation Mechanism
+     *
+     * A direct transcription of the FIPS 203 algorithms in pure JavaScript.
+     * Only the SHA3/SHAKE primitives come from the backend; all lattice
+     * arithmetic (NTT, sampling, compression, encoding) is implemented below.
+     */
+    const ML_KEM_Q = 3329;
+    const ML_KEM_N = 256;
+
+    const ML_KEM_PARAMS = {
+        'ML-KEM-1024': {
+            name: 'ML-KEM-1024',
+            k: 4,
+            eta1: 2,
+            eta2: 2,
+            du: 11,
+            dv: 5,
+            securityLevel: 'Level 5',
+            publicKeySize: 1568,
+            secretKeySize: 3168,
+            ciphertextSize: 1568,
+            sharedSecretSize: 32
+        }
+    };
+
+    const bitRev7 = (i) => {
+        let r = 0;
+        for (let b = 0; b < 7; b++) {
+            r |= ((i >> b) & 1) << (6 - b);
+        }
+        return r;
+    };
+
+    const modPow = (base, exp, mod) => {
+        let result = 1;
+        for (let i = 0; i < exp; i++) {
+            result = (result * base) % mod;
+        }
+        return result;
+    };
+
+    // ζ^BitRev7(i) for the NTT layers and ζ^(2·BitRev7(i)+1) for base-case multiplication
+    const ML_KEM_ZETAS = Array.from({ length: 128 }, (_, i) => modPow(17, bitRev7(i), ML_KEM_Q));
+    const ML_KEM_GAMMAS = Array.from({ length: 128 }, (_, i) => modPow(17, 2 * bitRev7(i) + 1, ML_KEM_Q));
+
+    class MLKEM {
+        /**
+         * @param {string} name - Parameter set name (default ML-KEM-1024)
+         */
+        constructor(name = 'ML-KEM-1024') {
+            const params = ML_KEM_PARAMS[name];
+            if (!params) {
+                throw new Error(`Unknown ML-KEM parameter set: ${name}`);
+            }
+            this.params = params;
+            this.name = params.name;
+        }
+
+        /**
+         * ML-KEM.KeyGen (Algorithm 19)
+         * @param {Uint8Array} seed - Optional 64-byte seed d || z for deterministic key generation
+         * @returns {object} - { publicKey, secretKey } as Uint8Arrays
+         */
+        keyGen(seed = null) {
+            const d = seed ? seed.slice(0, 32) : randomBytes(32);
+            const z = seed ? seed.slice(32, 64) : randomBytes(32);
+            const { ek, dk } = this.pkeKeyGen(d);
+
+            return {
+                publicKey: ek,
+                secretKey: concatBytes(dk, ek, sha3_256(ek), z)
+            };
+        }
+
+        /**
+         * ML-KEM.Encaps (Algorithm 20)
+         * @param {Uint8Array} publicKey - Encapsulation key
+         * @param {Uint8Array} m - Optional 32-byte message for deterministic encapsulation
+         * @returns {object} - { ciphertext, sharedSecret } as Uint8Arrays
+         */
+        encapsulate(publicKey, m = null) {
+            const { k, publicKeySize } = this.params;
+            if (!(publicKey instanceof Uint8Array) || publicKey.length !== publicKeySize) {
+                throw new Error(`Invalid ${this.name} public key length`);
+            }
+            // Modulus check: every coefficient of t̂ must already be reduced mod q
+            const tHat = this.decodeVector(publicKey.subarray(0, 384 * k), 12);
+            if (!equalBytes(concatBytes(...tHat.map(poly => byteEncode(poly, 12))), publicKey.subarray(0, 384 * k))) {
+                throw new Error(`Invalid ${this.name} public key encoding`);
+            }
+
+            const msg = m ? m.slice() : randomBytes(32);
+            const g = sha3_512(msg, sha3_256(publicKey));
+            const ciphertext = this.pkeEncrypt(publicKey, msg, g.subarray(32, 64));
+
+            return { ciphertext, sharedSecret: g.slice(0, 32) };
+        }
+
+        /**
+         * ML-KEM.Decaps (Algorithm 21) with implicit rejection
+         * @param {Uint8Array} secretKey - Decapsulation key
+         * @param {Uint8Array} ciphertext - Ciphertext from encapsulate()
+         * @returns {Uint8Array} - 32-byte shared secret
+         */
+        decapsulate(secretKey, ciphertext) {
+            const { k, secretKeySize, ciphertextSize } = this.params;
+            if (!(ciphertext instanceof Uint8Array) || ciphertext.length !== ciphertextSize) {
+                throw new Error(`Invalid ${this.name} ciphertext length`);
+            }
+            if (!(secretKey instanceof Uint8Array) || secretKey.length !== secretKeySize) {
+                throw new Error(`Invalid ${this.name} secret key length`);
+            }
+
+            const dkPke = secretKey.subarray(0, 384 * k);
+            const ekPke = secretKey.subarray(384 * k, 768 * k + 32);
+            const h = secretKey.subarray(768 * k + 32, 768 * k + 64);
+            const z = secretKey.subarray(768 * k + 64, 768 * k + 96);
+            if (!equalBytes(sha3_256(ekPke), h)) {
+                throw new Error(`Invalid ${this.name} secret key hash`);
+            }
+
+            const mPrime = this.pkeDecrypt(dkPke, ciphertext);
+            const g = sha3_512(mPrime, h);
+            const kBar = shake256(concatBytes(z, ciphertext), 32);
+            const cPrime = this.pkeEncrypt(ekPke, mPrime, g.subarray(32, 64));
+
+            return equalBytes(ciphertext, cPrime) ? g.slice(0, 32) : kBar;
+        }
+
+        /**
+         * K-PKE.KeyGen (Algorithm 13)
+         */
+        pkeKeyGen(d) {
+            const { k, eta1 } = this.params;
+            const g = sha3_512(d, new Uint8Array([k]));
+            const rho = g.slice(0, 32);
+            const sigma = g.slice(32, 64);
+            const aHat = this.expandMatrix(rho);
+
+            let nonce = 0;
+            const s = [];
+            const e = [];
+            for (let i = 0; i < k; i++) {
+                s.push(samplePolyCBD(prf(sigma, nonce++, eta1), eta1));
+            }
+            for (let i = 0; i < k; i++) {
+                e.push(samplePolyCBD(prf(sigma, nonce++, eta1), eta1));
+            }
+            const sHat = s.map(nttForward);
+            const eHat = e.map(nttForward);
+
+            const tHat = [];
+            for (let i = 0; i < k; i++) {
+                const acc = new Int32Array(ML_KEM_N);
+                for (let j = 0; j < k; j++) {
+                    polyAddInPlace(acc, multiplyNTTs(aHat[i][j], sHat[j]));
+                }
+                tHat.push(polyAddInPlace(acc, eHat[i]));
+            }
+
+            return {
+                ek: concatBytes(...tHat.map(poly => byteEncode(poly, 12)), rho),
+                dk: concatBytes(...sHat.map(poly => byteEncode(poly, 12)))
+            };
+        }
+
+        /**
+         * K-PKE.Encrypt (Algorithm 14)
+         */
+        pkeEncrypt(ek, m, r) {
+            const { k, eta1, eta2, du, dv } = this.params;
+            const tHat = this.decodeVector(ek.subarray(0, 384 * k), 12);
+            const aHat = this.expandMatrix(ek.subarray(384 * k, 384 * k + 32));
+
+            let nonce = 0;
+            const y = [];
+            const e1 = [];
+            for (let i = 0; i < k; i++) {
+                y.push(samplePolyCBD(prf(r, nonce++, eta1), eta1));
+            }
+            for (let i = 0; i < k; i++) {
+                e1.push(samplePolyCBD(prf(r, nonce++, eta2), eta2));
+            }
+            const e2 = samplePolyCBD(prf(r, nonce, eta2), eta2);
+            const yHat = y.map(nttForward);
+
+            const u = [];
+            for (let i = 0; i < k; i++) {
+                const acc = new Int32Array(ML_KEM_N);
+                for (let j = 0; j < k; j++) {
+                    polyAddInPlace(acc, multiplyNTTs(aHat[j][i], yHat[j]));
+                }
+                u.push(polyAddInPlace(nttInverse(acc), e1[i]));
+            }
+
+            const mu = decompress(byteDecode(m, 1), 1);
+            const vAcc = new Int32Array(ML_KEM_N);
+            for (let i = 0; i < k; i++) {
+                polyAddInPlace(vAcc, multiplyNTTs(tHat[i], yHat[i]));
+            }
+            const v = polyAddInPlace(polyAddInPlace(nttInverse(vAcc), e2), mu);
+
+            return concatBytes(
+                ...u.map(poly => byteEncode(compress(poly, du), du)),
+                byteEncode(compress(v, dv), dv)
+            );
+        }
+
+        /**
+         * K-PKE.Decrypt (Algorithm 15)
+         */
+        pkeDecrypt(dk, c) {
+            const { k, du, dv } = this.params;
+            const uPrime = [];
+            for (let i = 0; i < k; i++) {
+                uPrime.push(decompress(byteDecode(c.subarray(32 * du * i, 32 * du * (i + 1)), du), du));
+            }
+            const vPrime = decompress(byteDecode(c.subarray(32 * du * k), dv), dv);
+            const sHat = this.decodeVector(dk, 12);
+
+            const acc = new Int32Array(ML_KEM_N);
+            for (let i = 0; i < k; i++) {
+                polyAddInPlace(acc, multiplyNTTs(sHat[i], nttForward(uPrime[i])));
+            }
+            const w = polySub(vPrime, nttInverse(acc));
+
+            return byteEncode(compress(w, 1), 1);
+        }
+
+        /**
+         * Generate the k×k matrix Â from the public seed ρ (Â[i][j] = SampleNTT(ρ‖j‖i))
+         */
+        expandMatrix(rho) {
+            const { k } = this.params;
+            const aHat = [];
+            for (let i = 0; i < k; i++) {
+                aHat.push([]);
+                for (let j = 0; j < k; j++) {
+                    aHat[i].push(sampleNTT(rho, j, i));
+                }
+            }
+            return aHat;
+        }
+
+        decodeVector(bytes, d) {
+            const polys = [];
+            for (let i = 0; i < bytes.length / (32 * d); i++) {
+                polys.push(byteDecode(bytes.subarray(32 * d * i, 32 * d * (i + 1)), d));
+            }
+            return polys;
+        }
+    }
+
+    /**
+     * NTT (Algorithm 9), in place
+     */
+    function nttForward(f) {
+        let i = 1;
+        for (let len = 128; len >= 2; len >>= 1) {
+            for (let start = 0; start < ML_KEM_N; start += 2 * len) {
+                const zeta = ML_KEM_ZETAS[i++];
+                for (let j = start; j < start + len; j++) {
+                    const t = (zeta * f[j + len]) % ML_KEM_Q;
+                    f[j + len] = (f[j] - t + ML_KEM_Q) % ML_KEM_Q;
+                    f[j] = (f[j] + t) % ML_KEM_Q;
+                }
+            }
+        }
+        return f;
+    }
+
+    /**
+     * NTT⁻¹ (Algorithm 10), in place
+     */
+    function nttInverse(f) {
+        let i = 127;
+        for (let len = 2; len <= 128; len <<= 1) {
+            for (let start = 0; start < ML_KEM_N; start += 2 * len) {
+                const zeta = ML_KEM_ZETAS[i--];
+                for (let j = start; j < start + len; j++) {
+                    const t = f[j];
+                    f[j] = (t + f[j + len]) % ML_KEM_Q;
+                    f[j + len] = (zeta * ((f[j + len] - t + ML_KEM_Q) % ML_KEM_Q)) % ML_KEM_Q;
+                }
+            }
+        }
+        for (let j = 0; j < ML_KEM_N; j++) {
+            f[j] = (f[j] * 3303) % ML_KEM_Q;
+        }
+        return f;
+    }
+
+    /**
+     * MultiplyNTTs / BaseCaseMultiply (Algorithms 11 and 12)
+     */
+    function multiplyNTTs(f, g) {
+        const h = new Int32Array(ML_KEM_N);
+        for (let i = 0; i < 128; i++) {
+            const a0 = f[2 * i];
+            const a1 = f[2 * i + 1];
+            const b0 = g[2 * i];
+            const b1 = g[2 * i + 1];
+            h[2 * i] = (a0 * b0 + ((a1 * b1) % ML_KEM_Q) * ML_KEM_GAMMAS[i]) % ML_KEM_Q;
+            h[2 * i + 1] = (a0 * b1 + a1 * b0) % ML_KEM_Q;
+        }
+        return h;
+    }
+
+    function polyAddInPlace(a, b) {
+        for (let i = 0; i < ML_KEM_N; i++) {
+            a[i] = (a[i] + b[i]) % ML_KEM_Q;
+        }
+        return a;
+    }
+
+    function polySub(a, b) {
+        const r = new Int32Array(ML_KEM_N);
+        for (let i = 0; i < ML_KEM_N; i++) {
+            r[i] = (a[i] - b[i] + ML_KEM_Q) % ML_KEM_Q;
+        }
+        return r;
+    }
+
+    /**
+     * SampleNTT (Algorithm 7) - rejection sampling from SHAKE128(ρ‖j‖i)
+     */
+    function sampleNTT(rho, j, i) {
+        // Five SHAKE128 blocks are almost always enough; squeeze more if not
+        const seed = concatBytes(rho, new Uint8Array([j, i]));
+        for (let length = 840; ; length += 168) {
+            const stream = shake128(seed, length);
+            const a = new Int32Array(ML_KEM_N);
+            let count = 0;
+            for (let p = 0; p + 3 <= stream.length && count < ML_KEM_N; p += 3) {
+                const d1 = stream[p] | ((stream[p + 1] & 0x0f) << 8);
+                const d2 = (stream[p + 1] >> 4) | (stream[p + 2] << 4);
+                if (d1 < ML_KEM_Q) {
+                    a[count++] = d1;
+                }
+                if (d2 < ML_KEM_Q && count < ML_KEM_N) {
+                    a[count++] = d2;
+                }
+            }
+            if (count === ML_KEM_N) {
+                return a;
+            }
+        }
+    }
+
+    /**
+     * PRF_η(s, b) = SHAKE256(s‖b, 64·η)
+     */
+    function prf(s, b, eta) {
+        return shake256(concatBytes(s, new Uint8Array([b])), 64 * eta);
+    }
+
+    /**
+     * SamplePolyCBD_η (Algorithm 8)
+     */
+    function samplePolyCBD(bytes, eta) {
+        const bit = (idx) => (bytes[idx >> 3] >> (idx & 7)) & 1;
+        const f = new Int32Array(ML_KEM_N);
+        for (let i = 0; i < ML_KEM_N; i++) {
+            let x = 0;
+            let y = 0;
+            for (let j = 0; j < eta; j++) {
+                x += bit(2 * i * eta + j);
+                y += bit(2 * i * eta + eta + j);
+            }
+            f[i] = (x - y + ML_KEM_Q) % ML_KEM_Q;
+        }
+        return f;
+    }
+
+    /**
+     * ByteEncode_d (Algorithm 5) - little-endian bit packing
+     */
+    function byteEncode(f, d) {
+        const out = new Uint8Array(32 * d);
+        let acc = 0;
+        let bits = 0;
+        let pos = 0;
+        for (let i = 0; i < ML_KEM_N; i++) {
+            acc |= f[i] << bits;
+            bits += d;
+            while (bits >= 8) {
+                out[pos++] = acc & 0xff;
+                acc >>>= 8;
+                bits -= 8;
+            }
+        }
+        return out;
+    }
+
+    /**
+     * ByteDecode_d (Algorithm 6)
+     */
+    function byteDecode(bytes, d) {
+        const f = new Int32Array(ML_KEM_N);
+        const mask = (1 << d) - 1;
+        let acc = 0;
+        let bits = 0;
+        let pos = 0;
+        for (let i = 0; i < ML_KEM_N; i++) {
+            while (bits < d) {
+                acc |= bytes[pos++] << bits;
+                bits += 8;
+            }
+            f[i] = acc & mask;
+            acc >>>= d;
+            bits -= d;
+            if (d === 12) {
+                f[i] %= ML_KEM_Q;
+            }
+        }
+        return f;
+    }
+
+    /**
+     * Compress_d(x) = ⌈(2^d/q)·x⌋ mod 2^d
+     */
+    function compress(f, d) {
+        const r = new Int32Array(ML_KEM_N);
+        for (let i = 0; i < ML_KEM_N; i++) {
+            r[i] = Math.floor((2 * f[i] * (1 << d) + ML_KEM_Q) / (2 * ML_KEM_Q)) & ((1 << d) - 1);
+        }
+        return r;
+    }
+
+    /**
+     * Decompress_d(y) = ⌈(q/2^d)·y⌋
+     */
+    function decompress(f, d) {
+        const r = new Int32Array(ML_KEM_N);
+        for (let i = 0; i < ML_KEM_N; i++) {
+            r[i] = (ML_KEM_Q * f[i] + (1 << (d - 1))) >> d;
+        }
+        return r;
+    }
+
+    /**
+     * Hybrid X25519 + ML-KEM-1024 key encapsulation
+     *
+     * Defence in depth for the migration period: the session key stays secret as
+     * long as either X25519 or ML-KEM holds. X25519 is used as a KEM (ephemeral
+     * key as ciphertext) and the two shared secrets are combined in the style of
+     * X-Wing: SHA3-256(label ‖ ss_M ‖ ss_X ‖ ct_X ‖ pk_X). ML-KEM's ciphertext is
+     * left out of the hash because ML-KEM already binds it; X25519's is not.
+     */
+    const HYBRID_KEM_NAME = 'X25519+ML-KEM-1024';
+    const HYBRID_KEM_LABEL = new TextEncoder().encode('QuantumChat-X25519-MLKEM1024');
+    const X25519_SIZE = 32;
+
+    class HybridKEM {
+        /**
+         * @param {string} name - Only X25519+ML-KEM-1024 is defined
+         */
+        constructor(name = HYBRID_KEM_NAME) {
+            if (name !== HYBRID_KEM_NAME) {
+                throw new Error(`Unknown hybrid KEM: ${name}`);
+            }
+            this.name = name;
+            this.mlkem = new MLKEM('ML-KEM-1024');
+            const { publicKeySize, secretKeySize, ciphertextSize } = this.mlkem.params;
+            this.params = {
+                name,
+                securityLevel: this.mlkem.params.securityLevel,
+                publicKeySize: publicKeySize + X25519_SIZE,
+                secretKeySize: secretKeySize + 2 * X25519_SIZE,
+                ciphertextSize: ciphertextSize + X25519_SIZE,
+                sharedSecretSize: 32
+            };
+        }
+
+        /**
+         * Generate both key pairs
+         * @param {Uint8Array} seed - Optional 96-byte seed (ML-KEM d ‖ z, then the X25519 private key)
+         * @returns {object} - { publicKey: pk_M ‖ pk_X, secretKey: sk_M ‖ sk_X ‖ pk_X }
+         */
+        keyGen(seed = null) {
+            const mlkemKeys = this.mlkem.keyGen(seed ? seed.subarray(0, 64) : null);
+            const skX = seed ? Uint8Array.from(seed.subarray(64, 96)) : randomBytes(X25519_SIZE);
+            const pkX = x25519PublicKey(skX);
+
+            return {
+                publicKey: concatBytes(mlkemKeys.publicKey, pkX),
+                secretKey: concatBytes(mlkemKeys.secretKey, skX, pkX)
+            };
+        }
+
+        /**
+         * Encapsulate to both components and combine the shared secrets
+         * @param {Uint8Array} publicKey - pk_M ‖ pk_X
+         * @param {Uint8Array} randomness - Optional 64 bytes (ML-KEM m, then the ephemeral X25519 key)
+         * @returns {object} - { ciphertext: ct_M ‖ ct_X, sharedSecret }
+         */
+        encapsulate(publicKey, randomness = null) {
+            if (!(publicKey instanceof Uint8Array) || publicKey.length !== this.params.publicKeySize) {
+                throw new Error(`Invalid ${this.name} public key length`);
+            }
+            const pkM = publicKey.subarray(0, this.mlkem.params.publicKeySize);
+            const pkX = publicKey.subarray(this.mlkem.params.publicKeySize);
+
+            const { ciphertext: ctM, sharedSecret: ssM } = this.mlkem.encapsulate(pkM, randomness ? randomness.subarray(0, 32) : null);
+            const ephemeral = randomness ? Uint8Array.from(randomness.subarray(32, 64)) : randomBytes(X25519_SIZE);
+            const ctX = x25519PublicKey(ephemeral);
+            const ssX = x25519(ephemeral, pkX);
+
+            return {
+                ciphertext: concatBytes(ctM, ctX),
+                sharedSecret: sha3_256(HYBRID_KEM_LABEL, ssM, ssX, ctX, pkX)
+            };
+        }
+
+        /**
+         * Decapsulate both components and combine the shared secrets
+         * @param {Uint8Array} secretKey - sk_M ‖ sk_X ‖ pk_X
+         * @param {Uint8Array} ciphertext - ct_M ‖ ct_X
+         * @returns {Uint8Array} - 32-byte shared secret
+         */
+        decapsulate(secretKey, ciphertext) {
+            if (!(ciphertext instanceof Uint8Array) || ciphertext.length !== this.params.ciphertextSize) {
+                throw new Error(`Invalid ${this.name} ciphertext length`);
+            }
+            if (!(secretKey instanceof Uint8Array) || secretKey.length !== this.params.secretKeySize) {
+                throw new Error(`Invalid ${this.name} secret key length`);
+            }
+            const mlkemSecretSize = this.mlkem.params.secretKeySize;
+            const skM = secretKey.subarray(0, mlkemSecretSize);
+            const skX = secretKey.subarray(mlkemSecretSize, mlkemSecretSize + X25519_SIZE);
+            const pkX = secretKey.subarray(mlkemSecretSize + X25519_SIZE);
+            const ctM = ciphertext.subarray(0, this.mlkem.params.ciphertextSize);
+            const ctX = ciphertext.subarray(this.mlkem.params.ciphertextSize);
+
+            const ssM = this.mlkem.decapsulate(skM, ctM);
+            const ssX = x25519(skX, ctX);
+            return combineHybridSecrets(ssM, ssX, ctX, pkX);
+        }
+    }
+
+    /**
+     * X-Wing-style combiner: SHA3-256(label ‖ ss_M ‖ ss_X ‖ ct_X ‖ pk_X)
+     */
+    function combineHybridSecrets(ssM, ssX, ctX, pkX) {
+        return sha3_256(HYBRID_KEM_LABEL, ssM, ssX, ctX, pkX);
+    }
+
+    /**
+     * Classical KEMs for the comparison suites
+     *
+     * RSA-2048 and ECDH P-256 in KEM form, so a session can be set up exactly
+     * like a post-quantum one and then shown to fall to Shor's algorithm. They
+     * run on the platform's crypto (Node's crypto module, WebCrypto in the
+     * browser) and so are asynchronous, and only registered when the backend
+     * has them. Public keys are SPKI and private keys PKCS#8, both DER, which
+     * both platforms import; PKCS#8 encodings vary by a few bytes, so the
+     * secret key size is not fixed (null).
+     */
+    const RSA_KEM_NAME = 'RSA-2048';
+    const ECDH_KEM_NAME = 'ECDH-P256';
+    const ECDH_KEM_LABEL = new TextEncoder().encode('QuantumChat-ECDH-P256');
+    const P256_SPKI_SIZE = 91;
+
+    function requireBackendFunction(name, algorithm) {
+        if (typeof backend[name] !== 'function') {
+            throw new Error(`${algorithm} needs a platform crypto library; the ${backend.name} backend has none`);
+        }
+        return backend[name];
+    }
+
+    function checkLength(bytes, length, what) {
+        if (!(bytes instanceof Uint8Array) || (length !== null && bytes.length !== length)) {
+            throw new Error(`Invalid ${what} length`);
+        }
+    }
+
+    /**
+     * RSA-OAEP key transport: a random 32-byte secret encrypted to the recipient
+     * The platform generates the key pairs, so a seeded backend does not replay them.
+     */
+    class RsaOaepKEM {
+        constructor(name = RSA_KEM_NAME) {
+            if (name !== RSA_KEM_NAME) {
+                throw new Error(`Unknown RSA KEM: ${name}`);
+            }
+            this.name = name;
+            this.params = {
+                name,
+                securityLevel: 'Not quantum-safe',
+                platformKeyGen: true,
+                modulusBits: 2048,
+                publicKeySize: 294,
+                secretKeySize: null,
+                ciphertextSize: 256,
+                sharedSecretSize: 32
+            };
+        }
+
+        /**
+         * @returns {Promise<object>} - { publicKey: SPKI, secretKey: PKCS#8 }
+         */
+        async keyGen() {
+            return requireBackendFunction('rsaOaepKeyGen', this.name)(this.params.modulusBits);
+        }
+
+        /**
+         * @returns {Promise<object>} - { ciphertext, sharedSecret }
+         */
+        async encapsulate(publicKey) {
+            checkLength(publicKey, this.params.publicKeySize, `${this.name} public key`);
+            const sharedSecret = randomBytes(this.params.sharedSecretSize);
+            const ciphertext = await requireBackendFunction('rsaOaepEncrypt', this.name)(publicKey, sharedSecret);
+            return { ciphertext, sharedSecret };
+        }
+
+        /**
+         * @returns {Promise<Uint8Array>} - 32-byte shared secret
+         */
+        async decapsulate(secretKey, ciphertext) {
+            checkLength(ciphertext, this.params.ciphertextSize, `${this.name} ciphertext`);
+            checkLength(secretKey, null, `${this.name} secret key`);
+            const sharedSecret = await requireBackendFunction('rsaOaepDecrypt', this.name)(secretKey, ciphertext);
+            if (sharedSecret.length !== this.params.sharedSecretSize) {
+                throw new Error(`${this.name} ciphertext does not hold a shared secret`);
+            }
+            return sharedSecret;
+        }
+    }
+
+    /**
+     * Ephemeral-static ECDH on P-256: the ephemeral public key is the ciphertext,
+     * and the shared secret hashes the agreement with both public keys,
+     * SHA3-256(label ‖ Z ‖ ct ‖ pk), as the hybrid combiner does for X25519.
+     * Both key pairs come from the platform, so a seeded backend does not replay them.
+     */
+    class EcdhP256KEM {
+        constructor(name = ECDH_KEM_NAME) {
+            if (name !== ECDH_KEM_NAME) {
+                throw new Error(`Unknown ECDH KEM: ${name}`);
+            }
+            this.name = name;
+            this.params = {
+                name,
+                securityLevel: 'Not quantum-safe',
+                platformKeyGen: true,
+                publicKeySize: P256_SPKI_SIZE,
+                secretKeySize: null,
+                ciphertextSize: P256_SPKI_SIZE,
+                sharedSecretSize: 32
+            };
+        }
+
+        /**
+         * @returns {Promise<object>} - { publicKey: SPKI, secretKey: SPKI ‖ PKCS#8 }
+         */
+        async keyGen() {
+            const { publicKey, secretKey } = await requireBackendFunction('ecdhP256KeyGen', this.name)();
+            return { publicKey, secretKey: concatBytes(publicKey, secretKey) };
+        }
+
+        async encapsulate(publicKey) {
+            checkLength(publicKey, this.params.publicKeySize, `${this.name} public key`);
+            const ephemeral = await requireBackendFunction('ecdhP256KeyGen', this.name)();
+            const agreement = await backend.ecdhP256(ephemeral.secretKey, publicKey);
+            const sharedSecret = sha3_256(ECDH_KEM_LABEL, agreement, ephemeral.publicKey, publicKey);
+            zeroize(ephemeral.secretKey, agreement);
+            return { ciphertext: ephemeral.publicKey, sharedSecret };
+        }
+
+        async decapsulate(secretKey, ciphertext) {
+            checkLength(ciphertext, this.params.ciphertextSize, `${this.name} ciphertext`);
+            if (!(secretKey instanceof Uint8Array) || secretKey.length <= P256_SPKI_SIZE) {
+                throw new Error(`Invalid ${this.name} secret key length`);
+            }
+            const publicKey = secretKey.subarray(0, P256_SPKI_SIZE);
+            const agreement = await requireBackendFunction('ecdhP256', this.name)(secretKey.subarray(P256_SPKI_SIZE), ciphertext);
+            const sharedSecret = sha3_256(ECDH_KEM_LABEL, agreement, ciphertext, publicKey);
+            zeroize(agreement);
+            return sharedSecret;
+        }
+    }
+
+    /**
+     * UTF-8 bytes of a string message; byte messages pass through
+     */
+    function toBytes(data) {
+        return typeof data === 'string' ? new TextEncoder().encode(data) : data;
+    }
+
+    /**
+     * ML-DSA (FIPS 204) - Module-Lattice-Based Digital Signature Algorithm
+     *
+     * Pure JavaScript implementation of ML-DSA-65 following the FIPS 204
+     * algorithms. Polynomials are held with coefficients in [0, q); values are
+     * centered only where the standard calls for it (norm checks and packing).
+     */
+    const ML_DSA_Q = 8380417;
+    const ML_DSA_N = 256;
+    const ML_DSA_D = 13;
+
+    const ML_DSA_PARAMS = {
+        'ML-DSA-65': {
+            name: 'ML-DSA-65',
+            k: 6,
+            l: 5,
+            eta: 4,
+            tau: 49,
+            lambda: 192,
+            gamma1: 1 << 19,
+            gamma2: (ML_DSA_Q - 1) / 32,
+            omega: 55,
+            securityLevel: 'Level 3',
+            publicKeySize: 1952,
+            secretKeySize: 4032,
+            signatureSize: 3309
+        }
+    };
+
+    const bitRev8 = (i) => {
+        let r = 0;
+        for (let b = 0; b < 8; b++) {
+            r |= ((i >> b) & 1) << (7 - b);
+        }
+        return r;
+    };
+
+    const bitLength = (x) => x.toString(2).length;
+
+    // ζ^BitRev8(k) with ζ = 1753, a 512th root of unity mod q
+    const ML_DSA_ZETAS = Array.from({ length: 256 }, (_, i) => modPow(1753, bitRev8(i), ML_DSA_Q));
+
+    // FIPS 204 context string binding QuantumChat signatures to this application
+    const SIGNATURE_CONTEXT = toBytes('QuantumChat');
+
+    /**
+     * M' = 0 ‖ |ctx| ‖ ctx ‖ M for pure (non pre-hash) ML-DSA and SLH-DSA
+     */
+    function formatSignedMessage(message, context) {
+        const ctx = toBytes(context);
+        if (ctx.length > 255) {
+            throw new Error('Signature context string must be at most 255 bytes');
+        }
+        return concatBytes(new Uint8Array([0, ctx.length]), ctx, toBytes(message));
+    }
+
+    class MLDSA {
+        /**
+         * @param {string} name - Parameter set name (default ML-DSA-65)
+         */
+        constructor(name = 'ML-DSA-65') {
+            const params = ML_DSA_PARAMS[name];
+            if (!params) {
+                throw new Error(`Unknown ML-DSA parameter set: ${name}`);
+            }
+            this.params = params;
+            this.name = params.name;
+        }
+
+        /**
+         * ML-DSA.KeyGen (Algorithms 1 and 6)
+         * @param {Uint8Array} seed - Optional 32-byte seed ξ for deterministic key generation
+         * @returns {object} - { publicKey, secretKey } as Uint8Arrays
+         */
+        keyGen(seed = null) {
+            const { k, l } = this.params;
+            const xi = seed ? seed.slice() : randomBytes(32);
+            const expanded = shake256(concatBytes(xi, new Uint8Array([k, l])), 128);
+            const rho = expanded.subarray(0, 32);
+            const rhoPrime = expanded.subarray(32, 96);
+            const K = expanded.subarray(96, 128);
+
+            const aHat = this.expandA(rho);
+            const { s1, s2 } = this.expandS(rhoPrime);
+            const s1Hat = s1.map(poly => dsaNtt(Int32Array.from(poly)));
+
+            const t1 = [];
+            const t0 = [];
+            for (let i = 0; i < k; i++) {
+                const t = dsaPolyAdd(dsaNttInverse(dsaMatrixRow(aHat[i], s1Hat)), s2[i]);
+                const split = Array.from(t, power2Round);
+                t1.push(Int32Array.from(split, ([r1]) => r1));
+                t0.push(Int32Array.from(split, ([, r0]) => r0));
+            }
+
+            const publicKey = this.encodePublicKey(rho, t1);
+            const tr = shake256(publicKey, 64);
+            return {
+                publicKey,
+                secretKey: this.encodeSecretKey(rho, K, tr, s1, s2, t0)
+            };
+        }
+
+        /**
+         * ML-DSA.Sign (Algorithm 2) - pure signing with an optional context string
+         * @param {Uint8Array} secretKey - Signing key
+         * @param {Uint8Array|string} message - Message to sign
+         * @param {object} options - { context, deterministic }
+         * @returns {Uint8Array} - Signature
+         */
+        sign(secretKey, message, { context = new Uint8Array(0), deterministic = false } = {}) {
+            if (!(secretKey instanceof Uint8Array) || secretKey.length !== this.params.secretKeySize) {
+                throw new Error(`Invalid ${this.name} secret key length`);
+            }
+            const rnd = deterministic ? new Uint8Array(32) : randomBytes(32);
+            return this.signInternal(secretKey, formatSignedMessage(message, context), rnd);
+        }
+
+        /**
+         * ML-DSA.Verify (Algorithm 3)
+         * @param {Uint8Array} publicKey - Verification key
+         * @param {Uint8Array|string} message - Signed message
+         * @param {Uint8Array} signature - Signature to check
+         * @param {object} options - { context }
+         * @returns {boolean} - Verification result
+         */
+        verify(publicKey, message, signature, { context = new Uint8Array(0) } = {}) {
+            const { publicKeySize, signatureSize } = this.params;
+            if (!(publicKey instanceof Uint8Array) || publicKey.length !== publicKeySize ||
+                !(signature instanceof Uint8Array) || signature.length !== signatureSize) {
+                return false;
+            }
+            return this.verifyInternal(publicKey, formatSignedMessage(message, context), signature);
+        }
+
+        /**
+         * ML-DSA.Sign_internal (Algorithm 7)
+         */
+        signInternal(secretKey, mPrime, rnd) {
+            const { k, l, tau, lambda, gamma1, gamma2, omega } = this.params;
+            const beta = tau * this.params.eta;
+            const { rho, K, tr, s1, s2, t0 } = this.decodeSecretKey(secretKey);
+            const s1Hat = s1.map(poly => dsaNtt(poly));
+            const s2Hat = s2.map(poly => dsaNtt(poly));
+            const t0Hat = t0.map(poly => dsaNtt(poly));
+            const aHat = this.expandA(rho);
+
+            const mu = shake256(concatBytes(tr, mPrime), 64);
+            const rhoPrimePrime = shake256(concatBytes(K, rnd, mu), 64);
+
+            for (let kappa = 0; ; kappa += l) {
+                const y = this.expandMask(rhoPrimePrime, kappa);
+                const yHat = y.map(poly => dsaNtt(Int32Array.from(poly)));
+                const w = aHat.map(row => dsaNttInverse(dsaMatrixRow(row, yHat)));
+                const w1 = w.map(poly => poly.map(r => decompose(r, gamma2)[0]));
+
+                const cTilde = shake256(concatBytes(mu, this.encodeW1(w1)), lambda / 4);
+                const cHat = dsaNtt(sampleInBall(cTilde, tau));
+
+                const z = y.map((poly, i) => dsaPolyAdd(poly, dsaNttInverse(dsaPolyMul(cHat, s1Hat[i]))));
+                if (z.some(poly => dsaInfinityNorm(poly) >= gamma1 - beta)) {
+                    continue;
+                }
+
+                const wMinusCs2 = w.map((poly, i) => dsaPolySub(poly, dsaNttInverse(dsaPolyMul(cHat, s2Hat[i]))));
+                if (wMinusCs2.some(poly => dsaInfinityNorm(poly.map(r => decompose(r, gamma2)[1])) >= gamma2 - beta)) {
+                    continue;
+                }
+
+                const ct0 = t0Hat.map(poly => dsaNttInverse(dsaPolyMul(cHat, poly)));
+                if (ct0.some(poly => dsaInfinityNorm(poly) >= gamma2)) {
+                    continue;
+                }
+
+                // MakeHint(−ct0, w − cs2 + ct0): does adding ct0 change the high bits?
+                let hintCount = 0;
+                const h = wMinusCs2.map((poly, i) => poly.map((r, j) => {
+                    const hint = decompose((r + ct0[i][j]) % ML_DSA_Q, gamma2)[0] !== decompose(r, gamma2)[0] ? 1 : 0;
+                    hintCount += hint;
+                    return hint;
+                }));
+                if (hintCount > omega) {
+                    continue;
+                }
+
+                return this.encodeSignature(cTilde, z, h);
+            }
+        }
+
+        /**
+         * ML-DSA.Verify_internal (Algorithm 8)
+         */
+        verifyInternal(publicKey, mPrime, signature) {
+            const { tau, lambda, gamma1, gamma2 } = this.params;
+            const beta = tau * this.params.eta;
+            const { rho, t1 } = this.decodePublicKey(publicKey);
+            const decoded = this.decodeSignature(signature);
+            if (!decoded) {
+                return false;
+            }
+            const { cTilde, z, h } = decoded;
+            if (z.some(poly => dsaInfinityNorm(poly) >= gamma1 - beta)) {
+                return false;
+            }
+
+            const aHat = this.expandA(rho);
+            const tr = shake256(publicKey, 64);
+            const mu = shake256(concatBytes(tr, mPrime), 64);
+            const cHat = dsaNtt(sampleInBall(cTilde, tau));
+            const zHat = z.map(poly => dsaNtt(Int32Array.from(poly)));
+
+            const w1Prime = aHat.map((row, i) => {
+                const t1Hat = dsaNtt(t1[i].map(c => (c << ML_DSA_D) % ML_DSA_Q));
+                const wApprox = dsaNttInverse(dsaPolySub(dsaMatrixRow(row, zHat), dsaPolyMul(cHat, t1Hat)));
+                return wApprox.map((r, j) => useHint(h[i][j], r, gamma2));
+            });
+
+            const cTildePrime = shake256(concatBytes(mu, this.encodeW1(w1Prime)), lambda / 4);
+            return equalBytes(cTilde, cTildePrime);
+        }
+
+        /**
+         * ExpandA (Algorithm 32): Â[r][s] = RejNTTPoly(ρ‖s‖r)
+         */
+        expandA(rho) {
+            const { k, l } = this.params;
+            const aHat = [];
+            for (let r = 0; r < k; r++) {
+                aHat.push([]);
+                for (let s = 0; s < l; s++) {
+                    aHat[r].push(rejNTTPoly(concatBytes(rho, new Uint8Array([s, r]))));
+                }
+            }
+            return aHat;
+        }
+
+        /**
+         * ExpandS (Algorithm 33)
+         */
+        expandS(rhoPrime) {
+            const { k, l, eta } = this.params;
+            const nonce = (r) => new Uint8Array([r & 0xff, r >> 8]);
+            const s1 = [];
+            const s2 = [];
+            for (let r = 0; r < l; r++) {
+                s1.push(rejBoundedPoly(concatBytes(rhoPrime, nonce(r)), eta));
+            }
+            for (let r = 0; r < k; r++) {
+                s2.push(rejBoundedPoly(concatBytes(rhoPrime, nonce(r + l)), eta));
+            }
+            return { s1, s2 };
+        }
+
+        /**
+         * ExpandMask (Algorithm 34)
+         */
+        expandMask(rho, kappa) {
+            const { l, gamma1 } = this.params;
+            const bits = 1 + bitLength(gamma1 - 1);
+            const y = [];
+            for (let r = 0; r < l; r++) {
+                const counter = kappa + r;
+                const stream = shake256(concatBytes(rho, new Uint8Array([counter & 0xff, counter >> 8])), 32 * bits);
+                y.push(dsaBitUnpack(stream, gamma1 - 1, gamma1));
+            }
+            return y;
+        }
+
+        /**
+         * pkEncode / pkDecode (Algorithms 22 and 23)
+         */
+        encodePublicKey(rho, t1) {
+            const bits = bitLength(ML_DSA_Q - 1) - ML_DSA_D;
+            return concatBytes(rho, ...t1.map(poly => packBits(poly, bits)));
+        }
+
+        decodePublicKey(pk) {
+            const bits = bitLength(ML_DSA_Q - 1) - ML_DSA_D;
+            const t1 = [];
+            for (let i = 0; i < this.params.k; i++) {
+                t1.push(unpackBits(pk.subarray(32 + 32 * bits * i, 32 + 32 * bits * (i + 1)), bits));
+            }
+            return { rho: pk.subarray(0, 32), t1 };
+        }
+
+        /**
+         * skEncode / skDecode (Algorithms 24 and 25)
+         */
+        encodeSecretKey(rho, K, tr, s1, s2, t0) {
+            const { eta } = this.params;
+            const half = 1 << (ML_DSA_D - 1);
+            return concatBytes(
+                rho, K, tr,
+                ...s1.map(poly => dsaBitPack(poly, eta, eta)),
+                ...s2.map(poly => dsaBitPack(poly, eta, eta)),
+                ...t0.map(poly => dsaBitPack(poly, half - 1, half))
+            );
+        }
+
+        decodeSecretKey(sk) {
+            const { k, l, eta } = this.params;
+            const etaBytes = 32 * bitLength(2 * eta);
+            const t0Bytes = 32 * ML_DSA_D;
+            const half = 1 << (ML_DSA_D - 1);
+            let offset = 128;
+            const take = (length) => sk.subarray(offset, (offset += length));
+
+            const s1 = Array.from({ length: l }, () => dsaBitUnpack(take(etaBytes), eta, eta));
+            const s2 = Array.from({ length: k }, () => dsaBitUnpack(take(etaBytes), eta, eta));
+            const t0 = Array.from({ length: k }, () => dsaBitUnpack(take(t0Bytes), half - 1, half));
+            return { rho: sk.subarray(0, 32), K: sk.subarray(32, 64), tr: sk.subarray(64, 128), s1, s2, t0 };
+        }
+
+        /**
+         * sigEncode / sigDecode (Algorithms 26 and 27) with HintBitPack / HintBitUnpack
+         */
+        encodeSignature(cTilde, z, h) {
+            const { k, omega, gamma1 } = this.params;
+            const hints = new Uint8Array(omega + k);
+            let index = 0;
+            for (let i = 0; i < k; i++) {
+                for (let j = 0; j < ML_DSA_N; j++) {
+                    if (h[i][j]) {
+                        hints[index++] = j;
+                    }
+                }
+                hints[omega + i] = index;
+            }
+            return concatBytes(cTilde, ...z.map(poly => dsaBitPack(poly, gamma1 - 1, gamma1)), hints);
+        }
+
+        decodeSignature(sig) {
+            const { k, l, omega, gamma1, lambda } = this.params;
+            const cLength = lambda / 4;
+            const zBytes = 32 * (1 + bitLength(gamma1 - 1));
+            const z = [];
+            for (let i = 0; i < l; i++) {
+                z.push(dsaBitUnpack(sig.subarray(cLength + zBytes * i, cLength + zBytes * (i + 1)), gamma1 - 1, gamma1));
+            }
+
+            const y = sig.subarray(cLength + zBytes * l);
+            const h = Array.from({ length: k }, () => new Int32Array(ML_DSA_N));
+            let index = 0;
+            for (let i = 0; i < k; i++) {
+                if (y[omega + i] < index || y[omega + i] > omega) {
+                    return null;
+                }
+                const first = index;
+                while (index < y[omega + i]) {
+                    if (index > first && y[index - 1] >= y[index]) {
+                        return null;
+                    }
+                    h[i][y[index]] = 1;
+                    index++;
+                }
+            }
+            for (let i = index; i < omega; i++) {
+                if (y[i] !== 0) {
+                    return null;
+                }
+            }
+            return { cTilde: sig.subarray(0, cLength), z, h };
+        }
+
+        /**
+         * w1Encode (Algorithm 28)
+         */
+        encodeW1(w1) {
+            const bits = bitLength((ML_DSA_Q - 1) / (2 * this.params.gamma2) - 1);
+            return concatBytes(...w1.map(poly => packBits(poly, bits)));
+        }
+    }
+
+    /**
+     * NTT (Algorithm 41), in place
+     */
+    function dsaNtt(w) {
+        let m = 0;
+        for (let len = 128; len >= 1; len >>= 1) {
+            for (let start = 0; start < ML_DSA_N; start += 2 * len) {
+                const zeta = ML_DSA_ZETAS[++m];
+                for (let j = start; j < start + len; j++) {
+                    const t = (zeta * w[j + len]) % ML_DSA_Q;
+                    w[j + len] = (w[j] - t + ML_DSA_Q) % ML_DSA_Q;
+                    w[j] = (w[j] + t) % ML_DSA_Q;
+                }
+            }
+        }
+        return w;
+    }
+
+    /**
+     * NTT⁻¹ (Algorithm 42), in place
+     */
+    function dsaNttInverse(w) {
+        let m = 256;
+        for (let len = 1; len < ML_DSA_N; len <<= 1) {
+            for (let start = 0; start < ML_DSA_N; start += 2 * len) {
+                const zeta = ML_DSA_Q - ML_DSA_ZETAS[--m];
+                for (let j = start; j < start + len; j++) {
+                    const t = w[j];
+                    w[j] = (t + w[j + len]) % ML_DSA_Q;
+                    w[j + len] = (zeta * ((t - w[j + len] + ML_DSA_Q) % ML_DSA_Q)) % ML_DSA_Q;
+                }
+            }
+        }
+        for (let j = 0; j < ML_DSA_N; j++) {
+            w[j] = (w[j] * 8347681) % ML_DSA_Q; // 8347681 = 256⁻¹ mod q
+        }
+        return w;
+    }
+
+    function dsaPolyAdd(a, b) {
+        return a.map((x, i) => (x + b[i]) % ML_DSA_Q);
+    }
+
+    function dsaPolySub(a, b) {
+        return a.map((x, i) => (x - b[i] + ML_DSA_Q) % ML_DSA_Q);
+    }
+
+    function dsaPolyMul(a, b) {
+        return a.map((x, i) => (x * b[i]) % ML_DSA_Q);
+    }
+
+    /**
+     * Σ_j row[j] ∘ vector[j] in the NTT domain
+     */
+    function dsaMatrixRow(row, vector) {
+        let acc = new Int32Array(ML_DSA_N);
+        for (let j = 0; j < row.length; j++) {
+            acc = dsaPolyAdd(acc, dsaPolyMul(row[j], vector[j]));
+        }
+        return acc;
+    }
+
+    /**
+     * ‖w‖∞ with coefficients interpreted in (−q/2, q/2]
+     */
+    function dsaInfinityNorm(w) {
+        let max = 0;
+        for (let i = 0; i < w.length; i++) {
+            const abs = w[i] > (ML_DSA_Q - 1) / 2 ? ML_DSA_Q - w[i] : Math.abs(w[i]);
+            if (abs > max) {
+                max = abs;
+            }
+        }
+        return max;
+    }
+
+    /**
+     * r mod± α, the representative in (−α/2, α/2]
+     */
+    function modCentered(r, alpha) {
+        const r0 = r % alpha;
+        return r0 > alpha / 2 ? r0 - alpha : r0;
+    }
+
+    /**
+     * Power2Round (Algorithm 35)
+     */
+    function power2Round(r) {
+        const r0 = modCentered(r, 1 << ML_DSA_D);
+        return [(r - r0) >> ML_DSA_D, (r0 + ML_DSA_Q) % ML_DSA_Q];
+    }
+
+    /**
+     * Decompose (Algorithm 36) - returns [r1, r0] with r0 centered
+     */
+    function decompose(r, gamma2) {
+        const r0 = modCentered(r, 2 * gamma2);
+        if (r - r0 === ML_DSA_Q - 1) {
+            return [0, r0 - 1];
+        }
+        return [(r - r0) / (2 * gamma2), r0];
+    }
+
+    /**
+     * UseHint (Algorithm 40)
+     */
+    function useHint(h, r, gamma2) {
+        const m = (ML_DSA_Q - 1) / (2 * gamma2);
+        const [r1, r0] = decompose(r, gamma2);
+        if (h === 1) {
+            return r0 > 0 ? (r1 + 1) % m : (r1 - 1 + m) % m;
+        }
+        return r1;
+    }
+
+    /**
+     * SampleInBall (Algorithm 29)
+     */
+    function sampleInBall(seed, tau) {
+        for (let length = 136; ; length += 136) {
+            const stream = shake256(seed, length);
+            const c = new Int32Array(ML_DSA_N);
+            let pos = 8;
+            let complete = true;
+            for (let i = ML_DSA_N - tau; i < ML_DSA_N && complete; i++) {
+                let j;
+                do {
+                    if (pos >= stream.length) {
+                        complete = false;
+                        break;
+                    }
+                    j = stream[pos++];
+                } while (j > i);
+                if (complete) {
+                    const bit = i + tau - ML_DSA_N;
+                    c[i] = c[j];
+                    c[j] = (stream[bit >> 3] >> (bit & 7)) & 1 ? ML_DSA_Q - 1 : 1;
+                }
+            }
+            if (complete) {
+                return c;
+            }
+        }
+    }
+
+    /**
+     * RejNTTPoly (Algorithm 30) with CoeffFromThreeBytes
+     */
+    function rejNTTPoly(seed) {
+        for (let length = 840; ; length += 168) {
+            const stream = shake128(seed, length);
+            const a = new Int32Array(ML_DSA_N);
+            let count = 0;
+            for (let p = 0; p + 3 <= stream.length && count < ML_DSA_N; p += 3) {
+                const z = stream[p] | (stream[p + 1] << 8) | ((stream[p + 2] & 0x7f) << 16);
+                if (z < ML_DSA_Q) {
+                    a[count++] = z;
+                }
+            }
+            if (count === ML_DSA_N) {
+                return a;
+            }
+        }
+    }
+
+    /**
+     * RejBoundedPoly (Algorithm 31) with CoeffFromHalfByte
+     */
+    function rejBoundedPoly(seed, eta) {
+        const fromHalfByte = (b) => {
+            if (eta === 2 && b < 15) {
+                return 2 - (b % 5);
+            }
+            if (eta === 4 && b < 9) {
+                return 4 - b;
+            }
+            return null;
+        };
+        for (let length = 272; ; length += 136) {
+            const stream = shake256(seed, length);
+            const a = new Int32Array(ML_DSA_N);
+            let count = 0;
+            for (let p = 0; p < stream.length && count < ML_DSA_N; p++) {
+                for (const half of [stream[p] & 0x0f, stream[p] >> 4]) {
+                    const coeff = fromHalfByte(half);
+                    if (coeff !== null && count < ML_DSA_N) {
+                        a[count++] = (coeff + ML_DSA_Q) % ML_DSA_Q;
+                    }
+                }
+            }
+            if (count === ML_DSA_N) {
+                return a;
+            }
+        }
+    }
+
+    /**
+     * SimpleBitPack / SimpleBitUnpack for coefficients in [0, 2^bits)
+     */
+    function packBits(w, bits) {
+        const out = new Uint8Array(32 * bits);
+        let acc = 0;
+        let accBits = 0;
+        let pos = 0;
+        for (let i = 0; i < ML_DSA_N; i++) {
+            acc |= w[i] << accBits;
+            accBits += bits;
+            while (accBits >= 8) {
+                out[pos++] = acc & 0xff;
+                acc >>>= 8;
+                accBits -= 8;
+            }
+        }
+        return out;
+    }
+
+    function unpackBits(bytes, bits) {
+        const w = new Int32Array(ML_DSA_N);
+        const mask = (1 << bits) - 1;
+        let acc = 0;
+        let accBits = 0;
+        let pos = 0;
+        for (let i = 0; i < ML_DSA_N; i++) {
+            while (accBits < bits) {
+                acc |= bytes[pos++] << accBits;
+                accBits += 8;
+            }
+            w[i] = acc & mask;
+            acc >>>= bits;
+            accBits -= bits;
+        }
+        return w;
+    }
+
+    /**
+     * BitPack / BitUnpack (Algorithms 17 and 19) for coefficients in [−a, b]
+     */
+    function dsaBitPack(w, a, b) {
+        return packBits(w.map(c => (b - c + ML_DSA_Q) % ML_DSA_Q), bitLength(a + b));
+    }
+
+    function dsaBitUnpack(bytes, a, b) {
+        return unpackBits(bytes, bitLength(a + b)).map(z => (b - z + ML_DSA_Q) % ML_DSA_Q);
+    }
+
+    /**
+     * SLH-DSA (FIPS 205, formerly SPHINCS+) - Stateless Hash-Based Digital Signatures
+     *
+     * Security rests only on the hash function: a hypertree of XMSS trees whose
+     * leaves are WOTS+ one-time keys certifies a FORS few-time key that signs the
+     * message digest. Both the SHA2 and SHAKE instantiations are implemented;
+     * for the SHA2 sets the PK.seed block is absorbed once and its state reused.
+     */
+    const SLH_DSA_PARAMS = {
+        'SLH-DSA-SHA2-128s': {
+            name: 'SLH-DSA-SHA2-128s',
+            family: 'sha2',
+            n: 16, h: 63, d: 7, hPrime: 9, a: 12, k: 14, lgw: 4, m: 30,
+            securityLevel: 'Level 1',
+            publicKeySize: 32,
+            secretKeySize: 64,
+            signatureSize: 7856
+        },
+        'SLH-DSA-SHAKE-128s': {
+            name: 'SLH-DSA-SHAKE-128s',
+            family: 'shake',
+            n: 16, h: 63, d: 7, hPrime: 9, a: 12, k: 14, lgw: 4, m: 30,
+            securityLevel: 'Level 1',
+            publicKeySize: 32,
+            secretKeySize: 64,
+            signatureSize: 7856
+        },
+        'SLH-DSA-SHA2-128f': {
+            name: 'SLH-DSA-SHA2-128f',
+            family: 'sha2',
+            n: 16, h: 66, d: 22, hPrime: 3, a: 6, k: 33, lgw: 4, m: 34,
+            securityLevel: 'Level 1',
+            publicKeySize: 32,
+            secretKeySize: 64,
+            signatureSize: 17088
+        },
+        'SLH-DSA-SHAKE-128f': {
+            name: 'SLH-DSA-SHAKE-128f',
+            family: 'shake',
+            n: 16, h: 66, d: 22, hPrime: 3, a: 6, k: 33, lgw: 4, m: 34,
+            securityLevel: 'Level 1',
+            publicKeySize: 32,
+            secretKeySize: 64,
+            signatureSize: 17088
+        }
+    };
+
+    // ADRS type constants (FIPS 205 Table 1)
+    const SLH_ADDRESS_TYPE = {
+        WOTS_HASH: 0,
+        WOTS_PK: 1,
+        TREE: 2,
+        FORS_TREE: 3,
+        FORS_ROOTS: 4,
+        WOTS_PRF: 5,
+        FORS_PRF: 6
+    };
+
+    /**
+     * 32-byte hash address (ADRS, FIPS 205 section 4.2)
+     */
+    class SLHAddress {
+        constructor(bytes = new Uint8Array(32)) {
+            this.bytes = Uint8Array.from(bytes);
+            this.view = new DataView(this.bytes.buffer);
+        }
+
+        copy() {
+            return new SLHAddress(this.bytes);
+        }
+
+        setLayerAddress(layer) {
+            this.view.setUint32(0, layer);
+        }
+
+        setTreeAddress(tree) {
+            this.view.setUint32(4, 0);
+            this.view.setBigUint64(8, BigInt(tree));
+        }
+
+        setTypeAndClear(type) {
+            this.view.setUint32(16, type);
+            this.bytes.fill(0, 20);
+        }
+
+        setKeyPairAddress(i) {
+            this.view.setUint32(20, i);
+        }
+
+        getKeyPairAddress() {
+            return this.view.getUint32(20);
+        }
+
+        setChainAddress(i) {
+            this.view.setUint32(24, i);
+        }
+
+        setTreeHeight(z) {
+            this.view.setUint32(24, z);
+        }
+
+        setHashAddress(i) {
+            this.view.setUint32(28, i);
+        }
+
+        setTreeIndex(i) {
+            this.view.setUint32(28, i);
+        }
+
+        getTreeIndex() {
+            return this.view.getUint32(28);
+        }
+
+        /**
+         * 22-byte compressed address ADRSc used by the SHA2 instantiations
+         */
+        compressed() {
+            const b = this.bytes;
+            const c = new Uint8Array(22);
+            c[0] = b[3];
+            c.set(b.subarray(8, 16), 1);
+            c[9] = b[19];
+            c.set(b.subarray(20, 32), 10);
+            return c;
+        }
+    }
+
+    class SLHDSA {
+        /**
+         * @param {string} name - Parameter set name (default SLH-DSA-SHA2-128s)
+         */
+        constructor(name = 'SLH-DSA-SHA2-128s') {
+            const params = SLH_DSA_PARAMS[name];
+            if (!params) {
+                throw new Error(`Unknown SLH-DSA parameter set: ${name}`);
+            }
+            this.params = params;
+            this.name = params.name;
+
+            // WOTS+ chain counts (FIPS 205 section 5)
+            this.w = 1 << params.lgw;
+            this.len1 = Math.ceil(8 * params.n / params.lgw);
+            this.len2 = Math.floor(Math.log2(this.len1 * (this.w - 1)) / params.lgw) + 1;
+            this.len = this.len1 + this.len2;
+        }
+
+        /**
+         * slh_keygen (Algorithms 18 and 21)
+         * @param {Uint8Array} seed - Optional 3n-byte seed SK.seed ‖ SK.prf ‖ PK.seed
+         * @returns {object} - { publicKey, secretKey } as Uint8Arrays
+         */
+        keyGen(seed = null) {
+            const { n, d, hPrime } = this.params;
+            const material = seed ? Uint8Array.from(seed) : randomBytes(3 * n);
+            if (material.length !== 3 * n) {
+                throw new Error(`${this.name} key generation seed must be ${3 * n} bytes`);
+            }
+            const skSeed = material.subarray(0, n);
+            const skPrf = material.subarray(n, 2 * n);
+            const pkSeed = material.subarray(2 * n);
+
+            const adrs = new SLHAddress();
+            adrs.setLayerAddress(d - 1);
+            const pkRoot = this.xmssNode(this.hashContext(pkSeed, skSeed), 0, hPrime, adrs);
+
+            return {
+                publicKey: concatBytes(pkSeed, pkRoot),
+                secretKey: concatBytes(skSeed, skPrf, pkSeed, pkRoot)
+            };
+        }
+
+        /**
+         * slh_sign (Algorithm 22) - pure signing with an optional context string
+         * @param {Uint8Array} secretKey - Signing key
+         * @param {Uint8Array|string} message - Message to sign
+         * @param {object} options - { context, deterministic }
+         * @returns {Uint8Array} - Signature
+         */
+        sign(secretKey, message, { context = new Uint8Array(0), deterministic = false } = {}) {
+            const { n } = this.params;
+            if (!(secretKey instanceof Uint8Array) || secretKey.length !== this.params.secretKeySize) {
+                throw new Error(`Invalid ${this.name} secret key length`);
+            }
+            // The deterministic variant substitutes PK.seed for the random opt_rand
+            const optRand = deterministic ? secretKey.subarray(2 * n, 3 * n) : randomBytes(n);
+            return this.signInternal(formatSignedMessage(message, context), secretKey, optRand);
+        }
+
+        /**
+         * slh_verify (Algorithm 24)
+         * @param {Uint8Array} publicKey - Verification key
+         * @param {Uint8Array|string} message - Signed message
+         * @param {Uint8Array} signature - Signature to check
+         * @param {object} options - { context }
+         * @returns {boolean} - Verification result
+         */
+        verify(publicKey, message, signature, { context = new Uint8Array(0) } = {}) {
+            const { publicKeySize, signatureSize } = this.params;
+            if (!(publicKey instanceof Uint8Array) || publicKey.length !== publicKeySize ||
+                !(signature instanceof Uint8Array) || signature.length !== signatureSize) {
+                return false;
+            }
+            return this.verifyInternal(formatSignedMessage(message, context), signature, publicKey);
+        }
+
+        /**
+         * slh_sign_internal (Algorithm 19)
+         */
+        signInternal(message, secretKey, optRand) {
+            const { n } = this.params;
+            const skSeed = secretKey.subarray(0, n);
+            const skPrf = secretKey.subarray(n, 2 * n);
+            const pkSeed = secretKey.subarray(2 * n, 3 * n);
+            const pkRoot = secretKey.subarray(3 * n);
+            const ctx = this.hashContext(pkSeed, skSeed);
+
+            const R = this.prfMsg(skPrf, optRand, message);
+            const { md, idxTree, idxLeaf } = this.splitDigest(this.hashMessage(R, pkSeed, pkRoot, message));
+
+            const adrs = new SLHAddress();
+            adrs.setTreeAddress(idxTree);
+            adrs.setTypeAndClear(SLH_ADDRESS_TYPE.FORS_TREE);
+            adrs.setKeyPairAddress(idxLeaf);
+            const forsSignature = this.forsSign(ctx, md, adrs);
+            const forsPublicKey = this.forsPkFromSig(ctx, forsSignature, md, adrs);
+            const htSignature = this.htSign(ctx, forsPublicKey, idxTree, idxLeaf);
+
+            return concatBytes(R, forsSignature, htSignature);
+        }
+
+        /**
+         * slh_verify_internal (Algorithm 20)
+         */
+        verifyInternal(message, signature, publicKey) {
+            const { n, k, a } = this.params;
+            const pkSeed = publicKey.subarray(0, n);
+            const pkRoot = publicKey.subarray(n);
+            const ctx = this.hashContext(pkSeed, null);
+
+            const R = signature.subarray(0, n);
+            const forsSignature = signature.subarray(n, n * (1 + k * (1 + a)));
+            const htSignature = signature.subarray(n * (1 + k * (1 + a)));
+            const { md, idxTree, idxLeaf } = this.splitDigest(this.hashMessage(R, pkSeed, pkRoot, message));
+
+            const adrs = new SLHAddress();
+            adrs.setTreeAddress(idxTree);
+            adrs.setTypeAndClear(SLH_ADDRESS_TYPE.FORS_TREE);
+            adrs.setKeyPairAddress(idxLeaf);
+            const forsPublicKey = this.forsPkFromSig(ctx, forsSignature, md, adrs);
+            return this.htVerify(ctx, forsPublicKey, htSignature, idxTree, idxLeaf, pkRoot);
+        }
+
+        /**
+         * Split H_msg output into the FORS digest and the hypertree/leaf indices
+         */
+        splitDigest(digest) {
+            const { k, a, h, hPrime } = this.params;
+            const mdLength = Math.ceil(k * a / 8);
+            const treeLength = Math.ceil((h - hPrime) / 8);
+            const leafLength = Math.ceil(hPrime / 8);
+            const treeBytes = digest.subarray(mdLength, mdLength + treeLength);
+            const leafBytes = digest.subarray(mdLength + treeLength, mdLength + treeLength + leafLength);
+
+            return {
+                md: digest.subarray(0, mdLength),
+                idxTree: BigInt('0x' + bytesToHex(treeBytes)) & ((1n << BigInt(h - hPrime)) - 1n),
+                idxLeaf: parseInt(bytesToHex(leafBytes), 16) & ((1 << hPrime) - 1)
+            };
+        }
+
+        /**
+         * Tweakable hash F/H/T_l and PRF bound to PK.seed (FIPS 205 sections 11.1 and 11.2)
+         * @returns {object} - { thash(adrs, ...blocks), prf(adrs) }
+         */
+        hashContext(pkSeed, skSeed) {
+            const { n, family } = this.params;
+            let thash;
+            if (family === 'sha2') {
+                const seeded = sha256Midstate(concatBytes(pkSeed, new Uint8Array(64 - n)));
+                thash = (adrs, ...blocks) => sha256(concatBytes(adrs.compressed(), ...blocks), seeded).subarray(0, n);
+            } else {
+                thash = (adrs, ...blocks) => shake256(concatBytes(pkSeed, adrs.bytes, ...blocks), n);
+            }
+            return {
+                thash,
+                prf: (adrs) => thash(adrs, skSeed)
+            };
+        }
+
+        /**
+         * PRF_msg(SK.prf, opt_rand, M)
+         */
+        prfMsg(skPrf, optRand, message) {
+            const { n, family } = this.params;
+            if (family === 'sha2') {
+                return hmacSha256(skPrf, concatBytes(optRand, message)).subarray(0, n);
+            }
+            return shake256(concatBytes(skPrf, optRand, message), n);
+        }
+
+        /**
+         * H_msg(R, PK.seed, PK.root, M)
+         */
+        hashMessage(R, pkSeed, pkRoot, message) {
+            const { m, family } = this.params;
+            if (family === 'sha2') {
+                const inner = sha256(concatBytes(R, pkSeed, pkRoot, message));
+                return mgf1Sha256(concatBytes(R, pkSeed, inner), m);
+            }
+            return shake256(concatBytes(R, pkSeed, pkRoot, message), m);
+        }
+
+        /**
+         * Message digits plus checksum digits for WOTS+ (Algorithms 7 and 10)
+         */
+        wotsDigits(message) {
+            const { lgw } = this.params;
+            const digits = base2b(message, lgw, this.len1);
+            let checksum = 0;
+            for (const digit of digits) {
+                checksum += this.w - 1 - digit;
+            }
+            checksum <<= (8 - ((this.len2 * lgw) % 8)) % 8;
+            const checksumBytes = new Uint8Array(Math.ceil(this.len2 * lgw / 8));
+            for (let i = checksumBytes.length - 1; i >= 0; i--) {
+                checksumBytes[i] = checksum & 0xff;
+                checksum >>>= 8;
+            }
+            return digits.concat(base2b(checksumBytes, lgw, this.len2));
+        }
+
+        /**
+         * chain (Algorithm 5)
+         */
+        chain(ctx, x, start, steps, adrs) {
+            let tmp = x;
+            for (let j = start; j < start + steps; j++) {
+                adrs.setHashAddress(j);
+                tmp = ctx.thash(adrs, tmp);
+            }
+            return tmp;
+        }
+
+        /**
+         * WOTS+ secret value for one chain, derived from SK.seed
+         */
+        wotsSecret(ctx, adrs, chainIndex) {
+            const skAdrs = adrs.copy();
+            skAdrs.setTypeAndClear(SLH_ADDRESS_TYPE.WOTS_PRF);
+            skAdrs.setKeyPairAddress(adrs.getKeyPairAddress());
+            skAdrs.setChainAddress(chainIndex);
+            return ctx.prf(skAdrs);
+        }
+
+        /**
+         * Compress the chain ends into a WOTS+ public key with T_len
+         */
+        wotsCompress(ctx, adrs, ends) {
+            const pkAdrs = adrs.copy();
+            pkAdrs.setTypeAndClear(SLH_ADDRESS_TYPE.WOTS_PK);
+            pkAdrs.setKeyPairAddress(adrs.getKeyPairAddress());
+            return ctx.thash(pkAdrs, ...ends);
+        }
+
+        /**
+         * wots_pkGen (Algorithm 6)
+         */
+        wotsPkGen(ctx, adrs) {
+            const ends = [];
+            for (let i = 0; i < this.len; i++) {
+                const sk = this.wotsSecret(ctx, adrs, i);
+                adrs.setChainAddress(i);
+                ends.push(this.chain(ctx, sk, 0, this.w - 1, adrs));
+            }
+            return this.wotsCompress(ctx, adrs, ends);
+        }
+
+        /**
+         * wots_sign (Algorithm 7)
+         */
+        wotsSign(ctx, message, adrs) {
+            const digits = this.wotsDigits(message);
+            const signature = [];
+            for (let i = 0; i < this.len; i++) {
+                const sk = this.wotsSecret(ctx, adrs, i);
+                adrs.setChainAddress(i);
+                signature.push(this.chain(ctx, sk, 0, digits[i], adrs));
+            }
+            return concatBytes(...signature);
+        }
+
+        /**
+         * wots_pkFromSig (Algorithm 8)
+         */
+        wotsPkFromSig(ctx, signature, message, adrs) {
+            const { n } = this.params;
+            const digits = this.wotsDigits(message);
+            const ends = [];
+            for (let i = 0; i < this.len; i++) {
+                adrs.setChainAddress(i);
+                ends.push(this.chain(ctx, signature.subarray(i * n, (i + 1) * n), digits[i], this.w - 1 - digits[i], adrs));
+            }
+            return this.wotsCompress(ctx, adrs, ends);
+        }
+
+        /**
+         * xmss_node (Algorithm 9)
+         */
+        xmssNode(ctx, i, z, adrs) {
+            if (z === 0) {
+                adrs.setTypeAndClear(SLH_ADDRESS_TYPE.WOTS_HASH);
+                adrs.setKeyPairAddress(i);
+                return this.wotsPkGen(ctx, adrs);
+            }
+            const left = this.xmssNode(ctx, 2 * i, z - 1, adrs);
+            const right = this.xmssNode(ctx, 2 * i + 1, z - 1, adrs);
+            adrs.setTypeAndClear(SLH_ADDRESS_TYPE.TREE);
+            adrs.setTreeHeight(z);
+            adrs.setTreeIndex(i);
+            return ctx.thash(adrs, left, right);
+        }
+
+        /**
+         * xmss_sign (Algorithm 10)
+         */
+        xmssSign(ctx, message, idx, adrs) {
+            const auth = [];
+            for (let j = 0; j < this.params.hPrime; j++) {
+                auth.push(this.xmssNode(ctx, Math.floor(idx / 2 ** j) ^ 1, j, adrs));
+            }
+            adrs.setTypeAndClear(SLH_ADDRESS_TYPE.WOTS_HASH);
+            adrs.setKeyPairAddress(idx);
+            return concatBytes(this.wotsSign(ctx, message, adrs), ...auth);
+        }
+
+        /**
+         * xmss_pkFromSig (Algorithm 11)
+         */
+        xmssPkFromSig(ctx, idx, signature, message, adrs) {
+            const { n, hPrime } = this.params;
+            adrs.setTypeAndClear(SLH_ADDRESS_TYPE.WOTS_HASH);
+            adrs.setKeyPairAddress(idx);
+            let node = this.wotsPkFromSig(ctx, signature.subarray(0, this.len * n), message, adrs);
+
+            adrs.setTypeAndClear(SLH_ADDRESS_TYPE.TREE);
+            adrs.setTreeIndex(idx);
+            for (let k = 0; k < hPrime; k++) {
+                const authNode = signature.subarray((this.len + k) * n, (this.len + k + 1) * n);
+                adrs.setTreeHeight(k + 1);
+                if (Math.floor(idx / 2 ** k) % 2 === 0) {
+                    adrs.setTreeIndex(adrs.getTreeIndex() / 2);
+                    node = ctx.thash(adrs, node, authNode);
+                } else {
+                    adrs.setTreeIndex((adrs.getTreeIndex() - 1) / 2);
+                    node = ctx.thash(adrs, authNode, node);
+                }
+            }
+            return node;
+        }
+
+        /**
+         * ht_sign (Algorithm 12)
+         */
+        htSign(ctx, message, idxTree, idxLeaf) {
+            const { d, hPrime } = this.params;
+            const adrs = new SLHAddress();
+            adrs.setTreeAddress(idxTree);
+            let xmssSignature = this.xmssSign(ctx, message, idxLeaf, adrs);
+            const signature = [xmssSignature];
+            let root = this.xmssPkFromSig(ctx, idxLeaf, xmssSignature, message, adrs);
+
+            for (let j = 1; j < d; j++) {
+                idxLeaf = Number(idxTree & BigInt((1 << hPrime) - 1));
+                idxTree >>= BigInt(hPrime);
+                adrs.setLayerAddress(j);
+                adrs.setTreeAddress(idxTree);
+                xmssSignature = this.xmssSign(ctx, root, idxLeaf, adrs);
+                signature.push(xmssSignature);
+                if (j < d - 1) {
+                    root = this.xmssPkFromSig(ctx, idxLeaf, xmssSignature, root, adrs);
+                }
+            }
+            return concatBytes(...signature);
+        }
+
+        /**
+         * ht_verify (Algorithm 13)
+         */
+        htVerify(ctx, message, signature, idxTree, idxLeaf, pkRoot) {
+            const { n, d, hPrime } = this.params;
+            const xmssLength = (this.len + hPrime) * n;
+            const adrs = new SLHAddress();
+            adrs.setTreeAddress(idxTree);
+            let node = this.xmssPkFromSig(ctx, idxLeaf, signature.subarray(0, xmssLength), message, adrs);
+
+            for (let j = 1; j < d; j++) {
+                idxLeaf = Number(idxTree & BigInt((1 << hPrime) - 1));
+                idxTree >>= BigInt(hPrime);
+                adrs.setLayerAddress(j);
+                adrs.setTreeAddress(idxTree);
+                node = this.xmssPkFromSig(ctx, idxLeaf, signature.subarray(j * xmssLength, (j + 1) * xmssLength), node, adrs);
+            }
+            return equalBytes(node, pkRoot);
+        }
+
+        /**
+         * fors_skGen (Algorithm 14)
+         */
+        forsSkGen(ctx, adrs, idx) {
+            const skAdrs = adrs.copy();
+            skAdrs.setTypeAndClear(SLH_ADDRESS_TYPE.FORS_PRF);
+            skAdrs.setKeyPairAddress(adrs.getKeyPairAddress());
+            skAdrs.setTreeIndex(idx);
+            return ctx.prf(skAdrs);
+        }
+
+        /**
+         * fors_node (Algorithm 15)
+         */
+        forsNode(ctx, i, z, adrs) {
+            if (z === 0) {
+                const sk = this.forsSkGen(ctx, adrs, i);
+                adrs.setTreeHeight(0);
+                adrs.setTreeIndex(i);
+                return ctx.thash(adrs, sk);
+            }
+            const left = this.forsNode(ctx, 2 * i, z - 1, adrs);
+            const right = this.forsNode(ctx, 2 * i + 1, z - 1, adrs);
+            adrs.setTreeHeight(z);
+            adrs.setTreeIndex(i);
+            return ctx.thash(adrs, left, right);
+        }
+
+        /**
+         * fors_sign (Algorithm 16)
+         */
+        forsSign(ctx, md, adrs) {
+            const { k, a } = this.params;
+            const indices = base2b(md, a, k);
+            const signature = [];
+            for (let i = 0; i < k; i++) {
+                signature.push(this.forsSkGen(ctx, adrs, i * 2 ** a + indices[i]));
+                for (let j = 0; j < a; j++) {
+                    const s = Math.floor(indices[i] / 2 ** j) ^ 1;
+                    signature.push(this.forsNode(ctx, i * 2 ** (a - j) + s, j, adrs));
+                }
+            }
+            return concatBytes(...signature);
+        }
+
+        /**
+         * fors_pkFromSig (Algorithm 17)
+         */
+        forsPkFromSig(ctx, signature, md, adrs) {
+            const { n, k, a } = this.params;
+            const indices = base2b(md, a, k);
+            const roots = [];
+            for (let i = 0; i < k; i++) {
+                const offset = i * (a + 1) * n;
+                adrs.setTreeHeight(0);
+                adrs.setTreeIndex(i * 2 ** a + indices[i]);
+                let node = ctx.thash(adrs, signature.subarray(offset, offset + n));
+
+                for (let j = 0; j < a; j++) {
+                    const authNode = signature.subarray(offset + (j + 1) * n, offset + (j + 2) * n);
+                    adrs.setTreeHeight(j + 1);
+                    if (Math.floor(indices[i] / 2 ** j) % 2 === 0) {
+                        adrs.setTreeIndex(adrs.getTreeIndex() / 2);
+                        node = ctx.thash(adrs, node, authNode);
+                    } else {
+                        adrs.setTreeIndex((adrs.getTreeIndex() - 1) / 2);
+                        node = ctx.thash(adrs, authNode, node);
+                    }
+                }
+                roots.push(node);
+            }
+
+            const rootsAdrs = adrs.copy();
+            rootsAdrs.setTypeAndClear(SLH_ADDRESS_TYPE.FORS_ROOTS);
+            rootsAdrs.setKeyPairAddress(adrs.getKeyPairAddress());
+            return ctx.thash(rootsAdrs, ...roots);
+        }
+    }
+
+    /**
+     * base_2b (Algorithm 4) - split a byte string into b-bit unsigned integers
+     */
+    function base2b(bytes, b, outLength) {
+        const out = [];
+        let pos = 0;
+        let bits = 0;
+        let total = 0;
+        for (let i = 0; i < outLength; i++) {
+            while (bits < b) {
+                total = ((total << 8) | bytes[pos++]) & 0xffffff;
+                bits += 8;
+            }
+            bits -= b;
+            out.push((total >>> bits) & ((1 << b) - 1));
+        }
+        return out;
+    }
+
+    /**
+     * MGF1 with SHA-256 (RFC 8017), used by H_msg for the SHA2 parameter sets
+     */
+    function mgf1Sha256(seed, length) {
+        const blocks = [];
+        for (let counter = 0; blocks.length * 32 < length; counter++) {
+            const c = new Uint8Array([counter >>> 24, (counter >>> 16) & 0xff, (counter >>> 8) & 0xff, counter & 0xff]);
+            blocks.push(sha256(concatBytes(seed, c)));
+        }
+        return concatBytes(...blocks).subarray(0, length);
+    }
+
+    // ============================================================================
+    // Algorithm and cipher-suite registry (crypto agility)
+    // ============================================================================
+
+    /**
+     * Algorithm and cipher-suite registry
+     *
+     * Every primitive registers under an identifier with its standard, NIST
+     * security category (1 = AES-128 key search ... 5 = AES-256 key search) and a
+     * factory. Cipher suites then name one KEM, signature scheme, AEAD and KDF by
+     * identifier. Chat code only ever asks for a suite, so adding, swapping or
+     * retiring an algorithm is a registry change: retired entries stay resolvable
+     * for reporting but can no longer be picked for new keys or accepted from peers.
+     */
+    const ALGORITHM_REGISTRY = new Map();
+    const SUITE_REGISTRY = new Map();
+    const DEFAULT_SUITE = 'QC-MLKEM1024-MLDSA65';
+
+    /**
+     * Register a primitive
+     * @param {object} entry - { id, type ('kem' | 'signature' | 'aead' | 'kdf'), standard, nistCategory, quantumSafe, status, create }
+     */
+    function registerAlgorithm({ id, type, standard, nistCategory, quantumSafe = true, status = 'active', create = null }) {
+        if (ALGORITHM_REGISTRY.has(id)) {
+            throw new Error(`Algorithm already registered: ${id}`);
+        }
+        ALGORITHM_REGISTRY.set(id, { id, type, standard, nistCategory, quantumSafe, status, create });
+    }
+
+    /**
+     * Register a cipher suite built from registered primitives
+     * @param {object} entry - { id (numeric wire ID), name, kem, signature, aead, kdf, status }
+     */
+    function registerSuite({ id, name, kem, signature, aead = 'AES-256-GCM', kdf = 'HKDF-SHA256', status = 'active' }) {
+        for (const [type, algorithm] of Object.entries({ kem, signature, aead, kdf })) {
+            if (getAlgorithm(algorithm).type !== type) {
+                throw new Error(`${algorithm} is not a ${type}`);
+            }
+        }
+        if (SUITE_REGISTRY.has(name) || [...SUITE_REGISTRY.values()].some(suite => suite.id === id)) {
+            throw new Error(`Suite already registered: ${name}`);
+        }
+        SUITE_REGISTRY.set(name, { id, name, kem, signature, aead, kdf, status });
+    }
+
+    /**
+     * Look up a registered primitive
+     * @param {string} id - Algorithm identifier
+     * @param {object} options - { type: expected type, active: reject retired entries }
+     */
+    function getAlgorithm(id, { type = null, active = false } = {}) {
+        const entry = ALGORITHM_REGISTRY.get(id);
+        if (!entry || (type && entry.type !== type)) {
+            throw new Error(`Unsupported ${type || 'algorithm'}: ${id}`);
+        }
+        if (active && entry.status !== 'active') {
+            throw new Error(`${id} has been retired`);
+        }
+        return entry;
+    }
+
+    /**
+     * Look up a suite by name or numeric ID
+     * @param {string|number} nameOrId - Suite name or wire ID
+     * @param {object} options - { active: reject retired suites and suites using retired algorithms }
+     */
+    function getSuite(nameOrId, { active = false } = {}) {
+        const suite = typeof nameOrId === 'number' ?
+            [...SUITE_REGISTRY.values()].find(entry => entry.id === nameOrId) :
+            SUITE_REGISTRY.get(nameOrId);
+        if (!suite) {
+            throw new Error(`Unsupported cipher suite: ${nameOrId}`);
+        }
+        if (active && !isSuiteActive(suite)) {
+            throw new Error(`Cipher suite ${suite.name} has been retired`);
+        }
+        return suite;
+    }
+
+    /**
+     * Find the suite combining a KEM and a signature scheme
+     */
+    function findSuite({ kem, signature }) {
+        const suite = [...SUITE_REGISTRY.values()].find(entry => entry.kem === kem && entry.signature === signature);
+        if (!suite) {
+            throw new Error(`No cipher suite combines ${kem} with ${signature}`);
+        }
+        return suite;
+    }
+
+    function isSuiteActive(suite) {
+        return suite.status === 'active' &&
+            [suite.kem, suite.signature, suite.aead, suite.kdf].every(id => ALGORITHM_REGISTRY.get(id).status === 'active');
+    }
+
+    /**
+     * Registered primitives with their parameters, for reporting
+     * @param {object} filter - { type, includeRetired }
+     */
+    function listAlgorithms({ type = null, includeRetired = false } = {}) {
+        return [...ALGORITHM_REGISTRY.values()]
+            .filter(entry => (!type || entry.type === type) && (includeRetired || entry.status === 'active'))
+            .map(({ create, ...entry }) => ({ ...entry, params: create ? { ...create().params } : undefined }));
+    }
+
+    /**
+     * Registered cipher suites, for reporting and for client pickers
+     * @param {object} filter - { includeRetired }
+     */
+    function listSuites({ includeRetired = false } = {}) {
+        return [...SUITE_REGISTRY.values()]
+            .filter(suite => includeRetired || isSuiteActive(suite))
+            .map(suite => ({ ...suite, nistCategory: suiteCategory(suite), quantumSafe: isSuiteQuantumSafe(suite) }));
+    }
+
+    /**
+     * A suite is only as strong as its weakest component; with a component that is not
+     * quantum-safe it has no NIST category at all (null)
+     */
+    function suiteCategory(suite) {
+        if (!isSuiteQuantumSafe(suite)) {
+            return null;
+        }
+        return Math.min(...[suite.kem, suite.signature, suite.aead, suite.kdf].map(id => ALGORITHM_REGISTRY.get(id).nistCategory));
+    }
+
+    function isSuiteQuantumSafe(suite) {
+        return [suite.kem, suite.signature, suite.aead, suite.kdf].every(id => ALGORITHM_REGISTRY.get(id).quantumSafe);
+    }
+
+    /**
+     * 'Level 1' ... 'Level 5' for a registered algorithm, or 'Not quantum-safe'
+     */
+    function securityLevel(id) {
+        const { quantumSafe, nistCategory } = getAlgorithm(id);
+        return quantumSafe ? `Level ${nistCategory}` : 'Not quantum-safe';
+    }
+
+    /**
+     * Instantiate a registered KEM
+     * @param {string} name - e.g. 'ML-KEM-1024' or 'X25519+ML-KEM-1024'
+     * @returns {MLKEM|HybridKEM|RsaOaepKEM|EcdhP256KEM} - KEM exposing keyGen/encapsulate/decapsulate; the
+     *                                                     classical ones return promises, so callers await all three
+     */
+    function createKEM(name) {
+        return getAlgorithm(name, { type: 'kem', active: true }).create();
+    }
+
+    /**
+     * Instantiate a registered signature scheme
+     * @param {string} name - e.g. 'ML-DSA-65' or 'SLH-DSA-SHA2-128s'
+     * @returns {MLDSA|SLHDSA} - Signer exposing keyGen/sign/verify
+     */
+    function createSigner(name) {
+        return getAlgorithm(name, { type: 'signature', active: true }).create();
+    }
+
+    registerAlgorithm({ id: 'ML-KEM-1024', type: 'kem', standard: 'FIPS 203', nistCategory: 5, create: () => new MLKEM('ML-KEM-1024') });
+    registerAlgorithm({ id: HYBRID_KEM_NAME, type: 'kem', standard: 'FIPS 203 + RFC 7748, X-Wing-style combiner', nistCategory: 5, create: () => new HybridKEM(HYBRID_KEM_NAME) });
+    registerAlgorithm({ id: 'ML-DSA-65', type: 'signature', standard: 'FIPS 204', nistCategory: 3, create: () => new MLDSA('ML-DSA-65') });
+    for (const name of Object.keys(SLH_DSA_PARAMS)) {
+        registerAlgorithm({ id: name, type: 'signature', standard: 'FIPS 205', nistCategory: 1, create: () => new SLHDSA(name) });
+    }
+    if (typeof backend.rsaOaepKeyGen === 'function') {
+        registerAlgorithm({ id: RSA_KEM_NAME, type: 'kem', standard: 'RFC 8017 (RSA-OAEP, SHA-256)', nistCategory: null, quantumSafe: false, create: () => new RsaOaepKEM(RSA_KEM_NAME) });
+    }
+    if (typeof backend.ecdhP256KeyGen === 'function') {
+        registerAlgorithm({ id: ECDH_KEM_NAME, type: 'kem', standard: 'SP 800-56A (ECDH P-256)', nistCategory: null, quantumSafe: false, create: () => new EcdhP256KEM(ECDH_KEM_NAME) });
+    }
+    registerAlgorithm({ id: 'AES-256-GCM', type: 'aead', standard: 'NIST SP 800-38D', nistCategory: 5 });
+    registerAlgorithm({ id: 'HKDF-SHA256', type: 'kdf', standard: 'RFC 5869', nistCategory: 5 });
+
+    registerSuite({ id: 1, name: DEFAULT_SUITE, kem: 'ML-KEM-1024', signature: 'ML-DSA-65' });
+    registerSuite({ id: 2, name: 'QC-X25519MLKEM1024-MLDSA65', kem: HYBRID_KEM_NAME, signature: 'ML-DSA-65' });
+    registerSuite({ id: 3, name: 'QC-MLKEM1024-SLHDSA-SHA2-128s', kem: 'ML-KEM-1024', signature: 'SLH-DSA-SHA2-128s' });
+    registerSuite({ id: 4, name: 'QC-MLKEM1024-SLHDSA-SHAKE-128s', kem: 'ML-KEM-1024', signature: 'SLH-DSA-SHAKE-128s' });
+    registerSuite({ id: 5, name: 'QC-MLKEM1024-SLHDSA-SHA2-128f', kem: 'ML-KEM-1024', signature: 'SLH-DSA-SHA2-128f' });
+    registerSuite({ id: 6, name: 'QC-MLKEM1024-SLHDSA-SHAKE-128f', kem: 'ML-KEM-1024', signature: 'SLH-DSA-SHAKE-128f' });
+    registerSuite({ id: 7, name: 'QC-X25519MLKEM1024-SLHDSA-SHA2-128s', kem: HYBRID_KEM_NAME, signature: 'SLH-DSA-SHA2-128s' });
+    // Classical comparison suites: what a harvested session looks like once Shor's algorithm runs (src/crypto/harvest.js)
+    if (ALGORITHM_REGISTRY.has(RSA_KEM_NAME)) {
+        registerSuite({ id: 8, name: 'QC-RSA2048-MLDSA65', kem: RSA_KEM_NAME, signature: 'ML-DSA-65' });
+    }
+    if (ALGORITHM_REGISTRY.has(ECDH_KEM_NAME)) {
+        registerSuite({ id: 9, name: 'QC-ECDHP256-MLDSA65', kem: ECDH_KEM_NAME, signature: 'ML-DSA-65' });
+    }
+
+    // Active post-quantum KEMs and signature schemes a client may pick for its keys
+    const KEM_ALGORITHMS = listAlgorithms({ type: 'kem' }).filter(entry => entry.quantumSafe).map(entry => entry.id);
+    const SIGNATURE_ALGORITHMS = listAlgorithms({ type: 'signature' }).map(entry => entry.id);
+
+    // ============================================================================
+    // Secret handling
+    // ============================================================================
+
+    const DEFAULT_SESSION_LIFETIME_MS = 60 * 60 * 1000; // Session keys are wiped an hour after the key exchange
+    const MAX_TIMER_MS = 2 ** 31 - 1; // Longest delay setTimeout honours
+
+    /**
+     * Constant-time equality for MACs, tags, signature checks and key material
+     * Only the lengths (which are public) can make it return early.
+     * @param {Uint8Array} a
+     * @param {Uint8Array} b
+     * @returns {boolean}
+     */
+    const constantTimeEqual = equalBytes;
+
+    /**
+     * Whether a KEM private key belongs to a public key
+     * Decapsulation only recovers a secret encapsulated to the public key when it does.
+     * @param {object} kem - From createKEM()
+     * @returns {Promise<boolean>}
+     */
+    async function kemKeyPairMatches(kem, publicKey, secretKey) {
+        const { ciphertext, sharedSecret } = await kem.encapsulate(publicKey);
+        let recovered;
+        try {
+            recovered = await kem.decapsulate(secretKey, ciphertext);
+        } catch (decapsulationError) {
+            recovered = new Uint8Array(0); // RSA-OAEP rejects a foreign ciphertext outright
+        }
+        const matches = constantTimeEqual(recovered, sharedSecret);
+        zeroize(recovered, sharedSecret);
+        return matches;
+    }
+
+    // ============================================================================
+    // Session key schedule (HKDF-SHA256, RFC 5869)
+    // ============================================================================
+
+    const SESSION_KDF_SALT = new TextEncoder().encode('QuantumChat-session-v1');
+    const SESSION_KEY_SIZE = 32;
+    const KEY_CONFIRMATION_LABEL = 'QuantumChat key confirmation';
+
+    /**
+     * Derive the per-peer session keys from a KEM shared secret
+     * One HKDF output is split into a key for each direction plus a header key
+     * and a key-confirmation key. The info string binds the KEM and both client
+     * IDs (in sorted order, so both ends compute the same block); each side then
+     * picks its send and receive keys by which end of the ordering it is on.
+     * @param {Uint8Array} sharedSecret - KEM shared secret
+     * @param {string} selfId - Our client ID
+     * @param {string} peerId - The peer's client ID
+     * @param {string} kemAlgorithm - KEM that produced the secret
+     * @returns {object} - { sendKey, receiveKey, headerKey, confirmKey }
+     */
+    function deriveSessionKeys(sharedSecret, selfId, peerId, kemAlgorithm) {
+        if (!selfId || !peerId || selfId === peerId) {
+            throw new Error('Session keys need two distinct client IDs');
+        }
+        const [low, high] = [selfId, peerId].sort();
+        const info = new TextEncoder().encode(JSON.stringify(['QuantumChat session keys', kemAlgorithm, low, high]));
+        const block = hkdfSha256(sharedSecret, SESSION_KDF_SALT, info, 4 * SESSION_KEY_SIZE);
+        const keys = [0, 1, 2, 3].map(i => block.slice(i * SESSION_KEY_SIZE, (i + 1) * SESSION_KEY_SIZE));
+        zeroize(block);
+        const [lowToHigh, highToLow, headerKey, confirmKey] = keys;
+
+        return selfId === low ?
+            { sendKey: lowToHigh, receiveKey: highToLow, headerKey, confirmKey } :
+            { sendKey: highToLow, receiveKey: lowToHigh, headerKey, confirmKey };
+    }
+
+    /**
+     * Key-confirmation tag proving the sender derived the same session keys
+     * The direction is part of the MAC input, so a tag cannot be reflected back.
+     */
+    function computeKeyConfirmation(confirmKey, sender, recipient) {
+        return hmacSha256(confirmKey, new TextEncoder().encode(JSON.stringify([KEY_CONFIRMATION_LABEL, sender, recipient])));
+    }
+
+    // ============================================================================
+    // Post-quantum double ratchet
+    // ============================================================================
+
+    const RATCHET_ROOT_INFO = new TextEncoder().encode('QuantumChat ratchet root');
+    const RATCHET_INTERVAL = 20; // Re-encapsulate at least every this many messages per direction
+    const RATCHET_MAX_SKIP = RATCHET_INTERVAL; // Skipped message keys derived in one go; no epoch holds more messages
+    const RATCHET_MAX_STORED_KEYS = 1000; // Skipped message keys kept per session
+
+    /**
+     * Short identifier for a ratchet public key, carried in message headers
+     */
+    function ratchetKeyId(publicKey) {
+        return bytesToHex(sha3_256(publicKey).subarray(0, 8));
+    }
+
+    /**
+     * Root KDF: mix a fresh KEM secret into a root key, giving the next root and chain keys
+     */
+    function ratchetRootStep(rootKey, kemSecret) {
+        const block = hkdfSha256(kemSecret, rootKey, RATCHET_ROOT_INFO, 64);
+        return { rootKey: block.subarray(0, 32), chainKey: block.subarray(32, 64) };
+    }
+
+    /**
+     * Chain KDF: derive one message key and advance the chain
+     */
+    function ratchetChainStep(chainKey) {
+        return {
+            messageKey: hmacSha256(chainKey, Uint8Array.of(0x01)),
+            chainKey: hmacSha256(chainKey, Uint8Array.of(0x02))
+        };
+    }
+
+    /**
+     * Double ratchet over one peer session
+     *
+     * Every message gets its own key from an HMAC chain (forward secrecy). Each
+     * direction also has its own root key, seeded with that direction's session
+     * key; the sender starts a new epoch by encapsulating to the peer's newest
+     * ratchet public key and mixing the KEM secret into its root key. That happens
+     * whenever the peer has advertised a new ratchet key, and at least every
+     * RATCHET_INTERVAL messages, so a compromised state heals once fresh KEM
+     * secrets flow again (post-compromise security). Each new epoch also
+     * advertises a fresh ratchet key pair of our own.
+     *
+     * Because the directions never share a root, both sides can ratchet at the
+     * same time. Messages inside an epoch, and the tail of the previous epoch, may
+     * arrive out of order: keys for skipped messages are kept until used. Epochs
+     * of one direction must still be entered in order, since each epoch's KEM
+     * ciphertext travels only in that epoch's messages. A message two or more
+     * epochs ahead is rejected ("Ratchet epoch N is missing") until a message of
+     * every epoch in between has arrived. The skip limit is RATCHET_INTERVAL for
+     * the same reason: an epoch never holds more messages than that.
+     */
+    class DoubleRatchet {
+        /**
+         * @param {object} options
+         * @param {Uint8Array} options.sendRoot - Our directional session key
+         * @param {Uint8Array} options.receiveRoot - The peer's directional session key
+         * @param {object} options.kem - KEM used for our own ratchet key pairs
+         * @param {object} options.ownKeyPair - { publicKey, secretKey } the peer already knows (our registered KEM key)
+         * @param {Uint8Array} options.peerPublicKey - The peer's registered KEM public key, if known
+         * @param {string} options.peerAlgorithm - KEM of the peer's public key
+         * @param {function} options.onKeyPair - Called with { publicKey, secretKey, algorithm } of every ratchet key pair we generate
+         */
+        constructor({ sendRoot, receiveRoot, kem, ownKeyPair, peerPublicKey = null, peerAlgorithm = null, onKeyPair = null }) {
+            this.kem = kem;
+            this.onKeyPair = onKeyPair;
+            this.sendRoot = Uint8Array.from(sendRoot);
+            this.receiveRoot = Uint8Array.from(receiveRoot);
+            this.send = null; // { epoch, chainKey, n, kem }
+            this.receive = { epoch: 0, chainKey: null, n: 0 };
+            this.sendEpoch = 0;
+            this.ownKeys = new Map([[ratchetKeyId(ownKeyPair.publicKey), Uint8Array.from(ownKeyPair.secretKey)]]);
+            this.peerKey = null;
+            if (peerPublicKey) {
+                this.setPeerKey(peerPublicKey, peerAlgorithm);
+            }
+            this.skippedKeys = new Map(); // "epoch:n" -> message key
+        }
+
+        /**
+         * Remember the peer's newest ratchet public key
+         */
+        setPeerKey(publicKey, algorithm) {
+            const keyId = ratchetKeyId(publicKey);
+            if (!this.peerKey || this.peerKey.keyId !== keyId) {
+                createKEM(algorithm); // Rejects unsupported algorithms up front
+                this.peerKey = { publicKey: Uint8Array.from(publicKey), algorithm, keyId };
+            }
+        }
+
+        /**
+         * Add one of our own ratchet key pairs that was generated elsewhere
+         * Keys are tried newest last, so add them in the order they were made. This is
+         * how a replay of a recorded session (src/crypto/harvest.js) follows its epochs.
+         */
+        addOwnKey(publicKey, secretKey) {
+            this.ownKeys.set(ratchetKeyId(publicKey), Uint8Array.from(secretKey));
+        }
+
+        /**
+         * Key and header for the next outgoing message
+         * Starts a new epoch (KEM step) when due. Calls must not overlap.
+         * @returns {Promise<object>} - { header: { epoch, n, pn, kem }, messageKey }
+         */
+        async nextSendKey() {
+            if (!this.peerKey) {
+                throw new Error('No ratchet key known for this peer yet');
+            }
+            if (!this.send || this.send.kem.keyId !== this.peerKey.keyId || this.send.n >= RATCHET_INTERVAL) {
+                await this.stepSendEpoch();
+            }
+
+            const { messageKey, chainKey } = ratchetChainStep(this.send.chainKey);
+            const header = { epoch: this.send.epoch, n: this.send.n, pn: this.send.pn, kem: this.send.kem };
+            zeroize(this.send.chainKey);
+            this.send.chainKey = chainKey;
+            this.send.n++;
+            return { header, messageKey };
+        }
+
+        /**
+         * Encapsulate to the peer's ratchet key and advertise a fresh key pair of our own
+         */
+        async stepSendEpoch() {
+            const peerKey = this.peerKey; // A message received meanwhile may replace it
+            const peerKem = createKEM(peerKey.algorithm);
+            const { ciphertext, sharedSecret } = await peerKem.encapsulate(peerKey.publicKey);
+            const { publicKey, secretKey } = await this.kem.keyGen();
+            this.ownKeys.set(ratchetKeyId(publicKey), secretKey);
+            if (this.onKeyPair) {
+                this.onKeyPair({ publicKey, secretKey, algorithm: this.kem.name });
+            }
+
+            const { rootKey, chainKey } = ratchetRootStep(this.sendRoot, sharedSecret);
+            zeroize(sharedSecret, this.sendRoot, this.send && this.send.chainKey);
+
+            this.sendRoot = rootKey;
+            this.send = {
+                epoch: ++this.sendEpoch,
+                chainKey,
+                n: 0,
+                pn: this.send ? this.send.n : 0,
+                kem: {
+                    algorithm: peerKem.name,
+                    keyId: peerKey.keyId,
+                    ciphertext: bytesToHex(ciphertext),
+                    publicKey: bytesToHex(publicKey),
+                    publicKeyAlgorithm: this.kem.name
+                }
+            };
+        }
+
+        /**
+         * Message key for an incoming header, without touching the ratchet state
+         * Call the returned commit() only once the message authenticated, so forged
+         * headers cannot desynchronise the session. The message key is always the
+         * caller's own copy, to zeroize once it is done with it. Calls must not overlap.
+         * @param {object} header - { epoch, n, pn, kem } from the sender's envelope
+         * @returns {Promise<object>} - { messageKey, commit }
+         */
+        async receiveKey(header) {
+            const { epoch, n, pn, kem } = validateRatchetHeader(header);
+
+            const skippedId = `${epoch}:${n}`;
+            if (this.skippedKeys.has(skippedId)) {
+                const stored = this.skippedKeys.get(skippedId);
+                return {
+                    messageKey: Uint8Array.from(stored),
+                    commit: () => {
+                        zeroize(stored);
+                        this.skippedKeys.delete(skippedId);
+                    }
+                };
+            }
+
+            let receiveRoot = this.receiveRoot;
+            let chain = this.receive;
+            const skipped = [];
+            let peerKey = null;
+            let usedKeyId = null;
+
+            if (epoch === chain.epoch + 1) {
+                // The sender started a new epoch: finish the old chain, then run the root step
+                if (chain.chainKey) {
+                    skipped.push(...this.skipMessageKeys({ ...chain }, pn));
+                }
+                const secretKey = this.ownKeys.get(kem.keyId);
+                if (!secretKey) {
+                    throw new Error('Ratchet step targets an unknown or retired key');
+                }
+                if (kem.algorithm !== this.kem.name) {
+                    throw new Error(`Ratchet step uses ${kem.algorithm}, but our keys are ${this.kem.name}`);
+                }
+                const sharedSecret = await this.kem.decapsulate(secretKey, parseHex(kem.ciphertext));
+                const step = ratchetRootStep(receiveRoot, sharedSecret);
+                zeroize(sharedSecret);
+                receiveRoot = step.rootKey;
+                chain = { epoch, chainKey: step.chainKey, n: 0 };
+                peerKey = { publicKey: parseHex(kem.publicKey), algorithm: kem.publicKeyAlgorithm };
+                usedKeyId = kem.keyId;
+            } else if (epoch === chain.epoch && chain.chainKey) {
+                if (n < chain.n) {
+                    throw new Error('Message key already used or expired');
+                }
+                chain = { ...chain };
+            } else if (epoch > chain.epoch) {
+                throw new Error(`Ratchet epoch ${chain.epoch + 1} is missing`);
+            } else {
+                throw new Error('Message key already used or expired');
+            }
+
+            skipped.push(...this.skipMessageKeys(chain, n));
+            const { messageKey, chainKey } = ratchetChainStep(chain.chainKey);
+            chain.chainKey = chainKey;
+            chain.n = n + 1;
+
+            return {
+                messageKey,
+                commit: () => {
+                    if (receiveRoot !== this.receiveRoot) {
+                        zeroize(this.receiveRoot);
+                    }
+                    zeroize(this.receive.chainKey);
+                    this.receiveRoot = receiveRoot;
+                    this.receive = chain;
+                    for (const [id, key] of skipped) {
+                        this.skippedKeys.set(id, key);
+                    }
+                    while (this.skippedKeys.size > RATCHET_MAX_STORED_KEYS) {
+                        const oldest = this.skippedKeys.keys().next().value;
+                        zeroize(this.skippedKeys.get(oldest));
+                        this.skippedKeys.delete(oldest);
+                    }
+                    if (peerKey) {
+                        this.setPeerKey(peerKey.publicKey, peerKey.algorithm);
+                        this.retireOwnKeysBefore(usedKeyId);
+                    }
+                }
+            };
+        }
+
+        /**
+         * Advance a (copied) chain up to message `until`, returning the skipped keys
+         */
+        skipMessageKeys(chain, until) {
+            if (until - chain.n > RATCHET_MAX_SKIP) {
+                throw new Error('Too many skipped messages');
+            }
+            const skipped = [];
+            while (chain.n < until) {
+                const { messageKey, chainKey } = ratchetChainStep(chain.chainKey);
+                skipped.push([`${chain.epoch}:${chain.n}`, messageKey]);
+                chain.chainKey = chainKey;
+                chain.n++;
+            }
+            return skipped;
+        }
+
+        /**
+         * Drop our ratchet secret keys older than the one the peer just used
+         * The peer always targets the newest key it has seen, so older ones are never needed again.
+         */
+        retireOwnKeysBefore(keyId) {
+            for (const id of [...this.ownKeys.keys()]) {
+                if (id === keyId) {
+                    break;
+                }
+                this.ownKeys.get(id).fill(0);
+                this.ownKeys.delete(id);
+            }
+        }
+
+        /**
+         * Wipe every root, chain, message and ratchet secret key; the ratchet is unusable afterwards
+         */
+        destroy() {
+            zeroize(this.sendRoot, this.receiveRoot, this.send && this.send.chainKey, this.receive.chainKey,
+                ...this.ownKeys.values(), ...this.skippedKeys.values());
+            this.ownKeys.clear();
+            this.skippedKeys.clear();
+            this.send = null;
+            this.receive = { epoch: 0, chainKey: null, n: 0 };
+            this.peerKey = null;
+        }
+    }
+
+    /**
+     * Check the shape of a ratchet header before any key material is derived from it
+     */
+    function validateRatchetHeader(header) {
+        const isCount = (value) => Number.isSafeInteger(value) && value >= 0;
+        if (!header || typeof header !== 'object' || !isCount(header.n) || !isCount(header.pn) ||
+            !Number.isSafeInteger(header.epoch) || header.epoch < 1) {
+            throw new Error('Malformed ratchet header');
+        }
+        const kem = header.kem;
+        if (!kem || typeof kem !== 'object' ||
+            !['algorithm', 'keyId', 'ciphertext', 'publicKey', 'publicKeyAlgorithm'].every(field => typeof kem[field] === 'string')) {
+            throw new Error('Malformed ratchet header');
+        }
+        return header;
+    }
+
+    /**
+     * Strictly decode a hex field, optionally enforcing its byte length
+     */
+    function parseHex(value, length = null) {
+        if (typeof value !== 'string' || value.length % 2 !== 0 || !/^[0-9a-fA-F]*$/.test(value)) {
+            throw new Error('Malformed hex field');
+        }
+        const bytes = hexToBytes(value);
+        if (length !== null && bytes.length !== length) {
+            throw new Error(`Expected ${length} bytes, got ${bytes.length}`);
+        }
+        return bytes;
+    }
+
+    /**
+     * AES-256 key protecting an identity key file, from the passphrase and the file's scrypt parameters
+     */
+    function deriveKeyFileKey(passphrase, { salt, N, r, p }) {
+        return scrypt(KeyFile.passphraseBytes(passphrase), Envelope.fromBase64Url(salt), { N, r, p, dkLen: 32 });
+    }
+
+    // ============================================================================
+    // QuantumCrypto: one client's keys, sessions and messages
+    // ============================================================================
+
+    class QuantumCrypto {
+        /**
+         * @param {object} options - { suite (default QC-MLKEM1024-MLDSA65), clientId }; keyExchange and
+         *                           signatureAlgorithm may be given instead of a suite name to pick the matching suite.
+         *                           sessionLifetimeMs (default one hour, null for no expiry) bounds how long session
+         *                           keys live; onSessionExpired(peerId) is called when they are wiped.
+         *                           keyEscrow({ publicKey, secretKey, algorithm }) receives every classical KEM key
+         *                           pair we generate or import, for the simulated Q-Day (see escrowKeyPair()).
+         */
+        constructor({ suite = null, keyExchange = null, signatureAlgorithm = null, clientId = null,
+            sessionLifetimeMs = DEFAULT_SESSION_LIFETIME_MS, onSessionExpired = null, keyEscrow = null } = {}) {
+            if (sessionLifetimeMs !== null &&
+                (!Number.isSafeInteger(sessionLifetimeMs) || sessionLifetimeMs < 1 || sessionLifetimeMs > MAX_TIMER_MS)) {
+                throw new Error('Session lifetime must be a positive number of milliseconds or null');
+            }
+
+            this.algorithm = 'aes-256-gcm'; // Symmetric encryption (quantum-resistant for now)
+            this.keySize = 32; // 256 bits
+            this.ivSize = 12;  // 96-bit GCM nonce
+            this.tagSize = 16; // 128 bits
+            this.clientId = clientId; // Our ID, authenticated as sender/recipient in every message
+
+            // Enhanced quantum-safe key pairs
+            this.keyPair = null;
+            this.keyCreated = null; // When the identity key pairs were generated, kept across export/import
+            this.sessionKeys = new Map(); // Peer ID -> { sendKey, receiveKey, headerKey, confirmKey }
+            this.ratchets = new Map(); // Peer ID -> DoubleRatchet
+            this.peerPublicKeys = new Map(); // Peer ID -> { publicKey, algorithm } of the peer's registered KEM key
+            this.sessionTimers = new Map(); // Peer ID -> expiry timer
+            this.initiatedKeyExchanges = new Set(); // Peers we encapsulated to ourselves
+            this.receiveQueue = Promise.resolve(); // Decrypts run one at a time so ratchet state stays consistent
+            this.sendQueue = Promise.resolve(); // And so do encrypts
+            this.sessionLifetimeMs = sessionLifetimeMs;
+            this.onSessionExpired = onSessionExpired;
+            this.keyEscrow = keyEscrow;
+            this.signatureKey = null;
+            this.suite = suite || !(keyExchange || signatureAlgorithm) ?
+                getSuite(suite || DEFAULT_SUITE, { active: true }) :
+                findSuite({ kem: keyExchange || 'ML-KEM-1024', signature: signatureAlgorithm || 'ML-DSA-65' });
+            this.kem = createKEM(this.suite.kem);
+            this.signer = createSigner(this.suite.signature);
+
+            console.log(`🛡️ QuantumCrypto initialized (${this.suite.name}, ${backend.name} backend)`);
+        }
+
+        /**
+         * Generate the suite's KEM key pair (ML-KEM-1024, FIPS 203, by default) and signing key
+         * @returns {Promise<object>} - Public key information, as from publicKeyInfo()
+         */
+        async generateKeyPair() {
+            try {
+                const { publicKey, secretKey } = await this.kem.keyGen();
+
+                this.keyPair = {
+                    private: secretKey,
+                    public: publicKey,
+                    algorithm: this.kem.name,
+                    securityLevel: securityLevel(this.kem.name),
+                    keySize: `${publicKey.length} bytes`
+                };
+                this.escrowKeyPair({ publicKey, secretKey, algorithm: this.kem.name });
+
+                // Generate the identity signing key (ML-DSA)
+                const signatureKeys = this.signer.keyGen();
+                this.signatureKey = {
+                    private: signatureKeys.secretKey,
+                    public: signatureKeys.publicKey,
+                    algorithm: this.signer.name
+                };
+
+                this.keyCreated = new Date().toISOString();
+
+                console.log(`🔑 Generated ${isSuiteQuantumSafe(this.suite) ? 'post-quantum' : 'classical'} key pair (${this.kem.name} + ${this.signer.name})`);
+                return this.publicKeyInfo();
+            } catch (error) {
+                console.error('❌ Key generation failed:', error);
+                throw new Error('Failed to generate quantum-safe keys');
+            }
+        }
+
+        /**
+         * Public halves of our key pairs, as registered with the server
+         * @returns {object} - { publicKey, algorithm, securityLevel, suite, signaturePublicKey, signatureAlgorithm }
+         */
+        publicKeyInfo() {
+            return {
+                publicKey: bytesToHex(this.keyPair.public),
+                algorithm: this.kem.name,
+                securityLevel: securityLevel(this.kem.name),
+                suite: this.suite.name,
+                signaturePublicKey: bytesToHex(this.signatureKey.public),
+                signatureAlgorithm: this.signer.name
+            };
+        }
+
+        /**
+         * Export our KEM and signature key pairs as an identity key file
+         * The format is documented in src/frontend/keyfile.js. With a passphrase
+         * the private keys are sealed with AES-256-GCM under an scrypt-derived key.
+         * @param {object} options - { passphrase, format: 'pem' | 'json', scrypt: { N, r, p } }
+         * @returns {Promise<string|object>} - PEM text, or the JSON key file object
+         */
+        async exportKeys({ passphrase = null, format = 'pem', scrypt = {} } = {}) {
+            try {
+                if (!this.keyPair || !this.signatureKey) {
+                    throw new Error('No key pair to export');
+                }
+                if (format !== 'pem' && format !== 'json') {
+                    throw new Error(`Unsupported key file format: ${format}`);
+                }
+
+                let file = KeyFile.build({
+                    suite: this.suite.name,
+                    created: this.keyCreated || undefined,
+                    kem: { algorithm: this.kem.name, publicKey: this.keyPair.public, secretKey: this.keyPair.private },
+                    signature: { algorithm: this.signer.name, publicKey: this.signatureKey.public, secretKey: this.signatureKey.private }
+                });
+                if (passphrase !== null) {
+                    const enc = KeyFile.newEncryptionParams(randomBytes, scrypt);
+                    const key = deriveKeyFileKey(passphrase, enc);
+                    let sealed;
+                    try {
+                        sealed = await backend.aesGcmEncrypt(key, Envelope.fromBase64Url(enc.iv), KeyFile.privatePayload(file),
+                            KeyFile.associatedData({ ...file, enc }));
+                    } finally {
+                        zeroize(key);
+                    }
+                    file = KeyFile.withEncryption(file, enc, sealed.subarray(0, sealed.length - this.tagSize),
+                        sealed.subarray(sealed.length - this.tagSize));
+                }
+
+                console.log(`📤 Exported ${this.suite.name} identity${passphrase !== null ? ' (passphrase-protected)' : ''}`);
+                return format === 'pem' ? KeyFile.armor(file) : file;
+            } catch (error) {
+                console.error('❌ Key export failed:', error);
+                throw new Error(`Failed to export keys: ${error.message}`);
+            }
+        }
+
+        /**
+         * Load KEM and signature key pairs from an identity key file
+         * Switches to the file's cipher suite and drops existing peer sessions,
+         * which are bound to the keys being replaced.
+         * @param {string|object} input - PEM text, JSON text or a key file object
+         * @param {object} options - { passphrase } for protected files
+         * @returns {Promise<object>} - Public key information, as from generateKeyPair()
+         */
+        async importKeys(input, { passphrase = null } = {}) {
+            try {
+                let file = KeyFile.parse(input);
+                if (KeyFile.isEncrypted(file)) {
+                    if (passphrase === null) {
+                        throw new Error('Key file is passphrase-protected');
+                    }
+                    const key = deriveKeyFileKey(passphrase, file.enc);
+                    let payload;
+                    try {
+                        payload = await backend.aesGcmDecrypt(key, Envelope.fromBase64Url(file.enc.iv),
+                            concatBytes(Envelope.fromBase64Url(file.enc.ciphertext), Envelope.fromBase64Url(file.enc.tag)),
+                            KeyFile.associatedData(file));
+                    } catch (authError) {
+                        throw new Error('Wrong passphrase or modified key file');
+                    } finally {
+                        zeroize(key);
+                    }
+                    file = KeyFile.withPrivateKeys(file, payload);
+                }
+
+                const { suite: suiteName, created, kem, signature } = KeyFile.keyMaterial(file);
+                const suite = getSuite(suiteName, { active: true });
+                if (suite.kem !== kem.algorithm || suite.signature !== signature.algorithm) {
+                    throw new Error('Key file algorithms do not match its cipher suite');
+                }
+                const suiteKem = createKEM(suite.kem);
+                const suiteSigner = createSigner(suite.signature);
+                // Classical secret keys are DER with a variable size (null); decapsulation checks those
+                const wrongSize = (key, size) => size !== null && key.length !== size;
+                if (wrongSize(kem.publicKey, suiteKem.params.publicKeySize) || wrongSize(kem.secretKey, suiteKem.params.secretKeySize) ||
+                    wrongSize(signature.publicKey, suiteSigner.params.publicKeySize) || wrongSize(signature.secretKey, suiteSigner.params.secretKeySize)) {
+                    throw new Error('Key file keys have the wrong size');
+                }
+                if (!await kemKeyPairMatches(suiteKem, kem.publicKey, kem.secretKey)) {
+                    throw new Error('KEM private key does not match its public key');
+                }
+
+                this.destroy();
+                this.suite = suite;
+                this.kem = suiteKem;
+                this.signer = suiteSigner;
+                this.keyPair = {
+                    private: kem.secretKey.slice(),
+                    public: kem.publicKey.slice(),
+                    algorithm: suiteKem.name,
+                    securityLevel: securityLevel(suiteKem.name),
+                    keySize: `${kem.publicKey.length} bytes`
+                };
+                this.escrowKeyPair({ publicKey: this.keyPair.public, secretKey: this.keyPair.private, algorithm: suiteKem.name });
+                this.signatureKey = {
+                    private: signature.secretKey.slice(),
+                    public: signature.publicKey.slice(),
+                    algorithm: suiteSigner.name
+                };
+                this.keyCreated = created;
+
+                console.log(`📥 Imported ${suite.name} identity created ${created}`);
+                return this.publicKeyInfo();
+            } catch (error) {
+                console.error('❌ Key import failed:', error);
+                throw new Error(`Failed to import keys: ${error.message}`);
+            }
+        }
+
+        /**
+         * Perform key exchange as the initiator (KEM encapsulation)
+         * The returned ciphertext must be delivered to the peer, who completes
+         * the exchange with completeKeyExchange().
+         * @param {string} peerPublicKey - Peer's KEM public key in hex
+         * @param {string} peerId - Peer ID the session keys are bound to
+         * @param {string} peerAlgorithm - KEM the peer's key belongs to (defaults to the one recorded
+         *                                 by setPeerPublicKey(), then to ours)
+         * @returns {Promise<object>} - { ciphertext (hex), algorithm }
+         */
+        async performKeyExchange(peerPublicKey, peerId, peerAlgorithm = null) {
+            try {
+                // Encapsulate with whatever KEM the recipient chose for its key
+                const known = this.peerPublicKeys.get(peerId);
+                const algorithm = peerAlgorithm || (known && known.algorithm) || this.kem.name;
+                const kem = algorithm === this.kem.name ? this.kem : createKEM(algorithm);
+                this.setPeerPublicKey(peerId, peerPublicKey, kem.name);
+                const { ciphertext, sharedSecret } = await kem.encapsulate(parseHex(peerPublicKey));
+                this.establishSession(sharedSecret, peerId, kem.name);
+                this.initiatedKeyExchanges.add(peerId);
+
+                console.log(`🤝 Encapsulated ${kem.name} shared secret for peer`);
+                return {
+                    ciphertext: bytesToHex(ciphertext),
+                    algorithm: kem.name
+                };
+            } catch (error) {
+                console.error('❌ Key exchange failed:', error);
+                throw new Error(`Failed to establish shared secret: ${error.message}`);
+            }
+        }
+
+        /**
+         * Complete a key exchange as the responder (KEM decapsulation)
+         * Call setPeerPublicKey() first so we can ratchet towards the peer before it writes to us.
+         * Runs in the receive queue, so messages decrypted after this call wait for the session.
+         * @param {string} ciphertext - Ciphertext from the peer's performKeyExchange() in hex
+         * @param {string} peerId - Peer ID the session keys are bound to
+         * @param {string} algorithm - KEM named by the peer (must match our key)
+         * @returns {Promise<boolean>} - True once the session keys are derived
+         */
+        completeKeyExchange(ciphertext, peerId, algorithm = this.kem.name) {
+            const result = this.receiveQueue.then(() => this.completeKeyExchangeNow(ciphertext, peerId, algorithm));
+            this.receiveQueue = result.catch(() => {});
+            return result;
+        }
+
+        /**
+         * Decapsulate and derive the session; see completeKeyExchange()
+         */
+        async completeKeyExchangeNow(ciphertext, peerId, algorithm) {
+            try {
+                if (!this.keyPair) {
+                    throw new Error('No key pair available. Generate keys first.');
+                }
+                if (algorithm !== this.kem.name) {
+                    throw new Error(`Ciphertext is for ${algorithm}, but our key is ${this.kem.name}`);
+                }
+
+                const sharedSecret = await this.kem.decapsulate(this.keyPair.private, parseHex(ciphertext));
+                this.establishSession(sharedSecret, peerId, this.kem.name);
+
+                console.log(`🤝 Decapsulated ${this.kem.name} shared secret from peer`);
+                return true;
+            } catch (error) {
+                console.error('❌ Key exchange failed:', error);
+                throw new Error(`Failed to establish shared secret: ${error.message}`);
+            }
+        }
+
+        /**
+         * Remember a peer's registered KEM public key, the first target of our ratchet
+         * @param {string} peerId - Peer ID
+         * @param {string} publicKey - Peer's KEM public key in hex
+         * @param {string} algorithm - KEM the key belongs to
+         */
+        setPeerPublicKey(peerId, publicKey, algorithm) {
+            this.peerPublicKeys.set(peerId, { publicKey: parseHex(publicKey), algorithm });
+        }
+
+        /**
+         * Run the key schedule for a peer and start a fresh double ratchet on top of it
+         * The raw KEM secret is not kept, any previous session with the peer is
+         * wiped (along with a key exchange we started), and the new one expires
+         * after sessionLifetimeMs.
+         */
+        establishSession(sharedSecret, peerId, kemAlgorithm) {
+            if (!this.keyPair) {
+                throw new Error('No key pair available. Generate keys first.');
+            }
+            const keys = deriveSessionKeys(sharedSecret, this.clientId, peerId, kemAlgorithm);
+            zeroize(sharedSecret);
+            this.destroySession(peerId);
+
+            const peerKey = this.peerPublicKeys.get(peerId);
+            if (this.sessionLifetimeMs !== null) {
+                keys.expiresAt = Date.now() + this.sessionLifetimeMs;
+                const timer = setTimeout(() => this.expireSession(peerId), this.sessionLifetimeMs);
+                if (timer.unref) {
+                    timer.unref(); // An idle session must not keep a Node process alive
+                }
+                this.sessionTimers.set(peerId, timer);
+            }
+            this.sessionKeys.set(peerId, keys);
+            this.ratchets.set(peerId, new DoubleRatchet({
+                sendRoot: keys.sendKey,
+                receiveRoot: keys.receiveKey,
+                kem: this.kem,
+                ownKeyPair: { publicKey: this.keyPair.public, secretKey: this.keyPair.private },
+                peerPublicKey: peerKey ? peerKey.publicKey : null,
+                peerAlgorithm: peerKey ? peerKey.algorithm : null,
+                onKeyPair: (keyPair) => this.escrowKeyPair(keyPair)
+            }));
+        }
+
+        /**
+         * Hand a KEM key pair to the keyEscrow callback, for the classical comparison suites only
+         * Escrow stands in for Shor's algorithm recovering the private key from the
+         * public one, which a recorder of the session would do on Q-Day. Post-quantum
+         * keys have no such attack, so they are never escrowed.
+         */
+        escrowKeyPair({ publicKey, secretKey, algorithm }) {
+            if (this.keyEscrow && !getAlgorithm(algorithm).quantumSafe) {
+                this.keyEscrow({ publicKey: Uint8Array.from(publicKey), secretKey: Uint8Array.from(secretKey), algorithm });
+            }
+        }
+
+        /**
+         * Check if we have session keys with a specific peer
+         * @param {string} peerId - The peer ID to check
+         * @returns {boolean} - True if we share session keys with this peer
+         */
+        hasSharedSecretWith(peerId) {
+            return this.activeSession(peerId) !== null;
+        }
+
+        /**
+         * Session keys for a peer, or null if there are none or they have expired
+         * Expiry is also checked here, so a late timer never leaves old keys usable.
+         */
+        activeSession(peerId) {
+            const session = this.sessionKeys.get(peerId);
+            if (!session) {
+                return null;
+            }
+            if (session.expiresAt !== undefined && Date.now() >= session.expiresAt) {
+                this.expireSession(peerId);
+                return null;
+            }
+            return session;
+        }
+
+        /**
+         * Peers we currently hold live session keys with
+         */
+        sessionPeerIds() {
+            return [...this.sessionKeys.keys()].filter(peerId => this.activeSession(peerId) !== null);
+        }
+
+        /**
+         * Wipe a peer's session once its lifetime is over; a new key exchange is needed to talk again
+         */
+        expireSession(peerId) {
+            if (this.destroySession(peerId)) {
+                console.log('⏰ Session keys expired and were wiped; a new key exchange is required');
+                if (this.onSessionExpired) {
+                    this.onSessionExpired(peerId);
+                }
+            }
+        }
+
+        /**
+         * Zeroize and forget the session keys and ratchet state shared with one peer
+         * The peer's public key is kept so the session can be re-established.
+         * @param {string} peerId - Peer ID
+         * @returns {boolean} - True if there was a session to destroy
+         */
+        destroySession(peerId) {
+            clearTimeout(this.sessionTimers.get(peerId));
+            this.sessionTimers.delete(peerId);
+            this.initiatedKeyExchanges.delete(peerId);
+            const session = this.sessionKeys.get(peerId);
+            const ratchet = this.ratchets.get(peerId);
+            if (session) {
+                zeroize(session.sendKey, session.receiveKey, session.headerKey, session.confirmKey);
+            }
+            if (ratchet) {
+                ratchet.destroy();
+            }
+            this.ratchets.delete(peerId);
+            return this.sessionKeys.delete(peerId);
+        }
+
+        /**
+         * Destroy every peer session, e.g. when the connection to the relay is lost
+         */
+        destroySessions() {
+            for (const peerId of [...this.sessionKeys.keys()]) {
+                this.destroySession(peerId);
+            }
+            this.initiatedKeyExchanges.clear();
+        }
+
+        /**
+         * Destroy every session and zeroize the identity private keys
+         * Generate or import keys again before using this instance.
+         */
+        destroy() {
+            this.destroySessions();
+            this.peerPublicKeys.clear();
+            zeroize(this.keyPair && this.keyPair.private, this.signatureKey && this.signatureKey.private);
+            this.keyPair = null;
+            this.signatureKey = null;
+            this.keyCreated = null;
+        }
+
+        /**
+         * Key-confirmation tag for a peer, sent by the responder once it decapsulated
+         * @param {string} peerId - Peer the tag is for
+         * @returns {string} - HMAC-SHA256 tag in hex
+         */
+        createKeyConfirmation(peerId) {
+            const session = this.activeSession(peerId);
+            if (!session) {
+                throw new Error('No session keys for this peer');
+            }
+            return bytesToHex(computeKeyConfirmation(session.confirmKey, this.clientId, peerId));
+        }
+
+        /**
+         * Check a peer's key-confirmation tag
+         * @param {string} peerId - Peer that sent the tag
+         * @param {string} confirmation - Tag in hex
+         * @returns {boolean} - True if the peer derived the same session keys
+         */
+        verifyKeyConfirmation(peerId, confirmation) {
+            const session = this.activeSession(peerId);
+            if (!session) {
+                return false;
+            }
+            try {
+                const expected = computeKeyConfirmation(session.confirmKey, peerId, this.clientId);
+                return constantTimeEqual(parseHex(confirmation, expected.length), expected);
+            } catch (error) {
+                return false;
+            }
+        }
+
+        /**
+         * Sign a message using post-quantum digital signatures (ML-DSA or SLH-DSA)
+         * @param {string|Uint8Array} message - Message to sign
+         * @returns {object} - Signature data
+         */
+        signMessage(message) {
+            try {
+                if (!this.signatureKey) {
+                    throw new Error('No signature key available');
+                }
+
+                const signature = this.signer.sign(this.signatureKey.private, message, {
+                    context: SIGNATURE_CONTEXT
+                });
+
+                return {
+                    signature: bytesToHex(signature),
+                    algorithm: this.signer.name,
+                    timestamp: Date.now()
+                };
+            } catch (error) {
+                console.error('❌ Message signing failed:', error);
+                throw new Error('Failed to sign message');
+            }
+        }
+
+        /**
+         * Verify a digital signature
+         * @param {string|Uint8Array} message - Original message
+         * @param {object} signatureData - Signature data
+         * @param {string} publicKey - Signer's public key in hex
+         * @returns {boolean} - Verification result
+         */
+        verifySignature(message, signatureData, publicKey) {
+            try {
+                // Peers choose their own signature scheme, so verify with the one they used
+                const verifier = signatureData.algorithm === this.signer.name ?
+                    this.signer : createSigner(signatureData.algorithm);
+
+                return verifier.verify(
+                    parseHex(publicKey),
+                    message,
+                    parseHex(signatureData.signature),
+                    { context: SIGNATURE_CONTEXT }
+                );
+            } catch (error) {
+                console.error('❌ Signature verification failed:', error);
+                return false;
+            }
+        }
+
+        /**
+         * Encrypt a message with AES-256-GCM under the next ratchet message key for a peer
+         * The envelope header (suite, sender, recipient, timestamp, ratchet header and
+         * nonce) is bound to the ciphertext as associated data.
+         * @param {string} message - Plain text message
+         * @param {string} peerId - Recipient peer ID
+         * @returns {Promise<string>} - Binary envelope (see src/frontend/envelope.js), base64url-encoded
+         */
+        encrypt(message, peerId) {
+            const result = this.sendQueue.then(() => this.encryptNow(message, peerId));
+            this.sendQueue = result.catch(() => {});
+            return result;
+        }
+
+        /**
+         * Encrypt one message; see encrypt()
+         */
+        async encryptNow(message, peerId) {
+            let messageKey = null;
+            try {
+                if (!this.activeSession(peerId)) {
+                    throw new Error('No session keys available. Perform key exchange first.');
+                }
+                const next = await this.ratchets.get(peerId).nextSendKey();
+                messageKey = next.messageKey;
+                const ratchetHeader = next.header;
+
+                const header = {
+                    suiteId: this.suite.id,
+                    timestamp: Date.now(),
+                    sender: this.clientId,
+                    recipient: peerId,
+                    ratchet: ratchetHeader,
+                    nonce: randomBytes(this.ivSize)
+                };
+                const sealed = await backend.aesGcmEncrypt(messageKey, header.nonce,
+                    new TextEncoder().encode(String(message)), Envelope.encodeHeader(header));
+
+                console.log(`🔒 Message encrypted with ${this.suite.aead}`);
+                return Envelope.serialize({
+                    ...header,
+                    ciphertext: sealed.subarray(0, sealed.length - this.tagSize),
+                    tag: sealed.subarray(sealed.length - this.tagSize)
+                });
+            } catch (error) {
+                console.error('❌ Encryption failed:', error);
+                throw new Error('Failed to encrypt message');
+            } finally {
+                zeroize(messageKey);
+            }
+        }
+
+        /**
+         * Decrypt and authenticate an AES-256-GCM envelope
+         * Malformed envelopes, tampered ciphertexts or headers, and messages addressed
+         * to another client are rejected. Envelopes are decrypted one at a time in
+         * arrival order, and the ratchet only advances once a message has authenticated.
+         * @param {string} envelope - Base64url envelope produced by encrypt()
+         * @param {string} peerId - Optional expected sender ID
+         * @returns {Promise<string>} - Decrypted plain text
+         */
+        decrypt(envelope, peerId = null) {
+            const result = this.receiveQueue.then(() => this.decryptNow(envelope, peerId));
+            this.receiveQueue = result.catch(() => {});
+            return result;
+        }
+
+        /**
+         * Decrypt one envelope; see decrypt()
+         */
+        async decryptNow(envelope, peerId) {
+            let messageKey = null;
+            try {
+                const { suiteId, sender, recipient, ratchet: ratchetHeader, nonce, ciphertext, tag, header } = Envelope.parse(envelope);
+                // AES-256-GCM is the only registered AEAD; retired suites and AEADs are refused
+                const { aead } = getSuite(suiteId, { active: true });
+                if (aead !== this.suite.aead) {
+                    throw new Error(`Unsupported encryption algorithm: ${aead}`);
+                }
+                if (peerId && sender !== peerId) {
+                    throw new Error('Envelope sender does not match the expected peer');
+                }
+                if (this.clientId && recipient !== this.clientId) {
+                    throw new Error('Message is addressed to a different recipient');
+                }
+
+                if (!this.activeSession(sender)) {
+                    throw new Error('No session keys available. Perform key exchange first.');
+                }
+                if (nonce.length !== this.ivSize || tag.length !== this.tagSize) {
+                    throw new Error('Malformed nonce or authentication tag');
+                }
+                const received = await this.ratchets.get(sender).receiveKey(ratchetHeader);
+                messageKey = received.messageKey;
+
+                let decrypted;
+                try {
+                    decrypted = await backend.aesGcmDecrypt(messageKey, nonce, concatBytes(ciphertext, tag), header);
+                } catch (authError) {
+                    throw new Error('Authentication failed: ciphertext or header was modified');
+                }
+                received.commit();
+
+                console.log('🔓 AES-256-GCM message decrypted and authenticated');
+                return new TextDecoder().decode(decrypted);
+            } catch (error) {
+                console.error('❌ Decryption failed:', error);
+                throw new Error(`Failed to decrypt message: ${error.message}`);
+            } finally {
+                zeroize(messageKey);
+            }
+        }
+
+        /**
+         * Get enhanced security information
+         * @returns {object} - Current security status
+         */
+        getSecurityInfo() {
+            return {
+                algorithm: `${this.suite.name} (${this.suite.kem} + ${this.suite.signature} + ${this.suite.aead} + ${this.suite.kdf})`,
+                suite: { ...this.suite, nistCategory: suiteCategory(this.suite) },
+                keyExchange: this.kem.name,
+                hybrid: this.kem instanceof HybridKEM,
+                keySize: this.keySize * 8, // in bits
+                quantumSafe: isSuiteQuantumSafe(this.suite),
+                keyPairGenerated: !!this.keyPair,
+                sharedSecretEstablished: this.sessionKeys.size > 0,
+                sessionKeySchedule: 'HKDF-SHA256 (send / receive / header / confirmation keys per peer)',
+                forwardSecrecy: `Double ratchet (HMAC-SHA256 message chains, KEM re-encapsulation every turn or ${RATCHET_INTERVAL} messages)`,
+                signatureKeyGenerated: !!this.signatureKey,
+                signatureAlgorithm: this.signer.name,
+                signatureSize: this.signer.params.signatureSize,
+                signaturePublicKeySize: this.signer.params.publicKeySize,
+                backend: backend.name,
+                // Names the generator only: the seed would let any reader recompute every key
+                randomness: backend.deterministicRandom ?
+                    `${backend.deterministicRandom.algorithm} (seeded)` :
+                    'Platform CSPRNG',
+                // Seeded for reproducible demos: every key can be recomputed from the seed
+                deterministicRandom: !!backend.deterministicRandom,
+                // ...except the RSA and ECDH keys of the classical suites, which the platform generates
+                reproducible: !!backend.deterministicRandom && !this.kem.params.platformKeyGen,
+                status: this.keyPair && this.sessionKeys.size > 0 ? 'Ready' : 'Setting up...'
+            };
+        }
+    }
+
+    return {
+        QuantumCrypto,
+        MLKEM,
+        HybridKEM,
+        RsaOaepKEM,
+        EcdhP256KEM,
+        KEM_ALGORITHMS,
+        createKEM,
+        DEFAULT_SUITE,
+        registerAlgorithm,
+        registerSuite,
+        getAlgorithm,
+        getSuite,
+        findSuite,
+        listAlgorithms,
+        listSuites,
+        suiteCategory,
+        isSuiteQuantumSafe,
+        securityLevel,
+        MLDSA,
+        SLHDSA,
+        SIGNATURE_ALGORITHMS,
+        SIGNATURE_CONTEXT,
+        createSigner,
+        kemKeyPairMatches,
+        deriveSessionKeys,
+        computeKeyConfirmation,
+        DoubleRatchet,
+        RATCHET_INTERVAL,
+        DEFAULT_SESSION_LIFETIME_MS,
+        backend,
+        x25519,
+        sha256,
+        sha512,
+        hmacSha256,
+        hkdfSha256,
+        pbkdf2Sha256,
+        scrypt,
+        sha3_256,
+        sha3_512,
+        shake128,
+        shake256,
+        concatBytes,
+        randomBytes,
+        constantTimeEqual,
+        equalBytes,
+        zeroize,
+        parseHex,
+        bytesToHex,
+        hexToBytes
+    };
+}
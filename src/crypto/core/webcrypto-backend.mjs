@@ -0,0 +1,90 @@
+/**
+ * WebCrypto backend for the QuantumChat core (quantum-core.mjs)
+ *
+ * Browsers ship AES-GCM and a CSPRNG in WebCrypto but no SHA-3 or SHAKE, and
+ * their SHA-256 and HKDF are asynchronous only. The lattice and hash-based
+ * algorithms need hashes synchronously, so those come from the pure-JS
+ * backend; the AEAD and random bytes come from the browser, and so do RSA and
+ * ECDH P-256 for the classical comparison suites.
+ */
+
+import { pureBackend } from './pure-backend.mjs';
+
+/**
+ * Backend over a WebCrypto implementation
+ * @param {Crypto} webCrypto - Normally globalThis.crypto
+ * @returns {object} - Backend, as described in pure-backend.mjs
+ */
+export function createWebCryptoBackend(webCrypto = globalThis.crypto) {
+    if (!webCrypto || !webCrypto.subtle || typeof webCrypto.subtle.encrypt !== 'function' ||
+        typeof webCrypto.getRandomValues !== 'function') {
+        throw new Error('WebCrypto is not available');
+    }
+    const { subtle } = webCrypto;
+
+    const importKey = (key, usage) => subtle.importKey('raw', key, 'AES-GCM', false, [usage]);
+    const RSA_OAEP = { name: 'RSA-OAEP', hash: 'SHA-256' };
+    const ECDH_P256 = { name: 'ECDH', namedCurve: 'P-256' };
+
+    const exportKeyPair = async ({ publicKey, privateKey }) => ({
+        publicKey: new Uint8Array(await subtle.exportKey('spki', publicKey)),
+        secretKey: new Uint8Array(await subtle.exportKey('pkcs8', privateKey))
+    });
+
+    return Object.freeze({
+        ...pureBackend,
+        name: 'webcrypto',
+        randomBytes: (length) => webCrypto.getRandomValues(new Uint8Array(length)),
+
+        async aesGcmEncrypt(key, nonce, plaintext, aad = new Uint8Array(0)) {
+            const sealed = await subtle.encrypt(
+                { name: 'AES-GCM', iv: nonce, additionalData: aad, tagLength: 128 },
+                await importKey(key, 'encrypt'),
+                plaintext
+            );
+            return new Uint8Array(sealed);
+        },
+
+        async aesGcmDecrypt(key, nonce, sealed, aad = new Uint8Array(0)) {
+            const cryptoKey = await importKey(key, 'decrypt');
+            let plaintext;
+            try {
+                plaintext = await subtle.decrypt({ name: 'AES-GCM', iv: nonce, additionalData: aad, tagLength: 128 }, cryptoKey, sealed);
+            } catch (error) {
+                throw new Error('AES-GCM authentication failed');
+            }
+            return new Uint8Array(plaintext);
+        },
+
+        async rsaOaepKeyGen(modulusLength) {
+            return exportKeyPair(await subtle.generateKey(
+                { ...RSA_OAEP, modulusLength, publicExponent: Uint8Array.of(1, 0, 1) }, true, ['encrypt', 'decrypt']));
+        },
+
+        async rsaOaepEncrypt(publicKey, plaintext) {
+            const key = await subtle.importKey('spki', publicKey, RSA_OAEP, false, ['encrypt']);
+            return new Uint8Array(await subtle.encrypt(RSA_OAEP, key, plaintext));
+        },
+
+        async rsaOaepDecrypt(secretKey, ciphertext) {
+            const key = await subtle.importKey('pkcs8', secretKey, RSA_OAEP, false, ['decrypt']);
+            try {
+                return new Uint8Array(await subtle.decrypt(RSA_OAEP, key, ciphertext));
+            } catch (error) {
+                throw new Error('RSA-OAEP decryption failed');
+            }
+        },
+
+        async ecdhP256KeyGen() {
+            return exportKeyPair(await subtle.generateKey(ECDH_P256, true, ['deriveBits']));
+        },
+
+        async ecdhP256(secretKey, publicKey) {
+            const [privateKey, peerKey] = await Promise.all([
+                subtle.importKey('pkcs8', secretKey, ECDH_P256, false, ['deriveBits']),
+                subtle.importKey('spki', publicKey, ECDH_P256, false, [])
+            ]);
+            return new Uint8Array(await subtle.deriveBits({ name: 'ECDH', public: peerKey }, privateKey, 256));
+        }
+    });
+}
@@ -0,0 +1,396 @@
+// harvest.js - "Harvest now, decrypt later": a transcript recorder and a simulated Q-Day
+
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { getSuite, getAlgorithm, createKEM, kemKeyPairMatches, deriveSessionKeys, DoubleRatchet, isSuiteQuantumSafe, zeroize, hexToBytes, backend } = require('./quantum-crypto');
+const Envelope = require('../frontend/envelope');
+
+/**
+ * Harvest recorder
+ *
+ * The relay sees every public key, KEM ciphertext and envelope it forwards, so
+ * it is exactly where a "harvest now, decrypt later" adversary would sit. The
+ * recorder keeps that transcript per pair of clients, in relay order, for the
+ * pairs where at least one side uses a classical suite: Q-Day could do nothing
+ * with the rest.
+ *
+ * Q-Day then plays the adversary once a large quantum computer exists: Shor's
+ * algorithm recovers the private key behind every RSA or elliptic-curve public
+ * key in the transcript, and with them the session keys and each ratchet epoch.
+ * That part is SIMULATED. Clients on a classical comparison suite escrow their
+ * KEM key pairs with the recorder (QuantumCrypto's keyEscrow), and Q-Day simply
+ * looks the private keys up. The rest is real: the recorded ciphertexts are
+ * decapsulated, the key schedule and double ratchet are replayed, and the
+ * envelopes are decrypted with AES-256-GCM. ML-KEM keys have no known quantum
+ * attack and are never escrowed, so sessions that depend on them stay sealed.
+ */
+
+const MAX_PAIRS = 100; // The pair recorded into least recently makes way for a new one
+const MAX_EVENTS_PER_PAIR = 500; // Later traffic of a pair is not recorded
+const MAX_ESCROWED_KEYS_PER_CLIENT = 1000;
+const MAX_ESCROWED_KEYS = 5000; // Client IDs change on every connection, so the total is capped too
+const ESCROW_TTL_MS = 24 * 60 * 60 * 1000; // Older escrowed keys are dropped
+const PREVIEW_LENGTH = 200;
+
+const SIMULATION_NOTE = 'Simulation: private keys escrowed by clients on classical comparison suites stand in ' +
+    "for Shor's algorithm; everything after that is a real decryption of the recorded traffic.";
+
+const pairId = (a, b) => [a, b].sort().join(':');
+
+// Whether Q-Day has an attack on a side using this suite (null until the client registers keys)
+const breaksOnQDay = (suiteName) => suiteName !== null && !isSuiteQuantumSafe(getSuite(suiteName));
+
+class HarvestRecorder {
+    constructor() {
+        this.pairs = new Map(); // "idA:idB" -> { clients: [idA, idB], events: [...], truncated }
+        this.escrow = new Map(); // Public key hex -> { clientId, algorithm, secretKey, escrowedAt }, oldest first
+        this.escrowedByClient = new Map(); // Client ID -> public keys hex, in the order they were escrowed
+    }
+
+    /**
+     * Remember a classical KEM key pair a client revealed
+     * The private key must belong to the public key, so nobody can claim someone else's.
+     * @param {string} clientId - Owner of the key
+     * @param {object} keyPair - { publicKey, secretKey (hex), algorithm }
+     * @returns {Promise<void>}
+     */
+    async recordEscrow(clientId, { publicKey, secretKey, algorithm }) {
+        if (getAlgorithm(algorithm, { type: 'kem' }).quantumSafe) {
+            throw new Error(`${algorithm} keys are not escrowed: Q-Day has no attack on them to simulate`);
+        }
+        const secret = hexToBytes(secretKey);
+        let matches;
+        try {
+            matches = await kemKeyPairMatches(createKEM(algorithm), hexToBytes(publicKey), secret);
+        } catch (error) {
+            matches = false; // Not a key of this algorithm at all
+        } finally {
+            zeroize(secret);
+        }
+        if (!matches) {
+            throw new Error(`The escrowed private key does not belong to the ${algorithm} public key`);
+        }
+
+        const escrowedKeys = () => this.escrowedByClient.get(clientId) || [];
+        if (escrowedKeys().length >= MAX_ESCROWED_KEYS_PER_CLIENT || this.escrow.has(publicKey)) {
+            return;
+        }
+        this.expireEscrow(Date.now());
+        while (this.escrow.size >= MAX_ESCROWED_KEYS) {
+            this.dropEscrowed(this.escrow.keys().next().value);
+        }
+        this.escrow.set(publicKey, { clientId, algorithm, secretKey, escrowedAt: Date.now() });
+        this.escrowedByClient.set(clientId, [...escrowedKeys(), publicKey]);
+    }
+
+    /**
+     * Drop the escrowed keys older than ESCROW_TTL_MS
+     */
+    expireEscrow(now) {
+        for (const [publicKey, { escrowedAt }] of this.escrow) {
+            if (now - escrowedAt < ESCROW_TTL_MS) {
+                break; // The rest are newer
+            }
+            this.dropEscrowed(publicKey);
+        }
+    }
+
+    dropEscrowed(publicKey) {
+        const { clientId } = this.escrow.get(publicKey);
+        this.escrow.delete(publicKey);
+        const keys = (this.escrowedByClient.get(clientId) || []).filter(key => key !== publicKey);
+        if (keys.length) {
+            this.escrowedByClient.set(clientId, keys);
+        } else {
+            this.escrowedByClient.delete(clientId);
+        }
+    }
+
+    /**
+     * Record a KEM ciphertext relayed from the initiator to the responder
+     * Exchanges between two post-quantum suites are not kept.
+     * @param {object} initiator - { clientId, suite, publicKey, algorithm } as registered
+     * @param {object} responder - The same for the peer
+     * @param {object} exchange - { ciphertext (hex), algorithm }
+     */
+    recordKeyExchange(initiator, responder, { ciphertext, algorithm }) {
+        if (!breaksOnQDay(initiator.suite) && !breaksOnQDay(responder.suite)) {
+            return;
+        }
+        this.record(initiator.clientId, responder.clientId, {
+            type: 'key_exchange',
+            initiator: { ...initiator },
+            responder: { ...responder },
+            ciphertext,
+            algorithm
+        });
+    }
+
+    /**
+     * Record an envelope relayed from sender to recipient
+     * Only pairs with a recorded key exchange are kept; without one there is no session to replay.
+     */
+    recordEnvelope(sender, recipient, envelope) {
+        if (!this.pairs.has(pairId(sender, recipient))) {
+            return;
+        }
+        this.record(sender, recipient, { type: 'envelope', sender, recipient, envelope });
+    }
+
+    /**
+     * Append an event to a pair's transcript
+     * Pairs are kept in the order they were last recorded into, so the first one is the stalest.
+     */
+    record(a, b, event) {
+        const id = pairId(a, b);
+        const pair = this.pairs.get(id) || { clients: [a, b].sort(), events: [], truncated: false };
+        this.pairs.delete(id);
+        while (this.pairs.size >= MAX_PAIRS) {
+            this.pairs.delete(this.pairs.keys().next().value);
+        }
+        this.pairs.set(id, pair);
+        if (pair.events.length >= MAX_EVENTS_PER_PAIR) {
+            pair.truncated = true;
+            return;
+        }
+        pair.events.push({ ...event, recordedAt: new Date().toISOString() });
+    }
+
+    /**
+     * What has been harvested so far, without client IDs (anyone may ask)
+     * @returns {object} - { pairs: [{ keyExchanges, envelopes, suites, truncated }], escrowedKeys }
+     */
+    summary() {
+        this.expireEscrow(Date.now());
+        return {
+            pairs: [...this.pairs.values()].map(({ events, truncated }) => {
+                const exchanges = events.filter(event => event.type === 'key_exchange');
+                return {
+                    keyExchanges: exchanges.length,
+                    envelopes: events.length - exchanges.length,
+                    suites: [...new Set(exchanges.flatMap(event => [event.initiator.suite, event.responder.suite]))],
+                    truncated
+                };
+            }),
+            escrowedKeys: this.escrow.size
+        };
+    }
+
+    /**
+     * Run the simulated Q-Day
+     * A client sees the decrypted text of its own conversations only; without a
+     * client every pair is replayed, but only the counts are reported.
+     * @param {string|null} clientId - Whose conversations to replay
+     * @returns {Promise<object>} - { simulated, note, pairs: [{ clients, exchanges, messages, decrypted, failed }],
+     *                                totals: { pairs, envelopes, decrypted, failed }, durationMs }
+     */
+    async qDay(clientId = null) {
+        const started = Date.now();
+        this.expireEscrow(started);
+        const pairs = [];
+        for (const pair of this.pairs.values()) {
+            if (clientId === null || pair.clients.includes(clientId)) {
+                pairs.push(await this.replayPair(pair));
+            }
+        }
+        const sum = (key) => pairs.reduce((total, pair) => total + pair[key], 0);
+        return {
+            simulated: true,
+            note: SIMULATION_NOTE,
+            pairs: clientId !== null ? pairs : pairs.map(({ exchanges, decrypted, failed, truncated }) => ({
+                keyExchanges: exchanges.length,
+                recovered: exchanges.filter(exchange => exchange.recovered).length,
+                decrypted,
+                failed,
+                truncated
+            })),
+            totals: { pairs: pairs.length, envelopes: sum('decrypted') + sum('failed'), decrypted: sum('decrypted'), failed: sum('failed') },
+            durationMs: Date.now() - started
+        };
+    }
+
+    /**
+     * Replay one pair's transcript in relay order
+     * Each key exchange opens a candidate session (both sides may have started one);
+     * every envelope is tried against them newest first, as the clients themselves would.
+     */
+    async replayPair({ clients, events, truncated }) {
+        const sessions = [];
+        const exchanges = [];
+        const messages = [];
+        for (const event of events) {
+            if (event.type === 'key_exchange') {
+                const session = await this.recoverSession(event);
+                sessions.unshift(session);
+                exchanges.push({
+                    initiator: event.initiator.clientId,
+                    responder: event.responder.clientId,
+                    algorithm: event.algorithm,
+                    suites: [event.initiator.suite, event.responder.suite],
+                    quantumSafe: [event.initiator.suite, event.responder.suite].every(name => isSuiteQuantumSafe(getSuite(name))),
+                    recovered: session.sharedSecret !== null,
+                    explanation: session.explanation,
+                    recordedAt: event.recordedAt
+                });
+            } else {
+                messages.push({ from: event.sender, to: event.recipient, recordedAt: event.recordedAt,
+                    ...await this.decryptEnvelope(sessions, event) });
+            }
+        }
+        for (const session of sessions) {
+            zeroize(session.sharedSecret);
+            for (const ratchet of session.ratchets.values()) {
+                ratchet.destroy();
+            }
+        }
+        const decrypted = messages.filter(message => message.decrypted).length;
+        return { clients, exchanges, messages, decrypted, failed: messages.length - decrypted, truncated };
+    }
+
+    /**
+     * Decapsulate a recorded key exchange with the responder's recovered private key
+     * @returns {Promise<object>} - { event, sharedSecret (null if out of reach), explanation, ratchets }
+     */
+    async recoverSession(event) {
+        const { responder, ciphertext, algorithm } = event;
+        const session = { event, sharedSecret: null, explanation: '', ratchets: new Map() };
+        const escrowed = this.escrow.get(responder.publicKey);
+        if (!escrowed) {
+            session.explanation = getAlgorithm(algorithm).quantumSafe ?
+                `${algorithm} has no known quantum attack, so the session keys stay secret` :
+                `The ${algorithm} private key was never escrowed, so the simulation cannot stand in for Shor's algorithm`;
+            return session;
+        }
+        try {
+            session.sharedSecret = await createKEM(algorithm).decapsulate(hexToBytes(escrowed.secretKey), hexToBytes(ciphertext));
+            session.explanation = `Shor's algorithm (simulated) recovered the ${algorithm} private key; the shared secret follows`;
+        } catch (error) {
+            session.explanation = `Decapsulation failed: ${error.message}`;
+        }
+        return session;
+    }
+
+    /**
+     * The recipient's side of a recovered session: a double ratchet holding every
+     * private key it escrowed, so each epoch's KEM step can be replayed
+     * @returns {DoubleRatchet|null} - null when a key it needs is post-quantum
+     */
+    receivingRatchet(session, self, peer) {
+        if (session.ratchets.has(self.clientId)) {
+            return session.ratchets.get(self.clientId);
+        }
+        const identity = this.escrow.get(self.publicKey);
+        if (!identity) {
+            return null;
+        }
+        const keys = deriveSessionKeys(Uint8Array.from(session.sharedSecret), self.clientId, peer.clientId, session.event.algorithm);
+        const ratchet = new DoubleRatchet({
+            sendRoot: keys.sendKey,
+            receiveRoot: keys.receiveKey,
+            kem: createKEM(self.algorithm),
+            ownKeyPair: { publicKey: hexToBytes(self.publicKey), secretKey: hexToBytes(identity.secretKey) }
+        });
+        zeroize(keys.sendKey, keys.receiveKey, keys.headerKey, keys.confirmKey);
+        for (const publicKey of this.escrowedByClient.get(self.clientId) || []) {
+            const { algorithm, secretKey } = this.escrow.get(publicKey);
+            if (algorithm === self.algorithm) {
+                ratchet.addOwnKey(hexToBytes(publicKey), hexToBytes(secretKey));
+            }
+        }
+        session.ratchets.set(self.clientId, ratchet);
+        return ratchet;
+    }
+
+    /**
+     * Try the candidate sessions on one envelope; only an authenticated decryption advances a ratchet
+     * @returns {Promise<object>} - { decrypted: true, text, attachment } or { decrypted: false, explanation }
+     */
+    async decryptEnvelope(sessions, { recipient, envelope }) {
+        let explanation = 'No key exchange between these clients was recorded';
+        for (const session of sessions) {
+            if (session.sharedSecret === null) {
+                explanation = session.explanation;
+                continue;
+            }
+            const { initiator, responder } = session.event;
+            const [self, peer] = recipient === responder.clientId ? [responder, initiator] : [initiator, responder];
+            const ratchet = this.receivingRatchet(session, self, peer);
+            if (!ratchet) {
+                explanation = `The recipient's ${self.algorithm} keys have no known quantum attack, so its ratchet epochs stay secret`;
+                continue;
+            }
+            let messageKey = null;
+            try {
+                const { ratchet: header, nonce, ciphertext, tag, header: associatedData } = Envelope.parse(envelope);
+                const received = await ratchet.receiveKey(header);
+                messageKey = received.messageKey;
+                const plaintext = await backend.aesGcmDecrypt(messageKey, nonce, Buffer.concat([ciphertext, tag]), associatedData);
+                received.commit();
+                return { decrypted: true, ...preview(Buffer.from(plaintext).toString('utf8')) };
+            } catch (error) {
+                explanation = `Replaying the ratchet failed: ${error.message}`;
+            } finally {
+                zeroize(messageKey);
+            }
+        }
+        return { decrypted: false, explanation };
+    }
+}
+
+/**
+ * Run the simulated Q-Day on a worker thread, over a copy of the recording
+ * Replaying the ratchets takes seconds for a long transcript, which would stall the relay.
+ * @param {HarvestRecorder} recorder - The recording to replay
+ * @param {string|null} clientId - As for qDay()
+ * @returns {Promise<object>} - qDay()'s report
+ */
+function runQDayInWorker(recorder, clientId = null) {
+    recorder.expireEscrow(Date.now());
+    const recording = {
+        pairs: [...recorder.pairs.values()].filter(pair => clientId === null || pair.clients.includes(clientId)),
+        escrow: recorder.escrow,
+        escrowedByClient: recorder.escrowedByClient
+    };
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(__filename, { workerData: { qDayTask: { recording, clientId } } });
+        worker.once('message', resolve);
+        worker.once('error', reject);
+        worker.once('exit', (code) => {
+            if (code !== 0) {
+                reject(new Error(`Q-Day worker exited with code ${code}`));
+            }
+        });
+    });
+}
+
+/**
+ * The chat text of a decrypted payload (app.js sends { text, timestamp, signature, attachment })
+ */
+function preview(plaintext) {
+    let text = plaintext;
+    let attachment = null;
+    try {
+        const payload = JSON.parse(plaintext);
+        if (payload && typeof payload.text === 'string') {
+            text = payload.text;
+            attachment = payload.attachment ? payload.attachment.name || 'file' : null;
+        }
+    } catch (error) {
+        // Not a chat payload; show it as it is
+    }
+    return { text: text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH)}…` : text, attachment };
+}
+
+if (!isMainThread && workerData && workerData.qDayTask) {
+    const { recording, clientId } = workerData.qDayTask;
+    const recorder = new HarvestRecorder();
+    recorder.pairs = new Map(recording.pairs.map(pair => [pairId(...pair.clients), pair]));
+    recorder.escrow = recording.escrow;
+    recorder.escrowedByClient = recording.escrowedByClient;
+    recorder.qDay(clientId).then(report => parentPort.postMessage(report));
+}
+
+module.exports = {
+    HarvestRecorder,
+    SIMULATION_NOTE,
+    runQDayInWorker
+};
@@ -0,0 +1,574 @@
+// lwe-lab.js - Toy Learning-With-Errors cryptosystem, its decryption noise and an LLL attack on it
+
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { createRandom, parseSeed } = require('./quantum-simulator');
+const { normalCdf } = require('./mosca-risk');
+
+/**
+ * LWE lab
+ *
+ * Learning With Errors: given many samples (a_i, b_i = <a_i, s> + e_i mod q)
+ * with a_i uniform in Z_q^n and small errors e_i, find the secret s. Without
+ * the errors Gaussian elimination solves it; with them the best known attacks,
+ * classical or quantum, are lattice reduction, exponential in n. ML-KEM is a
+ * structured (module) version of the same problem.
+ *
+ * Regev's public-key scheme on it, one bit at a time:
+ * - Key: secret s, public (A, b = A s + e) with m samples
+ * - Encrypt bit μ: pick a random subset r of the samples,
+ *   u = rᵀA, v = rᵀb + μ⌊q/2⌋
+ * - Decrypt: v - <u, s> = rᵀe + μ⌊q/2⌋; closer to q/2 than to 0 means 1
+ * Decryption fails when the accumulated noise |rᵀe| reaches q/4, so larger
+ * errors buy security and cost correctness.
+ *
+ * The attack is the primal one: b - A s = e is an unusually short vector close
+ * to the q-ary lattice of A, so (e, M) is a short vector in the lattice spanned
+ * by that lattice and (b, M) (Kannan's embedding). LLL finds it while the
+ * dimension is small and the gap to the lattice's typical shortest vector is
+ * wide; as n grows the gap LLL can bridge (about 1.02^d) falls short, which is
+ * where real parameters live, with n in the hundreds.
+ *
+ * Error distributions:
+ * - { distribution: 'gaussian', sigma } rounded normal
+ * - { distribution: 'uniform', bound } integers in [-bound, bound]
+ * - { distribution: 'binomial', eta } centered binomial, as in ML-KEM
+ * A plain number is a Gaussian sigma.
+ */
+
+const MIN_DIMENSION = 2;
+const MAX_DIMENSION = 64;
+const MAX_ATTACK_DIMENSION = 40;
+const MIN_MODULUS = 17;
+const MAX_MODULUS = 65521; // Largest 16-bit prime; products of two residues stay exact in doubles
+const MAX_SAMPLES = 512;
+const MAX_MESSAGE_LENGTH = 16; // Bytes, one ciphertext per bit
+const DEFAULT_MESSAGE = 'LATTICES!';
+const DEFAULT_PARAMETERS = Object.freeze({ n: 16, q: 257, error: Object.freeze({ distribution: 'gaussian', sigma: 2 }) });
+const DEFAULT_ATTACK_DIMENSIONS = [4, 8, 16, 24, 32, 40];
+const NOISE_SWEEP_STEPS = [0.1, 0.25, 0.4, 0.55, 0.7, 0.85, 1, 1.25, 1.5, 2]; // Multiples of the width where noise sd reaches q/4
+const DEFAULT_NOISE_TRIALS = 200;
+const MAX_NOISE_TRIALS = 1000;
+const LLL_DELTA = 0.99;
+const LLL_MAX_SWAPS = 200000;
+
+const ERROR_DISTRIBUTIONS = ['gaussian', 'uniform', 'binomial'];
+
+const mod = (value, q) => ((value % q) + q) % q;
+const centered = (value, q) => {
+    const r = mod(value, q);
+    return r > q / 2 ? r - q : r;
+};
+
+function isPrime(n) {
+    for (let d = 2; d * d <= n; d++) {
+        if (n % d === 0) {
+            return false;
+        }
+    }
+    return n > 1;
+}
+
+function modInverse(a, q) {
+    let [oldR, r, oldS, s] = [mod(a, q), q, 1, 0];
+    while (r !== 0) {
+        const quotient = Math.floor(oldR / r);
+        [oldR, r] = [r, oldR - quotient * r];
+        [oldS, s] = [s, oldS - quotient * s];
+    }
+    return mod(oldS, q);
+}
+
+function integerIn(value, name, min, max) {
+    if (!Number.isInteger(value) || value < min || value > max) {
+        throw new Error(`${name} must be an integer from ${min} to ${max}`);
+    }
+    return value;
+}
+
+/**
+ * Validate an error distribution and turn it into { description, stdDev, sample(random) }
+ */
+function errorModel(error) {
+    const spec = typeof error === 'number' ? { distribution: 'gaussian', sigma: error } : error;
+    if (!spec || typeof spec !== 'object' || !ERROR_DISTRIBUTIONS.includes(spec.distribution)) {
+        throw new Error(`error must be a Gaussian sigma or { distribution } with one of ${ERROR_DISTRIBUTIONS.join(', ')}`);
+    }
+
+    switch (spec.distribution) {
+        case 'gaussian': {
+            if (typeof spec.sigma !== 'number' || !(spec.sigma >= 0 && spec.sigma <= 1000)) {
+                throw new Error('error.sigma must be a number from 0 to 1000');
+            }
+            const sigma = spec.sigma;
+            return {
+                description: { distribution: 'gaussian', sigma },
+                stdDev: Math.sqrt(sigma ** 2 + (sigma > 0 ? 1 / 12 : 0)), // Rounding adds about 1/12 of variance
+                sample: (random) => Math.round(sigma * Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random()))
+            };
+        }
+
+        case 'uniform': {
+            const bound = integerIn(spec.bound, 'error.bound', 0, 10000);
+            return {
+                description: { distribution: 'uniform', bound },
+                stdDev: Math.sqrt(((2 * bound + 1) ** 2 - 1) / 12),
+                sample: (random) => Math.floor(random() * (2 * bound + 1)) - bound
+            };
+        }
+
+        case 'binomial': {
+            const eta = integerIn(spec.eta, 'error.eta', 0, 1000);
+            return {
+                description: { distribution: 'binomial', eta },
+                stdDev: Math.sqrt(eta / 2),
+                sample: (random) => {
+                    let sum = 0;
+                    for (let i = 0; i < eta; i++) {
+                        sum += (random() < 0.5 ? 1 : 0) - (random() < 0.5 ? 1 : 0);
+                    }
+                    return sum;
+                }
+            };
+        }
+    }
+}
+
+/**
+ * The same distribution at another width (sigma, bound or eta)
+ */
+function withWidth(description, width) {
+    const key = { gaussian: 'sigma', uniform: 'bound', binomial: 'eta' }[description.distribution];
+    return { distribution: description.distribution, [key]: description.distribution === 'gaussian' ? Number(width.toFixed(3)) : Math.round(width) };
+}
+
+/**
+ * Validate { n, q, samples, error } and fill in the defaults
+ * samples defaults to (n + 1)·⌈log2 q⌉, enough for Regev's security argument.
+ */
+function parseParameters({ n = DEFAULT_PARAMETERS.n, q = DEFAULT_PARAMETERS.q, samples = null, error = DEFAULT_PARAMETERS.error } = {}) {
+    integerIn(n, 'n', MIN_DIMENSION, MAX_DIMENSION);
+    integerIn(q, 'q', MIN_MODULUS, MAX_MODULUS);
+    if (!isPrime(q)) {
+        throw new Error(`q must be prime; ${q} is not`);
+    }
+    const m = samples === null ? Math.min(MAX_SAMPLES, (n + 1) * Math.ceil(Math.log2(q))) : integerIn(samples, 'samples', n + 1, MAX_SAMPLES);
+    return { n, q, m, errors: errorModel(error) };
+}
+
+/**
+ * Key pair: secret s uniform in Z_q^n, public (A, b = A s + e)
+ */
+function generateKeyPair({ n, q, m, errors }, random) {
+    const uniform = () => Math.floor(random() * q);
+    const s = Array.from({ length: n }, uniform);
+    const A = Array.from({ length: m }, () => Array.from({ length: n }, uniform));
+    const e = Array.from({ length: m }, () => errors.sample(random));
+    const b = A.map((row, i) => mod(row.reduce((sum, a, j) => sum + a * s[j], 0) + e[i], q));
+    return { secretKey: s, publicKey: { A, b }, errors: e };
+}
+
+function encryptBit({ A, b }, bit, q, random) {
+    const [n, u] = [A[0].length, new Array(A[0].length).fill(0)];
+    let v = bit ? Math.floor(q / 2) : 0;
+    for (let i = 0; i < A.length; i++) {
+        if (random() < 0.5) {
+            for (let j = 0; j < n; j++) {
+                u[j] += A[i][j];
+            }
+            v += b[i];
+        }
+    }
+    return { u: u.map(x => mod(x, q)), v: mod(v, q) };
+}
+
+/**
+ * Decrypt one bit; noise is what the rounding had to absorb
+ */
+function decryptBit(s, { u, v }, q) {
+    const value = mod(v - u.reduce((sum, x, j) => sum + x * s[j], 0), q);
+    const bit = Math.abs(value - q / 2) < q / 4 ? 1 : 0;
+    return { bit, noise: centered(value - bit * Math.floor(q / 2), q) };
+}
+
+/**
+ * Chance that rᵀe, reduced mod q, leaves (-q/4, q/4)
+ * rᵀe is about normal with variance m/2 times the error's; the sum over k
+ * wraps it around Z_q, so very noisy keys fail half the time, not always.
+ */
+function predictedFailureRate(q, m, stdDev) {
+    const spread = stdDev * Math.sqrt(m / 2);
+    if (spread === 0) {
+        return 0;
+    }
+    let inside = 0;
+    for (let k = -Math.ceil(10 * spread / q) - 1; k <= Math.ceil(10 * spread / q) + 1; k++) {
+        inside += normalCdf((k * q + q / 4) / spread) - normalCdf((k * q - q / 4) / spread);
+    }
+    return Math.min(1, Math.max(0, 1 - inside));
+}
+
+const round = (value, digits = 4) => Number(value.toFixed(digits));
+
+function describeParameters({ n, q, m, errors }) {
+    return { n, q, samples: m, error: errors.description, errorStdDev: round(errors.stdDev, 3) };
+}
+
+/**
+ * Generate a key, encrypt a message bit by bit and decrypt it again
+ * @param {object} input - { n, q, samples, error, message (up to 16 bytes), seed }
+ * @returns {object} - { parameters, publicKey, message, recoveredMessage, bits, bitErrors, failureRate,
+ *                       predictedFailureRate, threshold, noise, sizes, seed, durationMs }
+ */
+function lweEncryptDecrypt({ message = DEFAULT_MESSAGE, seed, ...input } = {}) {
+    const parameters = parseParameters(input);
+    const { n, q, m } = parameters;
+    if (typeof message !== 'string' || message.length === 0 || Buffer.byteLength(message) > MAX_MESSAGE_LENGTH) {
+        throw new Error(`message must be 1 to ${MAX_MESSAGE_LENGTH} bytes`);
+    }
+    const runSeed = parseSeed(seed);
+    const random = createRandom(runSeed);
+    const started = Date.now();
+
+    const { secretKey, publicKey } = generateKeyPair(parameters, random);
+    const bytes = Buffer.from(message, 'utf8');
+    const bits = [...bytes].flatMap(byte => Array.from({ length: 8 }, (_, i) => (byte >> (7 - i)) & 1));
+    const noise = bits.map(bit => {
+        const ciphertext = encryptBit(publicKey, bit, q, random);
+        const decrypted = decryptBit(secretKey, ciphertext, q);
+        return { bit, decrypted: decrypted.bit, noise: decrypted.noise };
+    });
+    const recovered = Buffer.from(Array.from({ length: bytes.length }, (_, i) =>
+        noise.slice(i * 8, i * 8 + 8).reduce((byte, { decrypted }) => (byte << 1) | decrypted, 0)));
+    const bitErrors = noise.filter(({ bit, decrypted }) => bit !== decrypted).length;
+    const residueBytes = Math.ceil(Math.log2(q)) / 8;
+
+    return {
+        parameters: describeParameters(parameters),
+        publicKey: { samples: m, preview: publicKey.A.slice(0, 3).map((a, i) => ({ a, b: publicKey.b[i] })) },
+        message,
+        recoveredMessage: recovered.toString('utf8'),
+        bits: bits.length,
+        bitErrors,
+        failureRate: round(bitErrors / bits.length),
+        predictedFailureRate: round(predictedFailureRate(q, m, parameters.errors.stdDev)),
+        threshold: Math.floor(q / 4),
+        noise,
+        sizes: {
+            publicKeyBytes: Math.ceil(m * (n + 1) * residueBytes),
+            ciphertextBytes: Math.ceil(bits.length * (n + 1) * residueBytes),
+            expansion: round((n + 1) * residueBytes * 8, 1)
+        },
+        seed: runSeed,
+        durationMs: Date.now() - started
+    };
+}
+
+/**
+ * Decryption failure rate as the error width grows, measured and predicted
+ * The widths run up to twice the one where the noise spread reaches q/4.
+ * @param {object} input - { n, q, samples, error (its distribution is swept), trials (bits per width), seed }
+ * @returns {object} - { parameters, threshold, rows: [{ error, errorStdDev, failures, failureRate, predictedFailureRate }], seed, durationMs }
+ */
+function lweNoiseSweep({ trials = DEFAULT_NOISE_TRIALS, seed, ...input } = {}) {
+    const parameters = parseParameters(input);
+    const { q, m, errors } = parameters;
+    integerIn(trials, 'trials', 1, MAX_NOISE_TRIALS);
+    const runSeed = parseSeed(seed);
+    const random = createRandom(runSeed);
+    const started = Date.now();
+
+    // Width at which the spread of rᵀe reaches q/4, from the stdDev per unit of width
+    const unit = errorModel(withWidth(errors.description, 10)).stdDev / 10;
+    const critical = q / 4 / Math.sqrt(m / 2) / unit;
+    const widths = [...new Set(NOISE_SWEEP_STEPS.map(step => JSON.stringify(withWidth(errors.description, step * critical))))]
+        .map(width => JSON.parse(width));
+
+    // A fresh key per trial, as the prediction averages over keys as well as encryptions
+    const rows = widths.map(width => {
+        const model = errorModel(width);
+        let failures = 0;
+        for (let trial = 0; trial < trials; trial++) {
+            const { secretKey, publicKey } = generateKeyPair({ ...parameters, errors: model }, random);
+            const bit = random() < 0.5 ? 1 : 0;
+            if (decryptBit(secretKey, encryptBit(publicKey, bit, q, random), q).bit !== bit) {
+                failures++;
+            }
+        }
+        return {
+            error: model.description,
+            errorStdDev: round(model.stdDev, 3),
+            failures,
+            failureRate: round(failures / trials),
+            predictedFailureRate: round(predictedFailureRate(q, m, model.stdDev))
+        };
+    });
+
+    return {
+        parameters: { ...describeParameters(parameters), trials },
+        threshold: Math.floor(q / 4),
+        criticalWidth: round(critical, 3),
+        rows,
+        seed: runSeed,
+        durationMs: Date.now() - started
+    };
+}
+
+/**
+ * LLL reduction (δ = 0.99) of integer row vectors, with floating-point Gram-Schmidt
+ * Swaps update the Gram-Schmidt data in place (Cohen, Algorithm 2.6.3).
+ * @returns {object} - { basis, swaps, completed }
+ */
+function lllReduce(rows, maxSwaps = LLL_MAX_SWAPS) {
+    const basis = rows.map(row => row.slice());
+    const d = basis.length;
+    const dot = (x, y) => x.reduce((sum, value, i) => sum + value * y[i], 0);
+    const mu = Array.from({ length: d }, () => new Float64Array(d));
+    const norms = new Float64Array(d);
+    const star = [];
+    for (let i = 0; i < d; i++) {
+        const vector = Float64Array.from(basis[i]);
+        for (let j = 0; j < i; j++) {
+            mu[i][j] = dot(basis[i], star[j]) / norms[j];
+            for (let k = 0; k < vector.length; k++) {
+                vector[k] -= mu[i][j] * star[j][k];
+            }
+        }
+        star.push(vector);
+        norms[i] = dot(vector, vector);
+    }
+
+    const sizeReduce = (k, j) => {
+        const r = Math.round(mu[k][j]);
+        if (r === 0) {
+            return;
+        }
+        for (let x = 0; x < basis[k].length; x++) {
+            basis[k][x] -= r * basis[j][x];
+        }
+        for (let x = 0; x < j; x++) {
+            mu[k][x] -= r * mu[j][x];
+        }
+        mu[k][j] -= r;
+    };
+
+    let swaps = 0;
+    let k = 1;
+    while (k < d) {
+        sizeReduce(k, k - 1);
+        if (norms[k] < (LLL_DELTA - mu[k][k - 1] ** 2) * norms[k - 1]) {
+            if (++swaps > maxSwaps) {
+                return { basis, swaps, completed: false };
+            }
+            [basis[k], basis[k - 1]] = [basis[k - 1], basis[k]];
+            for (let j = 0; j < k - 1; j++) {
+                [mu[k][j], mu[k - 1][j]] = [mu[k - 1][j], mu[k][j]];
+            }
+            const m = mu[k][k - 1];
+            const combined = norms[k] + m * m * norms[k - 1];
+            mu[k][k - 1] = m * norms[k - 1] / combined;
+            norms[k] = norms[k - 1] * norms[k] / combined;
+            norms[k - 1] = combined;
+            for (let i = k + 1; i < d; i++) {
+                const t = mu[i][k];
+                mu[i][k] = mu[i][k - 1] - m * t;
+                mu[i][k - 1] = t + mu[k][k - 1] * mu[i][k];
+            }
+            k = Math.max(k - 1, 1);
+        } else {
+            for (let j = k - 2; j >= 0; j--) {
+                sizeReduce(k, j);
+            }
+            k++;
+        }
+    }
+    return { basis, swaps, completed: true };
+}
+
+/**
+ * Indices of n samples whose a_i are linearly independent mod q, or null
+ */
+function independentRows(A, q) {
+    const n = A[0].length;
+    const echelon = [];
+    const chosen = [];
+    for (let i = 0; i < A.length && chosen.length < n; i++) {
+        const row = A[i].slice();
+        for (const { pivot, values } of echelon) {
+            const factor = row[pivot];
+            for (let j = 0; j < n; j++) {
+                row[j] = mod(row[j] - factor * values[j], q);
+            }
+        }
+        const pivot = row.findIndex(value => value !== 0);
+        if (pivot !== -1) {
+            const inverse = modInverse(row[pivot], q);
+            echelon.push({ pivot, values: row.map(value => mod(value * inverse, q)) });
+            chosen.push(i);
+        }
+    }
+    return chosen.length === n ? chosen : null;
+}
+
+/**
+ * Inverse of a square matrix mod prime q by Gauss-Jordan elimination
+ */
+function invertMatrix(matrix, q) {
+    const n = matrix.length;
+    const rows = matrix.map((row, i) => [...row, ...Array.from({ length: n }, (_, j) => (i === j ? 1 : 0))]);
+    for (let column = 0; column < n; column++) {
+        const pivot = rows.findIndex((row, i) => i >= column && row[column] !== 0);
+        [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+        const inverse = modInverse(rows[column][column], q);
+        rows[column] = rows[column].map(value => mod(value * inverse, q));
+        for (let i = 0; i < n; i++) {
+            if (i !== column && rows[i][column] !== 0) {
+                const factor = rows[i][column];
+                rows[i] = rows[i].map((value, j) => mod(value - factor * rows[column][j], q));
+            }
+        }
+    }
+    return rows.map(row => row.slice(n));
+}
+
+/**
+ * Primal attack on one LWE key: recover s from m samples of (A, b) with LLL
+ * Basis rows, in dimension m + 1, with A reordered so its first n rows A1 are
+ * invertible and C = A2·A1⁻¹:
+ *   [ I_n   Cᵀ      0 ]   the q-ary lattice {A s mod q}
+ *   [ 0     q·I     0 ]
+ *   [ bᵀ            M ]   embedding; b - A s = e makes (e, M) short
+ */
+function attackKey({ n, q, errors }, { A, b }) {
+    const order = independentRows(A, q);
+    if (!order) {
+        return { outcome: 'degenerate', explanation: 'The samples do not span Z_q^n' };
+    }
+    const rest = A.map((_, i) => i).filter(i => !order.includes(i));
+    const indices = [...order, ...rest];
+    const [sortedA, sortedB] = [indices.map(i => A[i]), indices.map(i => b[i])];
+    const m = indices.length;
+    const inverse = invertMatrix(sortedA.slice(0, n), q);
+    const C = sortedA.slice(n).map(row => inverse[0].map((_, j) => mod(row.reduce((sum, a, k) => sum + a * inverse[k][j], 0), q)));
+    const embedding = Math.max(1, Math.round(errors.stdDev));
+
+    const basis = [
+        ...Array.from({ length: n }, (_, i) => [
+            ...Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)),
+            ...C.map(row => row[i]),
+            0
+        ]),
+        ...Array.from({ length: m - n }, (_, j) => Array.from({ length: m + 1 }, (_, x) => (x === n + j ? q : 0))),
+        [...sortedB, embedding]
+    ];
+    const started = Date.now();
+    const reduced = lllReduce(basis);
+    const lllMs = Date.now() - started;
+
+    // A reduced vector ±(e, M) gives e, and s = A1⁻¹ (b1 - e1)
+    const norm = (vector) => Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    const shortest = reduced.basis.reduce((best, vector) => (norm(vector) < norm(best) ? vector : best));
+    for (const vector of reduced.basis.filter(v => Math.abs(v[m]) === embedding)) {
+        const e = vector.slice(0, m).map(value => value * Math.sign(vector[m]));
+        const target = sortedB.slice(0, n).map((value, i) => mod(value - e[i], q));
+        const s = inverse.map(row => mod(row.reduce((sum, x, k) => sum + x * target[k], 0), q));
+        const residual = sortedA.map((row, i) => centered(sortedB[i] - row.reduce((sum, a, k) => sum + a * s[k], 0), q));
+        if (residual.every((value, i) => value === e[i])) {
+            return { s, lllMs, swaps: reduced.swaps, completed: reduced.completed, shortestNorm: norm(shortest), latticeDimension: m + 1 };
+        }
+    }
+    return { s: null, lllMs, swaps: reduced.swaps, completed: reduced.completed, shortestNorm: norm(shortest), latticeDimension: m + 1 };
+}
+
+/**
+ * Run the LLL attack on fresh keys of growing dimension
+ * Each key publishes 2n samples, all of which the attack uses.
+ * @param {object} input - { dimensions (n values up to 40), q, error, seed }
+ * @returns {object} - { q, error, runs: [{ n, samples, latticeDimension, success, outcome, explanation, errorNorm,
+ *                       shortestNorm, gaussianHeuristic, swaps, lllMs }], seed, durationMs }
+ */
+function lweLatticeAttack({ dimensions = DEFAULT_ATTACK_DIMENSIONS, q = DEFAULT_PARAMETERS.q, error = DEFAULT_PARAMETERS.error, seed } = {}) {
+    if (!Array.isArray(dimensions) || dimensions.length === 0 || dimensions.length > 10) {
+        throw new Error('dimensions must be a list of 1 to 10 values of n');
+    }
+    dimensions.forEach((n, i) => integerIn(n, `dimensions[${i}]`, MIN_DIMENSION, MAX_ATTACK_DIMENSION));
+    const runSeed = parseSeed(seed);
+    const random = createRandom(runSeed);
+    const started = Date.now();
+
+    const runs = dimensions.map(n => {
+        const parameters = parseParameters({ n, q, samples: 2 * n, error });
+        const { secretKey, publicKey, errors } = generateKeyPair(parameters, random);
+        const attack = attackKey(parameters, publicKey);
+        const d = 2 * n + 1;
+        // Expected shortest vector of a random lattice with this determinant (q^n · M) and dimension
+        const gaussianHeuristic = Math.sqrt(d / (2 * Math.PI * Math.E)) * (q ** n * Math.max(1, Math.round(parameters.errors.stdDev))) ** (1 / d);
+        const errorNorm = Math.sqrt(errors.reduce((sum, value) => sum + value * value, 0));
+        const success = Boolean(attack.s) && attack.s.every((value, i) => value === secretKey[i]);
+
+        let outcome;
+        let explanation;
+        if (attack.outcome === 'degenerate') {
+            [outcome, explanation] = [attack.outcome, attack.explanation];
+        } else if (success) {
+            outcome = 'recovered';
+            explanation = `LLL found the error vector (length ${errorNorm.toFixed(1)}, well under the ${gaussianHeuristic.toFixed(1)} expected of a random lattice) and with it the secret`;
+        } else if (!attack.completed) {
+            outcome = 'gave-up';
+            explanation = `LLL stopped after ${attack.swaps} swaps`;
+        } else {
+            outcome = 'failed';
+            explanation = `The shortest vector LLL found has length ${attack.shortestNorm.toFixed(1)}; the error vector (${errorNorm.toFixed(1)}) ` +
+                `is too close to the ${gaussianHeuristic.toFixed(1)} expected of a random lattice for LLL to single it out`;
+        }
+        return {
+            n,
+            samples: 2 * n,
+            latticeDimension: d,
+            success,
+            outcome,
+            explanation,
+            errorNorm: round(errorNorm, 2),
+            shortestNorm: attack.shortestNorm === undefined ? null : round(attack.shortestNorm, 2),
+            gaussianHeuristic: round(gaussianHeuristic, 2),
+            swaps: attack.swaps ?? 0,
+            lllMs: attack.lllMs ?? 0
+        };
+    });
+
+    return { q, error: errorModel(error).description, runs, seed: runSeed, durationMs: Date.now() - started };
+}
+
+/**
+ * Run an LWE lab operation on a worker thread so the event loop stays responsive
+ * @param {object} task - { operation: 'encrypt', 'noise' or 'attack', input }
+ * @returns {Promise<object>} - The operation's result
+ */
+function runLweInWorker(task) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(__filename, { workerData: { lweTask: task } });
+        worker.once('message', resolve);
+        worker.once('error', reject);
+        worker.once('exit', (code) => {
+            if (code !== 0) {
+                reject(new Error(`LWE worker exited with code ${code}`));
+            }
+        });
+    });
+}
+
+const OPERATIONS = { encrypt: lweEncryptDecrypt, noise: lweNoiseSweep, attack: lweLatticeAttack };
+
+if (!isMainThread && workerData && workerData.lweTask) {
+    const { operation, input = {} } = workerData.lweTask;
+    parentPort.postMessage(OPERATIONS[operation](input));
+}
+
+module.exports = {
+    ERROR_DISTRIBUTIONS,
+    DEFAULT_PARAMETERS,
+    lllReduce,
+    lweEncryptDecrypt,
+    lweNoiseSweep,
+    lweLatticeAttack,
+    runLweInWorker
+};
@@ -0,0 +1,288 @@
+// mosca-risk.js - "Harvest now, decrypt later" risk from Mosca's theorem
+
+const { getCatalogEntry } = require('./algorithm-catalog');
+
+/**
+ * Mosca risk calculator
+ *
+ * Mosca's theorem: with x the years data must stay confidential (shelf life),
+ * y the years a migration to post-quantum cryptography takes and z the years
+ * until a cryptographically relevant quantum computer exists, data is at risk
+ * when x + y > z. Ciphertext recorded today can be stored and decrypted once
+ * the quantum computer arrives, so it is the last data encrypted before the
+ * migration finishes, still secret x years later, that decides the verdict.
+ *
+ * The horizon z may be a single number of years or a distribution. The
+ * probability of exposure is then P(z < x + y), and "at risk" means that
+ * probability exceeds a risk tolerance (5% unless given). A fixed horizon
+ * gives probabilities of 0 or 1, which is the plain inequality.
+ *
+ * Horizon distributions, in years from now:
+ * - { distribution: 'fixed', years }
+ * - { distribution: 'uniform', min, max }
+ * - { distribution: 'triangular', min, mode, max }
+ * - { distribution: 'normal', mean, stdDev }
+ * - { distribution: 'lognormal', median, sigma } (sigma of the natural log)
+ * - { distribution: 'cumulative', points: [[years, probability], ...] } for
+ *   expert-survey style estimates. The probability rises linearly from 0 now
+ *   through the points and stays at the last one, so the remainder is the
+ *   chance it does not happen at all.
+ */
+
+const DEFAULT_RISK_TOLERANCE = 0.05;
+const MAX_YEARS = 200;
+
+const HORIZON_DISTRIBUTIONS = ['fixed', 'uniform', 'triangular', 'normal', 'lognormal', 'cumulative'];
+
+function years(value, name) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > MAX_YEARS) {
+        throw new Error(`${name} must be a number of years from 0 to ${MAX_YEARS}`);
+    }
+    return value;
+}
+
+function positive(value, name) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0 || value > MAX_YEARS) {
+        throw new Error(`${name} must be a positive number up to ${MAX_YEARS}`);
+    }
+    return value;
+}
+
+/**
+ * Standard normal CDF (Abramowitz and Stegun 7.1.26, absolute error below 1.5e-7)
+ */
+function normalCdf(value) {
+    const t = 1 / (1 + 0.3275911 * Math.abs(value) / Math.SQRT2);
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    const erf = 1 - poly * Math.exp(-value * value / 2);
+    return value >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Validate a threat horizon and turn it into { description, cdf(t), lower, upper }
+ * cdf(t) is the probability that the quantum computer arrives within t years;
+ * lower and upper bound where it changes.
+ */
+function horizonModel(horizon) {
+    const spec = typeof horizon === 'number' ? { distribution: 'fixed', years: horizon } : horizon;
+    if (!spec || typeof spec !== 'object' || !HORIZON_DISTRIBUTIONS.includes(spec.distribution)) {
+        throw new Error(`threatHorizon must be a number of years or { distribution } with one of ${HORIZON_DISTRIBUTIONS.join(', ')}`);
+    }
+
+    switch (spec.distribution) {
+        case 'fixed': {
+            const z = years(spec.years, 'threatHorizon.years');
+            return { description: { distribution: 'fixed', years: z }, cdf: t => (t > z ? 1 : 0), lower: z, upper: z };
+        }
+
+        case 'uniform': {
+            const min = years(spec.min, 'threatHorizon.min');
+            const max = years(spec.max, 'threatHorizon.max');
+            if (max <= min) {
+                throw new Error('threatHorizon.max must be greater than min');
+            }
+            return {
+                description: { distribution: 'uniform', min, max },
+                cdf: t => Math.min(1, Math.max(0, (t - min) / (max - min))),
+                lower: min,
+                upper: max
+            };
+        }
+
+        case 'triangular': {
+            const min = years(spec.min, 'threatHorizon.min');
+            const mode = years(spec.mode, 'threatHorizon.mode');
+            const max = years(spec.max, 'threatHorizon.max');
+            if (!(min <= mode && mode <= max && min < max)) {
+                throw new Error('threatHorizon needs min <= mode <= max with min < max');
+            }
+            const cdf = (t) => {
+                if (t <= min) return 0;
+                if (t >= max) return 1;
+                return t <= mode ?
+                    (t - min) ** 2 / ((max - min) * (mode - min)) :
+                    1 - (max - t) ** 2 / ((max - min) * (max - mode));
+            };
+            return { description: { distribution: 'triangular', min, mode, max }, cdf, lower: min, upper: max };
+        }
+
+        case 'normal': {
+            const mean = years(spec.mean, 'threatHorizon.mean');
+            const stdDev = positive(spec.stdDev, 'threatHorizon.stdDev');
+            return {
+                description: { distribution: 'normal', mean, stdDev },
+                cdf: t => normalCdf((t - mean) / stdDev),
+                lower: mean - 10 * stdDev,
+                upper: mean + 10 * stdDev
+            };
+        }
+
+        case 'lognormal': {
+            const median = positive(spec.median, 'threatHorizon.median');
+            if (typeof spec.sigma !== 'number' || !(spec.sigma > 0 && spec.sigma <= 5)) {
+                throw new Error('threatHorizon.sigma must be a number above 0 and at most 5');
+            }
+            const sigma = spec.sigma;
+            return {
+                description: { distribution: 'lognormal', median, sigma },
+                cdf: t => (t <= 0 ? 0 : normalCdf(Math.log(t / median) / sigma)),
+                lower: 0,
+                upper: median * Math.exp(10 * sigma)
+            };
+        }
+
+        case 'cumulative': {
+            if (!Array.isArray(spec.points) || spec.points.length === 0 || spec.points.length > 100) {
+                throw new Error('threatHorizon.points must be a list of 1 to 100 [years, probability] pairs');
+            }
+            const points = spec.points.map((point, index) => {
+                if (!Array.isArray(point) || point.length !== 2 || typeof point[1] !== 'number' || !(point[1] >= 0 && point[1] <= 1)) {
+                    throw new Error(`threatHorizon.points[${index}] must be [years, probability from 0 to 1]`);
+                }
+                return [years(point[0], `threatHorizon.points[${index}] years`), point[1]];
+            });
+            for (let i = 1; i < points.length; i++) {
+                if (points[i][0] <= points[i - 1][0] || points[i][1] < points[i - 1][1]) {
+                    throw new Error('threatHorizon.points must increase in years and not decrease in probability');
+                }
+            }
+            const cdf = (t) => {
+                let [previousYears, previousProbability] = [0, 0];
+                for (const [pointYears, probability] of points) {
+                    if (t <= pointYears) {
+                        return pointYears === previousYears ? probability : previousProbability + (probability - previousProbability) * (t - previousYears) / (pointYears - previousYears);
+                    }
+                    [previousYears, previousProbability] = [pointYears, probability];
+                }
+                return previousProbability;
+            };
+            return { description: { distribution: 'cumulative', points }, cdf: t => Math.max(0, cdf(t)), lower: 0, upper: points[points.length - 1][0] };
+        }
+    }
+}
+
+/**
+ * Years from now by which the horizon's probability reaches p, or null if it never does
+ */
+function horizonQuantile(model, p) {
+    if (model.cdf(model.upper + 1e-9) < p) {
+        return null;
+    }
+    let [low, high] = [model.lower, model.upper];
+    for (let i = 0; i < 100 && high - low > 1e-6; i++) {
+        const middle = (low + high) / 2;
+        if (model.cdf(middle) >= p) {
+            high = middle;
+        } else {
+            low = middle;
+        }
+    }
+    return Math.max(0, high);
+}
+
+function round(value, digits = 1) {
+    return value === null ? null : Number(value.toFixed(digits));
+}
+
+/**
+ * Assess "harvest now, decrypt later" risk
+ * @param {object} input - { shelfLifeYears, migrationYears, threatHorizon, algorithm, riskTolerance, currentYear }
+ *   algorithm is an optional catalog identifier (e.g. 'RSA-2048', 'X25519', 'ML-KEM-768') protecting the data today
+ * @returns {object} - Verdict, exposure probabilities and the years they translate to
+ */
+function assessMoscaRisk({
+    shelfLifeYears,
+    migrationYears,
+    threatHorizon,
+    algorithm = null,
+    riskTolerance = DEFAULT_RISK_TOLERANCE,
+    currentYear = new Date().getFullYear()
+} = {}) {
+    const x = years(shelfLifeYears, 'shelfLifeYears');
+    const y = years(migrationYears, 'migrationYears');
+    const model = horizonModel(threatHorizon);
+    if (typeof riskTolerance !== 'number' || !(riskTolerance > 0 && riskTolerance < 1)) {
+        throw new Error('riskTolerance must be a probability between 0 and 1');
+    }
+    if (!Number.isInteger(currentYear) || currentYear < 2000 || currentYear > 2200) {
+        throw new Error('currentYear must be a year from 2000 to 2200');
+    }
+
+    const entry = algorithm === null ? null : getCatalogEntry(algorithm);
+    const vulnerable = !entry || !entry.quantumSafe;
+
+    const median = horizonQuantile(model, 0.5);
+    const tolerated = horizonQuantile(model, riskTolerance);
+    const exposure = vulnerable ? model.cdf(x + y) : 0;
+    const exposureToday = vulnerable ? model.cdf(x) : 0;
+    const atRisk = exposure > riskTolerance;
+
+    // Data encrypted today is at risk once the chance of a quantum computer passes
+    // the tolerance, as long as that happens while the data is still secret
+    const todayAtRiskFrom = vulnerable && tolerated !== null && tolerated < x ? currentYear + tolerated : null;
+    const startBy = vulnerable && tolerated !== null ? currentYear + tolerated - x - y : null;
+
+    let verdict;
+    let summary;
+    if (!vulnerable) {
+        verdict = 'quantum-safe';
+        summary = `${entry.id} has no known efficient quantum attack (NIST category ${entry.nistCategory}); recorded ciphertext stays protected`;
+    } else if (atRisk) {
+        verdict = 'at-risk';
+        summary = `x + y = ${round(x + y)} years exceeds the threat horizon with ${Math.round(exposure * 100)}% probability; ` +
+            (startBy !== null && startBy < currentYear ?
+                `the migration should have started in ${Math.floor(startBy)}` :
+                'shorten the migration or protect long-lived data with post-quantum cryptography now');
+    } else {
+        verdict = 'safe';
+        summary = tolerated === null ?
+            'The threat horizon never reaches the risk tolerance' :
+            `Within tolerance if the migration starts by ${Math.floor(startBy)}`;
+    }
+
+    return {
+        verdict,
+        atRisk,
+        summary,
+        inputs: {
+            shelfLifeYears: x,
+            migrationYears: y,
+            threatHorizon: model.description,
+            algorithm: entry ? entry.id : null,
+            riskTolerance,
+            currentYear
+        },
+        exposureProbability: round(exposure, 4),
+        horizon: {
+            medianYears: round(median),
+            medianYear: median === null ? null : Math.floor(currentYear + median),
+            toleranceYears: round(tolerated),
+            toleranceYear: tolerated === null ? null : Math.floor(currentYear + tolerated),
+            marginYears: median === null ? null : round(median - (x + y))
+        },
+        dataEncryptedToday: {
+            secretUntil: currentYear + x,
+            exposureProbability: round(exposureToday, 4),
+            atRiskFrom: todayAtRiskFrom === null ? null : Math.floor(todayAtRiskFrom)
+        },
+        migration: {
+            completes: currentYear + y,
+            lastVulnerableDataSecretUntil: currentYear + y + x,
+            startBy: startBy === null ? null : Math.floor(startBy)
+        },
+        algorithm: entry && {
+            id: entry.id,
+            quantumSafe: entry.quantumSafe,
+            nistCategory: entry.nistCategory,
+            quantumAttack: entry.quantumAttack,
+            standardization: entry.standardization
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_RISK_TOLERANCE,
+    HORIZON_DISTRIBUTIONS,
+    normalCdf,
+    assessMoscaRisk
+};
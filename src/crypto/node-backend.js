@@ -0,0 +1,129 @@
+// node-backend.js - Node crypto backend for the QuantumChat core (src/crypto/core)
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const generateKeyPair = promisify(crypto.generateKeyPair);
+
+/**
+ * Every primitive of the backend interface (see core/pure-backend.mjs) from
+ * Node's crypto module, which is OpenSSL underneath and so constant-time where
+ * the pure-JS fallbacks are not.
+ *
+ * Results are handed back as plain Uint8Array views: Buffer.slice() shares
+ * memory where Uint8Array.slice() copies, and the core relies on the latter.
+ */
+
+const asBytes = (buffer) => new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+
+// DER prefixes wrapping a raw 32-byte X25519 key as PKCS#8 / SPKI for Node's KeyObject API
+const X25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b656e04220420', 'hex');
+const X25519_SPKI_PREFIX = Buffer.from('302a300506032b656e032100', 'hex');
+
+const derKeyPair = async (type, options) => {
+    const { publicKey, privateKey } = await generateKeyPair(type, {
+        ...options,
+        publicKeyEncoding: { type: 'spki', format: 'der' },
+        privateKeyEncoding: { type: 'pkcs8', format: 'der' }
+    });
+    return { publicKey: asBytes(publicKey), secretKey: asBytes(privateKey) };
+};
+const spkiKey = (publicKey) => crypto.createPublicKey({ key: Buffer.from(publicKey), format: 'der', type: 'spki' });
+const pkcs8Key = (secretKey) => crypto.createPrivateKey({ key: Buffer.from(secretKey), format: 'der', type: 'pkcs8' });
+const RSA_OAEP = { padding: crypto.constants.RSA_PKCS1_OAEP_PADDING, oaepHash: 'sha256' };
+
+const x25519PrivateKey = (secretKey) => crypto.createPrivateKey({
+    key: Buffer.concat([X25519_PKCS8_PREFIX, secretKey]),
+    format: 'der',
+    type: 'pkcs8'
+});
+
+const nodeBackend = Object.freeze({
+    name: 'node',
+
+    randomBytes: (length) => asBytes(crypto.randomBytes(length)),
+
+    /**
+     * SHA-256, optionally continuing from a sha256Midstate() prefix (a Hash object, copied per call)
+     */
+    sha256: (data, midstate = null) => asBytes((midstate ? midstate.copy() : crypto.createHash('sha256')).update(data).digest()),
+    sha256Midstate: (prefix) => crypto.createHash('sha256').update(prefix),
+    sha512: (data) => asBytes(crypto.createHash('sha512').update(data).digest()),
+
+    sha3_256: (data) => asBytes(crypto.createHash('sha3-256').update(data).digest()),
+    sha3_512: (data) => asBytes(crypto.createHash('sha3-512').update(data).digest()),
+    shake128: (data, length) => asBytes(crypto.createHash('shake128', { outputLength: length }).update(data).digest()),
+    shake256: (data, length) => asBytes(crypto.createHash('shake256', { outputLength: length }).update(data).digest()),
+
+    hmacSha256: (key, data) => asBytes(crypto.createHmac('sha256', key).update(data).digest()),
+    hkdfSha256: (ikm, salt, info, length) => new Uint8Array(crypto.hkdfSync('sha256', ikm, salt, info, length)),
+
+    scrypt: (password, salt, { N, r, p, dkLen }) => asBytes(crypto.scryptSync(password, salt, dkLen, { N, r, p, maxmem: 256 * N * r })),
+
+    /**
+     * X25519(k, u) (RFC 7748) on raw 32-byte keys
+     */
+    x25519: (secretKey, publicKey) => asBytes(crypto.diffieHellman({
+        privateKey: x25519PrivateKey(secretKey),
+        publicKey: crypto.createPublicKey({
+            key: Buffer.concat([X25519_SPKI_PREFIX, publicKey]),
+            format: 'der',
+            type: 'spki'
+        })
+    })),
+
+    /**
+     * X25519 public key for a raw 32-byte private scalar
+     */
+    x25519PublicKey: (secretKey) => asBytes(crypto.createPublicKey(x25519PrivateKey(secretKey))
+        .export({ format: 'der', type: 'spki' })
+        .subarray(X25519_SPKI_PREFIX.length)),
+
+    async aesGcmEncrypt(key, nonce, plaintext, aad = new Uint8Array(0)) {
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, nonce, { authTagLength: 16 });
+        cipher.setAAD(aad);
+        return asBytes(Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]));
+    },
+
+    async aesGcmDecrypt(key, nonce, sealed, aad = new Uint8Array(0)) {
+        if (sealed.length < 16) {
+            throw new Error('AES-GCM ciphertext is shorter than its tag');
+        }
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, nonce, { authTagLength: 16 });
+        decipher.setAAD(aad);
+        decipher.setAuthTag(sealed.subarray(sealed.length - 16));
+        try {
+            return asBytes(Buffer.concat([decipher.update(sealed.subarray(0, sealed.length - 16)), decipher.final()]));
+        } catch (error) {
+            throw new Error('AES-GCM authentication failed');
+        }
+    },
+
+    /**
+     * RSA-OAEP (SHA-256) key pair, SPKI public and PKCS#8 private key in DER
+     */
+    rsaOaepKeyGen: (modulusLength) => derKeyPair('rsa', { modulusLength, publicExponent: 65537 }),
+
+    async rsaOaepEncrypt(publicKey, plaintext) {
+        return asBytes(crypto.publicEncrypt({ key: spkiKey(publicKey), ...RSA_OAEP }, plaintext));
+    },
+
+    async rsaOaepDecrypt(secretKey, ciphertext) {
+        try {
+            return asBytes(crypto.privateDecrypt({ key: pkcs8Key(secretKey), ...RSA_OAEP }, ciphertext));
+        } catch (error) {
+            throw new Error('RSA-OAEP decryption failed');
+        }
+    },
+
+    /**
+     * ECDH P-256 key pair, SPKI public and PKCS#8 private key in DER
+     */
+    ecdhP256KeyGen: () => derKeyPair('ec', { namedCurve: 'P-256' }),
+
+    async ecdhP256(secretKey, publicKey) {
+        return asBytes(crypto.diffieHellman({ privateKey: pkcs8Key(secretKey), publicKey: spkiKey(publicKey) }));
+    }
+});
+
+module.exports = nodeBackend;
@@ -0,0 +1,277 @@
+// quantum-simulator.js - State-vector simulator for small quantum circuits
+
+const crypto = require('crypto');
+
+/**
+ * State-vector quantum simulator
+ *
+ * Holds all 2^n complex amplitudes of an n-qubit register in two Float64Arrays
+ * and applies each gate by sweeping them, so memory and time double with every
+ * qubit: 20 qubits take 16 MiB and a few milliseconds per gate. That covers the
+ * workshop-sized instances (Shor's algorithm on moduli up to 255) and shows why
+ * the thousands of logical qubits a real attack needs cannot be simulated.
+ *
+ * Qubit k is bit k of a basis-state index, so qubit 0 is the least significant.
+ * A register is a run of qubits [first, first + count) read as an integer.
+ */
+
+const MAX_QUBITS = 20;
+
+class StateVector {
+    /**
+     * @param {number} qubits - Number of qubits, 1 to MAX_QUBITS
+     * @param {number} initialState - Basis state to start in (default |0...0>)
+     */
+    constructor(qubits, initialState = 0) {
+        if (!Number.isInteger(qubits) || qubits < 1 || qubits > MAX_QUBITS) {
+            throw new Error(`The simulator holds 1 to ${MAX_QUBITS} qubits`);
+        }
+        this.qubits = qubits;
+        this.size = 2 ** qubits;
+        if (!Number.isInteger(initialState) || initialState < 0 || initialState >= this.size) {
+            throw new Error(`Initial state must be a basis state from 0 to ${this.size - 1}`);
+        }
+        this.re = new Float64Array(this.size);
+        this.im = new Float64Array(this.size);
+        this.re[initialState] = 1;
+        this.gateCounts = {};
+    }
+
+    /**
+     * Bytes of amplitude storage for a register of this many qubits
+     */
+    static memoryBytes(qubits) {
+        return 2 ** qubits * 2 * Float64Array.BYTES_PER_ELEMENT;
+    }
+
+    countGate(name) {
+        this.gateCounts[name] = (this.gateCounts[name] || 0) + 1;
+    }
+
+    checkQubit(qubit) {
+        if (!Number.isInteger(qubit) || qubit < 0 || qubit >= this.qubits) {
+            throw new Error(`Qubit ${qubit} is outside the ${this.qubits}-qubit register`);
+        }
+        return 1 << qubit;
+    }
+
+    checkRegister(first, count) {
+        if (!Number.isInteger(count) || count < 1) {
+            throw new Error('A register needs at least one qubit');
+        }
+        this.checkQubit(first);
+        this.checkQubit(first + count - 1);
+    }
+
+    hadamard(qubit) {
+        const bit = this.checkQubit(qubit);
+        const { re, im } = this;
+        for (let i = 0; i < this.size; i++) {
+            if (i & bit) {
+                continue;
+            }
+            const j = i | bit;
+            const [ar, ai, br, bi] = [re[i], im[i], re[j], im[j]];
+            re[i] = (ar + br) * Math.SQRT1_2;
+            im[i] = (ai + bi) * Math.SQRT1_2;
+            re[j] = (ar - br) * Math.SQRT1_2;
+            im[j] = (ai - bi) * Math.SQRT1_2;
+        }
+        this.countGate('H');
+    }
+
+    pauliX(qubit) {
+        const bit = this.checkQubit(qubit);
+        const { re, im } = this;
+        for (let i = 0; i < this.size; i++) {
+            if (!(i & bit)) {
+                const j = i | bit;
+                [re[i], re[j]] = [re[j], re[i]];
+                [im[i], im[j]] = [im[j], im[i]];
+            }
+        }
+        this.countGate('X');
+    }
+
+    /**
+     * Multiply the amplitude of every basis state with all `qubits` set by e^(iθ)
+     * One qubit is a phase gate, two a controlled phase.
+     */
+    phase(qubits, theta) {
+        const mask = [].concat(qubits).reduce((bits, qubit) => bits | this.checkQubit(qubit), 0);
+        const [cos, sin] = [Math.cos(theta), Math.sin(theta)];
+        const { re, im } = this;
+        for (let i = 0; i < this.size; i++) {
+            if ((i & mask) === mask) {
+                const r = re[i];
+                re[i] = r * cos - im[i] * sin;
+                im[i] = r * sin + im[i] * cos;
+            }
+        }
+        this.countGate(mask & (mask - 1) ? 'controlled phase' : 'phase');
+    }
+
+    /**
+     * Phase oracle: negate the amplitude of every basis state the oracle marks
+     * @param {function} isMarked - Index to boolean
+     * @param {string} name - Gate name for gateCounts
+     */
+    flipPhase(isMarked, name = 'oracle') {
+        for (let i = 0; i < this.size; i++) {
+            if (isMarked(i)) {
+                this.re[i] = -this.re[i];
+                this.im[i] = -this.im[i];
+            }
+        }
+        this.countGate(name);
+    }
+
+    /**
+     * Grover diffusion over the whole register, H⊗n (2|0⟩⟨0| - I) H⊗n
+     * That product is 2|s⟩⟨s| - I for the uniform superposition |s⟩, i.e. a
+     * reflection of every amplitude about their mean, which takes two sweeps
+     * instead of 2n Hadamard sweeps and a multi-controlled phase.
+     */
+    diffuse() {
+        let [meanRe, meanIm] = [0, 0];
+        for (let i = 0; i < this.size; i++) {
+            meanRe += this.re[i];
+            meanIm += this.im[i];
+        }
+        [meanRe, meanIm] = [meanRe / this.size, meanIm / this.size];
+        for (let i = 0; i < this.size; i++) {
+            this.re[i] = 2 * meanRe - this.re[i];
+            this.im[i] = 2 * meanIm - this.im[i];
+        }
+        this.countGate('diffusion');
+    }
+
+    swap(a, b) {
+        const [bitA, bitB] = [this.checkQubit(a), this.checkQubit(b)];
+        const { re, im } = this;
+        for (let i = 0; i < this.size; i++) {
+            if ((i & bitA) && !(i & bitB)) {
+                const j = i ^ bitA ^ bitB;
+                [re[i], re[j]] = [re[j], re[i]];
+                [im[i], im[j]] = [im[j], im[i]];
+            }
+        }
+        this.countGate('SWAP');
+    }
+
+    /**
+     * Apply a reversible classical function: basis state i becomes map(i)
+     * This is how oracles and modular arithmetic act on a state vector; map must be a permutation.
+     * @param {function} map - Index to index
+     * @param {string} name - Gate name for gateCounts
+     */
+    permute(map, name = 'permutation') {
+        const re = new Float64Array(this.size);
+        const im = new Float64Array(this.size);
+        const seen = new Uint8Array(this.size);
+        for (let i = 0; i < this.size; i++) {
+            const j = map(i);
+            if (seen[j]) {
+                throw new Error(`${name} is not reversible: two states map to ${j}`);
+            }
+            seen[j] = 1;
+            re[j] = this.re[i];
+            im[j] = this.im[i];
+        }
+        this.re = re;
+        this.im = im;
+        this.countGate(name);
+    }
+
+    /**
+     * Inverse quantum Fourier transform of a register, including the final bit-reversal swaps
+     */
+    inverseQft(first, count) {
+        this.checkRegister(first, count);
+        for (let i = 0; i < Math.floor(count / 2); i++) {
+            this.swap(first + i, first + count - 1 - i);
+        }
+        for (let j = 0; j < count; j++) {
+            for (let k = 0; k < j; k++) {
+                this.phase([first + k, first + j], -Math.PI / 2 ** (j - k));
+            }
+            this.hadamard(first + j);
+        }
+    }
+
+    /**
+     * Probability of each value of a register, summed over the other qubits
+     * @returns {Float64Array} - 2^count probabilities
+     */
+    probabilities(first, count) {
+        this.checkRegister(first, count);
+        const mask = 2 ** count - 1;
+        const distribution = new Float64Array(2 ** count);
+        for (let i = 0; i < this.size; i++) {
+            distribution[(i >>> first) & mask] += this.re[i] ** 2 + this.im[i] ** 2;
+        }
+        return distribution;
+    }
+
+    /**
+     * Measure a register: sample a value and collapse the state onto it
+     * @param {function} random - Uniform [0, 1) source
+     * @returns {number} - Measured value
+     */
+    measure(first, count, random = Math.random) {
+        const distribution = this.probabilities(first, count);
+        let target = random();
+        let value = distribution.length - 1;
+        for (let v = 0; v < distribution.length; v++) {
+            target -= distribution[v];
+            if (target < 0) {
+                value = v;
+                break;
+            }
+        }
+        const mask = 2 ** count - 1;
+        const norm = Math.sqrt(distribution[value]);
+        for (let i = 0; i < this.size; i++) {
+            if (((i >>> first) & mask) === value) {
+                this.re[i] /= norm;
+                this.im[i] /= norm;
+            } else {
+                this.re[i] = 0;
+                this.im[i] = 0;
+            }
+        }
+        this.countGate('measure');
+        return value;
+    }
+}
+
+/**
+ * mulberry32: seeded [0, 1) generator, so a simulation can be replayed from its seed
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 2 ** 32;
+    };
+}
+
+function parseSeed(seed) {
+    if (seed === undefined || seed === null) {
+        return crypto.randomBytes(4).readUInt32BE(0);
+    }
+    if (!Number.isInteger(seed) || seed < 0 || seed >= 2 ** 32) {
+        throw new Error('seed must be an integer from 0 to 4294967295');
+    }
+    return seed;
+}
+
+module.exports = {
+    MAX_QUBITS,
+    StateVector,
+    createRandom,
+    parseSeed
+};
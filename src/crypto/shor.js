@@ -0,0 +1,412 @@
+// shor.js - Shor's algorithm on the state-vector simulator, against toy RSA keys
+
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { MAX_QUBITS, StateVector, createRandom, parseSeed } = require('./quantum-simulator');
+
+/**
+ * Shor's algorithm, simulated
+ *
+ * Factoring N reduces to finding the order r of a random base a modulo N (the
+ * smallest r with a^r ≡ 1 mod N): if r is even and a^(r/2) ≢ -1, then
+ * gcd(a^(r/2) ± 1, N) are factors. The quantum part finds r by phase
+ * estimation. A counting register in uniform superposition controls
+ * multiplications by a^(2^k) mod N on a work register holding 1. An inverse QFT
+ * on the counting register then concentrates the probability near multiples of
+ * 2^t / r, and continued fractions turn the measured value back into r.
+ *
+ * Every gate runs on a real state vector (quantum-simulator.js). The work
+ * register needs ceil(log2 N) qubits and the counting register ideally twice as
+ * many. With the simulator's 20 qubits that allows moduli up to 255 with 12
+ * counting qubits, which is enough precision for their orders. RSA-2048 would
+ * need about 4,100 logical qubits, and the state vector would be 2^4100 amplitudes.
+ */
+
+const MIN_MODULUS = 15;
+const MAX_MODULUS = 255;
+const DEFAULT_MAX_ATTEMPTS = 8;
+const MAX_ATTEMPTS = 20;
+const MAX_MESSAGE_LENGTH = 32;
+const DEFAULT_MESSAGE = 'ATTACK AT DAWN';
+const PEAKS_REPORTED = 16; // Most likely counting-register values returned per run
+const ORDER_MULTIPLES = 4; // A convergent may give r / k when k shares a factor with r; try k up to this
+
+const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+
+function modPow(base, exponent, modulus) {
+    let result = 1;
+    base %= modulus;
+    for (let e = exponent; e > 0; e = Math.floor(e / 2)) {
+        if (e % 2 === 1) {
+            result = (result * base) % modulus;
+        }
+        base = (base * base) % modulus;
+    }
+    return result;
+}
+
+function modInverse(value, modulus) {
+    let [r0, r1, t0, t1] = [modulus, value % modulus, 0, 1];
+    while (r1 !== 0) {
+        const q = Math.floor(r0 / r1);
+        [r0, r1, t0, t1] = [r1, r0 - q * r1, t1, t0 - q * t1];
+    }
+    return r0 === 1 ? ((t0 % modulus) + modulus) % modulus : null;
+}
+
+function isPrime(n) {
+    if (n < 2) {
+        return false;
+    }
+    for (let d = 2; d * d <= n; d++) {
+        if (n % d === 0) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * [base, exponent] when n = base^exponent with exponent > 1, else null
+ */
+function perfectPower(n) {
+    for (let exponent = Math.floor(Math.log2(n)); exponent > 1; exponent--) {
+        const base = Math.round(n ** (1 / exponent));
+        if (base ** exponent === n) {
+            return [base, exponent];
+        }
+    }
+    return null;
+}
+
+// Products of two distinct odd primes within the simulator's reach: the toy RSA moduli
+const TOY_RSA_MODULI = Array.from({ length: MAX_MODULUS - MIN_MODULUS + 1 }, (_, i) => MIN_MODULUS + i)
+    .filter(n => n % 2 === 1 && !isPrime(n) && !perfectPower(n))
+    .filter(n => {
+        const p = Array.from({ length: n }, (_, i) => i).find(d => d > 1 && n % d === 0);
+        return isPrime(n / p) && p !== n / p;
+    });
+
+function parseModulus(modulus) {
+    if (!Number.isInteger(modulus) || modulus < MIN_MODULUS || modulus > MAX_MODULUS) {
+        throw new Error(`modulus must be an integer from ${MIN_MODULUS} to ${MAX_MODULUS} (${MAX_QUBITS} simulated qubits)`);
+    }
+    if (isPrime(modulus)) {
+        throw new Error(`${modulus} is prime; there is nothing to factor`);
+    }
+    return modulus;
+}
+
+/**
+ * Convergents [numerator, denominator] of the continued fraction of numerator / denominator
+ */
+function convergents(numerator, denominator) {
+    const result = [];
+    let [h0, h1, k0, k1] = [0, 1, 1, 0];
+    let [n, d] = [numerator, denominator];
+    while (d !== 0) {
+        const q = Math.floor(n / d);
+        [h0, h1] = [h1, q * h1 + h0];
+        [k0, k1] = [k1, q * k1 + k0];
+        result.push([h1, k1]);
+        [n, d] = [d, n - q * d];
+    }
+    return result;
+}
+
+/**
+ * Quantum order finding: one run of the phase-estimation circuit for a^x mod N
+ * @returns {object} - { measured, countingQubits, workQubits, gates, peaks, simulationMs }
+ */
+function runOrderFindingCircuit(modulus, base, random) {
+    const workQubits = modulus.toString(2).length;
+    const countingQubits = Math.min(2 * workQubits, MAX_QUBITS - workQubits);
+    const workMask = 2 ** workQubits - 1;
+    const started = Date.now();
+
+    // Work register in the low qubits, starting at |1>; counting register above it
+    const state = new StateVector(countingQubits + workQubits, 1);
+    for (let k = 0; k < countingQubits; k++) {
+        state.hadamard(workQubits + k);
+    }
+    for (let k = 0, multiplier = base; k < countingQubits; k++, multiplier = (multiplier * multiplier) % modulus) {
+        const control = 1 << (workQubits + k);
+        state.permute(i => {
+            const y = i & workMask;
+            return (i & control) && y < modulus ? (i - y) + (y * multiplier) % modulus : i;
+        }, 'controlled modular multiplication');
+    }
+    state.inverseQft(workQubits, countingQubits);
+
+    const distribution = state.probabilities(workQubits, countingQubits);
+    const peaks = Array.from(distribution, (probability, value) => ({ value, probability }))
+        .sort((a, b) => b.probability - a.probability)
+        .slice(0, PEAKS_REPORTED)
+        .filter(peak => peak.probability > 1e-4)
+        .map(peak => ({ value: peak.value, probability: Number(peak.probability.toFixed(4)) }));
+    const measured = state.measure(workQubits, countingQubits, random);
+
+    return {
+        measured,
+        countingQubits,
+        workQubits,
+        gates: state.gateCounts,
+        peaks,
+        simulationMs: Date.now() - started
+    };
+}
+
+/**
+ * Divide prime factors out of a multiple of the order while base^r ≡ 1 (mod N) still holds
+ * A convergent can land on a multiple of r, whose half may be ≡ 1 and give only trivial factors.
+ */
+function minimalOrder(modulus, base, multiple) {
+    let order = multiple;
+    for (let p = 2; p <= order; p++) {
+        while (order % p === 0 && modPow(base, order / p, modulus) === 1) {
+            order /= p;
+        }
+    }
+    return order;
+}
+
+/**
+ * Smallest r with base^r ≡ 1 (mod N) from the convergent denominators and their first few multiples
+ * Denominator 1 (from measuring 0) says nothing about r, and trying all its multiples
+ * would be classical order finding, so it is skipped.
+ */
+function orderFromMeasurement(modulus, base, measured, countingQubits) {
+    const fractions = convergents(measured, 2 ** countingQubits);
+    for (const [, denominator] of fractions.filter(([, d]) => d > 1 && d < modulus)) {
+        for (let k = 1; k <= ORDER_MULTIPLES && k * denominator < modulus; k++) {
+            if (modPow(base, k * denominator, modulus) === 1) {
+                return { order: minimalOrder(modulus, base, k * denominator), convergents: fractions };
+            }
+        }
+    }
+    return { order: null, convergents: fractions };
+}
+
+function factorWith(modulus, random, maxAttempts) {
+    const attempts = [];
+    const bases = Array.from({ length: modulus - 3 }, (_, i) => i + 2).filter(a => gcd(a, modulus) === 1);
+
+    while (attempts.length < maxAttempts) {
+        const base = bases[Math.floor(random() * bases.length)];
+        const circuit = runOrderFindingCircuit(modulus, base, random);
+        const { order, convergents: fractions } = orderFromMeasurement(modulus, base, circuit.measured, circuit.countingQubits);
+        const attempt = {
+            base,
+            ...circuit,
+            phase: `${circuit.measured}/${2 ** circuit.countingQubits}`,
+            convergents: fractions.map(([n, d]) => `${n}/${d}`),
+            order
+        };
+        attempts.push(attempt);
+
+        if (order === null) {
+            attempt.outcome = 'order-not-found';
+            attempt.explanation = circuit.measured === 0 ?
+                'Measured 0, which carries no information about the order; run again' :
+                `No convergent of ${attempt.phase} has the order of ${base} as its denominator; run again`;
+            continue;
+        }
+        if (order % 2 === 1) {
+            attempt.outcome = 'odd-order';
+            attempt.explanation = `The order of ${base} is ${order}, which is odd; pick another base`;
+            continue;
+        }
+        const root = modPow(base, order / 2, modulus);
+        if (root === modulus - 1) {
+            attempt.outcome = 'trivial-root';
+            attempt.explanation = `${base}^${order / 2} ≡ -1 (mod ${modulus}) gives only trivial factors; pick another base`;
+            continue;
+        }
+        const factors = [gcd(root - 1, modulus), gcd(root + 1, modulus)].sort((a, b) => a - b);
+        attempt.outcome = 'factored';
+        attempt.explanation = `The order of ${base} is ${order}: gcd(${root} - 1, ${modulus}) = ${gcd(root - 1, modulus)}, ` +
+            `gcd(${root} + 1, ${modulus}) = ${gcd(root + 1, modulus)}`;
+        return { factors: factors[0] === 1 ? [factors[1], modulus / factors[1]] : factors, attempts };
+    }
+    return { factors: null, attempts };
+}
+
+/**
+ * Factor a small modulus with Shor's algorithm on the simulator
+ * Even moduli and prime powers are split classically, as Shor's algorithm assumes.
+ * @param {number} modulus - Composite from 15 to 255
+ * @param {object} options - { seed: replays a run, maxAttempts: circuit runs before giving up (default 8) }
+ * @returns {object} - { modulus, factors (null if every attempt failed), method, classicalChecks, qubits, attempts, seed, durationMs }
+ */
+function factorWithShor(modulus, { seed, maxAttempts = DEFAULT_MAX_ATTEMPTS } = {}) {
+    parseModulus(modulus);
+    const runSeed = parseSeed(seed);
+    if (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > MAX_ATTEMPTS) {
+        throw new Error(`maxAttempts must be an integer from 1 to ${MAX_ATTEMPTS}`);
+    }
+    const started = Date.now();
+    const workQubits = modulus.toString(2).length;
+    const countingQubits = Math.min(2 * workQubits, MAX_QUBITS - workQubits);
+    const result = {
+        modulus,
+        factors: null,
+        method: 'classical',
+        classicalChecks: [],
+        qubits: null,
+        attempts: [],
+        seed: runSeed
+    };
+
+    const power = perfectPower(modulus);
+    if (modulus % 2 === 0) {
+        result.classicalChecks.push(`${modulus} is even`);
+        result.factors = [2, modulus / 2];
+    } else if (power) {
+        result.classicalChecks.push(`${modulus} = ${power[0]}^${power[1]} is a prime power`);
+        result.factors = [power[0], modulus / power[0]];
+    } else {
+        result.classicalChecks.push(`${modulus} is odd`, `${modulus} is not a prime power`);
+        result.method = 'shor';
+        result.qubits = {
+            counting: countingQubits,
+            work: workQubits,
+            total: countingQubits + workQubits,
+            memoryBytes: StateVector.memoryBytes(countingQubits + workQubits)
+        };
+        Object.assign(result, factorWith(modulus, createRandom(runSeed), maxAttempts));
+    }
+    result.durationMs = Date.now() - started;
+    return result;
+}
+
+/**
+ * Message bytes as base-n digits, most significant first, each small enough to encrypt under n
+ * A leading 0x01 byte keeps leading zero bytes.
+ */
+function encodeMessage(message, n) {
+    let value = BigInt(`0x01${Buffer.from(message, 'utf8').toString('hex')}`);
+    const digits = [];
+    for (const base = BigInt(n); value > 0n; value /= base) {
+        digits.unshift(Number(value % base));
+    }
+    return digits;
+}
+
+function decodeMessage(digits, n) {
+    const hex = digits.reduce((acc, digit) => acc * BigInt(n) + BigInt(digit), 0n).toString(16);
+    return Buffer.from(hex.length % 2 ? `0${hex}` : hex, 'hex').subarray(1).toString('utf8');
+}
+
+/**
+ * Textbook RSA key on a toy modulus: the smallest public exponent from 3 up coprime to φ(n)
+ */
+function createToyRsaKey(n) {
+    if (!TOY_RSA_MODULI.includes(n)) {
+        throw new Error(`${n} is not a product of two distinct odd primes up to ${MAX_MODULUS}`);
+    }
+    const p = Array.from({ length: n }, (_, i) => i).find(d => d > 1 && n % d === 0);
+    const q = n / p;
+    const phi = (p - 1) * (q - 1);
+    let e = 3;
+    while (gcd(e, phi) !== 1) {
+        e += 2;
+    }
+    return { n, e, d: modInverse(e, phi), p, q, phi };
+}
+
+/**
+ * The workshop scenario: a victim encrypts with a toy RSA key, an attacker who
+ * sees only the public key and ciphertext factors n with Shor's algorithm,
+ * rebuilds the private key and reads the message
+ * @param {object} input - { modulus (default: random toy modulus), message (up to 32 characters), seed, maxAttempts }
+ * @returns {object} - { publicKey, intercepted, shor, recoveredKey, recoveredMessage, success, steps, seed }
+ */
+function breakToyRsa({ modulus = null, message = DEFAULT_MESSAGE, seed, maxAttempts } = {}) {
+    const runSeed = parseSeed(seed);
+    const random = createRandom(runSeed);
+    if (typeof message !== 'string' || message.length === 0 || message.length > MAX_MESSAGE_LENGTH) {
+        throw new Error(`message must be 1 to ${MAX_MESSAGE_LENGTH} characters`);
+    }
+    const n = modulus === null ? TOY_RSA_MODULI[Math.floor(random() * TOY_RSA_MODULI.length)] : parseModulus(modulus);
+
+    // Victim: key generation and encryption, one digit below n at a time
+    const key = createToyRsaKey(n);
+    const ciphertext = encodeMessage(message, n).map(m => modPow(m, key.e, n));
+
+    // Attacker: public key and ciphertext only
+    const shor = factorWithShor(n, { seed: Math.floor(random() * 2 ** 32), maxAttempts });
+    const steps = [
+        { title: '🔑 Victim generates an RSA key', detail: `Public key (n = ${n}, e = ${key.e}); the primes behind n stay secret` },
+        { title: '📡 Ciphertext intercepted', detail: `${ciphertext.length} blocks: ${ciphertext.join(' ')}` },
+        { title: '🧮 Classical checks', detail: shor.classicalChecks.join('; ') }
+    ];
+    for (const attempt of shor.attempts) {
+        steps.push({
+            title: `⚛️ Quantum order finding with a = ${attempt.base}`,
+            detail: `${attempt.countingQubits + attempt.workQubits} qubits (${attempt.countingQubits} counting + ${attempt.workQubits} work), ` +
+                `measured ${attempt.phase}. ${attempt.explanation}`
+        });
+    }
+
+    const result = {
+        publicKey: { n, e: key.e },
+        intercepted: { ciphertext },
+        shor,
+        recoveredKey: null,
+        recoveredMessage: null,
+        success: false,
+        steps,
+        seed: runSeed
+    };
+    if (!shor.factors) {
+        steps.push({ title: '❌ No factors', detail: `Every circuit run failed; try again with another seed` });
+        return result;
+    }
+
+    const [p, q] = shor.factors;
+    const phi = (p - 1) * (q - 1);
+    const d = modInverse(key.e, phi);
+    const recoveredMessage = decodeMessage(ciphertext.map(c => modPow(c, d, n)), n);
+    Object.assign(result, { recoveredKey: { p, q, phi, d }, recoveredMessage, success: recoveredMessage === message });
+    steps.push(
+        { title: '➗ Modulus factored', detail: `${n} = ${p} × ${q}` },
+        { title: '🔓 Private key rebuilt', detail: `φ(n) = (${p} - 1)(${q} - 1) = ${phi}, d = e⁻¹ mod φ(n) = ${d}` },
+        { title: '📖 Message decrypted', detail: recoveredMessage }
+    );
+    return result;
+}
+
+/**
+ * Run factorWithShor() or breakToyRsa() on a worker thread so the event loop stays responsive
+ * @param {object} task - { operation: 'factor' or 'rsa', input }
+ * @returns {Promise<object>} - The function's result
+ */
+function runShorInWorker(task) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(__filename, { workerData: { shorTask: task } });
+        worker.once('message', resolve);
+        worker.once('error', reject);
+        worker.once('exit', (code) => {
+            if (code !== 0) {
+                reject(new Error(`Shor worker exited with code ${code}`));
+            }
+        });
+    });
+}
+
+if (!isMainThread && workerData && workerData.shorTask) {
+    const { operation, input = {} } = workerData.shorTask;
+    parentPort.postMessage(operation === 'rsa' ? breakToyRsa(input) : factorWithShor(input.modulus, input));
+}
+
+module.exports = {
+    MIN_MODULUS,
+    MAX_MODULUS,
+    TOY_RSA_MODULI,
+    convergents,
+    minimalOrder,
+    runOrderFindingCircuit,
+    factorWithShor,
+    createToyRsaKey,
+    breakToyRsa,
+    runShorInWorker
+};
@@ -7,18 +7,75 @@ class QuantumChatApp {
         this.publicKey = null;
         this.peerPublicKey = null;
         this.isReady = false;
-        this.crypto = new ClientQuantumCrypto();
         
         // DOM elements
         this.elements = {
             status: document.getElementById('connectionStatus'),
             keyStatus: document.getElementById('keyStatus'),
             encryptionType: document.getElementById('encryptionType'),
+            cipherSuite: document.getElementById('cipherSuite'),
+            displayLabel: document.getElementById('displayLabel'),
+            roomSelect: document.getElementById('roomSelect'),
+            createRoom: document.getElementById('createRoom'),
+            leaveRoom: document.getElementById('leaveRoom'),
+            exportIdentity: document.getElementById('exportIdentity'),
+            importIdentity: document.getElementById('importIdentity'),
+            identityFile: document.getElementById('identityFile'),
+            peerList: document.getElementById('peerList'),
+            safetyNumberView: document.getElementById('safetyNumberView'),
+            keyChangeWarning: document.getElementById('keyChangeWarning'),
+            insecureRngWarning: document.getElementById('insecureRngWarning'),
+            riskForm: document.getElementById('riskForm'),
+            riskShelfLife: document.getElementById('riskShelfLife'),
+            riskMigration: document.getElementById('riskMigration'),
+            riskAlgorithm: document.getElementById('riskAlgorithm'),
+            riskDistribution: document.getElementById('riskDistribution'),
+            riskHorizonParams: document.getElementById('riskHorizonParams'),
+            riskResult: document.getElementById('riskResult'),
+            shorForm: document.getElementById('shorForm'),
+            shorModulus: document.getElementById('shorModulus'),
+            shorMessage: document.getElementById('shorMessage'),
+            shorSeed: document.getElementById('shorSeed'),
+            shorSubmit: document.getElementById('shorSubmit'),
+            shorResult: document.getElementById('shorResult'),
+            groverForm: document.getElementById('groverForm'),
+            groverKeyBits: document.getElementById('groverKeyBits'),
+            groverIterations: document.getElementById('groverIterations'),
+            groverSeed: document.getElementById('groverSeed'),
+            groverSubmit: document.getElementById('groverSubmit'),
+            groverResult: document.getElementById('groverResult'),
+            qDayForm: document.getElementById('qDayForm'),
+            qDaySubmit: document.getElementById('qDaySubmit'),
+            qDayResult: document.getElementById('qDayResult'),
             messagesContainer: document.getElementById('messagesContainer'),
             messageInput: document.getElementById('messageInput'),
-            sendButton: document.getElementById('sendButton')
+            sendButton: document.getElementById('sendButton'),
+            attachButton: document.getElementById('attachButton'),
+            attachmentFile: document.getElementById('attachmentFile')
         };
         
+        // The name we announce with our keys, and the fingerprints the user has verified
+        // by peer name; client IDs change on every connection, names are what peers keep
+        this.label = this.loadLabel();
+        this.verifiedFingerprints = this.loadVerifiedFingerprints();
+        this.keyChangedPeers = new Set(); // Peers presenting a different identity key from the one verified for their name
+        this.safetyNumberPeer = null; // Peer whose safety number is on screen
+        
+        // Attachment transfers by file ID; uploads survive reconnects and resume
+        this.uploads = new Map();
+        this.downloads = new Map();
+        this.maxAttachmentBytes = Attachment.MAX_SIZE; // Lowered by the server's limit on connect
+        
+        this.keyGeneration = Promise.resolve(); // Our key pair generation in progress, if any
+        this.pendingEscrow = []; // Classical key pairs waiting for the connection, see escrowClassicalKey()
+        
+        // Chat rooms: the server puts each connection in its lobby, and peers are only the members of our room
+        this.room = null;
+        this.rooms = [];
+        
+        this.populateSuiteOptions();
+        this.crypto = new ClientQuantumCrypto({ suite: this.selectedSuite(), ...this.sessionOptions() });
+        
         this.initializeApp();
     }
 
@@ -31,6 +88,7 @@ class QuantumChatApp {
         this.connectToServer();
         this.setupEventListeners();
         this.updateUI();
+        this.renderRandomnessWarning();
         
         // Show initial educational message
         this.addSystemMessage('Welcome to QuantumChat! This application demonstrates post-quantum cryptography in action.');
@@ -81,6 +139,17 @@ class QuantumChatApp {
             console.log('❌ Disconnected from server');
             this.updateStatus('disconnected', 'Disconnected');
             this.isReady = false;
+            
+            // Sessions and peers belong to this connection; wipe them, and the identity
+            // keys too unless they were imported (fresh ones are generated on reconnect)
+            if (this.crypto.identityImported) {
+                this.crypto.destroySessions();
+                this.crypto.forgetPeers();
+            } else {
+                this.crypto.destroy();
+            }
+            this.resetPeerViews();
+            this.suspendTransfers();
             this.updateUI();
             
             // Attempt to reconnect after 3 seconds
@@ -108,20 +177,23 @@ class QuantumChatApp {
         switch (message.type) {
             case 'connected':
                 this.clientId = message.clientId;
+                this.crypto.clientId = message.clientId;
+                this.maxAttachmentBytes = message.maxAttachmentBytes || Attachment.MAX_SIZE;
+                this.room = message.room || null;
                 this.addSystemMessage(`Connected with ID: ${this.clientId.substring(0, 8)}...`);
+                this.resumeUploads();
                 break;
                 
             case 'key_generation_start':
                 this.updateKeyStatus('Generating quantum-safe keys...');
                 this.addSystemMessage('🔑 Generating post-quantum cryptographic keys...');
+                this.generateKeys();
                 break;
                 
             case 'keys_generated':
                 this.publicKey = message.publicKey;
-                // Set the publicKey in the crypto instance for key exchange
-                this.crypto.publicKey = message.publicKey;
                 this.updateKeyStatus('Keys generated ✅');
-                this.addSystemMessage(`🔐 Keys generated using ${message.algorithm}`);
+                this.addSystemMessage(`🔐 Keys generated for suite ${message.suite}`);
                 break;
                 
             case 'peer_public_key':
@@ -130,21 +202,21 @@ class QuantumChatApp {
                 }
                 break;
                 
+            case 'peer_key_exchange':
+                this.handlePeerKeyExchange(message);
+                break;
+                
             case 'key_exchange_complete':
                 this.isReady = true;
                 this.updateKeyStatus('Secure channel established ✅');
                 this.updateUI();
                 const peerInfo = message.peerId ? ` with peer ${message.peerId.substring(0, 8)}...` : '';
                 this.addSystemMessage(`🤝 Quantum-safe communication channel established${peerInfo}!`);
-                this.showSecurityInfo(message.securityInfo);
+                this.showSecurityInfo(this.crypto.getSecurityInfo());
                 break;
                 
             case 'peer_ready':
-                // A peer is ready to communicate with us
-                const peerId = message.peerId;
-                if (peerId) {
-                    this.addSystemMessage(`🔒 Secure connection established with peer ${peerId.substring(0, 8)}...`);
-                }
+                this.handlePeerReady(message);
                 break;
                 
             case 'message_received':
@@ -156,9 +228,72 @@ class QuantumChatApp {
                 break;
                 
             case 'user_left':
+                if (message.clientId) {
+                    this.crypto.forgetPeer(message.clientId);
+                    this.keyChangedPeers.delete(message.clientId);
+                    if (this.safetyNumberPeer === message.clientId) {
+                        this.closeSafetyNumber();
+                    }
+                    this.renderKeyChangeWarning();
+                    this.renderPeerList();
+                }
                 this.addSystemMessage('👋 A user left the chat');
                 break;
                 
+            case 'mosca_risk_result':
+                this.showRiskAssessment(message);
+                break;
+                
+            case 'shor_rsa_result':
+                this.showShorResult(message);
+                break;
+                
+            case 'grover_search_result':
+                this.showGroverResult(message);
+                break;
+                
+            case 'q_day_result':
+                this.showQDayResult(message);
+                break;
+                
+            case 'attachment_accepted':
+                this.handleAttachmentAccepted(message);
+                break;
+                
+            case 'attachment_ack':
+                this.handleAttachmentAck(message);
+                break;
+                
+            case 'attachment_complete':
+                this.handleAttachmentComplete(message);
+                break;
+                
+            case 'attachment_incoming':
+                this.handleAttachmentIncoming(message);
+                break;
+                
+            case 'attachment_chunk':
+                this.handleAttachmentChunk(message);
+                break;
+                
+            case 'attachment_cancelled':
+                this.handleAttachmentCancelled(message);
+                break;
+                
+            case 'room_list':
+                this.rooms = message.rooms;
+                this.renderRoomList();
+                break;
+                
+            case 'room_joined':
+                this.enterRoom(message);
+                break;
+                
+            case 'room_error':
+                this.addSystemMessage(`❌ ${message.message}: ${message.error}`, 'error');
+                this.renderRoomList();
+                break;
+                
             case 'error':
                 this.addSystemMessage(`❌ Error: ${message.message}`, 'error');
                 break;
@@ -168,6 +303,40 @@ class QuantumChatApp {
         }
     }
 
+    /**
+     * Generate our own KEM key pair and register the public key with the server
+     * The private key never leaves the browser, unless a classical comparison
+     * suite escrows it for the simulated Q-Day (see escrowClassicalKey()).
+     */
+    async generateKeys() {
+        try {
+            this.keyGeneration = this.crypto.identityImported ?
+                Promise.resolve(this.crypto.publicKeyInfo()) : this.crypto.generateKeyPair();
+            const keyInfo = await this.keyGeneration;
+            this.registerKeys(keyInfo);
+            this.flushKeyEscrow();
+        } catch (error) {
+            console.error('❌ Key generation failed:', error);
+            this.addSystemMessage('❌ Key generation failed', 'error');
+        }
+    }
+
+    /**
+     * Send our public keys and name to the server, which announces them to the room
+     */
+    registerKeys(keyInfo) {
+        this.ws.send(JSON.stringify({
+            type: 'register_keys',
+            publicKey: keyInfo.publicKey,
+            algorithm: keyInfo.algorithm,
+            signaturePublicKey: keyInfo.signaturePublicKey,
+            signatureAlgorithm: keyInfo.signatureAlgorithm,
+            suite: keyInfo.suite,
+            label: this.label,
+            timestamp: new Date().toISOString()
+        }));
+    }
+
     /**
      * Handle peer public key and perform key exchange
      */
@@ -178,20 +347,26 @@ class QuantumChatApp {
         // Store the most recent peer's public key for backward compatibility
         this.peerPublicKey = peerPublicKey;
         
-        // Store the peer's public key in the peers map
-        if (!this.crypto.peers) {
-            this.crypto.peers = new Map();
+        // Store the peer's public keys; a session with its old keys cannot be trusted for the new ones
+        const changed = this.recordPeerIdentity(peerId, {
+            publicKey: peerPublicKey,
+            algorithm: message.algorithm,
+            signaturePublicKey: message.signaturePublicKey,
+            signatureAlgorithm: message.signatureAlgorithm,
+            label: message.label
+        });
+        if (changed) {
+            this.crypto.destroySession(peerId);
         }
-        this.crypto.peers.set(peerId, peerPublicKey);
         
         // Check if we already have a shared secret with this peer
-        const alreadyHasSharedSecret = this.crypto.sharedSecrets && this.crypto.sharedSecrets.has(peerId);
+        const alreadyHasSharedSecret = this.crypto.hasSharedSecretWith(peerId);
         
         if (!alreadyHasSharedSecret) {
-            this.addSystemMessage(`🔗 Peer ${peerId.substring(0, 8)}... connected with ${message.algorithm}`);
+            this.addSystemMessage(`🔗 Peer ${this.peerName(peerId)} connected with suite ${message.suite}`);
             
             // Perform key exchange with this peer only if we don't already have a shared secret
-            if (this.publicKey && peerPublicKey) {
+            if (peerPublicKey) {
                 this.performKeyExchange(peerPublicKey, peerId);
             }
         } else {
@@ -199,10 +374,41 @@ class QuantumChatApp {
         }
     }
 
+    /**
+     * Store a peer's identity keys and warn when they differ from the verified ones
+     * Verifications are kept by the peer's name, so a verified name presenting another
+     * key gets a prominent warning, whether on this connection or a later one; the
+     * verification belongs to the old key and does not carry over.
+     * @returns {boolean} - True when the peer had different keys before on this connection
+     */
+    recordPeerIdentity(peerId, keys) {
+        const { fingerprint, changed } = this.crypto.setPeerIdentity(peerId, keys);
+        const label = this.crypto.peerLabels.get(peerId);
+        const verified = label ? this.verifiedFingerprints.get(label) : undefined;
+        if (verified !== undefined && verified !== fingerprint) {
+            if (!this.keyChangedPeers.has(peerId)) {
+                this.keyChangedPeers.add(peerId);
+                this.addSystemMessage(`⚠️ ${this.peerName(peerId)} presented a different identity key from the one you verified. ` +
+                    'Compare safety numbers again before trusting it.', 'error');
+            }
+        } else {
+            this.keyChangedPeers.delete(peerId);
+            if (changed) {
+                this.addSystemMessage(`🔁 Peer ${this.peerName(peerId)} now uses a different identity key`);
+            }
+        }
+        if (changed && this.safetyNumberPeer === peerId) {
+            this.showSafetyNumber(peerId);
+        }
+        this.renderKeyChangeWarning();
+        this.renderPeerList();
+        return changed;
+    }
+
     /**
      * Perform key exchange with peer
      */
-    performKeyExchange(peerPublicKey, peerId) {
+    async performKeyExchange(peerPublicKey, peerId) {
         console.log('🤝 Performing key exchange with peer:', peerId);
         
         // Use provided peer public key or the stored one
@@ -214,164 +420,124 @@ class QuantumChatApp {
             return;
         }
         
-        // Simulate client-side key exchange
-        this.crypto.performKeyExchange(publicKeyToUse, peerIdToUse).then(() => {
-            // Send our public key to server for key exchange
+        // Encapsulate a fresh shared secret to the peer's KEM public key
+        try {
+            await this.keyGeneration; // RSA and ECDH keys generate asynchronously, and a peer may arrive meanwhile
+            const { ciphertext, algorithm } = await this.crypto.performKeyExchange(publicKeyToUse, peerIdToUse);
+            // Relay the ciphertext so the peer can decapsulate the same secret
             this.ws.send(JSON.stringify({
-                type: 'public_key',
-                peerPublicKey: publicKeyToUse,
+                type: 'kem_ciphertext',
                 peerId: peerIdToUse,
+                ciphertext,
+                algorithm,
                 timestamp: new Date().toISOString()
             }));
-        }).catch(error => {
+        } catch (error) {
             console.error('❌ Key exchange failed:', error);
             this.addSystemMessage('❌ Key exchange failed', 'error');
-        });
+        }
     }
 
     /**
-     * Handle incoming messages from other users
+     * Handle a KEM ciphertext a peer encapsulated to our public key
      */
-    handleReceivedMessage(message) {
+    async handlePeerKeyExchange(message) {
+        const peerId = message.clientId;
+        
+        if (message.publicKey && message.signaturePublicKey) {
+            this.recordPeerIdentity(peerId, {
+                publicKey: message.publicKey,
+                algorithm: message.publicKeyAlgorithm,
+                signaturePublicKey: message.signaturePublicKey,
+                signatureAlgorithm: message.signatureAlgorithm,
+                label: message.label
+            });
+        }
+        
+        // Both sides may have encapsulated at the same time; the exchange
+        // started by the lower client ID wins on both ends
+        if (this.crypto.initiatedKeyExchanges.has(peerId) && this.clientId < peerId) {
+            console.log(`Keeping our own key exchange with peer ${peerId}, ignoring theirs`);
+            return;
+        }
+        
         try {
-            // Add fromPeer to the encryptedData if not already present
-            if (!message.encryptedData.fromPeer && message.fromPeer) {
-                message.encryptedData.fromPeer = message.fromPeer;
+            await this.crypto.completeKeyExchange(message.ciphertext, peerId, message.algorithm);
+            // Prove to the initiator that we derived the same session keys
+            this.ws.send(JSON.stringify({
+                type: 'key_exchange_ack',
+                peerId,
+                confirmation: this.crypto.createKeyConfirmation(peerId),
+                timestamp: new Date().toISOString()
+            }));
+        } catch (error) {
+            console.error('❌ Key exchange failed:', error);
+            this.addSystemMessage(`❌ Key exchange with ${peerId.substring(0, 8)}... failed`, 'error');
+        }
+    }
+
+    /**
+     * A peer is ready to communicate with us
+     * When it decapsulated our ciphertext, the notice carries its key confirmation.
+     */
+    handlePeerReady(message) {
+        const peerId = message.peerId;
+        if (!peerId) {
+            return;
+        }
+        
+        if (message.confirmation) {
+            const confirmed = this.crypto.verifyKeyConfirmation(peerId, message.confirmation);
+            if (!confirmed) {
+                this.crypto.destroySession(peerId);
+                this.addSystemMessage(`❌ Key confirmation from peer ${peerId.substring(0, 8)}... failed; session discarded`, 'error');
+                return;
             }
+            // Our exchange is settled, so a later one from this peer (e.g. re-keying) is not a race
+            this.crypto.initiatedKeyExchanges.delete(peerId);
+            this.addSystemMessage(`🔑 Peer ${peerId.substring(0, 8)}... confirmed the session keys`);
+            return;
+        }
+        this.addSystemMessage(`🔒 Secure connection established with peer ${peerId.substring(0, 8)}...`);
+    }
+
+    /**
+     * Handle incoming messages from other users
+     */
+    async handleReceivedMessage(message) {
+        try {
+            console.log(`📦 Received envelope from peer ${message.fromPeer?.substring(0, 8) || 'unknown'}`);
             
-            // Log the incoming encrypted data for debugging
-            console.log(`📦 Received encrypted message from peer ${message.fromPeer?.substring(0, 8) || 'unknown'}:`, 
-                typeof message.encryptedData.encrypted === 'string' ? 
-                `${message.encryptedData.encrypted.substring(0, 20)}... (${message.encryptedData.encrypted.length} chars)` : 
-                'Non-string format');
-            
-            // Log the full message structure for debugging
-            console.log('📋 Full message structure:', JSON.stringify({
-                type: message.type,
-                fromPeer: message.fromPeer,
-                encryptedData: {
-                    algorithm: message.encryptedData.algorithm,
-                    format: message.encryptedData.format,
-                    timestamp: message.encryptedData.timestamp,
-                    encrypted: typeof message.encryptedData.encrypted === 'string' ? 
-                        `${message.encryptedData.encrypted.substring(0, 20)}... (${message.encryptedData.encrypted.length} chars)` : 
-                        typeof message.encryptedData.encrypted
-                }
-            }));
+            // Decrypt and authenticate the message on the client (E2EE); the
+            // server-attested sender must match the authenticated envelope sender
+            const decryptedText = await this.crypto.decrypt(message.envelope, message.fromPeer);
+            const { text, timestamp, signature, attachment } = JSON.parse(decryptedText);
             
-            // Decrypt the message on the client (E2EE)
-            const decryptedText = this.crypto.decrypt(message.encryptedData);
+            // Only display messages carrying a valid signature from the sender's identity key,
+            // checked with the scheme the sender registered rather than one named in the payload
+            const signerKey = this.crypto.peerSignatureKeys.get(message.fromPeer);
+            if (!signerKey) {
+                throw new Error('No signature key known for sender');
+            }
+            const signedContent = this.crypto.encodeSignedContent(message.fromPeer, timestamp, text,
+                attachment === undefined ? null : Attachment.signedManifest(attachment));
+            const verifyStart = performance.now();
+            const verified = this.crypto.verifySignature(signedContent, { signature, algorithm: signerKey.algorithm }, signerKey.publicKey);
+            const verifyTime = performance.now() - verifyStart;
+            if (!verified) {
+                throw new Error(`Invalid ${signerKey.algorithm} signature`);
+            }
             
-            // Verify the decrypted text is valid
-            if (decryptedText && typeof decryptedText === 'string') {
-                this.addMessage(decryptedText, 'received');
-                console.log(`📨 Message successfully decrypted from peer ${message.fromPeer?.substring(0, 8) || 'unknown'}`);
+            const signatureDetail = `✅ ${signerKey.algorithm} · ${signature.length / 2} B signature · verified in ${verifyTime.toFixed(1)} ms`;
+            if (attachment !== undefined) {
+                this.acceptAttachmentManifest(message.fromPeer, attachment, signatureDetail);
             } else {
-                throw new Error('Decryption produced invalid result: ' + (decryptedText === null ? 'null' : typeof decryptedText));
+                this.addMessage(text, 'received', signatureDetail);
             }
+            console.log(`📨 Message decrypted and ${signerKey.algorithm} signature verified from peer ${message.fromPeer?.substring(0, 8) || 'unknown'}`);
         } catch (error) {
             console.error('❌ Failed to decrypt received message:', error);
-            this.addSystemMessage(`❌ Failed to decrypt message from ${message.fromPeer?.substring(0, 8) || 'unknown'}: ${error.message}`, 'error');
-            
-            // Try to recover if possible
-            if (message.encryptedData && typeof message.encryptedData.encrypted === 'string') {
-                try {
-                    // Try to detect if the message is already in plaintext
-                    // This can happen if one client doesn't encrypt properly but sends valid text
-                    const isPossiblyText = /^[\x20-\x7E\s]+$/.test(message.encryptedData.encrypted);
-                    const hasCommonWords = /(hello|hi|hey|the|and|message|chat|quantum|secure)/i.test(message.encryptedData.encrypted);
-                    
-                    if (isPossiblyText && (hasCommonWords || message.encryptedData.encrypted.length < 100)) {
-                        this.addSystemMessage('⚠️ Showing possibly unencrypted message', 'warning');
-                        this.addMessage(`[Unencrypted from ${message.fromPeer?.substring(0, 8) || 'unknown'}]: ${message.encryptedData.encrypted}`, 'received');
-                    } else if (message.encryptedData.format === 'hex' || /^[0-9a-fA-F]+$/.test(message.encryptedData.encrypted)) {
-                        // Try manual decryption as a last resort
-                        this.addSystemMessage('⚠️ Attempting manual decryption as fallback', 'warning');
-                        
-                        // Try to get the shared secret
-                        const peerId = message.fromPeer;
-                        const sharedSecret = this.crypto.sharedSecrets.get(peerId);
-                        
-                        if (sharedSecret) {
-                            // Try manual hex decoding and XOR
-                            try {
-                                // Check if it's a valid hex string (must have even length)
-                                let encryptedBytes;
-                                if (/^[0-9a-fA-F]+$/.test(message.encryptedData.encrypted) && message.encryptedData.encrypted.length % 2 === 0) {
-                                    // It's a hex string
-                                    const hexChunks = message.encryptedData.encrypted.match(/.{1,2}/g) || [];
-                                    encryptedBytes = new Uint8Array(hexChunks.map(byte => parseInt(byte, 16)));
-                                    console.log(`🔄 Manual decryption: Parsed hex string to ${encryptedBytes.length} bytes`);
-                                } else {
-                                    // Try direct string encoding
-                                    try {
-                                        const encoder = new TextEncoder();
-                                        encryptedBytes = encoder.encode(message.encryptedData.encrypted);
-                                    } catch (e) {
-                                        // Fallback encoding
-                                        encryptedBytes = new Uint8Array(message.encryptedData.encrypted.length);
-                                        for (let i = 0; i < message.encryptedData.encrypted.length; i++) {
-                                            encryptedBytes[i] = message.encryptedData.encrypted.charCodeAt(i) & 0xFF;
-                                        }
-                                    }
-                                    console.log(`🔄 Manual decryption: Encoded direct string to ${encryptedBytes.length} bytes`);
-                                }
-                                
-                                // XOR decrypt
-                                const decrypted = new Uint8Array(encryptedBytes.length);
-                                for (let i = 0; i < encryptedBytes.length; i++) {
-                                    decrypted[i] = encryptedBytes[i] ^ sharedSecret[i % sharedSecret.length];
-                                }
-                                
-                                // Try multiple decoding methods
-                                let manualText = '';
-                                
-                                // Method 1: TextDecoder
-                                try {
-                                    const decoder = new TextDecoder();
-                                    manualText = decoder.decode(decrypted);
-                                    console.log(`🔄 Manual decryption: Decoded with TextDecoder: ${manualText.substring(0, 20)}${manualText.length > 20 ? '...' : ''}`);
-                                } catch (e) {
-                                    console.warn(`⚠️ TextDecoder failed in manual decryption: ${e.message}`);
-                                    
-                                    // Method 2: String.fromCharCode.apply
-                                    try {
-                                        manualText = String.fromCharCode.apply(null, decrypted);
-                                        console.log(`🔄 Manual decryption: Decoded with String.fromCharCode: ${manualText.substring(0, 20)}${manualText.length > 20 ? '...' : ''}`);
-                                    } catch (e2) {
-                                        console.warn(`⚠️ String.fromCharCode.apply failed in manual decryption: ${e2.message}`);
-                                        
-                                        // Method 3: Character by character
-                                        try {
-                                            manualText = '';
-                                            for (let i = 0; i < decrypted.length; i++) {
-                                                manualText += String.fromCharCode(decrypted[i]);
-                                            }
-                                            console.log(`🔄 Manual decryption: Decoded character by character: ${manualText.substring(0, 20)}${manualText.length > 20 ? '...' : ''}`);
-                                        } catch (e3) {
-                                            console.error(`❌ All decoding methods failed in manual decryption: ${e3.message}`);
-                                        }
-                                    }
-                                }
-                                
-                                // Check if the result looks like valid text
-                                if (manualText && /^[\x20-\x7E\s]+$/.test(manualText)) {
-                                    this.addMessage(`[Manual Decryption from ${message.fromPeer?.substring(0, 8) || 'unknown'}]: ${manualText}`, 'received');
-                                    console.log(`✅ Manual decryption succeeded: ${manualText.substring(0, 30)}...`);
-                                } else if (manualText) {
-                                    console.warn(`⚠️ Manual decryption produced non-text result: ${manualText.substring(0, 30)}...`);
-                                    // Try to display it anyway as a last resort
-                                    this.addMessage(`[Raw Decryption from ${message.fromPeer?.substring(0, 8) || 'unknown'}]: ${manualText}`, 'received');
-                                }
-                            } catch (manualError) {
-                                console.error('❌ Manual decryption failed:', manualError);
-                            }
-                        }
-                    }
-                } catch (e) {
-                    console.error('Recovery attempt failed:', e);
-                }
-            }
+            this.addSystemMessage(`❌ Rejected message from ${message.fromPeer?.substring(0, 8) || 'unknown'}: ${error.message}`, 'error');
         }
     }
 
@@ -397,459 +563,1698 @@ class QuantumChatApp {
             this.elements.messageInput.style.height = 'auto';
             this.elements.messageInput.style.height = this.elements.messageInput.scrollHeight + 'px';
         });
-    }
-
-    /**
-     * Send encrypted message
-     */
-    sendMessage() {
-        const messageText = this.elements.messageInput.value.trim();
         
-        if (!messageText) return;
-        if (!this.isReady) {
-            this.addSystemMessage('❌ Please wait for secure connection to be established', 'error');
-            return;
-        }
+        // Cipher suite selector
+        this.elements.cipherSuite.addEventListener('change', () => {
+            this.changeSuite();
+        });
         
-        try {
-            // Get all peer IDs from shared secrets and peers map
-            const sharedSecretPeerIds = [...this.crypto.sharedSecrets.keys()];
-            const allPeerIds = [...new Set([...sharedSecretPeerIds, ...this.crypto.peers.keys()])];
-            
-            if (allPeerIds.length === 0) {
-                this.addSystemMessage('❌ No peers connected for secure messaging', 'error');
-                return;
+        // Our name, announced with our keys
+        this.elements.displayLabel.value = this.label;
+        this.elements.displayLabel.addEventListener('change', () => {
+            this.changeLabel(this.elements.displayLabel.value);
+        });
+        
+        // Room switcher
+        this.elements.roomSelect.addEventListener('change', () => {
+            this.switchRoom(this.elements.roomSelect.value);
+        });
+        this.elements.createRoom.addEventListener('click', () => {
+            this.createRoom();
+        });
+        this.elements.leaveRoom.addEventListener('click', () => {
+            this.sendRoomRequest({ type: 'leave_room' });
+        });
+        
+        // Encrypted file attachments
+        this.elements.attachButton.addEventListener('click', () => {
+            this.elements.attachmentFile.click();
+        });
+        this.elements.attachmentFile.addEventListener('change', () => {
+            const [file] = this.elements.attachmentFile.files || [];
+            this.elements.attachmentFile.value = '';
+            if (file) {
+                this.sendAttachment(file);
             }
-
-            // Try to establish shared secrets for peers that don't have them yet
-            allPeerIds.forEach(peerId => {
-                if (!this.crypto.sharedSecrets.has(peerId) && this.crypto.peers.has(peerId)) {
-                    try {
-                        this.performKeyExchange(this.crypto.peers.get(peerId), peerId);
-                    } catch (e) {
-                        console.warn(`Could not establish shared secret with peer ${peerId}:`, e);
-                    }
-                }
-            });
-
-            // Only encrypt for peers with established shared secrets
-            const readyPeerIds = [...this.crypto.sharedSecrets.keys()];
-            
-            if (readyPeerIds.length === 0) {
-                this.addSystemMessage('⏳ Establishing secure connections with peers. Please try again in a moment.', 'info');
-                return;
+        });
+        
+        // Identity key file export and import
+        this.elements.exportIdentity.addEventListener('click', () => {
+            this.exportIdentity();
+        });
+        this.elements.importIdentity.addEventListener('click', () => {
+            this.elements.identityFile.click();
+        });
+        this.elements.identityFile.addEventListener('change', () => {
+            const [file] = this.elements.identityFile.files || [];
+            this.elements.identityFile.value = '';
+            if (file) {
+                this.importIdentity(file);
             }
-
-            // Encrypt message for each peer
-            const encryptedMessages = readyPeerIds.map(peerId => {
-                return {
-                    forPeer: peerId,
-                    data: this.crypto.encrypt(messageText, peerId)
-                };
-            });
-            
-            // Send encrypted messages to server
-            this.ws.send(JSON.stringify({
-                type: 'encrypted_group_message',
-                encryptedMessages: encryptedMessages,
-                timestamp: new Date().toISOString()
-            }));
-            
-            // Display message in UI
-            this.addMessage(messageText, 'sent');
-            
-            // Clear input
-            this.elements.messageInput.value = '';
-            this.elements.messageInput.style.height = 'auto';
-            
-            console.log(`🔒 Message encrypted and sent to ${readyPeerIds.length} peers`);
-            
-        } catch (error) {
-            console.error('❌ Failed to send message:', error);
-            this.addSystemMessage('❌ Failed to send message', 'error');
-        }
+        });
+        
+        // Mosca risk calculator
+        this.renderHorizonParameters();
+        this.elements.riskDistribution.addEventListener('change', () => {
+            this.renderHorizonParameters();
+        });
+        this.elements.riskForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.requestRiskAssessment();
+        });
+        
+        // Shor's algorithm vs. a toy RSA key
+        this.elements.shorForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.requestShorAttack();
+        });
+        
+        // Grover's algorithm vs. a reduced-size AES key
+        this.elements.groverForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.requestGroverSearch();
+        });
+        
+        // Simulated Q-Day over the traffic the relay harvested
+        this.elements.qDayForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.requestQDay();
+        });
     }
 
     /**
-     * Add message to chat
+     * Show the inputs for the chosen threat-horizon distribution
      */
-    addMessage(text, type) {
-        const messageDiv = document.createElement('div');
-        messageDiv.className = `message ${type}`;
-        
-        const timestamp = new Date().toLocaleTimeString();
-        messageDiv.innerHTML = `
-            <div class="message-content">${this.escapeHtml(text)}</div>
-            <div class="message-time">${timestamp}</div>
-        `;
-        
-        this.elements.messagesContainer.appendChild(messageDiv);
-        this.scrollToBottom();
+    renderHorizonParameters() {
+        const container = this.elements.riskHorizonParams;
+        container.replaceChildren();
+        for (const [name, label, value] of HORIZON_PARAMETERS[this.elements.riskDistribution.value]) {
+            const field = document.createElement('label');
+            field.textContent = label;
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.name = name;
+            input.min = '0';
+            input.step = 'any';
+            input.value = value;
+            input.required = true;
+            field.appendChild(input);
+            container.appendChild(field);
+        }
     }
 
     /**
-     * Add system message
+     * Ask the server for a Mosca risk assessment of the panel's inputs
      */
-    addSystemMessage(text, type = 'info') {
-        const messageDiv = document.createElement('div');
-        messageDiv.className = `system-message ${type}`;
-        messageDiv.textContent = text;
-        
-        this.elements.messagesContainer.appendChild(messageDiv);
-        this.scrollToBottom();
+    requestRiskAssessment() {
+        if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+            this.elements.riskResult.className = 'risk-result';
+            this.elements.riskResult.textContent = '❌ Not connected to the server';
+            return;
+        }
+        const threatHorizon = { distribution: this.elements.riskDistribution.value };
+        for (const input of this.elements.riskHorizonParams.querySelectorAll('input')) {
+            threatHorizon[input.name] = Number(input.value);
+        }
+        this.ws.send(JSON.stringify({
+            type: 'mosca_risk',
+            input: {
+                shelfLifeYears: Number(this.elements.riskShelfLife.value),
+                migrationYears: Number(this.elements.riskMigration.value),
+                algorithm: this.elements.riskAlgorithm.value,
+                threatHorizon
+            }
+        }));
     }
 
     /**
-     * Show security information
+     * Show the verdict from a mosca_risk_result message
      */
-    showSecurityInfo(securityInfo) {
-        const infoDiv = document.createElement('div');
-        infoDiv.className = 'security-info-message';
-        infoDiv.innerHTML = `
-            <h4>🛡️ Security Information</h4>
+    showRiskAssessment({ assessment, error }) {
+        const result = this.elements.riskResult;
+        if (error) {
+            result.className = 'risk-result at-risk';
+            result.textContent = `❌ ${error}`;
+            return;
+        }
+        const { verdict, summary, exposureProbability, horizon, dataEncryptedToday, migration } = assessment;
+        const headline = { 'at-risk': '⚠️ At risk', safe: '✅ Within tolerance', 'quantum-safe': '🛡️ Quantum-safe' }[verdict];
+        const percent = (probability) => `${(probability * 100).toFixed(1)}%`;
+        const rows = [
+            ['Probability of exposure', percent(exposureProbability)],
+            ['Data encrypted today is secret until', dataEncryptedToday.secretUntil],
+            ['Data encrypted today at risk from', dataEncryptedToday.atRiskFrom === null ? 'Never, while still secret' : dataEncryptedToday.atRiskFrom],
+            ['Median quantum threat', horizon.medianYear === null ? 'Not within the estimate' : horizon.medianYear],
+            ['Migration completes', migration.completes],
+            ['Start migrating by', migration.startBy === null ? '—' : migration.startBy]
+        ];
+        result.className = `risk-result ${verdict}`;
+        result.innerHTML = `
+            <strong>${this.escapeHtml(headline)}</strong>: ${this.escapeHtml(summary)}
             <ul>
-                <li><strong>Algorithm:</strong> ${securityInfo.algorithm}</li>
-                <li><strong>Key Size:</strong> ${securityInfo.keySize} bits</li>
-                <li><strong>Quantum Safe:</strong> ${securityInfo.quantumSafe ? '✅ Yes' : '❌ No'}</li>
-                <li><strong>Status:</strong> ${securityInfo.status}</li>
+                ${rows.map(([label, value]) => `<li><strong>${this.escapeHtml(label)}:</strong> ${this.escapeHtml(String(value))}</li>`).join('')}
             </ul>
         `;
-        
-        this.elements.messagesContainer.appendChild(infoDiv);
-        this.scrollToBottom();
     }
 
     /**
-     * Update connection status
+     * Ask the server to run the toy RSA attack; the simulation takes a few seconds
      */
-    updateStatus(status, text) {
-        this.elements.status.className = `status ${status}`;
-        this.elements.status.textContent = text;
+    requestShorAttack() {
+        const result = this.elements.shorResult;
+        if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+            result.className = 'risk-result';
+            result.textContent = '❌ Not connected to the server';
+            return;
+        }
+        const { shorModulus, shorMessage, shorSeed } = this.elements;
+        this.ws.send(JSON.stringify({
+            type: 'shor_rsa',
+            input: {
+                modulus: shorModulus.value ? Number(shorModulus.value) : null,
+                message: shorMessage.value,
+                seed: shorSeed.value === '' ? null : Number(shorSeed.value)
+            }
+        }));
+        this.elements.shorSubmit.disabled = true;
+        result.className = 'risk-result';
+        result.textContent = '⏳ Simulating the quantum circuit on the server...';
     }
 
     /**
-     * Update key status
+     * Show the attack step by step from a shor_rsa_result message, with the last circuit's measurement odds
      */
-    updateKeyStatus(status) {
-        this.elements.keyStatus.textContent = status;
+    showShorResult({ result: attack, error }) {
+        const result = this.elements.shorResult;
+        this.elements.shorSubmit.disabled = false;
+        if (error) {
+            result.className = 'risk-result at-risk';
+            result.textContent = `❌ ${error}`;
+            return;
+        }
+        const { success, steps, seed, shor } = attack;
+        result.className = `risk-result ${success ? 'at-risk' : 'safe'}`;
+        result.innerHTML = `
+            <strong>${success ? '🔓 RSA broken: the intercepted message was read' : '🛡️ The attack failed this time'}</strong>
+            (seed ${this.escapeHtml(String(seed))} replays this run)
+            <ol class="shor-steps">
+                ${steps.map(({ title, detail }) => `<li><strong>${this.escapeHtml(title)}:</strong> ${this.escapeHtml(detail)}</li>`).join('')}
+            </ol>
+        `;
+        const lastRun = shor.attempts[shor.attempts.length - 1];
+        if (lastRun) {
+            const caption = document.createElement('p');
+            caption.textContent = `Most likely counting-register outcomes for a = ${lastRun.base}, out of ${2 ** lastRun.countingQubits} (measured value in red): ` +
+                'the peaks sit near multiples of 2^t / r.';
+            result.appendChild(caption);
+            result.appendChild(this.renderMeasurementHistogram(lastRun));
+        }
     }
 
     /**
-     * Update UI based on connection state
+     * Bar chart of a circuit run's most likely measurement outcomes, placed by value
      */
-    updateUI() {
-        const isConnected = this.ws && this.ws.readyState === WebSocket.OPEN;
-        
-        this.elements.messageInput.disabled = !this.isReady;
-        this.elements.sendButton.disabled = !this.isReady;
-        
-        if (this.isReady) {
-            this.elements.messageInput.placeholder = "Type your quantum-safe message...";
-            this.elements.sendButton.textContent = "Send 🚀";
-        } else {
-            this.elements.messageInput.placeholder = "Establishing secure connection...";
-            this.elements.sendButton.textContent = "Please wait...";
+    renderMeasurementHistogram({ peaks, measured, countingQubits }) {
+        const [width, height] = [400, 100];
+        const range = 2 ** countingQubits;
+        const highest = Math.max(...peaks.map(peak => peak.probability));
+        const svg = document.createElementNS(SVG_NS, 'svg');
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        svg.setAttribute('preserveAspectRatio', 'none');
+        svg.setAttribute('class', 'shor-histogram');
+        svg.setAttribute('role', 'img');
+        svg.setAttribute('aria-label', 'Measurement probabilities of the counting register');
+        for (const { value, probability } of peaks) {
+            const bar = document.createElementNS(SVG_NS, 'rect');
+            const barHeight = (probability / highest) * (height - 5);
+            bar.setAttribute('x', (value / range) * (width - 3));
+            bar.setAttribute('y', height - barHeight);
+            bar.setAttribute('width', 3);
+            bar.setAttribute('height', barHeight);
+            if (value === measured) {
+                bar.setAttribute('class', 'measured');
+            }
+            const label = document.createElementNS(SVG_NS, 'title');
+            label.textContent = `${value}: ${(probability * 100).toFixed(1)}%`;
+            bar.appendChild(label);
+            svg.appendChild(bar);
         }
+        return svg;
     }
 
     /**
-     * Scroll messages to bottom
+     * Ask the server to search a reduced-size AES key with Grover's algorithm
      */
-    scrollToBottom() {
-        this.elements.messagesContainer.scrollTop = this.elements.messagesContainer.scrollHeight;
+    requestGroverSearch() {
+        const result = this.elements.groverResult;
+        if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+            result.className = 'risk-result';
+            result.textContent = '❌ Not connected to the server';
+            return;
+        }
+        const { groverKeyBits, groverIterations, groverSeed } = this.elements;
+        this.ws.send(JSON.stringify({
+            type: 'grover_search',
+            input: {
+                keyBits: Number(groverKeyBits.value),
+                iterations: groverIterations.value === '' ? null : Number(groverIterations.value),
+                seed: groverSeed.value === '' ? null : Number(groverSeed.value)
+            }
+        }));
+        this.elements.groverSubmit.disabled = true;
+        result.className = 'risk-result';
+        result.textContent = '⏳ Simulating the quantum search on the server...';
     }
 
     /**
-     * Escape HTML to prevent XSS
+     * Show a grover_search_result: query counts against classical search, the success
+     * probability per iteration and what the same speedup means for real AES keys
      */
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+    showGroverResult({ result: search, error }) {
+        const result = this.elements.groverResult;
+        this.elements.groverSubmit.disabled = false;
+        if (error) {
+            result.className = 'risk-result at-risk';
+            result.textContent = `❌ ${error}`;
+            return;
+        }
+        const { grover, classical, keyBits } = search;
+        const percent = (probability) => `${(probability * 100).toFixed(1)}%`;
+        const rows = [
+            ['Cipher', search.cipher],
+            ['Known key (unknown bits as 0)', search.knownKey],
+            ['Known plaintext / ciphertext', `"${search.plaintext}" / ${search.ciphertext}`],
+            ['Qubits', `${grover.qubits} (${(grover.memoryBytes / 1024).toLocaleString()} KiB of amplitudes)`],
+            ['Grover iterations', `${grover.iterations} (optimal ${grover.optimalIterations}), success probability ${percent(grover.successProbability)}`],
+            ['Quantum queries', `${grover.oracleQueries + grover.verifyQueries} (${grover.oracleQueries} oracle + ${grover.verifyQueries} check)`],
+            ['Classical trial encryptions', `${classical.queries.toLocaleString()} this time, ${classical.expectedQueries.toLocaleString()} on average, ${classical.worstCaseQueries.toLocaleString()} at worst`],
+            ['Speedup on average', `${search.speedup}×`],
+            ['Measured key', search.recoveredKey]
+        ];
+        result.className = `risk-result ${search.success ? 'at-risk' : 'safe'}`;
+        result.innerHTML = `
+            <strong>${search.success ? `🔓 Found the ${keyBits} unknown key bits` : '🛡️ The measurement missed the key'}</strong>
+            (seed ${this.escapeHtml(String(search.seed))} replays this run)
+            <ul>
+                ${rows.map(([label, value]) => `<li><strong>${this.escapeHtml(label)}:</strong> ${this.escapeHtml(String(value))}</li>`).join('')}
+            </ul>
+            <p>Probability of measuring the right key after each iteration (dashed: the optimal count):</p>
+        `;
+        result.appendChild(this.renderGroverChart(grover));
+
+        const table = document.createElement('table');
+        table.className = 'result-table';
+        table.innerHTML = `
+            <thead><tr><th>Key search</th><th>Classical</th><th>Grover</th><th>NIST category</th></tr></thead>
+            <tbody>
+                ${search.aes.map(row => `<tr>
+                    <td>${this.escapeHtml(row.id)}</td>
+                    <td>2^${this.escapeHtml(String(row.classicalLog2))}</td>
+                    <td>2^${this.escapeHtml(String(row.groverLog2))}</td>
+                    <td>${row.nistCategory === null ? '—' : this.escapeHtml(String(row.nistCategory))}</td>
+                </tr>`).join('')}
+            </tbody>
+        `;
+        result.appendChild(table);
     }
-}
 
-/**
- * Client-side quantum cryptography simulation
- */
-class ClientQuantumCrypto {
-    constructor() {
-        this.publicKey = null;
-        this.sharedSecrets = new Map(); // Map of peer IDs to shared secrets
-        this.peers = new Map(); // Map of peer IDs to their public keys
-        console.log('🔐 Client quantum crypto initialized');
+    /**
+     * Ask the server to run the simulated Q-Day over its harvested transcript
+     */
+    requestQDay() {
+        const result = this.elements.qDayResult;
+        if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+            result.className = 'risk-result';
+            result.textContent = '❌ Not connected to the server';
+            return;
+        }
+        this.ws.send(JSON.stringify({ type: 'q_day' }));
+        this.elements.qDaySubmit.disabled = true;
+        result.className = 'risk-result';
+        result.textContent = '⏳ Replaying the harvested traffic on the server...';
     }
 
     /**
-     * Perform key exchange (client-side simulation)
+     * Show a q_day_result: per pair of clients, which key exchanges fell and which
+     * envelopes decrypted, always marked as a simulation
      */
-    performKeyExchange(peerPublicKey, peerId) {
-        if (!this.publicKey) {
-            throw new Error('No public key available');
+    showQDayResult({ result: qDay, error }) {
+        const result = this.elements.qDayResult;
+        this.elements.qDaySubmit.disabled = false;
+        if (error) {
+            result.className = 'risk-result at-risk';
+            result.textContent = `❌ ${error}`;
+            return;
         }
-        if (!peerId) {
-            throw new Error('Peer ID is required for key exchange');
+        const { totals } = qDay;
+        result.className = `risk-result ${totals.decrypted ? 'at-risk' : 'safe'}`;
+        result.innerHTML = `
+            <strong>🧪 SIMULATION: ${totals.decrypted ? `🔓 ${totals.decrypted} of ${totals.envelopes} harvested messages decrypted` :
+                `🛡️ None of ${totals.envelopes} harvested messages decrypted`}</strong>
+            (${this.escapeHtml(String(totals.pairs))} client pairs, ${this.escapeHtml(String(qDay.durationMs))} ms)
+            <p>${this.escapeHtml(qDay.note)}</p>
+        `;
+        for (const pair of qDay.pairs) {
+            const heading = document.createElement('p');
+            heading.textContent = `${pair.clients.join(' ↔ ')}: ${pair.decrypted} decrypted, ${pair.failed} sealed` +
+                (pair.truncated ? ' (recording truncated)' : '');
+            result.appendChild(heading);
+
+            const table = document.createElement('table');
+            table.className = 'result-table';
+            table.innerHTML = `
+                <thead><tr><th>Recorded</th><th>From → to</th><th>Result</th></tr></thead>
+                <tbody>
+                    ${pair.exchanges.map(exchange => `<tr>
+                        <td>${this.escapeHtml(exchange.algorithm)} key exchange</td>
+                        <td>${this.escapeHtml(exchange.initiator)} → ${this.escapeHtml(exchange.responder)}</td>
+                        <td>${exchange.recovered ? '🔓' : '🛡️'} ${this.escapeHtml(exchange.explanation)}</td>
+                    </tr>`).join('')}
+                    ${pair.messages.map(message => `<tr>
+                        <td>Message</td>
+                        <td>${this.escapeHtml(message.from)} → ${this.escapeHtml(message.to)}</td>
+                        <td>${message.decrypted ?
+                            `🔓 "${this.escapeHtml(message.text)}"${message.attachment ? ` 📎 ${this.escapeHtml(message.attachment)}` : ''}` :
+                            `🛡️ ${this.escapeHtml(message.explanation)}`}</td>
+                    </tr>`).join('')}
+                </tbody>
+            `;
+            result.appendChild(table);
         }
-        
-        // Store peer's public key
-        this.peers.set(peerId, peerPublicKey);
+    }
 
-        // Simulate generating a shared secret using deterministic method
-        const encoder = new TextEncoder();
-        
-        // Use a deterministic approach - sort the keys to ensure same result
-        const keys = [this.publicKey, peerPublicKey].sort();
-        const data = encoder.encode(keys.join(''));
-        
-        // Use async digest with a simple fallback
-        if (crypto.subtle && crypto.subtle.digest) {
-            return crypto.subtle.digest('SHA-256', data).then(hashBuffer => {
-                const sharedSecret = new Uint8Array(hashBuffer);
-                this.sharedSecrets.set(peerId, sharedSecret);
-                console.log(`🤝 Shared secret established with peer ${peerId} (client-side)`);
-                return true;
-            });
+    /**
+     * Line chart of the success probability over the Grover iterations
+     */
+    renderGroverChart({ evolution, optimalIterations }) {
+        const [width, height] = [400, 100];
+        const last = Math.max(evolution.length - 1, 1);
+        const x = (iteration) => (iteration / last) * width;
+        const svg = document.createElementNS(SVG_NS, 'svg');
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        svg.setAttribute('preserveAspectRatio', 'none');
+        svg.setAttribute('class', 'grover-chart');
+        svg.setAttribute('role', 'img');
+        svg.setAttribute('aria-label', 'Success probability per Grover iteration');
+
+        if (optimalIterations <= last) {
+            const optimal = document.createElementNS(SVG_NS, 'line');
+            optimal.setAttribute('x1', x(optimalIterations));
+            optimal.setAttribute('x2', x(optimalIterations));
+            optimal.setAttribute('y1', 0);
+            optimal.setAttribute('y2', height);
+            svg.appendChild(optimal);
+        }
+        const curve = document.createElementNS(SVG_NS, 'polyline');
+        curve.setAttribute('points', evolution
+            .map(({ iteration, probability }) => `${x(iteration).toFixed(1)},${(height - probability * (height - 4) - 2).toFixed(1)}`)
+            .join(' '));
+        const label = document.createElementNS(SVG_NS, 'title');
+        const final = evolution[evolution.length - 1];
+        label.textContent = `Iteration ${final.iteration}: ${(final.probability * 100).toFixed(1)}%`;
+        curve.appendChild(label);
+        svg.appendChild(curve);
+        return svg;
+    }
+
+    /**
+     * Our name, kept across reloads; a random guest name until the user picks one
+     */
+    loadLabel() {
+        try {
+            const stored = localStorage.getItem(LABEL_KEY);
+            if (Label.isValid(stored)) {
+                return stored;
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not read the stored name', error);
+        }
+        const suffix = Array.from(crypto.getRandomValues(new Uint8Array(2)), byte => byte.toString(16).padStart(2, '0')).join('');
+        const label = `Guest-${suffix}`;
+        this.saveLabel(label);
+        return label;
+    }
+
+    saveLabel(label) {
+        try {
+            localStorage.setItem(LABEL_KEY, label);
+        } catch (error) {
+            console.warn('⚠️ Could not store the name; it is kept for this page only', error);
+        }
+    }
+
+    /**
+     * Change the name announced to peers; registered keys are announced again under it
+     */
+    changeLabel(label) {
+        label = label.trim();
+        if (!Label.isValid(label)) {
+            this.addSystemMessage(`❌ ${Label.RULE}`, 'error');
+            this.elements.displayLabel.value = this.label;
+            return;
+        }
+        if (label === this.label) {
+            return;
+        }
+        this.label = label;
+        this.saveLabel(label);
+        this.elements.displayLabel.value = label;
+        if (this.ws && this.ws.readyState === WebSocket.OPEN && this.crypto.keyPair) {
+            this.registerKeys(this.crypto.publicKeyInfo());
+        }
+        this.addSystemMessage(`🏷️ Peers now see you as "${label}"`);
+    }
+
+    /**
+     * Verified fingerprints by peer name
+     * Entries stored by fingerprint alone, before names existed, cannot be tied to a peer and are dropped.
+     */
+    loadVerifiedFingerprints() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(VERIFIED_IDENTITIES_KEY) || '[]');
+            return new Map(stored.filter(entry => Array.isArray(entry) && entry.length === 2 &&
+                entry.every(value => typeof value === 'string')));
+        } catch (error) {
+            return new Map();
+        }
+    }
+
+    saveVerifiedFingerprints() {
+        try {
+            localStorage.setItem(VERIFIED_IDENTITIES_KEY, JSON.stringify([...this.verifiedFingerprints]));
+        } catch (error) {
+            console.warn('⚠️ Could not store verified peers; they are kept for this page only', error);
+        }
+    }
+
+    isPeerVerified(peerId) {
+        const label = this.crypto.peerLabels.get(peerId);
+        return !!label && this.verifiedFingerprints.get(label) === this.crypto.peerFingerprints.get(peerId);
+    }
+
+    /**
+     * A peer as the panel and messages show it: its name, if it announced one, and the start of its client ID
+     */
+    peerName(peerId) {
+        const label = this.crypto.peerLabels.get(peerId);
+        return label ? `${label} (${peerId.substring(0, 8)}...)` : `${peerId.substring(0, 8)}...`;
+    }
+
+    /**
+     * Mark or unmark a peer's current identity key as the verified key for its name
+     */
+    setPeerVerified(peerId, verified) {
+        const fingerprint = this.crypto.peerFingerprints.get(peerId);
+        const label = this.crypto.peerLabels.get(peerId);
+        if (!fingerprint) {
+            return;
+        }
+        if (!label) {
+            this.addSystemMessage(`❌ Peer ${this.peerName(peerId)} announced no name to remember the verification by`, 'error');
+            return;
+        }
+        if (verified) {
+            this.verifiedFingerprints.set(label, fingerprint);
+            this.keyChangedPeers.delete(peerId);
+            this.addSystemMessage(`✅ Peer ${this.peerName(peerId)} marked as verified`);
         } else {
-            // Fallback for older browsers
-            const sharedSecret = this.simpleHash(data);
-            this.sharedSecrets.set(peerId, sharedSecret);
-            console.log(`🤝 Shared secret established with peer ${peerId} (client-side, fallback)`);
-            return Promise.resolve(true);
+            this.verifiedFingerprints.delete(label);
+            this.addSystemMessage(`Peer ${this.peerName(peerId)} is no longer marked as verified`);
+        }
+        this.saveVerifiedFingerprints();
+        this.renderKeyChangeWarning();
+        this.renderPeerList();
+        if (this.safetyNumberPeer === peerId) {
+            this.showSafetyNumber(peerId);
         }
     }
-    
+
     /**
-     * Simple hash function fallback
+     * List known peers with their verification state in the security panel
      */
-    simpleHash(data) {
-        let hash = 0;
-        for (let i = 0; i < data.length; i++) {
-            const char = data.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash; // Convert to 32-bit integer
+    renderPeerList() {
+        const list = this.elements.peerList;
+        list.replaceChildren();
+        const peerIds = [...this.crypto.peerFingerprints.keys()];
+        if (peerIds.length === 0) {
+            list.textContent = 'No peers yet';
+            return;
         }
-        // Convert to 32-byte array
-        const result = new Uint8Array(32);
-        for (let i = 0; i < 32; i++) {
-            result[i] = (hash >> (i % 4 * 8)) & 0xFF;
+        for (const peerId of peerIds) {
+            const [state, label] = this.keyChangedPeers.has(peerId) ? ['changed', '⚠️ Key changed'] :
+                this.isPeerVerified(peerId) ? ['verified', '✅ Verified'] : ['unverified', 'Unverified'];
+            const item = document.createElement('span');
+            item.className = `peer-item ${state}`;
+            item.textContent = `${this.peerName(peerId)} ${label}`;
+            item.appendChild(this.makeButton('Safety number', () => this.showSafetyNumber(peerId)));
+            list.appendChild(item);
+        }
+    }
+
+    renderKeyChangeWarning() {
+        const warning = this.elements.keyChangeWarning;
+        const [peerId] = this.keyChangedPeers;
+        warning.hidden = !peerId;
+        warning.replaceChildren();
+        if (peerId) {
+            warning.textContent = `⚠️ Safety number changed: ${this.peerName(peerId)} presented a different identity key from the one you verified. ` +
+                'Someone may be intercepting the conversation. Compare safety numbers again before sending anything sensitive.';
+            warning.appendChild(this.makeButton('Review', () => this.showSafetyNumber(peerId)));
+        }
+    }
+
+    /**
+     * Banner while ?seed= replaces the random number generator, which makes every key predictable
+     */
+    renderRandomnessWarning() {
+        const { deterministicRandom, reproducible, randomness } = this.crypto.getSecurityInfo();
+        const warning = this.elements.insecureRngWarning;
+        warning.hidden = !deterministicRandom;
+        if (deterministicRandom) {
+            warning.textContent = `⚠️ INSECURE DEMO MODE: randomness is ${randomness}. ` +
+                'Anyone who knows the seed can recompute every key and decrypt every message. Remove ?seed= for real conversations.' +
+                (reproducible ? '' : ' The RSA or ECDH keys of this classical suite come from WebCrypto, so runs will not repeat exactly.');
         }
-        return result;
     }
 
     /**
-     * Encrypt message (simplified for demonstration)
+     * Show the safety number with a peer as digit groups, a QR code and text, with controls to compare and verify
      */
-    encrypt(message, peerId) {
-        const sharedSecret = this.sharedSecrets.get(peerId);
-        if (!sharedSecret) {
-            throw new Error(`No shared secret available for peer ${peerId}`);
+    showSafetyNumber(peerId) {
+        let safetyNumber;
+        try {
+            safetyNumber = this.crypto.safetyNumber(peerId);
+        } catch (error) {
+            console.error('❌ Safety number failed:', error);
+        }
+        if (!safetyNumber) {
+            this.addSystemMessage(`❌ No identity keys to compare with peer ${this.peerName(peerId)} yet`, 'error');
+            return;
         }
+        this.safetyNumberPeer = peerId;
+        const verified = this.isPeerVerified(peerId);
+        const view = this.elements.safetyNumberView;
+        view.hidden = false;
+        view.innerHTML = `
+            <h4>🔢 Safety number with ${this.escapeHtml(this.peerName(peerId))} ${verified ? '✅ Verified' : ''}</h4>
+            <p>Both devices show the same digits only if neither identity key was substituted on the way.
+            Compare them in person or over a channel you trust, or scan the code with the peer.</p>
+            <div class="safety-digits">${safetyNumber.groups.map(group => `<span>${group}</span>`).join('')}</div>
+        `;
+        view.appendChild(this.qrCodeSvg(safetyNumber.payload));
+
+        const payload = document.createElement('input');
+        payload.className = 'safety-payload';
+        payload.readOnly = true;
+        payload.value = safetyNumber.payload;
+        payload.setAttribute('aria-label', 'Safety number as text');
+        view.appendChild(payload);
+
+        const compare = document.createElement('input');
+        compare.className = 'safety-compare';
+        compare.placeholder = "Paste or type the peer's safety number";
+        view.appendChild(compare);
+
+        const controls = document.createElement('div');
+        controls.className = 'safety-controls';
+        controls.appendChild(this.makeButton('Compare', () => this.compareSafetyNumber(peerId, compare.value)));
+        controls.appendChild(this.makeButton(verified ? 'Clear verification' : 'Mark as verified',
+            () => this.setPeerVerified(peerId, !verified)));
+        controls.appendChild(this.makeButton('Close', () => this.closeSafetyNumber()));
+        view.appendChild(controls);
+    }
 
+    /**
+     * Check a safety number read from the peer's device; a match verifies the peer
+     */
+    compareSafetyNumber(peerId, text) {
         try {
-            // Ensure message is a string
-            if (typeof message !== 'string') {
-                message = String(message);
+            if (SafetyNumber.matches(this.crypto.safetyNumber(peerId), text)) {
+                this.setPeerVerified(peerId, true);
+            } else {
+                this.addSystemMessage(`❌ Safety numbers with ${this.peerName(peerId)} differ: a key was substituted, ` +
+                    'or the number belongs to another conversation', 'error');
             }
-            
-            console.log(`🔒 Encrypting message for peer ${peerId.substring(0, 8)}: ${message.substring(0, 20)}${message.length > 20 ? '...' : ''}`);
-            
-            // Use try-catch for TextEncoder to handle potential encoding issues
-            let messageBytes;
-            try {
-                // Simple XOR encryption for demonstration
-                const encoder = new TextEncoder();
-                messageBytes = encoder.encode(message);
-                console.log(`📊 Encoded message with TextEncoder (${messageBytes.length} bytes)`);
-            } catch (encodingError) {
-                console.warn('⚠️ TextEncoder failed, using fallback encoding method:', encodingError);
-                // Fallback method: manually convert string to bytes
-                messageBytes = new Uint8Array(message.length);
-                for (let i = 0; i < message.length; i++) {
-                    messageBytes[i] = message.charCodeAt(i) & 0xFF;
+        } catch (error) {
+            this.addSystemMessage(`❌ ${error.message}`, 'error');
+        }
+    }
+
+    closeSafetyNumber() {
+        this.safetyNumberPeer = null;
+        this.elements.safetyNumberView.hidden = true;
+        this.elements.safetyNumberView.replaceChildren();
+    }
+
+    /**
+     * QR code for a numeric payload as an SVG element, with the 4-module quiet zone
+     */
+    qrCodeSvg(payload) {
+        const modules = QRCode.encodeNumeric(payload);
+        const size = modules.length + 8;
+        let path = '';
+        modules.forEach((row, y) => row.forEach((dark, x) => {
+            if (dark) {
+                path += `M${x + 4} ${y + 4}h1v1h-1z`;
+            }
+        }));
+        const svg = document.createElementNS(SVG_NS, 'svg');
+        svg.setAttribute('viewBox', `0 0 ${size} ${size}`);
+        svg.setAttribute('class', 'safety-qr');
+        svg.setAttribute('role', 'img');
+        svg.setAttribute('aria-label', 'Safety number QR code');
+        const background = document.createElementNS(SVG_NS, 'rect');
+        background.setAttribute('width', size);
+        background.setAttribute('height', size);
+        background.setAttribute('fill', '#fff');
+        const dark = document.createElementNS(SVG_NS, 'path');
+        dark.setAttribute('d', path);
+        dark.setAttribute('fill', '#000');
+        svg.appendChild(background);
+        svg.appendChild(dark);
+        return svg;
+    }
+
+    makeButton(label, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'identity-button';
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * Fill the cipher suite selector from the shared algorithm registry
+     * Registering or retiring a suite there changes the choices without touching this file.
+     */
+    populateSuiteOptions() {
+        const select = this.elements.cipherSuite;
+        const current = select.value;
+        select.innerHTML = '';
+        // Classical suites only exist to be broken by the simulated Q-Day; keep them apart
+        const classical = document.createElement('optgroup');
+        classical.label = 'Classical comparison (not quantum-safe)';
+        for (const suite of PQC.listSuites()) {
+            const option = document.createElement('option');
+            option.value = suite.name;
+            option.textContent = suite.quantumSafe ?
+                `${suite.kem} + ${suite.signature} (NIST category ${suite.nistCategory})` :
+                `${suite.kem} + ${suite.signature} (breaks on Q-Day)`;
+            (suite.quantumSafe ? select : classical).appendChild(option);
+        }
+        if (classical.children.length) {
+            select.appendChild(classical);
+        }
+        select.value = current || PQC.DEFAULT_SUITE;
+    }
+
+    /**
+     * Cipher suite picked in the security panel
+     */
+    selectedSuite() {
+        return this.elements.cipherSuite.value || PQC.DEFAULT_SUITE;
+    }
+
+    /**
+     * Session key lifetime (?sessionLifetime=<seconds>, default one hour), what to do on expiry,
+     * and where a classical comparison suite escrows its keys
+     */
+    sessionOptions() {
+        const seconds = Number(new URLSearchParams(window.location.search).get('sessionLifetime'));
+        return {
+            sessionLifetimeMs: Number.isSafeInteger(seconds) && seconds > 0 ?
+                Math.min(seconds * 1000, 2 ** 31 - 1) : PQC.DEFAULT_SESSION_LIFETIME_MS,
+            onSessionExpired: (peerId) => this.handleSessionExpired(peerId),
+            keyEscrow: (keyPair) => this.escrowClassicalKey(keyPair)
+        };
+    }
+
+    /**
+     * Send a classical KEM key pair to the server's harvest recorder
+     * The core only escrows keys of suites that are not quantum-safe. The
+     * recorder uses them on the simulated Q-Day in place of Shor's algorithm,
+     * which would recover these private keys from the recorded public ones.
+     */
+    escrowClassicalKey({ publicKey, secretKey, algorithm }) {
+        this.pendingEscrow.push({
+            type: 'key_escrow',
+            publicKey: PQC.bytesToHex(publicKey),
+            secretKey: PQC.bytesToHex(secretKey),
+            algorithm
+        });
+        this.flushKeyEscrow();
+    }
+
+    flushKeyEscrow() {
+        while (this.pendingEscrow.length && this.ws && this.ws.readyState === WebSocket.OPEN && this.clientId) {
+            this.ws.send(JSON.stringify(this.pendingEscrow.shift()));
+        }
+    }
+
+    /**
+     * Session keys with a peer reached the end of their lifetime and were wiped; re-key if it is still here
+     */
+    handleSessionExpired(peerId) {
+        if (!this.crypto.peerPublicKeys.has(peerId)) {
+            return;
+        }
+        this.addSystemMessage(`⏰ Session keys with peer ${peerId.substring(0, 8)}... expired and were wiped; re-keying`);
+        this.performKeyExchange(this.crypto.peerPublicKey(peerId), peerId);
+    }
+
+    /**
+     * Show the components of the current suite in the security panel
+     */
+    updateEncryptionType() {
+        const { kem, signature, aead } = this.crypto.suite;
+        this.elements.encryptionType.textContent = `${kem} + ${signature} + ${aead}`;
+    }
+
+    /**
+     * Switch our cipher suite
+     * Keys are registered once per connection, so reconnect to register fresh ones.
+     */
+    changeSuite() {
+        this.crypto.destroy();
+        this.crypto = new ClientQuantumCrypto({ suite: this.selectedSuite(), ...this.sessionOptions() });
+        this.isReady = false;
+        this.resetPeerViews();
+        this.updateUI();
+        this.renderRandomnessWarning();
+        this.addSystemMessage(`🔧 Switching to ${this.crypto.suite.name}; reconnecting to register new keys...`);
+        if (!this.crypto.getSecurityInfo().quantumSafe) {
+            this.addSystemMessage(`⚠️ ${this.crypto.suite.kem} is a classical comparison suite. Its private keys are escrowed ` +
+                'with the server so the simulated Q-Day can show what Shor\'s algorithm would decrypt. Do not send real secrets.', 'error');
+        }
+        if (this.ws) {
+            this.ws.close();
+        }
+    }
+
+    /**
+     * Show the open rooms in the switcher, with ours selected
+     */
+    renderRoomList() {
+        const select = this.elements.roomSelect;
+        select.replaceChildren();
+        for (const room of this.rooms) {
+            const option = document.createElement('option');
+            option.value = room.name;
+            option.textContent = `${room.name} (${room.members}${room.maxMembers ? `/${room.maxMembers}` : ''})` +
+                (room.passwordProtected ? ' 🔒' : '');
+            select.appendChild(option);
+        }
+        select.value = this.room || '';
+        const current = this.rooms.find(room => room.name === this.room);
+        this.elements.leaveRoom.disabled = !current || current.default;
+    }
+
+    sendRoomRequest(request) {
+        if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+            this.addSystemMessage('❌ Not connected to the server', 'error');
+            this.renderRoomList();
+            return;
+        }
+        this.ws.send(JSON.stringify(request));
+    }
+
+    /**
+     * Join the room picked in the switcher, asking for its password if it has one
+     */
+    switchRoom(name) {
+        const room = this.rooms.find(entry => entry.name === name);
+        if (!room || name === this.room) {
+            return;
+        }
+        const password = room.passwordProtected ? prompt(`Password for room "${name}":`) : '';
+        if (password === null) {
+            this.renderRoomList();
+            return;
+        }
+        this.sendRoomRequest({ type: 'join_room', room: name, password });
+    }
+
+    createRoom() {
+        const name = prompt('Name of the new room (letters, digits, spaces, dots, dashes or underscores):');
+        if (!name) {
+            return;
+        }
+        const password = prompt('Password for the room (leave empty for an open room):');
+        if (password === null) {
+            return;
+        }
+        const limit = prompt('Most members allowed (2 to 50, leave empty for 50):');
+        if (limit === null) {
+            return;
+        }
+        this.sendRoomRequest({
+            type: 'create_room',
+            room: name,
+            password: password || null,
+            maxMembers: limit.trim() === '' ? null : Number(limit)
+        });
+    }
+
+    /**
+     * We moved to another room: the old room's sessions and peers go, and its
+     * members will not see anything we send from here. The new room's members
+     * start key exchanges with us once the server hands them our public keys.
+     */
+    enterRoom({ room, members }) {
+        this.crypto.destroySessions();
+        this.crypto.forgetPeers();
+        this.downloads.forEach(download => this.failDownload(download, 'You left the room'));
+        this.isReady = false;
+        this.room = room;
+        this.resetPeerViews();
+        this.renderRoomList();
+        this.updateUI();
+        this.addSystemMessage(`🚪 Joined room "${room}"` +
+            (members > 1 ? `; setting up sessions with ${members - 1} members...` : '; waiting for others to join'));
+    }
+
+    /**
+     * Clear per-connection peer state from the panel when the client reconnects
+     */
+    resetPeerViews() {
+        this.keyChangedPeers.clear();
+        this.closeSafetyNumber();
+        this.renderKeyChangeWarning();
+        this.renderPeerList();
+    }
+
+    /**
+     * Download our identity key file
+     * The keys are protected with a passphrase unless the user leaves it empty.
+     */
+    async exportIdentity() {
+        try {
+            const passphrase = prompt('Passphrase to protect the exported keys (leave empty to export them unencrypted):');
+            if (passphrase === null) {
+                return;
+            }
+            const pem = await this.crypto.exportKeys({ passphrase: passphrase || null });
+            const url = URL.createObjectURL(new Blob([pem], { type: 'application/x-pem-file' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `quantumchat-${this.crypto.suite.name}.pem`;
+            link.click();
+            URL.revokeObjectURL(url);
+            this.addSystemMessage(passphrase ?
+                `📤 Exported ${this.crypto.suite.name} identity (passphrase-protected)` :
+                `⚠️ Exported ${this.crypto.suite.name} identity without a passphrase; keep the file private`);
+        } catch (error) {
+            console.error('❌ Identity export failed:', error);
+            this.addSystemMessage(`❌ Identity export failed: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Load an identity key file picked by the user, then reconnect to register it
+     * @param {File} file - PEM or JSON key file written by this client or QuantumCrypto.exportKeys()
+     */
+    async importIdentity(file) {
+        try {
+            const keyFile = KeyFile.parse(await file.text());
+            let passphrase = null;
+            if (KeyFile.isEncrypted(keyFile)) {
+                passphrase = prompt('Passphrase for this key file:');
+                if (passphrase === null) {
+                    return;
                 }
-                console.log(`📊 Encoded message with fallback method (${messageBytes.length} bytes)`);
             }
-            
-            const encrypted = new Uint8Array(messageBytes.length);
-            
-            for (let i = 0; i < messageBytes.length; i++) {
-                encrypted[i] = messageBytes[i] ^ sharedSecret[i % sharedSecret.length];
+            const imported = new ClientQuantumCrypto({ suite: keyFile.suite, ...this.sessionOptions() });
+            await imported.importKeys(keyFile, { passphrase });
+
+            this.crypto.destroy();
+            this.crypto = imported;
+            this.elements.cipherSuite.value = keyFile.suite;
+            this.isReady = false;
+            this.resetPeerViews();
+            this.updateUI();
+            this.renderRandomnessWarning();
+            this.addSystemMessage(`📥 Imported ${keyFile.suite} identity created ${imported.keyCreated}; reconnecting to register it...`);
+            if (this.ws) {
+                this.ws.close();
             }
+        } catch (error) {
+            console.error('❌ Identity import failed:', error);
+            this.addSystemMessage(`❌ Identity import failed: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Send encrypted message
+     */
+    async sendMessage() {
+        const messageText = this.elements.messageInput.value.trim();
+        
+        if (!messageText) return;
+        
+        try {
+            const sent = await this.sendSignedMessage(messageText);
+            if (!sent) return;
             
-            // Always use consistent hex string format for cross-platform compatibility
-            const hexString = Array.from(encrypted).map(b => b.toString(16).padStart(2, '0')).join('');
-            
-            console.log(`🔒 Encrypted message to hex string (${hexString.length} chars): ${hexString.substring(0, 20)}...`);
+            // Display message in UI
+            this.addMessage(messageText, 'sent', sent.signatureDetail);
             
-            // Create encrypted data object with explicit format information
-            const encryptedData = {
-                encrypted: hexString,
-                algorithm: 'XOR-Demo',
-                timestamp: Date.now(),
-                forPeer: peerId,
-                format: 'hex' // Explicitly mark the format for better compatibility
-            };
+            // Clear input
+            this.elements.messageInput.value = '';
+            this.elements.messageInput.style.height = 'auto';
             
-            // Log the encrypted data structure for debugging
-            console.log('📋 Encrypted data structure:', JSON.stringify({
-                algorithm: encryptedData.algorithm,
-                format: encryptedData.format,
-                forPeer: encryptedData.forPeer.substring(0, 8) + '...',
-                timestamp: encryptedData.timestamp,
-                encryptedLength: encryptedData.encrypted.length
-            }));
+            console.log(`🔒 Message encrypted and sent to ${sent.peerIds.length} peers`);
             
-            return encryptedData;
         } catch (error) {
-            console.error('❌ Encryption error:', error);
-            throw new Error(`Failed to encrypt message: ${error.message}`);
+            console.error('❌ Failed to send message:', error);
+            this.addSystemMessage('❌ Failed to send message', 'error');
         }
     }
 
     /**
-     * Decrypt message
+     * Sign a chat message and send it to every peer we have a session with, encrypted for each
+     * @param {object|null} attachment - Attachment manifest to send with the text, covered by the signature
+     * @returns {Promise<object|null>} - { peerIds, signatureDetail }, or null if it could not be sent yet
      */
-    decrypt(encryptedData) {
-        const peerId = encryptedData.fromPeer || encryptedData.forPeer;
-        if (!peerId) {
-            throw new Error('No peer ID found in the encrypted data');
+    async sendSignedMessage(messageText, attachment = null) {
+        if (!this.isReady) {
+            this.addSystemMessage('❌ Please wait for secure connection to be established', 'error');
+            return null;
         }
         
-        const sharedSecret = this.sharedSecrets.get(peerId);
-        if (!sharedSecret) {
-            console.warn(`⚠️ No shared secret found for peer ${peerId}, attempting to establish one...`);
-            
-            // Try to get the peer's public key
-            const peerPublicKey = this.peers.get(peerId);
-            if (peerPublicKey) {
-                // Try to establish a shared secret on-the-fly
-                this.performKeyExchange(peerPublicKey, peerId);
-                throw new Error(`Shared secret not ready yet for peer ${peerId}. Message will be decrypted after key exchange.`);
-            } else {
-                throw new Error(`No public key available for peer ${peerId}`);
-            }
+        // Get all peer IDs from shared secrets and peers map
+        const sharedSecretPeerIds = this.crypto.sessionPeerIds();
+        const allPeerIds = [...new Set([...sharedSecretPeerIds, ...this.crypto.peerPublicKeys.keys()])];
+        
+        if (allPeerIds.length === 0) {
+            this.addSystemMessage('❌ No peers connected for secure messaging', 'error');
+            return null;
         }
 
-        try {
-            // Log the incoming encrypted data format for debugging
-            console.log(`🔍 Decrypting data from peer ${peerId.substring(0, 8)}:`, 
-                typeof encryptedData.encrypted === 'string' ? 
-                `${encryptedData.encrypted.substring(0, 20)}... (${encryptedData.encrypted.length} chars)` : 
-                `Format: ${Array.isArray(encryptedData.encrypted) ? 'Array' : typeof encryptedData.encrypted}`);
-            
-            // Log the full message structure for better debugging
-            console.log('📋 Full encrypted data structure:', JSON.stringify({
-                format: encryptedData.format,
-                algorithm: encryptedData.algorithm,
-                timestamp: encryptedData.timestamp,
-                fromPeer: peerId.substring(0, 8) + '...',
-                encryptedType: typeof encryptedData.encrypted,
-                encryptedLength: typeof encryptedData.encrypted === 'string' ? encryptedData.encrypted.length : 
-                                Array.isArray(encryptedData.encrypted) ? encryptedData.encrypted.length : 'unknown'
-            }));
-            
-            // Reverse the XOR encryption
-            // First, handle the encrypted data properly - it might be in different formats
-            let encryptedBytes;
-            
-            if (typeof encryptedData.encrypted === 'string') {
-                // Check if it's explicitly marked as hex format
-                if (encryptedData.format === 'hex') {
-                    // It's explicitly marked as hex, parse it
-                    const hexChunks = encryptedData.encrypted.match(/.{1,2}/g) || [];
-                    encryptedBytes = new Uint8Array(hexChunks.map(byte => parseInt(byte, 16)));
-                    console.log(`📊 Parsed hex string (${hexChunks.length} bytes)`);
-                } else {
-                    // Check if it looks like a hex string
-                    const hexPattern = /^[0-9a-fA-F]+$/;
-                    if (hexPattern.test(encryptedData.encrypted) && encryptedData.encrypted.length % 2 === 0) {
-                        // It's a hex string, parse it
-                        const hexChunks = encryptedData.encrypted.match(/.{1,2}/g) || [];
-                        encryptedBytes = new Uint8Array(hexChunks.map(byte => parseInt(byte, 16)));
-                        console.log(`📊 Detected and parsed hex string (${hexChunks.length} bytes)`);
-                    } else {
-                        // It might be a direct string representation from some clients
-                        // Convert to byte array directly
-                        try {
-                            const encoder = new TextEncoder();
-                            encryptedBytes = encoder.encode(encryptedData.encrypted);
-                            console.log(`📊 Encoded direct string with TextEncoder (${encryptedBytes.length} bytes)`);
-                        } catch (encodingError) {
-                            console.warn('TextEncoder failed, using fallback encoding method:', encodingError);
-                            // Fallback method: manually convert string to bytes
-                            encryptedBytes = new Uint8Array(encryptedData.encrypted.length);
-                            for (let i = 0; i < encryptedData.encrypted.length; i++) {
-                                encryptedBytes[i] = encryptedData.encrypted.charCodeAt(i) & 0xFF;
-                            }
-                            console.log(`📊 Parsed direct string with fallback method (${encryptedBytes.length} bytes)`);
-                        }
-                    }
-                }
-            } else if (Array.isArray(encryptedData.encrypted)) {
-                // Handle array format (might come from some clients)
-                encryptedBytes = new Uint8Array(encryptedData.encrypted);
-                console.log(`📊 Parsed array (${encryptedBytes.length} bytes)`);
-            } else if (encryptedData.encrypted instanceof Uint8Array) {
-                // Already a Uint8Array
-                encryptedBytes = encryptedData.encrypted;
-                console.log(`📊 Using provided Uint8Array (${encryptedBytes.length} bytes)`);
-            } else {
-                // Unknown format, try to convert to string first
-                console.warn(`⚠️ Unsupported encrypted data format: ${typeof encryptedData.encrypted}, attempting conversion`);
-                try {
-                    const encoder = new TextEncoder();
-                    encryptedBytes = encoder.encode(String(encryptedData.encrypted));
-                    console.log(`📊 Converted unknown format to ${encryptedBytes.length} bytes`);
-                } catch (conversionError) {
-                    throw new Error(`Failed to convert unsupported format: ${conversionError.message}`);
-                }
-            }
-            
-            const decrypted = new Uint8Array(encryptedBytes.length);
-            
-            for (let i = 0; i < encryptedBytes.length; i++) {
-                decrypted[i] = encryptedBytes[i] ^ sharedSecret[i % sharedSecret.length];
-            }
-            
-            // Use try-catch for TextDecoder to handle potential encoding issues
-            let result;
-            try {
-                const decoder = new TextDecoder('utf-8', { fatal: false });
-                result = decoder.decode(decrypted);
-                console.log(`🔓 Successfully decoded with TextDecoder (${result.length} chars)`);
-            } catch (decodingError) {
-                console.warn('⚠️ TextDecoder failed, using fallback decoding method:', decodingError);
-                // Fallback method: manually convert bytes to string
+        // Try to establish shared secrets for peers that don't have them yet
+        allPeerIds.forEach(peerId => {
+            if (!this.crypto.hasSharedSecretWith(peerId) && this.crypto.peerPublicKeys.has(peerId)) {
                 try {
-                    result = String.fromCharCode.apply(null, decrypted);
-                    console.log(`🔓 Used fallback String.fromCharCode (${result.length} chars)`);
-                } catch (charError) {
-                    console.warn('⚠️ String.fromCharCode.apply failed, trying character by character:', charError);
-                    // If apply fails (can happen with very long arrays), do it character by character
-                    result = '';
-                    for (let i = 0; i < decrypted.length; i++) {
-                        result += String.fromCharCode(decrypted[i]);
-                    }
-                    console.log(`🔓 Used character-by-character decoding (${result.length} chars)`);
+                    this.performKeyExchange(this.crypto.peerPublicKey(peerId), peerId);
+                } catch (e) {
+                    console.warn(`Could not establish shared secret with peer ${peerId}:`, e);
                 }
             }
-            
-            // Validate the result
-            if (!result || typeof result !== 'string') {
-                throw new Error('Decryption produced invalid result: ' + (result === null ? 'null' : typeof result));
-            }
-            
-            // Check if the result looks like valid text
-            const isPossiblyText = /^[\x20-\x7E\s]+$/.test(result);
-            if (!isPossiblyText) {
-                console.warn(`⚠️ Decrypted result doesn't look like valid text: ${result.substring(0, 30)}...`);
-            }
-            
-            return result;
-        } catch (error) {
-            console.error('❌ Decryption error:', error);
-            throw new Error(`Failed to decrypt message: ${error.message}`);
+        });
+
+        // Only encrypt for peers with established shared secrets
+        const readyPeerIds = this.crypto.sessionPeerIds();
+        
+        if (readyPeerIds.length === 0) {
+            this.addSystemMessage('⏳ Establishing secure connections with peers. Please try again in a moment.', 'info');
+            return null;
+        }
+
+        // Sign once with our identity key; the signature travels inside each encrypted payload
+        const timestamp = Date.now();
+        const signStart = performance.now();
+        const signatureData = this.crypto.signMessage(this.crypto.encodeSignedContent(this.clientId, timestamp, messageText,
+            attachment && Attachment.signedManifest(attachment)));
+        const signTime = performance.now() - signStart;
+        const payload = JSON.stringify({
+            text: messageText,
+            timestamp,
+            signature: signatureData.signature,
+            signatureAlgorithm: signatureData.algorithm,
+            ...(attachment && { attachment })
+        });
+
+        // Encrypt message for each peer
+        const encryptedMessages = await Promise.all(readyPeerIds.map(async peerId => {
+            return {
+                forPeer: peerId,
+                envelope: await this.crypto.encrypt(payload, peerId)
+            };
+        }));
+        
+        // Send encrypted messages to server
+        this.ws.send(JSON.stringify({
+            type: 'encrypted_group_message',
+            encryptedMessages: encryptedMessages,
+            timestamp: new Date().toISOString()
+        }));
+        
+        return {
+            peerIds: readyPeerIds,
+            signatureDetail: `✍️ ${signatureData.algorithm} · ${signatureData.signature.length / 2} B signature · signed in ${signTime.toFixed(1)} ms`
+        };
+    }
+
+    /**
+     * Send a file to every peer, end-to-end encrypted
+     * The file is encrypted in chunks under a fresh key (attachment.js). The key
+     * and the file's hash go to each peer in a signed, ratchet-encrypted chat
+     * message; the server then relays the ciphertext chunks.
+     * @param {File} file - File picked by the user
+     */
+    async sendAttachment(file) {
+        if (file.size > this.maxAttachmentBytes) {
+            this.addSystemMessage(`❌ ${file.name} is larger than the ${this.formatBytes(this.maxAttachmentBytes)} attachment limit`, 'error');
+            return;
+        }
+        
+        try {
+            const bytes = new Uint8Array(await file.arrayBuffer());
+            const keyBytes = PQC.randomBytes(Attachment.KEY_SIZE);
+            const manifest = {
+                fileId: PQC.bytesToHex(PQC.randomBytes(Attachment.FILE_ID_SIZE)),
+                name: file.name.replace(/[\/\\\u0000-\u001f]/g, '_').slice(0, 255) || 'attachment',
+                type: /^[\w.+-]+\/[\w.+-]+$/.test(file.type) ? file.type : 'application/octet-stream',
+                size: bytes.length,
+                chunkSize: Attachment.CHUNK_SIZE,
+                chunkCount: Attachment.chunkCount(bytes.length),
+                sha256: PQC.bytesToHex(PQC.sha256(bytes)),
+                key: PQC.bytesToHex(keyBytes)
+            };
+            
+            const sent = await this.sendSignedMessage('', manifest);
+            if (!sent) {
+                PQC.zeroize(keyBytes);
+                return;
+            }
+            
+            const details = { ...manifest };
+            delete details.key; // Only peers need it from here on
+            this.uploads.set(manifest.fileId, {
+                manifest: details,
+                bytes,
+                key: keyBytes,
+                resumeToken: null,
+                accepted: false,
+                generation: 0, // Bumped on every attachment_accepted, so chunks encrypted before a reconnect are dropped
+                sent: 0,
+                acked: 0,
+                pumping: false,
+                view: this.addAttachmentView(details, 'sent', sent.signatureDetail)
+            });
+            this.ws.send(JSON.stringify({
+                type: 'attachment_start',
+                fileId: manifest.fileId,
+                size: manifest.size,
+                chunkCount: manifest.chunkCount,
+                recipients: sent.peerIds
+            }));
+            console.log(`📎 Sending ${manifest.name} (${manifest.chunkCount} chunks) to ${sent.peerIds.length} peers`);
+        } catch (error) {
+            console.error('❌ Failed to send attachment:', error);
+            this.addSystemMessage(`❌ Failed to send ${file.name}: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * The server accepted a transfer, or a resumed one; send from the chunk it expects
+     */
+    handleAttachmentAccepted({ fileId, resumeToken, nextIndex }) {
+        const upload = this.uploads.get(fileId);
+        if (!upload) return;
+        
+        upload.resumeToken = resumeToken;
+        upload.accepted = true;
+        upload.generation++;
+        upload.sent = nextIndex;
+        upload.acked = nextIndex;
+        this.pumpUpload(upload);
+    }
+
+    handleAttachmentAck({ fileId, index }) {
+        const upload = this.uploads.get(fileId);
+        if (!upload) return;
+        
+        upload.acked = Math.max(upload.acked, index + 1);
+        this.updateAttachmentView(upload.view, upload.acked / upload.manifest.chunkCount,
+            `Sending… ${Math.floor(100 * upload.acked / upload.manifest.chunkCount)}%`);
+        this.pumpUpload(upload);
+    }
+
+    handleAttachmentComplete({ fileId, recipients }) {
+        const upload = this.uploads.get(fileId);
+        if (!upload) return;
+        
+        this.uploads.delete(fileId);
+        PQC.zeroize(upload.bytes, upload.key);
+        this.updateAttachmentView(upload.view, 1, `🔒 Delivered encrypted to ${recipients} peer${recipients === 1 ? '' : 's'}`);
+    }
+
+    /**
+     * Encrypt and send chunks while fewer than ATTACHMENT_WINDOW are waiting for an ack
+     */
+    async pumpUpload(upload) {
+        if (upload.pumping) return;
+        upload.pumping = true;
+        
+        try {
+            const { fileId, size, chunkCount } = upload.manifest;
+            while (upload.accepted && upload.sent < chunkCount && upload.sent - upload.acked < ATTACHMENT_WINDOW) {
+                const { generation } = upload;
+                const index = upload.sent++;
+                const start = index * Attachment.CHUNK_SIZE;
+                const sealed = await PQC.backend.aesGcmEncrypt(
+                    upload.key,
+                    Attachment.chunkNonce(index),
+                    upload.bytes.subarray(start, start + Attachment.chunkLength(index, size)),
+                    Attachment.chunkAssociatedData(fileId, index, chunkCount)
+                );
+                if (generation === upload.generation && upload.accepted) {
+                    this.ws.send(JSON.stringify({
+                        type: 'attachment_chunk',
+                        fileId,
+                        index,
+                        data: Envelope.toBase64Url(sealed)
+                    }));
+                }
+            }
+        } catch (error) {
+            console.error('❌ Attachment upload failed:', error);
+            this.failUpload(upload, error.message);
+        } finally {
+            upload.pumping = false;
+        }
+    }
+
+    failUpload(upload, reason) {
+        this.uploads.delete(upload.manifest.fileId);
+        upload.accepted = false;
+        PQC.zeroize(upload.bytes, upload.key);
+        this.updateAttachmentView(upload.view, null, `❌ ${reason}`);
+    }
+
+    /**
+     * A peer announced a transfer; its chunks follow
+     */
+    handleAttachmentIncoming({ fromPeer, fileId, size, chunkCount }) {
+        const download = this.downloadFor(fileId);
+        if (download.chunkCount !== null) return;
+        
+        Object.assign(download, { fromPeer, size, chunkCount });
+        this.checkDownload(download);
+    }
+
+    /**
+     * The signed manifest for an attachment arrived in a chat message
+     * It carries the file key; chunks received before it are decrypted now.
+     */
+    acceptAttachmentManifest(fromPeer, attachment, signatureDetail) {
+        const manifest = Attachment.checkManifest(attachment);
+        const download = this.downloadFor(manifest.fileId);
+        if (download.manifest) {
+            throw new Error('Duplicate attachment manifest');
+        }
+        
+        const { key: keyHex, ...details } = manifest;
+        download.key = PQC.hexToBytes(keyHex);
+        download.manifest = details;
+        download.sender = fromPeer;
+        download.view = this.addAttachmentView(details, 'received', signatureDetail);
+        if (this.checkDownload(download)) {
+            this.processDownload(download);
+        }
+    }
+
+    /**
+     * The transfer the server announced must be the one the sender signed
+     * @returns {boolean} - false if the download was abandoned
+     */
+    checkDownload(download) {
+        const { manifest } = download;
+        if (manifest && download.chunkCount !== null &&
+            (download.fromPeer !== download.sender || download.size !== manifest.size || download.chunkCount !== manifest.chunkCount)) {
+            this.failDownload(download, 'Transfer does not match the signed attachment');
+            return false;
+        }
+        return true;
+    }
+
+    handleAttachmentChunk({ fileId, index, data }) {
+        const download = this.downloads.get(fileId);
+        if (!download || download.chunkCount === null) return;
+        
+        if (index !== download.received) {
+            this.failDownload(download, 'Attachment chunks arrived out of order');
+            return;
+        }
+        download.pending.push(data);
+        download.received++;
+        if (download.received === download.chunkCount && !download.manifest) {
+            // The manifest is sent first, but may still be decrypting; give up if it never comes
+            setTimeout(() => {
+                if (!download.manifest && !download.failed) {
+                    this.failDownload(download, 'No signed manifest arrived for this attachment');
+                }
+            }, ATTACHMENT_MANIFEST_TIMEOUT_MS);
+        }
+        this.processDownload(download);
+    }
+
+    /**
+     * Decrypt queued chunks in order once the key is known, then check the whole file
+     */
+    async processDownload(download) {
+        if (download.busy || !download.key) return;
+        download.busy = true;
+        
+        try {
+            const { fileId, size, chunkCount } = download.manifest;
+            while (download.pending.length > 0 && !download.failed) {
+                const index = download.parts.length;
+                const sealed = Envelope.fromBase64Url(download.pending.shift());
+                if (sealed.length !== Attachment.chunkLength(index, size) + Attachment.TAG_SIZE) {
+                    throw new Error(`Attachment chunk ${index} has the wrong size`);
+                }
+                let plaintext;
+                try {
+                    plaintext = await PQC.backend.aesGcmDecrypt(
+                        download.key,
+                        Attachment.chunkNonce(index),
+                        sealed,
+                        Attachment.chunkAssociatedData(fileId, index, chunkCount)
+                    );
+                } catch (error) {
+                    throw new Error(`Attachment chunk ${index} failed authentication`);
+                }
+                download.parts.push(plaintext);
+                this.updateAttachmentView(download.view, download.parts.length / chunkCount,
+                    `Receiving… ${Math.floor(100 * download.parts.length / chunkCount)}%`);
+            }
+            if (!download.failed && download.parts.length === chunkCount) {
+                this.finishDownload(download);
+            }
+        } catch (error) {
+            console.error('❌ Attachment download failed:', error);
+            this.failDownload(download, error.message);
+        } finally {
+            download.busy = false;
+        }
+    }
+
+    /**
+     * Check the reassembled file against the signed hash and offer it for download
+     */
+    finishDownload(download) {
+        const { fileId, name, type, sha256 } = download.manifest;
+        const bytes = PQC.concatBytes(...download.parts);
+        const digest = PQC.bytesToHex(PQC.sha256(bytes));
+        if (digest !== sha256) {
+            throw new Error('File does not match the hash its sender signed');
+        }
+        this.downloads.delete(fileId);
+        PQC.zeroize(download.key);
+        
+        // Only known image types keep their type; anything else could be rendered as
+        // HTML if the blob URL were opened, so it is downloaded as opaque bytes
+        const preview = PREVIEW_TYPES.includes(type);
+        const url = URL.createObjectURL(new Blob([bytes], { type: preview ? type : 'application/octet-stream' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = name;
+        link.textContent = `⬇️ Save ${name}`;
+        download.view.status.replaceChildren(link);
+        download.view.progress.value = 1;
+        if (preview) {
+            const image = document.createElement('img');
+            image.className = 'attachment-preview';
+            image.alt = name;
+            image.src = url;
+            download.view.root.insertBefore(image, download.view.status);
+        }
+        this.scrollToBottom();
+        console.log(`📎 Received ${name}; SHA-256 matches the signed manifest`);
+    }
+
+    failDownload(download, reason) {
+        download.failed = true;
+        PQC.zeroize(download.key);
+        download.parts = [];
+        download.pending = [];
+        this.downloads.delete(download.fileId);
+        if (download.view) {
+            this.updateAttachmentView(download.view, null, `❌ ${reason}`);
+        } else {
+            this.addSystemMessage(`❌ Attachment from ${download.fromPeer?.substring(0, 8) || 'unknown'} failed: ${reason}`, 'error');
+        }
+    }
+
+    /**
+     * Download state for a file ID; the announcement and the manifest can arrive in either order
+     */
+    downloadFor(fileId) {
+        if (!this.downloads.has(fileId)) {
+            this.downloads.set(fileId, {
+                fileId,
+                fromPeer: null, // From attachment_incoming
+                size: null,
+                chunkCount: null,
+                sender: null, // From the signed manifest
+                manifest: null,
+                key: null,
+                received: 0,
+                pending: [],
+                parts: [],
+                busy: false,
+                failed: false,
+                view: null
+            });
+        }
+        return this.downloads.get(fileId);
+    }
+
+    handleAttachmentCancelled({ fileId, reason }) {
+        const upload = this.uploads.get(fileId);
+        if (upload) {
+            this.failUpload(upload, reason);
+        }
+        const download = this.downloads.get(fileId);
+        if (download) {
+            this.failDownload(download, reason);
+        }
+    }
+
+    /**
+     * On disconnect: uploads wait to resume; downloads are lost with the connection
+     */
+    suspendTransfers() {
+        this.uploads.forEach(upload => {
+            upload.accepted = false;
+            if (upload.resumeToken) {
+                this.updateAttachmentView(upload.view, null, '⏸️ Connection lost; resuming after reconnect…');
+            } else {
+                this.failUpload(upload, 'Connection lost');
+            }
+        });
+        this.downloads.forEach(download => this.failDownload(download, 'Connection lost'));
+    }
+
+    resumeUploads() {
+        this.uploads.forEach((upload, fileId) => {
+            this.ws.send(JSON.stringify({ type: 'attachment_resume', fileId, resumeToken: upload.resumeToken }));
+        });
+    }
+
+    /**
+     * Chat bubble for an attachment with a progress bar and a status line
+     */
+    addAttachmentView({ name, size }, type, signatureDetail) {
+        const root = document.createElement('div');
+        root.className = `message ${type} attachment-message`;
+        const title = document.createElement('div');
+        title.className = 'attachment-name';
+        title.textContent = `📎 ${name} (${this.formatBytes(size)})`;
+        const progress = document.createElement('progress');
+        progress.max = 1;
+        progress.value = 0;
+        const status = document.createElement('div');
+        status.className = 'attachment-status';
+        status.textContent = type === 'sent' ? 'Waiting for the server…' : 'Waiting for chunks…';
+        const signature = document.createElement('div');
+        signature.className = 'message-signature';
+        signature.textContent = signatureDetail;
+        const time = document.createElement('div');
+        time.className = 'message-time';
+        time.textContent = new Date().toLocaleTimeString();
+        root.append(title, progress, status, signature, time);
+        
+        this.elements.messagesContainer.appendChild(root);
+        this.scrollToBottom();
+        return { root, progress, status };
+    }
+
+    /**
+     * @param {number|null} fraction - Progress from 0 to 1, or null to leave the bar as it is
+     */
+    updateAttachmentView(view, fraction, text) {
+        if (fraction !== null) {
+            view.progress.value = fraction;
+        }
+        view.status.textContent = text;
+    }
+
+    formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KiB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MiB`;
+    }
+
+    /**
+     * Add message to chat
+     * @param {string} signatureDetail - Optional signature scheme/size/timing line
+     */
+    addMessage(text, type, signatureDetail = null) {
+        const messageDiv = document.createElement('div');
+        messageDiv.className = `message ${type}`;
+        
+        const timestamp = new Date().toLocaleTimeString();
+        messageDiv.innerHTML = `
+            <div class="message-content">${this.escapeHtml(text)}</div>
+            ${signatureDetail ? `<div class="message-signature">${this.escapeHtml(signatureDetail)}</div>` : ''}
+            <div class="message-time">${timestamp}</div>
+        `;
+        
+        this.elements.messagesContainer.appendChild(messageDiv);
+        this.scrollToBottom();
+    }
+
+    /**
+     * Add system message
+     */
+    addSystemMessage(text, type = 'info') {
+        const messageDiv = document.createElement('div');
+        messageDiv.className = `system-message ${type}`;
+        messageDiv.textContent = text;
+        
+        this.elements.messagesContainer.appendChild(messageDiv);
+        this.scrollToBottom();
+    }
+
+    /**
+     * Show security information
+     */
+    showSecurityInfo(securityInfo) {
+        const infoDiv = document.createElement('div');
+        infoDiv.className = 'security-info-message';
+        infoDiv.innerHTML = `
+            <h4>🛡️ Security Information</h4>
+            <ul>
+                <li><strong>Algorithm:</strong> ${securityInfo.algorithm}</li>
+                <li><strong>Key Size:</strong> ${securityInfo.keySize} bits</li>
+                <li><strong>Key Exchange:</strong> ${securityInfo.keyExchange}${securityInfo.hybrid ? ' (hybrid: secure while either X25519 or ML-KEM holds)' : ''}</li>
+                <li><strong>Forward Secrecy:</strong> ${securityInfo.forwardSecrecy}</li>
+                <li><strong>Signatures:</strong> ${securityInfo.signatureAlgorithm} (${securityInfo.signatureSize}-byte signatures, ${securityInfo.signaturePublicKeySize}-byte public key)</li>
+                <li><strong>Quantum Safe:</strong> ${securityInfo.quantumSafe ? '✅ Yes' : '❌ No'}</li>
+                <li><strong>Crypto Backend:</strong> ${securityInfo.backend}</li>
+                <li><strong>Randomness:</strong> ${this.escapeHtml(securityInfo.randomness)}${securityInfo.deterministicRandom ? ' - ⚠️ INSECURE, reproducible demo mode' : ''}</li>
+                <li><strong>Status:</strong> ${securityInfo.status}</li>
+            </ul>
+        `;
+        
+        this.elements.messagesContainer.appendChild(infoDiv);
+        this.scrollToBottom();
+    }
+
+    /**
+     * Update connection status
+     */
+    updateStatus(status, text) {
+        this.elements.status.className = `status ${status}`;
+        this.elements.status.textContent = text;
+    }
+
+    /**
+     * Update key status
+     */
+    updateKeyStatus(status) {
+        this.elements.keyStatus.textContent = status;
+    }
+
+    /**
+     * Update UI based on connection state
+     */
+    updateUI() {
+        const isConnected = this.ws && this.ws.readyState === WebSocket.OPEN;
+        
+        this.elements.messageInput.disabled = !this.isReady;
+        this.elements.sendButton.disabled = !this.isReady;
+        this.elements.attachButton.disabled = !this.isReady;
+        
+        if (this.isReady) {
+            this.elements.messageInput.placeholder = "Type your quantum-safe message...";
+            this.elements.sendButton.textContent = "Send 🚀";
+        } else {
+            this.elements.messageInput.placeholder = "Establishing secure connection...";
+            this.elements.sendButton.textContent = "Please wait...";
+        }
+        this.updateEncryptionType();
+    }
+
+    /**
+     * Scroll messages to bottom
+     */
+    scrollToBottom() {
+        this.elements.messagesContainer.scrollTop = this.elements.messagesContainer.scrollHeight;
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+const VERIFIED_IDENTITIES_KEY = 'quantumchat.verifiedIdentities'; // localStorage key for verified fingerprints, by peer name
+const LABEL_KEY = 'quantumchat.label'; // localStorage key for the name we announce
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const ATTACHMENT_WINDOW = 4; // Attachment chunks in flight before waiting for the server's acks
+const ATTACHMENT_MANIFEST_TIMEOUT_MS = 30 * 1000; // How long received chunks wait for their manifest
+const PREVIEW_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp']; // Shown inline; anything else is only downloadable
+
+// Threat-horizon inputs per distribution for the risk panel: [field, label, default years]
+const HORIZON_PARAMETERS = {
+    fixed: [['years', 'Years until a quantum computer', 15]],
+    uniform: [['min', 'Earliest (years)', 8], ['max', 'Latest (years)', 25]],
+    triangular: [['min', 'Earliest (years)', 8], ['mode', 'Most likely (years)', 15], ['max', 'Latest (years)', 30]],
+    normal: [['mean', 'Mean (years)', 15], ['stdDev', 'Standard deviation (years)', 5]],
+    lognormal: [['median', 'Median (years)', 15], ['sigma', 'Spread (sigma of ln years)', 0.4]]
+};
+
+/**
+ * Client-side quantum cryptography for one cipher suite from the registry
+ *
+ * The keys, sessions, ratchet and envelopes are the shared core's QuantumCrypto
+ * (src/crypto/core, loaded by pqc.mjs), the same code the Node module runs.
+ * This class adds what only the chat UI needs: imported-identity tracking,
+ * peers' signature keys and safety-number fingerprints.
+ */
+class ClientQuantumCrypto extends PQC.QuantumCrypto {
+    /**
+     * @param {object} options - { suite: suite name or numeric ID (default PQC.DEFAULT_SUITE),
+     *                           sessionLifetimeMs (null for no expiry), onSessionExpired(peerId),
+     *                           keyEscrow(keyPair) for the classical comparison suites }
+     */
+    constructor({ suite = PQC.DEFAULT_SUITE, sessionLifetimeMs = PQC.DEFAULT_SESSION_LIFETIME_MS, onSessionExpired = null, keyEscrow = null } = {}) {
+        super({ suite, sessionLifetimeMs, onSessionExpired, keyEscrow });
+        this.identityImported = false; // Imported identities are registered instead of fresh keys
+        this.peerSignatureKeys = new Map(); // Map of peer IDs to { publicKey, algorithm }
+        this.peerFingerprints = new Map(); // Map of peer IDs to the safety-number fingerprint of their keys
+        this.peerLabels = new Map(); // Map of peer IDs to the names they announced
+        this.localFingerprint = null; // Safety-number fingerprint of our keys, computed on first use
+    }
+
+    async generateKeyPair() {
+        const keyInfo = await super.generateKeyPair();
+        this.localFingerprint = null;
+        return keyInfo;
+    }
+
+    /**
+     * Load key pairs from an identity key file written by either client
+     * @returns {Promise<object>} - Public key information, as from generateKeyPair()
+     */
+    async importKeys(input, options = {}) {
+        const keyInfo = await super.importKeys(input, options);
+        this.identityImported = true;
+        return keyInfo;
+    }
+
+    /**
+     * Canonical bytes covered by a chat message signature
+     * Binds the sender ID and timestamp so a signature cannot be replayed under another name.
+     * An attachment manifest (Attachment.signedManifest()) is covered too, when there is one.
+     */
+    encodeSignedContent(senderId, timestamp, text, attachment = null) {
+        return JSON.stringify(attachment ? [senderId, timestamp, text, attachment] : [senderId, timestamp, text]);
+    }
+
+    /**
+     * A peer's registered KEM public key in hex, or null if we have none
+     */
+    peerPublicKey(peerId) {
+        const entry = this.peerPublicKeys.get(peerId);
+        return entry ? PQC.bytesToHex(entry.publicKey) : null;
+    }
+
+    /**
+     * Destroy the session with a peer that left and drop its public keys
+     */
+    forgetPeer(peerId) {
+        this.destroySession(peerId);
+        this.peerPublicKeys.delete(peerId);
+        this.peerSignatureKeys.delete(peerId);
+        this.peerFingerprints.delete(peerId);
+        this.peerLabels.delete(peerId);
+    }
+
+    forgetPeers() {
+        for (const peerId of [...this.peerPublicKeys.keys(), ...this.sessionKeys.keys(), ...this.peerFingerprints.keys()]) {
+            this.forgetPeer(peerId);
+        }
+    }
+
+    /**
+     * Destroy every session, forget all peers and zeroize our identity private keys
+     */
+    destroy() {
+        super.destroy();
+        this.forgetPeers();
+        this.identityImported = false;
+        this.localFingerprint = null;
+    }
+
+    /**
+     * Record a peer's identity keys and announced name as relayed by the server
+     * The fingerprint (safety-number.js) is only recomputed when the keys differ from the stored ones.
+     * @returns {object} - { fingerprint, previous, changed }; previous is null for a new peer
+     */
+    setPeerIdentity(peerId, { publicKey, algorithm, signaturePublicKey, signatureAlgorithm, label = null }) {
+        if (label) {
+            this.peerLabels.set(peerId, label);
+        } else {
+            this.peerLabels.delete(peerId);
+        }
+        const previous = this.peerFingerprints.get(peerId) || null;
+        const kemKey = this.peerPublicKeys.get(peerId);
+        const signatureKey = this.peerSignatureKeys.get(peerId);
+        const unchanged = previous !== null && kemKey && signatureKey &&
+            this.peerPublicKey(peerId) === publicKey && kemKey.algorithm === algorithm &&
+            signatureKey.publicKey === signaturePublicKey && signatureKey.algorithm === signatureAlgorithm;
+
+        this.setPeerPublicKey(peerId, publicKey, algorithm);
+        this.peerSignatureKeys.set(peerId, { publicKey: signaturePublicKey, algorithm: signatureAlgorithm });
+        if (unchanged) {
+            return { fingerprint: previous, previous, changed: false };
+        }
+        const fingerprint = SafetyNumber.fingerprint({
+            kemAlgorithm: algorithm,
+            kemPublicKey: publicKey,
+            signatureAlgorithm,
+            signaturePublicKey
+        });
+        this.peerFingerprints.set(peerId, fingerprint);
+        return { fingerprint, previous, changed: previous !== null && previous !== fingerprint };
+    }
+
+    /**
+     * Safety number shared with a peer, or null until both identities are known
+     */
+    safetyNumber(peerId) {
+        const remote = this.peerFingerprints.get(peerId);
+        if (!remote || !this.keyPair) {
+            return null;
+        }
+        if (!this.localFingerprint) {
+            this.localFingerprint = SafetyNumber.fingerprint({
+                kemAlgorithm: this.kem.name,
+                kemPublicKey: this.keyPair.public,
+                signatureAlgorithm: this.signer.name,
+                signaturePublicKey: this.signatureKey.public
+            });
         }
+        return SafetyNumber.compute(this.localFingerprint, remote);
     }
 }
 
@@ -864,15 +2269,16 @@ console.log(`
 🧬 QuantumChat - Educational Post-Quantum Cryptography Demo
 
 This application demonstrates:
-• Post-quantum key exchange (Kyber simulation)
-• Quantum-safe message encryption
-• Real-time secure communication
-• Modern web technologies
+• Post-quantum key exchange (ML-KEM-1024, FIPS 203, optionally hybrid with X25519)
+• Post-quantum message signatures (ML-DSA-65, FIPS 204, or SLH-DSA, FIPS 205)
+• A post-quantum double ratchet, with AES-256-GCM under HKDF-derived per-direction keys
+• Safety numbers for checking a peer's identity keys
+• End-to-end encrypted rooms and file attachments
 
 Educational Note:
-This is a simplified demonstration for learning purposes.
-Production systems should use:
-• Actual NIST-standardized PQC algorithms
+The algorithms follow the NIST standards, but this code is written for learning.
+Production systems should also have:
+• Audited, constant-time implementations (e.g. liboqs)
 • Hardware security modules
 • Proper key management
 • Professional security audits
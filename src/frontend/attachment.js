@@ -0,0 +1,160 @@
+/**
+ * Encrypted file attachments: chunk format, manifest and limits
+ *
+ * Shared by the browser client and the server (require('../frontend/attachment')).
+ * A file is encrypted once, under a fresh random 256-bit key, in fixed-size
+ * AES-256-GCM chunks:
+ *
+ *   nonce   = 8 zero bytes || u32 chunk index           (unique because the key is)
+ *   AAD     = "QC-ATTACHMENT-1" || 16-byte file ID || u32 chunk index || u32 chunk count
+ *   chunk i = AES-256-GCM(key, nonce, AAD, plaintext[i * CHUNK_SIZE .. (i + 1) * CHUNK_SIZE]) || 16-byte tag
+ *
+ * Binding the index and the count stops chunks being reordered, dropped or the
+ * file truncated. Every chunk is full-size except the last; an empty file is
+ * one empty chunk. The ciphertext travels as unpadded base64url.
+ *
+ * The key never reaches the server. It goes in the manifest
+ *
+ *   { fileId, name, type, size, chunkSize, chunkCount, sha256, key }
+ *
+ * which the sender signs and sends to each peer as an ordinary end-to-end
+ * encrypted chat message, so it is wrapped under each peer's ratchet keys.
+ * sha256 covers the whole plaintext; with the signature it ties the file to
+ * the sender even though every recipient holds the same chunk key.
+ */
+
+const Attachment = (() => {
+    'use strict';
+
+    const VERSION_LABEL = 'QC-ATTACHMENT-1';
+    const CHUNK_SIZE = 64 * 1024;
+    const TAG_SIZE = 16;
+    const KEY_SIZE = 32;
+    const FILE_ID_SIZE = 16;
+    const MAX_SIZE = 25 * 1024 * 1024;
+    const MAX_NAME_LENGTH = 255;
+
+    const labelBytes = new TextEncoder().encode(VERSION_LABEL);
+
+    function isHex(value, bytes) {
+        return typeof value === 'string' && value.length === bytes * 2 && /^[0-9a-f]+$/.test(value);
+    }
+
+    function fileIdBytes(fileId) {
+        const out = new Uint8Array(FILE_ID_SIZE);
+        for (let i = 0; i < FILE_ID_SIZE; i++) {
+            out[i] = parseInt(fileId.substr(i * 2, 2), 16);
+        }
+        return out;
+    }
+
+    function writeU32(out, offset, value) {
+        out[offset] = (value >>> 24) & 0xff;
+        out[offset + 1] = (value >>> 16) & 0xff;
+        out[offset + 2] = (value >>> 8) & 0xff;
+        out[offset + 3] = value & 0xff;
+    }
+
+    function chunkCount(size) {
+        return Math.max(1, Math.ceil(size / CHUNK_SIZE));
+    }
+
+    /**
+     * Plaintext length of a chunk
+     */
+    function chunkLength(index, size) {
+        return index < chunkCount(size) - 1 ? CHUNK_SIZE : size - index * CHUNK_SIZE;
+    }
+
+    /**
+     * Length of a chunk's ciphertext and tag once base64url-encoded, for checking without decoding
+     */
+    function encodedChunkLength(index, size) {
+        return Math.ceil((chunkLength(index, size) + TAG_SIZE) * 4 / 3);
+    }
+
+    function chunkNonce(index) {
+        const nonce = new Uint8Array(12);
+        writeU32(nonce, 8, index);
+        return nonce;
+    }
+
+    function chunkAssociatedData(fileId, index, count) {
+        const out = new Uint8Array(labelBytes.length + FILE_ID_SIZE + 8);
+        out.set(labelBytes, 0);
+        out.set(fileIdBytes(fileId), labelBytes.length);
+        writeU32(out, labelBytes.length + FILE_ID_SIZE, index);
+        writeU32(out, labelBytes.length + FILE_ID_SIZE + 4, count);
+        return out;
+    }
+
+    /**
+     * Check the sizes announced for a transfer against a limit
+     * @param {object} transfer - { fileId, size, chunkCount }
+     * @param {number} maxSize - Largest accepted file in bytes
+     */
+    function checkTransfer({ fileId, size, chunkCount: count }, maxSize = MAX_SIZE) {
+        if (!isHex(fileId, FILE_ID_SIZE)) {
+            throw new Error('Malformed attachment file ID');
+        }
+        if (!Number.isSafeInteger(size) || size < 0) {
+            throw new Error('Malformed attachment size');
+        }
+        if (size > Math.min(maxSize, MAX_SIZE)) {
+            throw new Error(`Attachment is larger than ${Math.min(maxSize, MAX_SIZE)} bytes`);
+        }
+        if (count !== chunkCount(size)) {
+            throw new Error('Attachment chunk count does not match its size');
+        }
+    }
+
+    /**
+     * Validate a decrypted manifest
+     * @returns {object} - The manifest, with only the known fields
+     */
+    function checkManifest(manifest) {
+        if (!manifest || typeof manifest !== 'object') {
+            throw new Error('Malformed attachment manifest');
+        }
+        const { fileId, name, type, size, chunkSize, chunkCount: count, sha256, key } = manifest;
+        checkTransfer({ fileId, size, chunkCount: count });
+        if (typeof name !== 'string' || name.length === 0 || name.length > MAX_NAME_LENGTH || /[\/\\\u0000-\u001f]/.test(name)) {
+            throw new Error('Malformed attachment name');
+        }
+        if (typeof type !== 'string' || !/^[\w.+-]+\/[\w.+-]+$/.test(type)) {
+            throw new Error('Malformed attachment type');
+        }
+        if (chunkSize !== CHUNK_SIZE || !isHex(sha256, 32) || !isHex(key, KEY_SIZE)) {
+            throw new Error('Malformed attachment manifest');
+        }
+        return { fileId, name, type, size, chunkSize, chunkCount: count, sha256, key };
+    }
+
+    /**
+     * Fixed-order form of a manifest, covered by the sender's signature
+     */
+    function signedManifest(manifest) {
+        const { fileId, name, type, size, chunkSize, chunkCount: count, sha256, key } = manifest;
+        return [fileId, name, type, size, chunkSize, count, sha256, key];
+    }
+
+    return {
+        CHUNK_SIZE,
+        TAG_SIZE,
+        KEY_SIZE,
+        FILE_ID_SIZE,
+        MAX_SIZE,
+        chunkCount,
+        chunkLength,
+        encodedChunkLength,
+        chunkNonce,
+        chunkAssociatedData,
+        checkTransfer,
+        checkManifest,
+        signedManifest
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Attachment;
+}
@@ -47,18 +47,20 @@ document.addEventListener('DOMContentLoaded', function() {
     });
     
     // Check features and add results to container
+    const polyfilled = (name) => typeof POLYFILLED !== 'undefined' && POLYFILLED.includes(name);
+    const backend = typeof PQC !== 'undefined' ? PQC.backend.name : null;
     const features = [
         {
             name: 'TextEncoder',
             supported: typeof TextEncoder !== 'undefined',
             critical: true,
-            polyfilled: typeof TextEncoder !== 'undefined' && TextEncoder.toString().includes('polyfill')
+            polyfilled: polyfilled('TextEncoder')
         },
         {
             name: 'TextDecoder',
             supported: typeof TextDecoder !== 'undefined',
             critical: true,
-            polyfilled: typeof TextDecoder !== 'undefined' && TextDecoder.toString().includes('polyfill')
+            polyfilled: polyfilled('TextDecoder')
         },
         {
             name: 'WebSockets',
@@ -67,8 +69,8 @@ document.addEventListener('DOMContentLoaded', function() {
             polyfilled: false
         },
         {
-            name: 'Crypto API',
-            supported: typeof crypto !== 'undefined',
+            name: 'Crypto API (secure random)',
+            supported: typeof crypto !== 'undefined' && typeof crypto.getRandomValues === 'function',
             critical: true,
             polyfilled: false
         },
@@ -76,8 +78,15 @@ document.addEventListener('DOMContentLoaded', function() {
             name: 'Crypto.subtle',
             supported: typeof crypto !== 'undefined' && crypto.subtle !== undefined,
             critical: false,
-            polyfilled: typeof crypto !== 'undefined' && crypto.subtle !== undefined && 
-                      crypto.subtle.toString().includes('polyfill')
+            polyfilled: polyfilled('crypto.subtle')
+        },
+        {
+            // The backend the post-quantum core actually loaded over (pqc.mjs)
+            name: backend ? `Crypto backend: ${backend}` : 'Post-quantum core',
+            supported: backend !== null,
+            critical: true,
+            polyfilled: backend === 'pure-js',
+            note: 'pure-JS fallback, not constant-time'
         },
         {
             name: 'Promises',
@@ -116,7 +125,7 @@ document.addEventListener('DOMContentLoaded', function() {
         item.style.alignItems = 'center';
         
         const status = feature.supported ? '✅' : '❌';
-        const polyfillStatus = feature.polyfilled ? ' (Polyfilled)' : '';
+        const polyfillStatus = feature.polyfilled ? ` (${feature.note || 'Polyfilled'})` : '';
         const criticalStatus = !feature.supported && feature.critical ? ' - CRITICAL' : '';
         
         item.innerHTML = `<span style="margin-right: 5px;">${status}</span> <span>${feature.name}${polyfillStatus}${criticalStatus}</span>`;
@@ -0,0 +1,332 @@
+/**
+ * Versioned binary envelope for encrypted chat messages
+ *
+ * Shared by the browser client and the Node module (require('../frontend/envelope')),
+ * so both ends produce and accept exactly the same bytes. All integers are
+ * big-endian and every variable-length field carries a length prefix:
+ *
+ *   magic            u8      0x51 ('Q')
+ *   version          u8      0x01
+ *   suite ID         u16     cipher suite registry ID
+ *   timestamp        u64     milliseconds since the Unix epoch
+ *   sender ID        u8 len  UTF-8
+ *   recipient ID     u8 len  UTF-8
+ *   ratchet epoch    u32
+ *   ratchet n        u32     message number in the epoch
+ *   ratchet pn       u32     length of the previous epoch
+ *   KEM algorithm    u8 len  UTF-8
+ *   KEM key ID       8 bytes
+ *   KEM ciphertext   u16 len
+ *   ratchet key      u16 len sender's new ratchet public key
+ *   ratchet key alg  u8 len  UTF-8
+ *   nonce            u8 len
+ *   ciphertext       u32 len
+ *   tag              u8 len
+ *
+ * Everything up to and including the nonce is the header, which the AEAD
+ * authenticates as associated data. In JSON the envelope travels as one
+ * unpadded base64url string. The parser rejects unknown magic or versions,
+ * truncated or oversized fields, invalid UTF-8 and trailing bytes.
+ */
+
+const Envelope = (() => {
+    'use strict';
+
+    const MAGIC = 0x51;
+    const VERSION = 1;
+    const KEY_ID_SIZE = 8;
+    const MAX_TIMESTAMP_HIGH = 0x1fffff; // Keeps timestamps within Number.MAX_SAFE_INTEGER
+
+    const BASE64URL_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+    const BASE64URL_VALUES = new Map([...BASE64URL_ALPHABET].map((char, index) => [char, index]));
+
+    const utf8Encoder = new TextEncoder();
+    const utf8Decoder = new TextDecoder('utf-8', { fatal: true });
+
+    function hexToBytes(hex, length = null) {
+        if (typeof hex !== 'string' || hex.length % 2 !== 0 || !/^[0-9a-fA-F]*$/.test(hex)) {
+            throw new Error('Malformed hex field');
+        }
+        const bytes = new Uint8Array(hex.length / 2);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(hex.slice(i * 2, i * 2 + 2), 16);
+        }
+        if (length !== null && bytes.length !== length) {
+            throw new Error(`Expected ${length} bytes, got ${bytes.length}`);
+        }
+        return bytes;
+    }
+
+    function bytesToHex(bytes) {
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Append-only byte writer with bounds-checked length prefixes
+     */
+    class Writer {
+        constructor() {
+            this.chunks = [];
+            this.length = 0;
+        }
+
+        bytes(data) {
+            const copy = Uint8Array.from(data);
+            this.chunks.push(copy);
+            this.length += copy.length;
+        }
+
+        uint(value, size) {
+            if (!Number.isSafeInteger(value) || value < 0 || value >= 2 ** (8 * size)) {
+                throw new Error(`Value ${value} does not fit in ${size} bytes`);
+            }
+            const out = new Uint8Array(size);
+            for (let i = size - 1; i >= 0; i--) {
+                out[i] = value % 256;
+                value = Math.floor(value / 256);
+            }
+            this.bytes(out);
+        }
+
+        field(data, prefixSize) {
+            this.uint(data.length, prefixSize);
+            this.bytes(data);
+        }
+
+        string(value) {
+            if (typeof value !== 'string' || value.length === 0) {
+                throw new Error('Envelope string fields must be non-empty strings');
+            }
+            this.field(utf8Encoder.encode(value), 1);
+        }
+
+        finish() {
+            const out = new Uint8Array(this.length);
+            let offset = 0;
+            for (const chunk of this.chunks) {
+                out.set(chunk, offset);
+                offset += chunk.length;
+            }
+            return out;
+        }
+    }
+
+    /**
+     * Cursor over received bytes; every read fails rather than running past the end
+     */
+    class Reader {
+        constructor(bytes) {
+            this.bytes = bytes;
+            this.offset = 0;
+        }
+
+        take(length) {
+            if (length > this.bytes.length - this.offset) {
+                throw new Error('Truncated envelope');
+            }
+            const out = this.bytes.subarray(this.offset, this.offset + length);
+            this.offset += length;
+            return out;
+        }
+
+        uint(size) {
+            return this.take(size).reduce((value, byte) => value * 256 + byte, 0);
+        }
+
+        field(prefixSize) {
+            return this.take(this.uint(prefixSize));
+        }
+
+        string() {
+            const bytes = this.field(1);
+            if (bytes.length === 0) {
+                throw new Error('Empty string field in envelope');
+            }
+            try {
+                return utf8Decoder.decode(bytes);
+            } catch (error) {
+                throw new Error('Invalid UTF-8 in envelope');
+            }
+        }
+    }
+
+    /**
+     * Encode the authenticated header: everything before the ciphertext
+     * @param {object} fields - { suiteId, timestamp, sender, recipient, ratchet, nonce }
+     * @returns {Uint8Array} - Header bytes, also used as AEAD associated data
+     */
+    function encodeHeader({ suiteId, timestamp, sender, recipient, ratchet, nonce }) {
+        if (!Number.isSafeInteger(timestamp) || timestamp < 0) {
+            throw new Error('Envelope timestamp must be a non-negative integer');
+        }
+        const { epoch, n, pn, kem } = ratchet;
+        const writer = new Writer();
+        writer.uint(MAGIC, 1);
+        writer.uint(VERSION, 1);
+        writer.uint(suiteId, 2);
+        writer.uint(Math.floor(timestamp / 2 ** 32), 4);
+        writer.uint(timestamp % 2 ** 32, 4);
+        writer.string(sender);
+        writer.string(recipient);
+        writer.uint(epoch, 4);
+        writer.uint(n, 4);
+        writer.uint(pn, 4);
+        writer.string(kem.algorithm);
+        writer.bytes(hexToBytes(kem.keyId, KEY_ID_SIZE));
+        writer.field(hexToBytes(kem.ciphertext), 2);
+        writer.field(hexToBytes(kem.publicKey), 2);
+        writer.string(kem.publicKeyAlgorithm);
+        writer.field(nonce, 1);
+        return writer.finish();
+    }
+
+    /**
+     * Encode a complete envelope
+     * @param {object} fields - encodeHeader() fields plus { ciphertext, tag }
+     * @returns {Uint8Array} - Envelope bytes
+     */
+    function encode(fields) {
+        const writer = new Writer();
+        writer.bytes(encodeHeader(fields));
+        writer.field(fields.ciphertext, 4);
+        writer.field(fields.tag, 1);
+        return writer.finish();
+    }
+
+    /**
+     * Strictly decode envelope bytes
+     * Ratchet key material comes back as hex, the form the double ratchet uses.
+     * @param {Uint8Array} bytes - Envelope bytes
+     * @returns {object} - { version, suiteId, timestamp, sender, recipient, ratchet, nonce, ciphertext, tag, header }
+     */
+    function decode(bytes) {
+        if (!(bytes instanceof Uint8Array)) {
+            throw new Error('Envelope must be a byte array');
+        }
+        const reader = new Reader(bytes);
+        if (reader.uint(1) !== MAGIC) {
+            throw new Error('Not a QuantumChat envelope');
+        }
+        const version = reader.uint(1);
+        if (version !== VERSION) {
+            throw new Error(`Unsupported envelope version ${version}`);
+        }
+        const suiteId = reader.uint(2);
+        const timestampHigh = reader.uint(4);
+        if (timestampHigh > MAX_TIMESTAMP_HIGH) {
+            throw new Error('Envelope timestamp out of range');
+        }
+        const timestamp = timestampHigh * 2 ** 32 + reader.uint(4);
+        const sender = reader.string();
+        const recipient = reader.string();
+        const epoch = reader.uint(4);
+        const n = reader.uint(4);
+        const pn = reader.uint(4);
+        if (epoch < 1) {
+            throw new Error('Malformed ratchet header');
+        }
+        const kem = {
+            algorithm: reader.string(),
+            keyId: bytesToHex(reader.take(KEY_ID_SIZE)),
+            ciphertext: bytesToHex(reader.field(2)),
+            publicKey: bytesToHex(reader.field(2)),
+            publicKeyAlgorithm: reader.string()
+        };
+        const nonce = reader.field(1);
+        const header = bytes.subarray(0, reader.offset);
+        const ciphertext = reader.field(4);
+        const tag = reader.field(1);
+        if (reader.offset !== bytes.length) {
+            throw new Error('Trailing bytes after envelope');
+        }
+
+        return {
+            version,
+            suiteId,
+            timestamp,
+            sender,
+            recipient,
+            ratchet: { epoch, n, pn, kem },
+            nonce,
+            ciphertext,
+            tag,
+            header
+        };
+    }
+
+    /**
+     * Unpadded base64url (RFC 4648 section 5)
+     */
+    function toBase64Url(bytes) {
+        let out = '';
+        for (let i = 0; i < bytes.length; i += 3) {
+            const chunk = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+            const chars = Math.min(4, Math.ceil((bytes.length - i) * 4 / 3));
+            for (let j = 0; j < chars; j++) {
+                out += BASE64URL_ALPHABET[(chunk >> (18 - 6 * j)) & 63];
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Strict unpadded base64url decoding
+     * Rejects padding, foreign characters, impossible lengths and non-zero spare bits,
+     * so every byte string has exactly one accepted encoding.
+     */
+    function fromBase64Url(text) {
+        if (typeof text !== 'string' || text.length % 4 === 1) {
+            throw new Error('Malformed base64url');
+        }
+        const out = new Uint8Array(Math.floor(text.length * 3 / 4));
+        let buffer = 0;
+        let bits = 0;
+        let offset = 0;
+        for (const char of text) {
+            const value = BASE64URL_VALUES.get(char);
+            if (value === undefined) {
+                throw new Error('Malformed base64url');
+            }
+            buffer = ((buffer << 6) | value) & 0xfff;
+            bits += 6;
+            if (bits >= 8) {
+                bits -= 8;
+                out[offset++] = (buffer >> bits) & 0xff;
+            }
+        }
+        if (buffer & ((1 << bits) - 1)) {
+            throw new Error('Malformed base64url');
+        }
+        return out;
+    }
+
+    /**
+     * Encode an envelope as the base64url string carried in JSON messages
+     */
+    function serialize(fields) {
+        return toBase64Url(encode(fields));
+    }
+
+    /**
+     * Strictly parse a base64url envelope string
+     */
+    function parse(text) {
+        return decode(fromBase64Url(text));
+    }
+
+    return {
+        MAGIC,
+        VERSION,
+        encodeHeader,
+        encode,
+        decode,
+        serialize,
+        parse,
+        toBase64Url,
+        fromBase64Url
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Envelope;
+}
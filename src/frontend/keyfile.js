@@ -0,0 +1,302 @@
+/**
+ * Identity key file format, shared by the browser client and the Node module
+ *
+ * An identity holds one KEM key pair and one signature key pair for a cipher
+ * suite. Its JSON form is JWK-like, with base64url (unpadded) key material:
+ *
+ *   {
+ *     "kty": "QC-IDENTITY", "version": 1, "suite": "QC-MLKEM1024-MLDSA65",
+ *     "created": "2026-01-01T00:00:00.000Z",
+ *     "kem": { "alg": "ML-KEM-1024", "pub": "...", "priv": "..." },
+ *     "sig": { "alg": "ML-DSA-65", "pub": "...", "priv": "..." }
+ *   }
+ *
+ * Passphrase-protected identities drop both "priv" members and carry
+ *
+ *   "enc": { "kdf": "scrypt", "salt": "...", "N": 32768, "r": 8, "p": 1,
+ *            "alg": "AES-256-GCM", "iv": "...", "ciphertext": "...", "tag": "..." }
+ *
+ * instead. The AES key is scrypt(NFKC passphrase, salt), the plaintext is the
+ * JSON object { "kem": priv, "sig": priv }, and every other field is bound as
+ * associated data, so public keys and parameters cannot be swapped either.
+ *
+ * The PEM-style armor is the standard base64 of the UTF-8 JSON, wrapped at 64
+ * columns between "-----BEGIN QUANTUMCHAT IDENTITY-----" lines (or
+ * "QUANTUMCHAT ENCRYPTED IDENTITY" when protected).
+ *
+ * This module only handles the format; the scrypt and AES-GCM calls are made
+ * by QuantumCrypto in the shared crypto core (src/crypto/core) on either side.
+ */
+
+const KeyFile = (() => {
+    'use strict';
+
+    const Codec = typeof Envelope !== 'undefined' ? Envelope : require('./envelope');
+
+    const KEY_TYPE = 'QC-IDENTITY';
+    const VERSION = 1;
+    const PEM_LABEL = 'QUANTUMCHAT IDENTITY';
+    const ENCRYPTED_PEM_LABEL = 'QUANTUMCHAT ENCRYPTED IDENTITY';
+    const DEFAULT_SCRYPT = { N: 32768, r: 8, p: 1 };
+    const MAX_SCRYPT_MEMORY = 256 * 1024 * 1024; // 128 * N * r bytes, bounded so a hostile file cannot exhaust memory
+    const SALT_SIZE = 16;
+    const IV_SIZE = 12;
+    const TAG_SIZE = 16;
+
+    const utf8Encoder = new TextEncoder();
+    const utf8Decoder = new TextDecoder('utf-8', { fatal: true });
+
+    /**
+     * Reject scrypt parameters that are weak, malformed or too expensive to run
+     */
+    function checkScryptParams({ N, r, p }) {
+        if (!Number.isSafeInteger(N) || N < 16384 || (N & (N - 1)) !== 0 ||
+            !Number.isSafeInteger(r) || r < 1 || r > 32 ||
+            !Number.isSafeInteger(p) || p < 1 || p > 16 ||
+            128 * N * r > MAX_SCRYPT_MEMORY) {
+            throw new Error('Unsupported scrypt parameters');
+        }
+        return { N, r, p };
+    }
+
+    function field(object, name, type) {
+        if (!object || typeof object !== 'object' || typeof object[name] !== type) {
+            throw new Error(`Key file is missing "${name}"`);
+        }
+        return object[name];
+    }
+
+    function bytesField(object, name, length = null) {
+        const bytes = Codec.fromBase64Url(field(object, name, 'string'));
+        if (length !== null && bytes.length !== length) {
+            throw new Error(`Key file field "${name}" has the wrong length`);
+        }
+        return bytes;
+    }
+
+    /**
+     * Build the plain JSON form
+     * @param {object} identity - { suite, created, kem: { algorithm, publicKey, secretKey }, signature: { ... } }
+     * @returns {object} - Key file object with private keys in the clear
+     */
+    function build({ suite, created = new Date().toISOString(), kem, signature }) {
+        return {
+            kty: KEY_TYPE,
+            version: VERSION,
+            suite,
+            created,
+            kem: { alg: kem.algorithm, pub: Codec.toBase64Url(kem.publicKey), priv: Codec.toBase64Url(kem.secretKey) },
+            sig: { alg: signature.algorithm, pub: Codec.toBase64Url(signature.publicKey), priv: Codec.toBase64Url(signature.secretKey) }
+        };
+    }
+
+    /**
+     * Fresh scrypt and AES-GCM parameters for protecting a key file
+     * @param {function} randomBytes - Platform CSPRNG returning a byte array
+     * @param {object} scrypt - Optional { N, r, p } overrides
+     */
+    function newEncryptionParams(randomBytes, scrypt = {}) {
+        return {
+            kdf: 'scrypt',
+            salt: Codec.toBase64Url(randomBytes(SALT_SIZE)),
+            ...checkScryptParams({ ...DEFAULT_SCRYPT, ...scrypt }),
+            alg: 'AES-256-GCM',
+            iv: Codec.toBase64Url(randomBytes(IV_SIZE))
+        };
+    }
+
+    /**
+     * Associated data for the private-key ciphertext: every field except the ciphertext and tag
+     */
+    function associatedData({ kty, version, suite, created, kem, sig, enc }) {
+        return utf8Encoder.encode(JSON.stringify([
+            kty, version, suite, created, kem.alg, kem.pub, sig.alg, sig.pub,
+            enc.kdf, enc.salt, enc.N, enc.r, enc.p, enc.alg, enc.iv
+        ]));
+    }
+
+    /**
+     * Plaintext sealed under the passphrase
+     */
+    function privatePayload(file) {
+        return utf8Encoder.encode(JSON.stringify({ kem: file.kem.priv, sig: file.sig.priv }));
+    }
+
+    /**
+     * Protected form of a plain key file, given the output of the platform's AES-GCM
+     * @param {object} file - Plain key file from build()
+     * @param {object} enc - Parameters from newEncryptionParams()
+     * @param {Uint8Array} ciphertext - Encrypted privatePayload()
+     * @param {Uint8Array} tag - 16-byte GCM tag
+     */
+    function withEncryption(file, enc, ciphertext, tag) {
+        return {
+            ...file,
+            kem: { alg: file.kem.alg, pub: file.kem.pub },
+            sig: { alg: file.sig.alg, pub: file.sig.pub },
+            enc: { ...enc, ciphertext: Codec.toBase64Url(ciphertext), tag: Codec.toBase64Url(tag) }
+        };
+    }
+
+    /**
+     * Restore the plain form once the platform has decrypted the private payload
+     */
+    function withPrivateKeys(file, payload) {
+        let keys;
+        try {
+            keys = JSON.parse(utf8Decoder.decode(payload));
+        } catch (error) {
+            throw new Error('Key file private payload is malformed');
+        }
+        const { enc, ...rest } = file;
+        return {
+            ...rest,
+            kem: { ...file.kem, priv: field(keys, 'kem', 'string') },
+            sig: { ...file.sig, priv: field(keys, 'sig', 'string') }
+        };
+    }
+
+    /**
+     * Strictly parse a key file from PEM armor, JSON text or an object
+     * @returns {object} - Validated key file; check isEncrypted() before reading private keys
+     */
+    function parse(input) {
+        let file = input;
+        if (typeof input === 'string') {
+            const text = input.trim();
+            file = text.startsWith('-----BEGIN ') ? dearmor(text) : parseJson(text);
+        }
+        if (!file || typeof file !== 'object' || file.kty !== KEY_TYPE) {
+            throw new Error('Not a QuantumChat identity key file');
+        }
+        if (file.version !== VERSION) {
+            throw new Error(`Unsupported key file version ${file.version}`);
+        }
+        field(file, 'suite', 'string');
+        field(file, 'created', 'string');
+        for (const part of [field(file, 'kem', 'object'), field(file, 'sig', 'object')]) {
+            field(part, 'alg', 'string');
+            bytesField(part, 'pub');
+        }
+
+        if (file.enc !== undefined) {
+            const enc = field(file, 'enc', 'object');
+            if (enc.kdf !== 'scrypt' || enc.alg !== 'AES-256-GCM') {
+                throw new Error('Unsupported key file encryption');
+            }
+            checkScryptParams(enc);
+            bytesField(enc, 'salt', SALT_SIZE);
+            bytesField(enc, 'iv', IV_SIZE);
+            bytesField(enc, 'ciphertext');
+            bytesField(enc, 'tag', TAG_SIZE);
+            if (file.kem.priv !== undefined || file.sig.priv !== undefined) {
+                throw new Error('Encrypted key file must not contain plain private keys');
+            }
+        } else {
+            bytesField(file.kem, 'priv');
+            bytesField(file.sig, 'priv');
+        }
+        return file;
+    }
+
+    function parseJson(text) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new Error('Key file is neither PEM nor JSON');
+        }
+    }
+
+    function isEncrypted(file) {
+        return file.enc !== undefined;
+    }
+
+    /**
+     * Decode a key file to raw key material
+     * @returns {object} - { suite, created, kem: { algorithm, publicKey, secretKey }, signature: { ... } }
+     */
+    function keyMaterial(file) {
+        if (isEncrypted(file)) {
+            throw new Error('Key file is still encrypted');
+        }
+        return {
+            suite: file.suite,
+            created: file.created,
+            kem: { algorithm: file.kem.alg, publicKey: bytesField(file.kem, 'pub'), secretKey: bytesField(file.kem, 'priv') },
+            signature: { algorithm: file.sig.alg, publicKey: bytesField(file.sig, 'pub'), secretKey: bytesField(file.sig, 'priv') }
+        };
+    }
+
+    /**
+     * Standard base64 with padding, via the envelope codec's base64url
+     */
+    function toBase64(bytes) {
+        const text = Codec.toBase64Url(bytes).replace(/-/g, '+').replace(/_/g, '/');
+        return text + '='.repeat((4 - text.length % 4) % 4);
+    }
+
+    function fromBase64(text) {
+        if (text.length % 4 !== 0 || !/^[A-Za-z0-9+/]*={0,2}$/.test(text)) {
+            throw new Error('Malformed base64 in key file');
+        }
+        return Codec.fromBase64Url(text.replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_'));
+    }
+
+    /**
+     * PEM-style armor around the JSON form
+     */
+    function armor(file) {
+        const label = isEncrypted(file) ? ENCRYPTED_PEM_LABEL : PEM_LABEL;
+        const body = toBase64(utf8Encoder.encode(JSON.stringify(file))).match(/.{1,64}/g).join('\n');
+        return `-----BEGIN ${label}-----\n${body}\n-----END ${label}-----\n`;
+    }
+
+    function dearmor(text) {
+        const match = /^-----BEGIN ([A-Z ]+)-----\r?\n([A-Za-z0-9+/=\r\n]+?)\r?\n-----END \1-----$/.exec(text);
+        if (!match || ![PEM_LABEL, ENCRYPTED_PEM_LABEL].includes(match[1])) {
+            throw new Error('Malformed key file armor');
+        }
+        let file;
+        try {
+            file = JSON.parse(utf8Decoder.decode(fromBase64(match[2].replace(/\r?\n/g, ''))));
+        } catch (error) {
+            throw new Error('Malformed key file armor');
+        }
+        if ((match[1] === ENCRYPTED_PEM_LABEL) !== (file && file.enc !== undefined)) {
+            throw new Error('Key file armor label does not match its contents');
+        }
+        return file;
+    }
+
+    /**
+     * Passphrases are compared as UTF-8 of their NFKC form on both platforms
+     */
+    function passphraseBytes(passphrase) {
+        if (typeof passphrase !== 'string' || passphrase.length === 0) {
+            throw new Error('A passphrase is required');
+        }
+        return utf8Encoder.encode(passphrase.normalize('NFKC'));
+    }
+
+    return {
+        KEY_TYPE,
+        VERSION,
+        DEFAULT_SCRYPT,
+        build,
+        newEncryptionParams,
+        associatedData,
+        privatePayload,
+        withEncryption,
+        withPrivateKeys,
+        parse,
+        isEncrypted,
+        keyMaterial,
+        armor,
+        passphraseBytes,
+        checkScryptParams
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KeyFile;
+}
@@ -0,0 +1,33 @@
+/**
+ * Display names clients announce with their keys
+ *
+ * Shared by the browser client and the server (require('../frontend/label')),
+ * so a name the client accepts is never refused on registration. Peers keep
+ * the identity keys they verified by name: a name is 1-32 letters or digits in
+ * any script, plus spaces, dots, dashes and underscores after the first
+ * character, with no control or formatting characters.
+ */
+
+const Label = (() => {
+    'use strict';
+
+    const PATTERN = /^[\p{L}\p{N}][\p{L}\p{N} _.-]{0,31}$/u;
+    const RULE = 'Names are 1-32 letters, digits, spaces, dots, dashes or underscores';
+
+    /**
+     * Whether a value is a name peers may announce
+     */
+    function isValid(label) {
+        return typeof label === 'string' && PATTERN.test(label);
+    }
+
+    return {
+        PATTERN,
+        RULE,
+        isValid
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Label;
+}
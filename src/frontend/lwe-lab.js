@@ -0,0 +1,228 @@
+/**
+ * LWE Lab
+ * Sends the lab form to the server's /api/lwe endpoints and draws the results
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+class LweLab {
+    constructor() {
+        this.elements = {
+            form: document.getElementById('lweForm'),
+            dimension: document.getElementById('lweDimension'),
+            modulus: document.getElementById('lweModulus'),
+            samples: document.getElementById('lweSamples'),
+            distribution: document.getElementById('lweDistribution'),
+            width: document.getElementById('lweWidth'),
+            message: document.getElementById('lweMessage'),
+            seed: document.getElementById('lweSeed'),
+            dimensions: document.getElementById('lweDimensions'),
+            results: {
+                encrypt: document.getElementById('lweEncryptResult'),
+                noise: document.getElementById('lweNoiseResult'),
+                attack: document.getElementById('lweAttackResult')
+            }
+        };
+        this.elements.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.run(e.submitter ? e.submitter.dataset.operation : 'encrypt');
+        });
+    }
+
+    /**
+     * The error distribution as the API takes it: { distribution, sigma | bound | eta }
+     */
+    errorSpec() {
+        const distribution = this.elements.distribution.value;
+        const key = { gaussian: 'sigma', uniform: 'bound', binomial: 'eta' }[distribution];
+        return { distribution, [key]: Number(this.elements.width.value) };
+    }
+
+    input(operation) {
+        const { dimension, modulus, samples, message, seed, dimensions } = this.elements;
+        const optional = (field) => (field.value === '' ? null : Number(field.value));
+        const common = { q: Number(modulus.value), error: this.errorSpec(), seed: optional(seed) };
+        if (operation === 'attack') {
+            return { ...common, dimensions: dimensions.value.split(',').map(value => Number(value.trim())) };
+        }
+        const parameters = { ...common, n: Number(dimension.value), samples: optional(samples) };
+        return operation === 'encrypt' ? { ...parameters, message: message.value } : parameters;
+    }
+
+    async run(operation) {
+        const result = this.elements.results[operation];
+        const buttons = this.elements.form.querySelectorAll('button');
+        buttons.forEach(button => { button.disabled = true; });
+        result.className = 'risk-result';
+        result.textContent = '⏳ Running on the server...';
+        try {
+            const response = await fetch(`/api/lwe/${operation}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(this.input(operation))
+            });
+            const body = await response.json();
+            if (!response.ok) {
+                throw new Error(body.message || body.error);
+            }
+            ({ encrypt: () => this.showEncryption(body), noise: () => this.showNoiseSweep(body), attack: () => this.showAttack(body) })[operation]();
+        } catch (error) {
+            result.className = 'risk-result at-risk';
+            result.textContent = `❌ ${error.message}`;
+        } finally {
+            buttons.forEach(button => { button.disabled = false; });
+        }
+    }
+
+    showEncryption(report) {
+        const result = this.elements.results.encrypt;
+        const { parameters, sizes } = report;
+        const percent = (rate) => `${(rate * 100).toFixed(2)}%`;
+        const rows = [
+            ['Parameters', `n = ${parameters.n}, q = ${parameters.q}, m = ${parameters.samples}, error ${this.describeError(parameters.error)} (sd ${parameters.errorStdDev})`],
+            ['Recovered message', report.recoveredMessage],
+            ['Bit errors', `${report.bitErrors} of ${report.bits} (${percent(report.failureRate)}; predicted ${percent(report.predictedFailureRate)})`],
+            ['Public key', `${sizes.publicKeyBytes.toLocaleString()} bytes`],
+            ['Ciphertext', `${sizes.ciphertextBytes.toLocaleString()} bytes, ${sizes.expansion}× the message`]
+        ];
+        result.className = `risk-result ${report.bitErrors ? 'at-risk' : 'safe'}`;
+        result.innerHTML = `
+            <strong>${report.bitErrors ? '⚠️ Decryption failures' : '✅ Decrypted correctly'}</strong>
+            (seed ${this.escapeHtml(String(report.seed))} replays this run)
+            <ul>
+                ${rows.map(([label, value]) => `<li><strong>${this.escapeHtml(label)}:</strong> ${this.escapeHtml(String(value))}</li>`).join('')}
+            </ul>
+            <p>Noise per bit; a bit decrypts wrongly (red) once its noise crosses ±q/4 (dashed):</p>
+        `;
+
+        const [width, height] = [400, 100];
+        const svg = this.chart('Decryption noise per bit', width, height);
+        const limit = Math.max(report.threshold * 1.25, ...report.noise.map(({ noise }) => Math.abs(noise)));
+        const y = (value) => height / 2 - (value / limit) * (height / 2);
+        for (const threshold of [report.threshold, -report.threshold]) {
+            this.line(svg, 0, y(threshold), width, y(threshold));
+        }
+        const barWidth = width / report.noise.length;
+        report.noise.forEach(({ bit, decrypted, noise }, index) => {
+            const bar = document.createElementNS(SVG_NS, 'rect');
+            bar.setAttribute('x', index * barWidth);
+            bar.setAttribute('y', Math.min(y(noise), height / 2));
+            bar.setAttribute('width', Math.max(barWidth - 0.5, 0.5));
+            bar.setAttribute('height', Math.max(Math.abs(y(noise) - height / 2), 0.5));
+            if (bit !== decrypted) {
+                bar.setAttribute('class', 'failed');
+            }
+            this.title(bar, `Bit ${index}: noise ${noise}`);
+            svg.appendChild(bar);
+        });
+        result.appendChild(svg);
+    }
+
+    showNoiseSweep(sweep) {
+        const result = this.elements.results.noise;
+        const percent = (rate) => `${(rate * 100).toFixed(1)}%`;
+        result.className = 'risk-result';
+        result.innerHTML = `
+            <strong>Failure rate over ${this.escapeHtml(String(sweep.parameters.trials))} bits per width</strong>
+            (n = ${this.escapeHtml(String(sweep.parameters.n))}, q = ${this.escapeHtml(String(sweep.parameters.q))},
+            m = ${this.escapeHtml(String(sweep.parameters.samples))}; seed ${this.escapeHtml(String(sweep.seed))})
+            <p>The summed noise spreads as far as q/4 = ${this.escapeHtml(String(sweep.threshold))} at width
+            ${this.escapeHtml(String(sweep.criticalWidth))}. Past that, decryption approaches a coin flip.
+            Measured in the solid line, predicted in the dashed one:</p>
+        `;
+
+        const [width, height] = [400, 100];
+        const svg = this.chart('Decryption failure rate by error width', width, height);
+        const x = (index) => (index / Math.max(sweep.rows.length - 1, 1)) * width;
+        const y = (rate) => height - 2 - rate * 2 * (height - 4); // 50% is the top
+        for (const [key, className] of [['failureRate', 'measured'], ['predictedFailureRate', 'predicted']]) {
+            const curve = document.createElementNS(SVG_NS, 'polyline');
+            curve.setAttribute('points', sweep.rows.map((row, index) => `${x(index).toFixed(1)},${y(row[key]).toFixed(1)}`).join(' '));
+            curve.setAttribute('class', className);
+            svg.appendChild(curve);
+        }
+        result.appendChild(svg);
+
+        result.appendChild(this.table(['Error', 'Std. dev.', 'Failures', 'Predicted'], sweep.rows.map(row => [
+            this.describeError(row.error),
+            row.errorStdDev,
+            `${row.failures} (${percent(row.failureRate)})`,
+            percent(row.predictedFailureRate)
+        ])));
+    }
+
+    showAttack(attack) {
+        const result = this.elements.results.attack;
+        const broken = attack.runs.filter(run => run.success).length;
+        result.className = `risk-result ${broken === attack.runs.length ? 'at-risk' : 'safe'}`;
+        result.innerHTML = `
+            <strong>🪓 ${broken} of ${attack.runs.length} keys broken</strong>
+            (q = ${this.escapeHtml(String(attack.q))}, error ${this.escapeHtml(this.describeError(attack.error))};
+            seed ${this.escapeHtml(String(attack.seed))})
+        `;
+        result.appendChild(this.table(
+            ['n', 'Lattice dimension', 'Error length', 'Shortest found', 'Random lattice', 'LLL time', 'Result'],
+            attack.runs.map(run => [
+                run.n,
+                run.latticeDimension,
+                run.errorNorm,
+                run.shortestNorm === null ? '—' : run.shortestNorm,
+                run.gaussianHeuristic,
+                `${run.lllMs} ms`,
+                `${run.success ? '🔓 Secret recovered' : '🛡️ Not broken'}: ${run.explanation}`
+            ])
+        ));
+    }
+
+    describeError(error) {
+        return {
+            gaussian: `Gaussian σ = ${error.sigma}`,
+            uniform: `uniform ±${error.bound}`,
+            binomial: `binomial η = ${error.eta}`
+        }[error.distribution];
+    }
+
+    chart(label, width, height) {
+        const svg = document.createElementNS(SVG_NS, 'svg');
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        svg.setAttribute('preserveAspectRatio', 'none');
+        svg.setAttribute('class', 'lab-chart');
+        svg.setAttribute('role', 'img');
+        svg.setAttribute('aria-label', label);
+        return svg;
+    }
+
+    line(svg, x1, y1, x2, y2) {
+        const line = document.createElementNS(SVG_NS, 'line');
+        Object.entries({ x1, y1, x2, y2 }).forEach(([name, value]) => line.setAttribute(name, value));
+        svg.appendChild(line);
+    }
+
+    title(element, text) {
+        const title = document.createElementNS(SVG_NS, 'title');
+        title.textContent = text;
+        element.appendChild(title);
+    }
+
+    table(headings, rows) {
+        const table = document.createElement('table');
+        table.className = 'result-table';
+        table.innerHTML = `
+            <thead><tr>${headings.map(heading => `<th>${this.escapeHtml(heading)}</th>`).join('')}</tr></thead>
+            <tbody>
+                ${rows.map(row => `<tr>${row.map(cell => `<td>${this.escapeHtml(String(cell))}</td>`).join('')}</tr>`).join('')}
+            </tbody>
+        `;
+        return table;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.lweLab = new LweLab();
+});
@@ -3,10 +3,14 @@
  * This polyfill ensures compatibility with browsers that don't support TextEncoder/TextDecoder
  */
 
+// Names of the APIs replaced below, for browser-check.js
+window.POLYFILLED = [];
+
 // TextEncoder polyfill
 if (typeof TextEncoder === 'undefined') {
     console.log('TextEncoder not supported, using polyfill');
     window.TextEncoder = function TextEncoder() {};
+    POLYFILLED.push('TextEncoder');
     
     TextEncoder.prototype.encode = function(str) {
         'use strict';
@@ -60,6 +64,7 @@ if (typeof TextEncoder === 'undefined') {
 if (typeof TextDecoder === 'undefined') {
     console.log('TextDecoder not supported, using polyfill');
     window.TextDecoder = function TextDecoder() {};
+    POLYFILLED.push('TextDecoder');
     
     TextDecoder.prototype.decode = function(octets) {
         'use strict';
@@ -104,40 +109,38 @@ if (typeof TextDecoder === 'undefined') {
     };
 }
 
-// Crypto.subtle polyfill for simple hash function
+// crypto.subtle.digest fallback, e.g. for pages served over plain HTTP
+// The hashes are the post-quantum core's pure-JavaScript ones (pqc.mjs, which
+// loads after this file and before any script that hashes). No cipher is
+// polyfilled: without a real crypto.subtle the core falls back to its
+// pure-JavaScript backend for AES-GCM as well.
 if (typeof crypto === 'undefined' || !crypto.subtle) {
     console.log('Crypto.subtle not supported, using polyfill');
     
-    // Create crypto object if it doesn't exist
+    // Create crypto object if it doesn't exist; there is still no random number
+    // generator, which browser-check.js reports as a critical issue
     if (typeof crypto === 'undefined') {
         window.crypto = {};
     }
     
-    // Add a simple implementation of subtle crypto
+    const DIGESTS = { 'SHA-256': 'sha256', 'SHA-512': 'sha512' };
+    
     window.crypto.subtle = {
         digest: function(algorithm, data) {
-            // Simple hash function that returns a promise
-            return new Promise(function(resolve) {
-                // Create a simple hash
-                let hash = 0;
-                const bytes = new Uint8Array(data);
-                
-                for (let i = 0; i < bytes.length; i++) {
-                    const byte = bytes[i];
-                    hash = ((hash << 5) - hash) + byte;
-                    hash = hash & hash; // Convert to 32-bit integer
-                }
-                
-                // Convert to 32-byte array
-                const result = new Uint8Array(32);
-                for (let i = 0; i < 32; i++) {
-                    result[i] = (hash >> (i % 4 * 8)) & 0xFF;
-                }
-                
-                resolve(result.buffer);
-            });
+            const name = String(typeof algorithm === 'string' ? algorithm : algorithm.name).toUpperCase();
+            if (!DIGESTS[name]) {
+                return Promise.reject(new Error('Unsupported digest algorithm: ' + name));
+            }
+            if (typeof PQC === 'undefined') {
+                return Promise.reject(new Error('The post-quantum core has not loaded yet'));
+            }
+            const bytes = ArrayBuffer.isView(data) ?
+                new Uint8Array(data.buffer, data.byteOffset, data.byteLength) :
+                new Uint8Array(data);
+            return Promise.resolve(PQC[DIGESTS[name]](bytes).buffer);
         }
     };
+    POLYFILLED.push('crypto.subtle');
 }
 
-console.log('Polyfills loaded for TextEncoder, TextDecoder, and crypto.subtle');
\ No newline at end of file
+console.log('Polyfills loaded:', POLYFILLED.length ? POLYFILLED.join(', ') : 'none needed');
@@ -0,0 +1,40 @@
+/**
+ * Post-quantum core for the browser client
+ *
+ * Loads the protocol core the Node server runs (src/crypto/core, served at
+ * /core) over the browser's crypto: WebCrypto for AES-GCM and random bytes
+ * when the page has it, otherwise the pure-JavaScript backend. SHA-3, SHAKE
+ * and X25519 always come from the pure backend, as WebCrypto lacks them or
+ * only offers them asynchronously.
+ *
+ * The result is published as window.PQC for the classic scripts loaded after
+ * this module (safety-number.js and app.js are deferred for that reason).
+ *
+ * ?seed=<value> swaps the random number generator for a seeded HMAC_DRBG
+ * (core/drbg.mjs), so a demo or a bug replays with the same keys. Anyone who
+ * knows the seed can recompute those keys; the page warns while it is on.
+ */
+
+import { createQuantumCore } from './core/quantum-core.mjs';
+import { pureBackend } from './core/pure-backend.mjs';
+import { createWebCryptoBackend } from './core/webcrypto-backend.mjs';
+import { createSeededBackend } from './core/drbg.mjs';
+
+function selectBackend() {
+    try {
+        return createWebCryptoBackend(globalThis.crypto);
+    } catch (error) {
+        console.warn('⚠️ WebCrypto unavailable, using the pure-JavaScript crypto backend:', error.message);
+        return pureBackend;
+    }
+}
+
+let backend = selectBackend();
+const seed = new URLSearchParams(window.location.search).get('seed');
+if (seed) {
+    console.warn('⚠️ INSECURE: ?seed= is set, all keys and nonces come from a seeded DRBG');
+    backend = createSeededBackend(backend, seed);
+}
+
+window.PQC = createQuantumCore({ backend, Envelope, KeyFile });
+console.log(`🧩 Post-quantum core loaded (${window.PQC.backend.name} backend)`);
@@ -0,0 +1,292 @@
+/**
+ * Minimal QR code encoder for numeric payloads such as safety numbers
+ *
+ * Implements ISO/IEC 18004 numeric mode at error correction level M for
+ * versions 1 to 3 (up to 101 digits), which keeps every symbol to a single
+ * Reed-Solomon block and at most one alignment pattern. The mask is chosen
+ * with the standard's run, block and balance penalties; the finder-lookalike
+ * penalty is left out, which only affects how the mask is picked, not whether
+ * scanners can read the symbol.
+ *
+ * encodeNumeric() returns the symbol as rows of booleans (true = dark) without
+ * the quiet zone; callers draw it with a 4-module light border.
+ */
+
+const QRCode = (() => {
+    'use strict';
+
+    // Per version at level M: total codewords, data codewords and the alignment pattern centre
+    const VERSIONS = {
+        1: { codewords: 26, dataCodewords: 16, alignment: null },
+        2: { codewords: 44, dataCodewords: 28, alignment: 18 },
+        3: { codewords: 70, dataCodewords: 44, alignment: 22 }
+    };
+    const EC_LEVEL_M = 0; // Format-information bits for level M
+    const MODE_NUMERIC = 0b0001;
+    const PAD_BYTES = [0xec, 0x11];
+
+    function gfMultiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11d);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    /**
+     * Reed-Solomon error correction codewords for a block of data codewords
+     */
+    function reedSolomon(data, degree) {
+        const divisor = new Array(degree).fill(0);
+        divisor[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < degree; j++) {
+                divisor[j] = gfMultiply(divisor[j], root);
+                if (j + 1 < degree) {
+                    divisor[j] ^= divisor[j + 1];
+                }
+            }
+            root = gfMultiply(root, 0x02);
+        }
+
+        const remainder = new Array(degree).fill(0);
+        for (const byte of data) {
+            const factor = byte ^ remainder.shift();
+            remainder.push(0);
+            divisor.forEach((coefficient, i) => {
+                remainder[i] ^= gfMultiply(coefficient, factor);
+            });
+        }
+        return remainder;
+    }
+
+    /**
+     * Data codewords for a digit string: mode, count, 10/7/4-bit digit groups, terminator and padding
+     */
+    function dataCodewords(digits, capacity) {
+        const bits = [];
+        const push = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) {
+                bits.push((value >>> i) & 1);
+            }
+        };
+        push(MODE_NUMERIC, 4);
+        push(digits.length, 10);
+        for (let i = 0; i < digits.length; i += 3) {
+            const group = digits.slice(i, i + 3);
+            push(Number(group), [0, 4, 7, 10][group.length]);
+        }
+        push(0, Math.min(4, capacity * 8 - bits.length));
+        push(0, (8 - bits.length % 8) % 8);
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+        for (let i = 0; codewords.length < capacity; i++) {
+            codewords.push(PAD_BYTES[i % 2]);
+        }
+        return codewords;
+    }
+
+    const MASKS = [
+        (row, col) => (row + col) % 2 === 0,
+        (row) => row % 2 === 0,
+        (row, col) => col % 3 === 0,
+        (row, col) => (row + col) % 3 === 0,
+        (row, col) => (Math.floor(row / 2) + Math.floor(col / 3)) % 2 === 0,
+        (row, col) => (row * col) % 2 + (row * col) % 3 === 0,
+        (row, col) => ((row * col) % 2 + (row * col) % 3) % 2 === 0,
+        (row, col) => ((row + col) % 2 + (row * col) % 3) % 2 === 0
+    ];
+
+    /**
+     * Symbol under construction: modules plus a map of the function patterns that masks skip
+     */
+    function newSymbol(version) {
+        const size = 17 + 4 * version;
+        const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+        const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+        const set = (row, col, dark) => {
+            modules[row][col] = dark;
+            reserved[row][col] = true;
+        };
+
+        for (let i = 0; i < size; i++) {
+            set(6, i, i % 2 === 0);
+            set(i, 6, i % 2 === 0);
+        }
+        // Finder patterns with their light separators
+        for (const [centerRow, centerCol] of [[3, 3], [3, size - 4], [size - 4, 3]]) {
+            for (let dr = -4; dr <= 4; dr++) {
+                for (let dc = -4; dc <= 4; dc++) {
+                    const row = centerRow + dr;
+                    const col = centerCol + dc;
+                    if (row >= 0 && row < size && col >= 0 && col < size) {
+                        const distance = Math.max(Math.abs(dr), Math.abs(dc));
+                        set(row, col, distance !== 2 && distance !== 4);
+                    }
+                }
+            }
+        }
+        const center = VERSIONS[version].alignment;
+        if (center) {
+            for (let dr = -2; dr <= 2; dr++) {
+                for (let dc = -2; dc <= 2; dc++) {
+                    set(center + dr, center + dc, Math.max(Math.abs(dr), Math.abs(dc)) !== 1);
+                }
+            }
+        }
+        // Reserve the format information areas; drawFormat() fills them in
+        drawFormat({ size, set }, 0);
+        return { size, modules, reserved, set };
+    }
+
+    /**
+     * Both copies of the 15-bit format information, plus the dark module
+     */
+    function drawFormat({ size, set }, mask) {
+        const data = (EC_LEVEL_M << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = (i) => ((bits >>> i) & 1) === 1;
+
+        for (let i = 0; i <= 5; i++) {
+            set(i, 8, bit(i));
+        }
+        set(7, 8, bit(6));
+        set(8, 8, bit(7));
+        set(8, 7, bit(8));
+        for (let i = 9; i < 15; i++) {
+            set(8, 14 - i, bit(i));
+        }
+        for (let i = 0; i < 8; i++) {
+            set(8, size - 1 - i, bit(i));
+        }
+        for (let i = 8; i < 15; i++) {
+            set(size - 15 + i, 8, bit(i));
+        }
+        set(size - 8, 8, true);
+    }
+
+    /**
+     * Place codeword bits in the two-column zigzag, bottom-right first, skipping the vertical timing column
+     */
+    function drawCodewords({ size, modules, reserved }, codewords) {
+        let index = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) {
+                right = 5;
+            }
+            const upward = ((right + 1) & 2) === 0;
+            for (let step = 0; step < size; step++) {
+                const row = upward ? size - 1 - step : step;
+                for (let j = 0; j < 2; j++) {
+                    const col = right - j;
+                    if (!reserved[row][col]) {
+                        // Remainder bits after the last codeword stay light
+                        modules[row][col] = index < codewords.length * 8 &&
+                            ((codewords[index >>> 3] >>> (7 - (index & 7))) & 1) === 1;
+                        index++;
+                    }
+                }
+            }
+        }
+    }
+
+    function applyMask({ size, modules, reserved }, mask) {
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
+                if (!reserved[row][col] && MASKS[mask](row, col)) {
+                    modules[row][col] = !modules[row][col];
+                }
+            }
+        }
+    }
+
+    /**
+     * Penalty rules 1 (runs of five or more), 2 (2x2 blocks) and 4 (dark/light balance)
+     */
+    function penalty({ size, modules }) {
+        let score = 0;
+        const runs = (get) => {
+            for (let a = 0; a < size; a++) {
+                let length = 1;
+                for (let b = 1; b <= size; b++) {
+                    if (b < size && get(a, b) === get(a, b - 1)) {
+                        length++;
+                    } else {
+                        if (length >= 5) {
+                            score += length - 2;
+                        }
+                        length = 1;
+                    }
+                }
+            }
+        };
+        runs((row, col) => modules[row][col]);
+        runs((col, row) => modules[row][col]);
+
+        let dark = 0;
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
+                dark += modules[row][col] ? 1 : 0;
+                if (row + 1 < size && col + 1 < size) {
+                    const color = modules[row][col];
+                    if (color === modules[row][col + 1] && color === modules[row + 1][col] && color === modules[row + 1][col + 1]) {
+                        score += 3;
+                    }
+                }
+            }
+        }
+        const total = size * size;
+        score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+        return score;
+    }
+
+    /**
+     * Encode a string of digits
+     * @param {string} digits - 1 to 101 decimal digits
+     * @returns {boolean[][]} - Modules by row, true for dark
+     */
+    function encodeNumeric(digits) {
+        if (typeof digits !== 'string' || !/^\d+$/.test(digits)) {
+            throw new Error('QR payload must be a string of digits');
+        }
+        const length = 4 + 10 + Math.floor(digits.length / 3) * 10 + [0, 4, 7][digits.length % 3];
+        const version = [1, 2, 3].find(v => length <= VERSIONS[v].dataCodewords * 8);
+        if (!version) {
+            throw new Error('QR payload is too long');
+        }
+        const { codewords, dataCodewords: capacity } = VERSIONS[version];
+        const data = dataCodewords(digits, capacity);
+        const all = data.concat(reedSolomon(data, codewords - capacity));
+
+        let best = null;
+        for (let mask = 0; mask < MASKS.length; mask++) {
+            const symbol = newSymbol(version);
+            drawCodewords(symbol, all);
+            applyMask(symbol, mask);
+            drawFormat(symbol, mask);
+            const score = penalty(symbol);
+            if (!best || score < best.score) {
+                best = { score, modules: symbol.modules };
+            }
+        }
+        return best.modules;
+    }
+
+    return {
+        encodeNumeric,
+        reedSolomon
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QRCode;
+}
@@ -0,0 +1,143 @@
+/**
+ * Safety numbers: out-of-band verification of peer identity keys
+ *
+ * Shared by the browser client and the Node module (require('../frontend/safety-number')).
+ * Both hash with the shared crypto core: window.PQC in the browser, quantum-crypto.js in Node.
+ * As in Signal, each party's identity (here its KEM and signature public keys)
+ * becomes a 30-digit fingerprint, and the safety number of a conversation is
+ * the two fingerprints in sorted order, so both ends show the same 60 digits:
+ *
+ *   digest       = SHA3-512("QuantumChat identity" || u8 len || KEM algorithm || u32 len || KEM public key
+ *                           || u8 len || signature algorithm || u32 len || signature public key)
+ *   hash_0       = SHA3-512(u16 version || digest)
+ *   hash_i       = SHA3-512(hash_i-1 || digest), 5200 times in all
+ *   fingerprint  = each 5-byte chunk of hash[0..30] as a big-endian integer mod 100000, zero-padded
+ *
+ * Client IDs change on every connection, so unlike Signal no identifier is
+ * mixed in: a fingerprint names a key pair, not a connection. The iterations
+ * make finding a second key pair with a matching fingerprint expensive.
+ *
+ * The scannable payload is the version digit followed by the 60 digits. It is
+ * all digits so it fits a version 2 QR code in numeric mode (qrcode.js).
+ */
+
+const SafetyNumber = (() => {
+    'use strict';
+
+    const Hash = typeof PQC !== 'undefined' ? PQC : require('../crypto/quantum-crypto');
+
+    const VERSION = 1;
+    const ITERATIONS = 5200;
+    const FINGERPRINT_BYTES = 30; // Six 5-byte chunks, five digits each
+    const DOMAIN = new TextEncoder().encode('QuantumChat identity');
+
+    function lengthPrefixed(bytes, lengthSize) {
+        const out = new Uint8Array(lengthSize + bytes.length);
+        for (let i = 0; i < lengthSize; i++) {
+            out[i] = (bytes.length >>> (8 * (lengthSize - 1 - i))) & 0xff;
+        }
+        out.set(bytes, lengthSize);
+        return out;
+    }
+
+    function toBytes(key) {
+        return typeof key === 'string' ? Hash.hexToBytes(key) : key;
+    }
+
+    /**
+     * 30-digit fingerprint of one identity
+     * @param {object} identity - { kemAlgorithm, kemPublicKey, signatureAlgorithm, signaturePublicKey }; keys as bytes or hex
+     * @returns {string} - 30 decimal digits
+     */
+    function fingerprint({ kemAlgorithm, kemPublicKey, signatureAlgorithm, signaturePublicKey }) {
+        const encoder = new TextEncoder();
+        const digest = Hash.sha3_512(
+            DOMAIN,
+            lengthPrefixed(encoder.encode(kemAlgorithm), 1),
+            lengthPrefixed(toBytes(kemPublicKey), 4),
+            lengthPrefixed(encoder.encode(signatureAlgorithm), 1),
+            lengthPrefixed(toBytes(signaturePublicKey), 4)
+        );
+        let hash = Hash.sha3_512(new Uint8Array([VERSION >>> 8, VERSION & 0xff]), digest);
+        for (let i = 1; i < ITERATIONS; i++) {
+            hash = Hash.sha3_512(hash, digest);
+        }
+
+        let digits = '';
+        for (let offset = 0; offset < FINGERPRINT_BYTES; offset += 5) {
+            let chunk = 0;
+            for (let i = 0; i < 5; i++) {
+                chunk = chunk * 256 + hash[offset + i];
+            }
+            digits += String(chunk % 100000).padStart(5, '0');
+        }
+        return digits;
+    }
+
+    /**
+     * Safety number for a conversation, the same on both ends
+     * @param {string} localFingerprint - From fingerprint() of our identity
+     * @param {string} remoteFingerprint - From fingerprint() of the peer's identity
+     * @returns {object} - { digits, groups, payload }
+     */
+    function compute(localFingerprint, remoteFingerprint) {
+        const digits = [localFingerprint, remoteFingerprint].sort().join('');
+        return {
+            digits,
+            groups: digits.match(/\d{5}/g),
+            payload: `${VERSION}${digits}`
+        };
+    }
+
+    /**
+     * Digits of a safety number typed, pasted or scanned by the user
+     * Accepts the 60 digits (grouped or not) or the versioned payload.
+     * @returns {string} - The 60 digits
+     */
+    function parse(text) {
+        const digits = String(text).replace(/[\s-]/g, '');
+        if (/^\d{60}$/.test(digits)) {
+            return digits;
+        }
+        if (/^\d{61}$/.test(digits)) {
+            if (Number(digits[0]) !== VERSION) {
+                throw new Error(`Unsupported safety number version ${digits[0]}`);
+            }
+            return digits.slice(1);
+        }
+        throw new Error('A safety number has 60 digits');
+    }
+
+    /**
+     * Compare a safety number from the other device with ours, without early exit
+     */
+    function matches(safetyNumber, text) {
+        const theirs = parse(text);
+        let difference = 0;
+        for (let i = 0; i < theirs.length; i++) {
+            difference |= theirs.charCodeAt(i) ^ safetyNumber.digits.charCodeAt(i);
+        }
+        return difference === 0;
+    }
+
+    /**
+     * Fingerprint as six space-separated groups of five digits
+     */
+    function format(digits) {
+        return digits.match(/\d{5}/g).join(' ');
+    }
+
+    return {
+        VERSION,
+        ITERATIONS,
+        fingerprint,
+        compute,
+        parse,
+        matches,
+        format
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SafetyNumber;
+}
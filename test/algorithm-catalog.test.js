@@ -0,0 +1,102 @@
+// algorithm-catalog.test.js - Security levels and the /api/algorithms filters, both read from the catalog
+
+const { describe, test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { QuantumUtils } = require('../src/crypto/quantum-crypto');
+const { findCatalogEntry } = require('../src/crypto/algorithm-catalog');
+const { startServer } = require('./test-server');
+
+describe('calculateSecurityLevel', () => {
+    const cases = [
+        [[1024, 'ML-KEM'], 'Level 5'],
+        [[768, 'ML-KEM'], 'Level 3'],
+        [[512, 'ML-KEM'], 'Level 1'],
+        [[65, 'ML-DSA'], 'Level 3'],
+        [[1024, 'Falcon'], 'Level 5'],
+        [[256, 'HQC'], 'Level 5'],
+        [[null, 'ML-KEM-768'], 'Level 3'],
+        [[null, 'SLH-DSA-SHAKE-256f'], 'Level 5'],
+        [[3072, 'RSA'], 'Not quantum-safe'],
+        [[512, 'RSA'], 'Not quantum-safe'],
+        [[256, 'ECC'], 'Not quantum-safe'],
+        [[192, 'AES'], 'Level 3'],
+        [[200, 'AES'], 'Level 3'],
+        [[64, 'AES'], 'Below Level 1'],
+        [[256], 'Level 5'],
+        [[100], 'Below Level 1']
+    ];
+    for (const [args, expected] of cases) {
+        test(`${args.map(String).join(', ')} → ${expected}`, () => {
+            assert.equal(QuantumUtils.calculateSecurityLevel(...args), expected);
+        });
+    }
+
+    test('rejects an unknown family', () => {
+        assert.throws(() => QuantumUtils.calculateSecurityLevel(128, 'Rot13'), /Unknown algorithm or family "Rot13"/);
+    });
+
+    test('rejects a number that names no post-quantum parameter set', () => {
+        // Falling back to the family's weakest set would report a level for a set that does not exist
+        assert.equal(findCatalogEntry('ML-KEM', 1000), null);
+        assert.equal(findCatalogEntry('SLH-DSA'), null);
+        assert.throws(() => QuantumUtils.calculateSecurityLevel(1000, 'ML-KEM'), /No ML-KEM parameter set matches 1000; use one of ML-KEM-512, ML-KEM-768, ML-KEM-1024/);
+        assert.throws(() => QuantumUtils.calculateSecurityLevel(null, 'SLH-DSA'), /No SLH-DSA parameter set matches null/);
+    });
+});
+
+describe('GET /api/algorithms', () => {
+    let service;
+    const query = async (search) => {
+        const response = await fetch(`${service.url}/api/algorithms${search}`);
+        return { status: response.status, body: await response.json() };
+    };
+    const ids = (body) => body.algorithms.map(entry => entry.id);
+
+    before(async () => {
+        mock.method(console, 'log', () => {});
+        service = await startServer();
+    });
+
+    after(() => service.stop());
+
+    test('lists the whole catalog without filters', async () => {
+        const { status, body } = await query('');
+        assert.equal(status, 200);
+        assert.equal(body.count, body.algorithms.length);
+        assert.deepEqual(body.filters, {});
+        assert.ok(ids(body).includes('ML-KEM-1024') && ids(body).includes('RSA-2048'));
+    });
+
+    test('filters by family, use and category', async () => {
+        assert.deepEqual(ids((await query('?family=ML-KEM')).body), ['ML-KEM-512', 'ML-KEM-768', 'ML-KEM-1024']);
+        assert.deepEqual(ids((await query('?use=kem&category=5&family=ML-KEM')).body), ['ML-KEM-1024']);
+
+        const { body } = await query('?use=signature&minCategory=3');
+        assert.ok(body.count > 0);
+        for (const entry of body.algorithms) {
+            assert.ok(entry.uses.includes('signature') && entry.nistCategory >= 3, entry.id);
+        }
+        assert.deepEqual(body.filters, { use: 'signature', minCategory: 3 });
+    });
+
+    test('filters by quantum safety, status and implementation', async () => {
+        const broken = (await query('?quantumSafe=false')).body;
+        assert.ok(broken.count > 0 && broken.algorithms.every(entry => !entry.quantumSafe && entry.family !== 'ML-KEM'));
+
+        const selected = (await query('?status=selected')).body;
+        assert.ok(selected.algorithms.every(entry => entry.standardization.status === 'selected'));
+        assert.ok(ids(selected).includes('Falcon-512'));
+
+        const implemented = ids((await query('?implemented=true&use=kem')).body);
+        assert.ok(implemented.includes('ML-KEM-1024') && implemented.includes('X25519+ML-KEM-1024'));
+        assert.ok(!implemented.includes('HQC-128'));
+    });
+
+    test('rejects malformed and unknown filter values', async () => {
+        for (const search of ['?quantumSafe=yes', '?category=high', '?category=2.5', '?minCategory=9', '?family=Enigma', '?use=hashing', '?status=draft']) {
+            const { status, body } = await query(search);
+            assert.equal(status, 400, search);
+            assert.equal(body.error, 'Invalid filter', search);
+        }
+    });
+});
@@ -0,0 +1,25 @@
+// benchmark.test.js - The benchmark must measure every registered KEM, including the async classical ones
+
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { QuantumCrypto } = require('../src/crypto/quantum-crypto');
+
+const ONE_SAMPLE = { minSamples: 1, maxSamples: 1, budgetMs: 0 };
+
+before(() => {
+    mock.method(console, 'log', () => {});
+});
+
+for (const [suite, kem] of [['QC-RSA2048-MLDSA65', 'RSA-2048'], ['QC-ECDHP256-MLDSA65', 'ECDH-P256'], ['QC-MLKEM1024-MLDSA65', 'ML-KEM-1024']]) {
+    test(`benchmarks the ${kem} KEM of ${suite}`, async () => {
+        const report = await new QuantumCrypto({ suite }).benchmark(ONE_SAMPLE);
+        assert.equal(report.kem.length, 1);
+        const [measured] = report.kem;
+        assert.equal(measured.algorithm, kem);
+        assert.equal(measured.quantumSafe, kem === 'ML-KEM-1024');
+        assert.equal(measured.sizes.sharedSecret, 32);
+        for (const operation of ['keyGen', 'encapsulate', 'decapsulate']) {
+            assert.equal(measured.operations[operation].samples, 1, operation);
+        }
+    });
+}
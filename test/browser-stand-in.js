@@ -0,0 +1,85 @@
+// browser-stand-in.js - Load the browser client's scripts into a DOM-less context for tests
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createQuantumCore } = require('../src/crypto/core/quantum-core.mjs');
+const { pureBackend } = require('../src/crypto/core/pure-backend.mjs');
+const { createWebCryptoBackend } = require('../src/crypto/core/webcrypto-backend.mjs');
+const { createSeededBackend } = require('../src/crypto/core/drbg.mjs');
+
+const FRONTEND = path.join(__dirname, '../src/frontend');
+
+// The classic scripts app.js needs, in index.html order; pqc.mjs is reproduced below
+const SHARED_SCRIPTS = ['polyfill.js', 'envelope.js', 'keyfile.js', 'attachment.js', 'label.js'];
+
+/**
+ * A browser-like global scope running the client's own scripts
+ *
+ * The scripts are evaluated unchanged, as index.html would load them, into a
+ * vm context with just enough of `window` and `document` for app.js to define
+ * its classes. QuantumChatApp is never started, so no DOM is touched.
+ *
+ * @param {object} options - { backend: 'webcrypto' (default), or 'pure-js' for a
+ *                           page without crypto.subtle (plain HTTP), where
+ *                           polyfill.js and pqc.mjs fall back to pure JavaScript;
+ *                           seed: the page's ?seed= parameter }
+ * @returns {object} - { PQC, ClientQuantumCrypto, Envelope, KeyFile, SafetyNumber, context }
+ */
+function loadBrowserClient({ backend = 'webcrypto', seed = null } = {}) {
+    // A page has one realm; sharing the typed arrays keeps `instanceof Uint8Array`
+    // checks in the core true for bytes made by envelope.js and keyfile.js
+    const context = {
+        Uint8Array,
+        Uint32Array,
+        ArrayBuffer,
+        DataView,
+        console,
+        crypto: backend === 'pure-js' ?
+            { getRandomValues: (array) => globalThis.crypto.getRandomValues(array) } :
+            globalThis.crypto,
+        TextEncoder,
+        TextDecoder,
+        setTimeout,
+        clearTimeout,
+        performance,
+        document: { addEventListener() {} },
+        navigator: { userAgent: 'QuantumChat test stand-in' }
+    };
+    context.window = context;
+    context.globalThis = context;
+    vm.createContext(context);
+
+    const run = (file) => vm.runInContext(fs.readFileSync(path.join(FRONTEND, file), 'utf8'), context, { filename: file });
+    SHARED_SCRIPTS.forEach(run);
+
+    // What pqc.mjs does, minus the relative import from /core
+    let selected;
+    try {
+        selected = createWebCryptoBackend(context.crypto);
+    } catch (error) {
+        selected = pureBackend;
+    }
+    if (seed) {
+        selected = createSeededBackend(selected, seed);
+    }
+    context.PQC = createQuantumCore({
+        backend: selected,
+        Envelope: vm.runInContext('Envelope', context),
+        KeyFile: vm.runInContext('KeyFile', context)
+    });
+
+    run('safety-number.js');
+    run('app.js');
+
+    return {
+        context,
+        PQC: context.PQC,
+        ClientQuantumCrypto: vm.runInContext('ClientQuantumCrypto', context),
+        Envelope: vm.runInContext('Envelope', context),
+        KeyFile: vm.runInContext('KeyFile', context),
+        SafetyNumber: vm.runInContext('SafetyNumber', context)
+    };
+}
+
+module.exports = { loadBrowserClient };
@@ -0,0 +1,86 @@
+// envelope.test.js - The binary envelope: layout, strict parsing and tamper rejection
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { QuantumCrypto } = require('../src/crypto/quantum-crypto');
+const Envelope = require('../src/frontend/envelope');
+
+const FIELDS = {
+    suiteId: 2,
+    timestamp: 2 ** 40 + 5,
+    sender: 'alice',
+    recipient: 'bøb',
+    ratchet: {
+        epoch: 3,
+        n: 7,
+        pn: 20,
+        kem: { algorithm: 'ML-KEM-1024', keyId: '0011223344556677', ciphertext: 'abcd', publicKey: 'ef01', publicKeyAlgorithm: 'ML-KEM-1024' }
+    },
+    nonce: Uint8Array.from({ length: 12 }, (_, i) => i),
+    ciphertext: Uint8Array.of(1, 2, 3),
+    tag: Uint8Array.from({ length: 16 }, (_, i) => 255 - i)
+};
+
+const withBytes = (bytes, edit) => {
+    const copy = Uint8Array.from(bytes);
+    edit(copy);
+    return copy;
+};
+
+test('an envelope survives serialize and parse, with the header as associated data', () => {
+    const bytes = Envelope.encode(FIELDS);
+    assert.deepEqual([...bytes.subarray(0, 4)], [Envelope.MAGIC, Envelope.VERSION, 0, 2]);
+
+    const parsed = Envelope.parse(Envelope.serialize(FIELDS));
+    assert.equal(parsed.version, Envelope.VERSION);
+    for (const field of ['suiteId', 'timestamp', 'sender', 'recipient', 'ratchet']) {
+        assert.deepEqual(parsed[field], FIELDS[field], field);
+    }
+    for (const field of ['nonce', 'ciphertext', 'tag']) {
+        assert.deepEqual([...parsed[field]], [...FIELDS[field]], field);
+    }
+    assert.deepEqual([...parsed.header], [...Envelope.encodeHeader(FIELDS)]);
+    assert.ok(!Envelope.serialize(FIELDS).includes('='));
+});
+
+test('the parser accepts one encoding and nothing around it', () => {
+    const bytes = Envelope.encode(FIELDS);
+    assert.throws(() => Envelope.decode(withBytes(bytes, b => { b[0] = 0x50; })), /Not a QuantumChat envelope/);
+    assert.throws(() => Envelope.decode(withBytes(bytes, b => { b[1] = 2; })), /Unsupported envelope version 2/);
+    assert.throws(() => Envelope.decode(withBytes(bytes, b => { b[4] = 0xff; })), /timestamp out of range/);
+    assert.throws(() => Envelope.decode(bytes.subarray(0, bytes.length - 1)), /Truncated envelope/);
+    assert.throws(() => Envelope.decode(Uint8Array.from([...bytes, 0])), /Trailing bytes/);
+    assert.throws(() => Envelope.decode(withBytes(bytes, b => { b[13] = 0xff; })), /Invalid UTF-8/); // First byte of the sender ID
+
+    const text = Envelope.toBase64Url(bytes);
+    assert.throws(() => Envelope.parse(`${text}=`), /Malformed base64url/);
+    assert.throws(() => Envelope.parse(text.replace(/.$/, char => (char === 'A' ? '+' : '/'))), /Malformed base64url/);
+    assert.throws(() => Envelope.fromBase64Url('AB'), /Malformed base64url/); // Spare bits must be zero
+    assert.throws(() => Envelope.encode({ ...FIELDS, sender: '' }), /non-empty strings/);
+    assert.throws(() => Envelope.encode({ ...FIELDS, ratchet: { ...FIELDS.ratchet, epoch: 2 ** 32 } }), /does not fit in 4 bytes/);
+});
+
+test('a tampered envelope is rejected without disturbing the session', async () => {
+    const alice = new QuantumCrypto({ clientId: 'alice' });
+    const bob = new QuantumCrypto({ clientId: 'bob' });
+    const [aliceKeys, bobKeys] = [await alice.generateKeyPair(), await bob.generateKeyPair()];
+    alice.setPeerPublicKey('bob', bobKeys.publicKey, bobKeys.algorithm);
+    bob.setPeerPublicKey('alice', aliceKeys.publicKey, aliceKeys.algorithm);
+    const { ciphertext, algorithm } = await alice.performKeyExchange(bobKeys.publicKey, 'bob');
+    await bob.completeKeyExchange(ciphertext, 'alice', algorithm);
+
+    const envelope = await alice.encrypt('meet at noon', 'bob');
+    const bytes = Envelope.fromBase64Url(envelope);
+    const parsed = Envelope.decode(bytes);
+    const tamperedAt = (offset) => Envelope.toBase64Url(withBytes(bytes, b => { b[offset] ^= 1; }));
+    // One bit in the authenticated header (the timestamp), in the ciphertext and in the tag
+    for (const offset of [8, parsed.header.length + 4, bytes.length - 1]) {
+        await assert.rejects(bob.decrypt(tamperedAt(offset), 'alice'));
+    }
+    // Routed to the wrong peer, the envelope is refused before any key is touched
+    await assert.rejects(bob.decrypt(Envelope.serialize({ ...parsed, recipient: 'carol' }), 'alice'), /addressed to a different recipient/);
+
+    assert.equal(await bob.decrypt(envelope, 'alice'), 'meet at noon');
+    alice.destroy();
+    bob.destroy();
+});
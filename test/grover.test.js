@@ -0,0 +1,46 @@
+// grover.test.js - Grover's key search on the simulator, with one and with several matching keys
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRandom } = require('../src/crypto/quantum-simulator');
+const { optimalIterations, runGroverCircuit, groverKeySearch } = require('../src/crypto/grover');
+
+test('a seeded search recovers 8 unknown key bits in 12 iterations', () => {
+    const result = groverKeySearch({ keyBits: 8, seed: 42 });
+    assert.equal(result.success, true);
+    assert.equal(result.grover.iterations, optimalIterations(8));
+    assert.equal(result.grover.iterations, 12);
+    assert.ok(result.grover.successProbability > 0.99);
+    // The classical search stops at the same candidate the measurement returned
+    assert.equal(result.classical.queries, result.grover.measured + 1);
+    assert.equal(parseInt(result.recoveredKey.slice(-2), 16), result.grover.measured);
+});
+
+test('the success probability rises and falls with the iteration count', () => {
+    const probability = iterations => groverKeySearch({ keyBits: 8, iterations, seed: 42 }).grover.successProbability;
+    assert.equal(probability(0).toFixed(6), (1 / 256).toFixed(6));
+    assert.ok(probability(6) > 0.4 && probability(6) < 0.6);
+    // Past the optimum the state rotates away from the key again, back to almost nothing at 25
+    assert.ok(probability(25) < 0.01);
+    assert.throws(() => groverKeySearch({ keyBits: 8, iterations: 37, seed: 42 }), /from 0 to 36 for 8-bit keys/);
+});
+
+test('with four matching keys the optimum comes twice as soon', () => {
+    const keys = [3, 77, 150, 201];
+    const isMarked = candidate => keys.includes(candidate);
+    // Every matching key carries the same amplitude, so the chance of measuring one of them is four times the recorded one
+    const run = (iterations, seed) => runGroverCircuit(8, isMarked, keys[0], iterations, createRandom(seed));
+
+    const optimal = run(6, 1);
+    assert.ok(4 * optimal.successProbability > 0.99);
+    for (let seed = 0; seed < 8; seed++) {
+        assert.ok(isMarked(run(6, seed).measured));
+    }
+    // The iteration count for a single key rotates the state right past them
+    assert.ok(4 * run(optimalIterations(8), 1).successProbability < 0.01);
+});
+
+test('the register holds 8 to 16 unknown key bits', () => {
+    assert.throws(() => groverKeySearch({ keyBits: 7 }), /keyBits must be an integer from 8 to 16/);
+    assert.throws(() => groverKeySearch({ keyBits: 17 }), /keyBits must be an integer from 8 to 16/);
+});
@@ -0,0 +1,94 @@
+// harvest.test.js - Limits of the harvest recorder: escrow checks, what it records, pair eviction and the Q-Day rate limit
+
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createKEM, bytesToHex } = require('../src/crypto/quantum-crypto');
+const { HarvestRecorder, runQDayInWorker } = require('../src/crypto/harvest');
+const { startServer } = require('./test-server');
+
+const hexPair = ({ publicKey, secretKey }) => ({ publicKey: bytesToHex(publicKey), secretKey: bytesToHex(secretKey) });
+
+// A relayed key exchange as server.js records it; the keys do not matter until Q-Day
+function recordExchange(recorder, initiator, responder, suites = ['QC-ECDHP256-MLDSA65', 'QC-ECDHP256-MLDSA65']) {
+    const party = (clientId, suite) => ({ clientId, suite, publicKey: 'ab', algorithm: 'ECDH-P256' });
+    recorder.recordKeyExchange(party(initiator, suites[0]), party(responder, suites[1]), { ciphertext: 'cd', algorithm: 'ECDH-P256' });
+}
+
+test('an escrowed private key must belong to its public key', async () => {
+    const recorder = new HarvestRecorder();
+    const kem = createKEM('ECDH-P256');
+    const victim = hexPair(await kem.keyGen());
+    const squatter = hexPair(await kem.keyGen());
+
+    await assert.rejects(recorder.recordEscrow('squatter', { publicKey: victim.publicKey, secretKey: squatter.secretKey, algorithm: 'ECDH-P256' }),
+        /does not belong/);
+    await assert.rejects(recorder.recordEscrow('squatter', { publicKey: victim.publicKey, secretKey: 'abcd', algorithm: 'ECDH-P256' }),
+        /does not belong/);
+    await assert.rejects(recorder.recordEscrow('squatter', { ...victim, algorithm: 'ML-KEM-1024' }), /not escrowed/);
+    assert.equal(recorder.summary().escrowedKeys, 0);
+
+    await recorder.recordEscrow('victim', { ...victim, algorithm: 'ECDH-P256' });
+    assert.equal(recorder.escrow.get(victim.publicKey).clientId, 'victim');
+    assert.equal(recorder.summary().escrowedKeys, 1);
+});
+
+test('the stalest pair makes way once 100 pairs are recorded', () => {
+    const recorder = new HarvestRecorder();
+    for (let i = 0; i < 100; i++) {
+        recordExchange(recorder, `a${i}`, `b${i}`);
+    }
+    recorder.recordEnvelope('a0', 'b0', 'envelope'); // a0:b0 is now the freshest
+    recordExchange(recorder, 'new', 'pair');
+
+    assert.equal(recorder.pairs.size, 100);
+    assert.ok(recorder.pairs.has('new:pair'));
+    assert.ok(recorder.pairs.has('a0:b0'));
+    assert.ok(!recorder.pairs.has('a1:b1'));
+    assert.equal(recorder.pairs.get('a0:b0').events.length, 2);
+});
+
+test('only pairs with a classical side are recorded', () => {
+    const recorder = new HarvestRecorder();
+    recordExchange(recorder, 'pq1', 'pq2', ['QC-MLKEM1024-MLDSA65', 'QC-X25519MLKEM1024-MLDSA65']);
+    recorder.recordEnvelope('pq1', 'pq2', 'envelope');
+    recordExchange(recorder, 'pq', 'rsa', ['QC-MLKEM1024-MLDSA65', 'QC-RSA2048-MLDSA65']);
+    recorder.recordEnvelope('rsa', 'pq', 'envelope');
+    // Without a key exchange there is no session to replay the envelope in
+    recorder.recordEnvelope('stranger', 'rsa', 'envelope');
+
+    assert.deepEqual([...recorder.pairs.keys()], ['pq:rsa']);
+    assert.deepEqual(recorder.summary().pairs, [
+        { keyExchanges: 1, envelopes: 1, suites: ['QC-MLKEM1024-MLDSA65', 'QC-RSA2048-MLDSA65'], truncated: false }
+    ]);
+});
+
+test('the worker replays the same recording as the recorder itself', async () => {
+    const recorder = new HarvestRecorder();
+    recordExchange(recorder, 'alice', 'bob');
+    recorder.recordEnvelope('alice', 'bob', 'envelope');
+    recordExchange(recorder, 'carol', 'dave', ['QC-RSA2048-MLDSA65', 'QC-MLKEM1024-MLDSA65']);
+
+    const withoutTiming = ({ durationMs, ...report }) => report;
+    assert.deepEqual(withoutTiming(await runQDayInWorker(recorder, 'alice')), withoutTiming(await recorder.qDay('alice')));
+    const everything = await runQDayInWorker(recorder);
+    assert.deepEqual(withoutTiming(everything), withoutTiming(await recorder.qDay()));
+    assert.deepEqual(everything.totals, { pairs: 2, envelopes: 1, decrypted: 0, failed: 1 });
+});
+
+test('each address may start one Q-Day at a time', async () => {
+    mock.method(console, 'log', () => {});
+    const service = await startServer();
+    try {
+        const qDay = () => fetch(`${service.url}/api/harvest/qday`, { method: 'POST' });
+        const first = await qDay();
+        assert.equal(first.status, 200);
+        assert.equal((await first.json()).simulated, true);
+
+        const second = await qDay();
+        assert.equal(second.status, 429);
+        assert.ok(Number(second.headers.get('retry-after')) > 0);
+        assert.match((await second.json()).message, /once every 30 seconds per address/);
+    } finally {
+        await service.stop();
+    }
+});
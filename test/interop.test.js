@@ -0,0 +1,391 @@
+// interop.test.js - The Node QuantumCrypto and the browser ClientQuantumCrypto must agree byte for byte
+//
+// Runs with `npm test`. Suites, client IDs and messages are drawn from a seeded
+// PRNG: the fixed default keeps CI runs reproducible, INTEROP_SEED explores
+// others, and a failing test names the seed that replays it.
+
+const { describe, test, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { QuantumCrypto, bytesToHex } = require('../src/crypto/quantum-crypto');
+const { HarvestRecorder } = require('../src/crypto/harvest');
+const nodeBackend = require('../src/crypto/node-backend');
+const { pureBackend } = require('../src/crypto/core/pure-backend.mjs');
+const { createSeededBackend } = require('../src/crypto/core/drbg.mjs');
+const { createQuantumCore } = require('../src/crypto/core/quantum-core.mjs');
+const Envelope = require('../src/frontend/envelope');
+const KeyFile = require('../src/frontend/keyfile');
+const { loadBrowserClient } = require('./browser-stand-in');
+
+const DEFAULT_SEED = 928787839;
+const SEED = Number(process.env.INTEROP_SEED) || DEFAULT_SEED;
+const ROUNDS = Number(process.env.INTEROP_ROUNDS) || 40;
+
+// Suites whose signature keys generate quickly; the SLH-DSA "s" sets share their code with the "f" ones
+const SUITES = [
+    'QC-MLKEM1024-MLDSA65',
+    'QC-X25519MLKEM1024-MLDSA65',
+    'QC-MLKEM1024-SLHDSA-SHA2-128f',
+    'QC-MLKEM1024-SLHDSA-SHAKE-128f'
+];
+
+/**
+ * mulberry32: small seeded PRNG, so a failing run can be replayed from its seed
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    const next = () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 2 ** 32;
+    };
+    const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+    const pick = (items) => items[int(0, items.length - 1)];
+    return { next, int, pick };
+}
+
+// Characters that have broken encodings before: multi-byte UTF-8, surrogate pairs,
+// combining marks, joiners, controls, and characters that JSON escapes
+const TRICKY_TEXT = [
+    'é', 'ß', 'Ω', 'ж', '中文', '한', ' ', 'é', '‍', '﻿', '￿',
+    '🔐', '👩‍💻', '🇺🇦', '𝔘', '\u0000', '\n', '\t', '"', '\\', '</script>'
+];
+
+function randomMessage(random) {
+    const shape = random.int(0, 9);
+    if (shape === 0) {
+        return '';
+    }
+    const length = shape === 1 ? random.int(2000, 20000) : random.int(1, 120);
+    let text = '';
+    while (text.length < length) {
+        text += random.next() < 0.5 ?
+            String.fromCharCode(random.int(0x20, 0x7e)) :
+            random.pick(TRICKY_TEXT);
+    }
+    return text;
+}
+
+function randomClientId(random) {
+    return Array.from({ length: 32 }, () => random.int(0, 15).toString(16)).join('');
+}
+
+/**
+ * One Node and one browser client with distinct IDs, suites chosen at random
+ */
+function createPair(random, browser) {
+    const nodeSuite = random.pick(SUITES);
+    const browserSuite = random.pick(SUITES);
+    const nodeClient = new QuantumCrypto({ suite: nodeSuite, clientId: randomClientId(random) });
+    const browserClient = new browser.ClientQuantumCrypto({ suite: browserSuite });
+    browserClient.clientId = randomClientId(random);
+    return { nodeClient, browserClient, label: `${nodeSuite} (Node) / ${browserSuite} (browser)` };
+}
+
+/**
+ * Key exchange as the app runs it: the initiator encapsulates to the responder's
+ * registered key, the responder decapsulates and returns a key confirmation
+ */
+async function exchangeKeys(initiator, responder) {
+    const initiatorKeys = initiator.publicKeyInfo();
+    const responderKeys = responder.publicKeyInfo();
+    registerPeer(responder, initiator.clientId, initiatorKeys);
+    registerPeer(initiator, responder.clientId, responderKeys);
+
+    const { ciphertext, algorithm } = await initiator.performKeyExchange(responderKeys.publicKey, responder.clientId);
+    assert.equal(algorithm, responderKeys.algorithm, 'initiator encapsulated with the wrong KEM');
+    assert.equal(await responder.completeKeyExchange(ciphertext, initiator.clientId, algorithm), true);
+
+    const confirmation = responder.createKeyConfirmation(initiator.clientId);
+    assert.equal(initiator.verifyKeyConfirmation(responder.clientId, confirmation), true, 'key confirmation did not verify');
+    assert.equal(responder.verifyKeyConfirmation(initiator.clientId, confirmation), false, 'key confirmation verified in reverse');
+    return { ciphertext, algorithm };
+}
+
+function registerPeer(client, peerId, keys) {
+    if (typeof client.setPeerIdentity === 'function') {
+        client.setPeerIdentity(peerId, keys);
+    } else {
+        client.setPeerPublicKey(peerId, keys.publicKey, keys.algorithm);
+    }
+}
+
+/**
+ * Send a chat payload the way app.js does: signed, serialized to JSON, encrypted
+ */
+async function sendChat(sender, recipient, text, timestamp) {
+    const signedContent = JSON.stringify([sender.clientId, timestamp, text]);
+    const { signature, algorithm } = sender.signMessage(signedContent);
+    const payload = JSON.stringify({ text, timestamp, signature, signatureAlgorithm: algorithm });
+    return { envelope: await sender.encrypt(payload, recipient.clientId), payload, signedContent };
+}
+
+async function receiveChat(recipient, sender, envelope) {
+    const { text, timestamp, signature, signatureAlgorithm } = JSON.parse(await recipient.decrypt(envelope, sender.clientId));
+    const signedContent = JSON.stringify([sender.clientId, timestamp, text]);
+    const verified = recipient.verifySignature(signedContent, { signature, algorithm: signatureAlgorithm },
+        sender.publicKeyInfo().signaturePublicKey);
+    return { text, timestamp, verified };
+}
+
+function tamper(envelope, random, Envelope) {
+    const bytes = Envelope.fromBase64Url(envelope);
+    bytes[random.int(0, bytes.length - 1)] ^= 1 << random.int(0, 7);
+    return Envelope.toBase64Url(bytes);
+}
+
+/**
+ * Random conversation: either side sends bursts of messages that the other
+ * decrypts, so every ratchet turn and both encryption directions are crossed
+ */
+async function converse(pair, random, Envelope) {
+    const { nodeClient, browserClient } = pair;
+    for (let round = 0; round < ROUNDS; round++) {
+        const [sender, recipient] = random.next() < 0.5 ? [nodeClient, browserClient] : [browserClient, nodeClient];
+        const burst = random.int(1, 3);
+        for (let i = 0; i < burst; i++) {
+            const text = randomMessage(random);
+            const timestamp = Date.now();
+            const { envelope } = await sendChat(sender, recipient, text, timestamp);
+
+            if (random.next() < 0.1) {
+                // A modified envelope must be rejected without advancing the ratchet
+                await assert.rejects(recipient.decrypt(tamper(envelope, random, Envelope), sender.clientId),
+                    `round ${round}: tampered envelope was accepted`);
+            }
+            const received = await receiveChat(recipient, sender, envelope);
+            assert.equal(received.text, text, `round ${round}: decrypted text differs`);
+            assert.equal(received.timestamp, timestamp, `round ${round}: timestamp differs`);
+            assert.equal(received.verified, true, `round ${round}: signature did not verify`);
+        }
+    }
+}
+
+/**
+ * A test whose failure names the seed that replays it
+ */
+function replayable(name, fn) {
+    test(name, async () => {
+        try {
+            await fn();
+        } catch (error) {
+            error.message = `${error.message} (replay with INTEROP_SEED=${SEED})`;
+            throw error;
+        }
+    });
+}
+
+describe(`Node and browser crypto interoperability (INTEROP_SEED=${SEED})`, () => {
+    let webcryptoBrowser;
+    let pureBrowser;
+
+    before(() => {
+        // The crypto classes log every operation; keep the test report readable
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+        webcryptoBrowser = loadBrowserClient({ backend: 'webcrypto' });
+        pureBrowser = loadBrowserClient({ backend: 'pure-js' });
+    });
+
+    for (const [initiatorSide, backend] of [['node', 'webcrypto'], ['browser', 'webcrypto'], ['node', 'pure-js'], ['browser', 'pure-js']]) {
+        replayable(`${initiatorSide} initiates, browser on the ${backend} backend`, async () => {
+            const random = createRandom(SEED ^ (initiatorSide === 'node' ? 0x1 : 0x2) ^ (backend === 'pure-js' ? 0x10 : 0x20));
+            const browser = backend === 'pure-js' ? pureBrowser : webcryptoBrowser;
+            const pair = createPair(random, browser);
+            await pair.nodeClient.generateKeyPair();
+            await pair.browserClient.generateKeyPair();
+            assert.equal(pair.browserClient.getSecurityInfo().backend, backend);
+
+            const [initiator, responder] = initiatorSide === 'node' ?
+                [pair.nodeClient, pair.browserClient] : [pair.browserClient, pair.nodeClient];
+            try {
+                await exchangeKeys(initiator, responder);
+                await converse(pair, random, browser.Envelope);
+            } catch (error) {
+                error.message = `${pair.label}: ${error.message}`;
+                throw error;
+            } finally {
+                pair.nodeClient.destroy();
+                pair.browserClient.destroy();
+            }
+        });
+    }
+
+    replayable('pure-JS hashes and the polyfilled digest match Node', async () => {
+        const random = createRandom(SEED ^ 0x300);
+        // Every padding boundary of the 64-, 128-, 136- and 168-byte blocks, then random lengths
+        const lengths = [0, 1, 55, 56, 63, 64, 111, 112, 127, 128, 135, 136, 167, 168, 169];
+        while (lengths.length < 40) {
+            lengths.push(random.int(0, 5000));
+        }
+        const digest = (name, bytes) => pureBrowser.context.crypto.subtle.digest(name, bytes);
+        for (const length of lengths) {
+            const data = Uint8Array.from({ length }, () => random.int(0, 255));
+            for (const hash of ['sha256', 'sha512', 'sha3_256', 'sha3_512']) {
+                assert.deepEqual(pureBackend[hash](data), nodeBackend[hash](data), `${hash} of ${length} bytes`);
+            }
+            for (const xof of ['shake128', 'shake256']) {
+                const outputLength = random.int(1, 600);
+                assert.deepEqual(pureBackend[xof](data, outputLength), nodeBackend[xof](data, outputLength), `${xof} of ${length} bytes`);
+            }
+            assert.deepEqual(new Uint8Array(await digest('SHA-256', data)), nodeBackend.sha256(data));
+            assert.deepEqual(new Uint8Array(await digest({ name: 'SHA-512' }, data.buffer)), nodeBackend.sha512(data));
+        }
+        await assert.rejects(digest('SHA-1', new Uint8Array(0)), /Unsupported digest algorithm/);
+    });
+
+    replayable('a seed replays the same keys on Node and in the browser', async () => {
+        const random = createRandom(SEED ^ 0x400);
+        const seed = randomMessage(random) || 'seed';
+        const suite = random.pick(SUITES);
+        const seeded = [
+            new (createQuantumCore({ backend: createSeededBackend(nodeBackend, seed), Envelope, KeyFile }).QuantumCrypto)({ suite }),
+            new (loadBrowserClient({ seed }).ClientQuantumCrypto)({ suite }),
+            new (loadBrowserClient({ backend: 'pure-js', seed }).ClientQuantumCrypto)({ suite })
+        ];
+        const identities = await Promise.all(seeded.map(client => client.generateKeyPair()));
+        assert.deepEqual(identities[1], identities[0]);
+        assert.deepEqual(identities[2], identities[0]);
+        for (const client of seeded) {
+            assert.equal(client.getSecurityInfo().deterministicRandom, true);
+            assert.match(client.getSecurityInfo().randomness, /HMAC_DRBG/);
+            assert.equal(client.getSecurityInfo().reproducible, true);
+        }
+
+        // Reporting the seed would hand out every key
+        const secret = 'classroom-secret-seed';
+        const SeededCrypto = createQuantumCore({ backend: createSeededBackend(nodeBackend, secret), Envelope, KeyFile }).QuantumCrypto;
+        const reporter = new SeededCrypto({ suite });
+        assert.ok(!JSON.stringify(reporter.getSecurityInfo()).includes(secret));
+        reporter.destroy();
+        // Node crypto generates the RSA and ECDH keys itself, seed or not
+        for (const classical of ['QC-RSA2048-MLDSA65', 'QC-ECDHP256-MLDSA65']) {
+            const client = new SeededCrypto({ suite: classical });
+            assert.equal(client.getSecurityInfo().deterministicRandom, true);
+            assert.equal(client.getSecurityInfo().reproducible, false);
+            client.destroy();
+        }
+
+        const unseeded = new QuantumCrypto({ suite });
+        assert.notDeepEqual(await unseeded.generateKeyPair(), identities[0]);
+        assert.equal(unseeded.getSecurityInfo().deterministicRandom, false);
+        for (const client of [...seeded, unseeded]) {
+            client.destroy();
+        }
+    });
+
+    replayable('a re-keyed session replaces the old one on both sides', async () => {
+        const random = createRandom(SEED ^ 0x100);
+        const { nodeClient, browserClient } = createPair(random, webcryptoBrowser);
+        await nodeClient.generateKeyPair();
+        await browserClient.generateKeyPair();
+        await exchangeKeys(nodeClient, browserClient);
+        const { envelope: stale } = await sendChat(nodeClient, browserClient, 'before re-keying', Date.now());
+
+        await exchangeKeys(browserClient, nodeClient);
+        await assert.rejects(browserClient.decrypt(stale, nodeClient.clientId), 'message from the old session was accepted');
+        for (const [sender, recipient] of [[nodeClient, browserClient], [browserClient, nodeClient]]) {
+            const text = randomMessage(random);
+            const { envelope } = await sendChat(sender, recipient, text, Date.now());
+            assert.equal((await receiveChat(recipient, sender, envelope)).text, text);
+        }
+        nodeClient.destroy();
+        browserClient.destroy();
+    });
+
+    replayable('the simulated Q-Day decrypts harvested classical traffic but nothing ML-KEM protects', async () => {
+        const random = createRandom(SEED ^ 0x500);
+        const recorder = new HarvestRecorder();
+        const conversations = [
+            ['QC-RSA2048-MLDSA65', 'QC-ECDHP256-MLDSA65'],
+            ['QC-ECDHP256-MLDSA65', 'QC-RSA2048-MLDSA65'],
+            ['QC-MLKEM1024-MLDSA65', 'QC-ECDHP256-MLDSA65']
+        ];
+        const browserIds = [];
+        const escrowed = [];
+        for (const [nodeSuite, browserSuite] of conversations) {
+            // Clients escrow their classical KEM keys, as app.js does with key_escrow
+            const [nodeId, browserId] = [randomClientId(random), randomClientId(random)];
+            const keyEscrow = (clientId) => (keyPair) => escrowed.push(recorder.recordEscrow(clientId, {
+                publicKey: bytesToHex(keyPair.publicKey),
+                secretKey: bytesToHex(keyPair.secretKey),
+                algorithm: keyPair.algorithm
+            }));
+            const nodeClient = new QuantumCrypto({ suite: nodeSuite, clientId: nodeId, keyEscrow: keyEscrow(nodeId) });
+            const browserClient = new webcryptoBrowser.ClientQuantumCrypto({ suite: browserSuite, keyEscrow: keyEscrow(browserId) });
+            browserClient.clientId = browserId;
+            browserIds.push(browserId);
+            await nodeClient.generateKeyPair();
+            await browserClient.generateKeyPair();
+            const exchange = await exchangeKeys(nodeClient, browserClient);
+
+            // What the relay sees and records (server.js)
+            const party = (client) => {
+                const { suite, publicKey, algorithm } = client.publicKeyInfo();
+                return { clientId: client.clientId, suite, publicKey, algorithm };
+            };
+            recorder.recordKeyExchange(party(nodeClient), party(browserClient), exchange);
+            for (let round = 0; round < 6; round++) {
+                const [sender, recipient] = random.next() < 0.5 ? [nodeClient, browserClient] : [browserClient, nodeClient];
+                const { envelope } = await sendChat(sender, recipient, `round ${round}`, Date.now());
+                recorder.recordEnvelope(sender.clientId, recipient.clientId, envelope);
+                assert.equal((await receiveChat(recipient, sender, envelope)).text, `round ${round}`);
+            }
+            nodeClient.destroy();
+            browserClient.destroy();
+        }
+
+        await Promise.all(escrowed);
+
+        // Each client sees its own conversation only; without one, only counts come back
+        const [rsa, ecdh, mixed] = await Promise.all(browserIds.map(async clientId => {
+            const qDay = await recorder.qDay(clientId);
+            assert.equal(qDay.simulated, true);
+            assert.equal(qDay.pairs.length, 1);
+            assert.ok(qDay.pairs[0].clients.includes(clientId));
+            return qDay.pairs[0];
+        }));
+        const everything = await recorder.qDay();
+        assert.deepEqual(everything.totals, { pairs: 3, envelopes: 18, decrypted: 12 + mixed.decrypted, failed: mixed.failed });
+        assert.ok(everything.pairs.every(pair => !pair.clients && !pair.messages));
+        for (const pair of [rsa, ecdh]) {
+            assert.equal(pair.exchanges[0].recovered, true);
+            assert.equal(pair.failed, 0, pair.messages.map(message => message.explanation).join('; '));
+            assert.deepEqual(pair.messages.map(message => message.text), [0, 1, 2, 3, 4, 5].map(round => `round ${round}`));
+        }
+        // The browser's ECDH key falls, but the Node side's ML-KEM-1024 keys seal the other direction
+        assert.equal(mixed.exchanges[0].quantumSafe, false);
+        for (const message of mixed.messages) {
+            assert.equal(message.decrypted, message.to !== mixed.exchanges[0].initiator, JSON.stringify(message));
+        }
+    });
+
+    replayable('identity key files move between the implementations', async () => {
+        const random = createRandom(SEED ^ 0x200);
+        const { nodeClient, browserClient } = createPair(random, webcryptoBrowser);
+        const nodeIdentity = await nodeClient.generateKeyPair();
+        const browserIdentity = await browserClient.generateKeyPair();
+
+        const fromBrowser = await browserClient.exportKeys({ passphrase: 'correct horse ✓' });
+        const intoNode = new QuantumCrypto();
+        assert.deepEqual(await intoNode.importKeys(fromBrowser, { passphrase: 'correct horse ✓' }), browserIdentity);
+        await assert.rejects(new QuantumCrypto().importKeys(fromBrowser, { passphrase: 'correct horse' }));
+
+        const fromNode = await nodeClient.exportKeys({ format: 'json' });
+        const intoBrowser = new webcryptoBrowser.ClientQuantumCrypto({ suite: fromNode.suite });
+        assert.deepEqual(await intoBrowser.importKeys(fromNode), nodeIdentity);
+        assert.equal(intoBrowser.identityImported, true);
+
+        // The imported identities must still talk to each other
+        intoNode.clientId = randomClientId(random);
+        intoBrowser.clientId = randomClientId(random);
+        await exchangeKeys(intoBrowser, intoNode);
+        const text = randomMessage(random);
+        const { envelope } = await sendChat(intoNode, intoBrowser, text, Date.now());
+        assert.equal((await receiveChat(intoBrowser, intoNode, envelope)).text, text);
+        for (const client of [nodeClient, browserClient, intoNode, intoBrowser]) {
+            client.destroy();
+        }
+    });
+});
@@ -0,0 +1,59 @@
+// keyfile.test.js - Identity key export and import, with and without a passphrase
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { QuantumCrypto } = require('../src/crypto/quantum-crypto');
+const KeyFile = require('../src/frontend/keyfile');
+
+const SCRYPT = { N: 16384 }; // The weakest accepted cost, to keep the test quick
+
+let owner;
+
+before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    owner = new QuantumCrypto({ clientId: 'owner' });
+    await owner.generateKeyPair();
+});
+
+after(() => owner.destroy());
+
+test('a protected identity round-trips and still signs as its owner', async () => {
+    const pem = await owner.exportKeys({ passphrase: 'correct horse battery staple', scrypt: SCRYPT });
+    assert.match(pem, /^-----BEGIN QUANTUMCHAT ENCRYPTED IDENTITY-----\n/);
+    const file = KeyFile.parse(pem);
+    assert.ok(!('priv' in file.kem) && !('priv' in file.sig));
+
+    const restored = new QuantumCrypto({ clientId: 'restored' });
+    assert.deepEqual(await restored.importKeys(pem, { passphrase: 'correct horse battery staple' }), owner.publicKeyInfo());
+    const signed = restored.signMessage('still me');
+    assert.equal(owner.verifySignature('still me', signed, owner.publicKeyInfo().signaturePublicKey), true);
+    restored.destroy();
+});
+
+test('a wrong or missing passphrase, or a swapped public key, is refused', async () => {
+    const file = await owner.exportKeys({ passphrase: 'open sesame', format: 'json', scrypt: SCRYPT });
+    const importer = new QuantumCrypto({ clientId: 'importer' });
+    await assert.rejects(importer.importKeys(file, { passphrase: 'open sesame!' }), /Wrong passphrase or modified key file/);
+    await assert.rejects(importer.importKeys(file), /Key file is passphrase-protected/);
+
+    // Public keys are bound as associated data, so another identity's cannot be slipped in
+    const other = new QuantumCrypto({ clientId: 'other' });
+    await other.generateKeyPair();
+    const { kem } = await other.exportKeys({ format: 'json' });
+    await assert.rejects(importer.importKeys({ ...file, kem: { ...file.kem, pub: kem.pub } }, { passphrase: 'open sesame' }),
+        /Wrong passphrase or modified key file/);
+    assert.equal(importer.keyPair, null);
+    importer.destroy();
+    other.destroy();
+});
+
+test('an unprotected identity round-trips, and weak scrypt costs are refused', async () => {
+    const file = await owner.exportKeys({ format: 'json' });
+    assert.equal(file.kty, 'QC-IDENTITY');
+    const restored = new QuantumCrypto({ clientId: 'restored' });
+    assert.deepEqual(await restored.importKeys(JSON.stringify(file)), owner.publicKeyInfo());
+    restored.destroy();
+
+    await assert.rejects(owner.exportKeys({ passphrase: 'weak', scrypt: { N: 1024 } }), /Unsupported scrypt parameters/);
+});
@@ -0,0 +1,43 @@
+// lwe-lab.test.js - Regev decryption noise and the LLL attack on toy LWE keys
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { lllReduce, lweEncryptDecrypt, lweLatticeAttack } = require('../src/crypto/lwe-lab');
+
+test('LLL finds the short vector hidden in a skewed basis', () => {
+    // Both rows are long, but their difference (1, 1) is short
+    const { basis, completed } = lllReduce([[201, 199], [200, 200]]);
+    assert.equal(completed, true);
+    assert.deepEqual(basis[0].map(Math.abs), [1, 1]);
+    // The lattice is unchanged: the determinant is still ±400
+    assert.equal(Math.abs(basis[0][0] * basis[1][1] - basis[0][1] * basis[1][0]), 400);
+});
+
+test('LLL recovers the secret at small n', () => {
+    for (const run of lweLatticeAttack({ dimensions: [8, 16], seed: 42 }).runs) {
+        assert.equal(run.success, true, `n = ${run.n}: ${run.explanation}`);
+        assert.equal(run.outcome, 'recovered');
+        assert.equal(run.latticeDimension, 2 * run.n + 1);
+        assert.ok(run.errorNorm < run.gaussianHeuristic);
+    }
+});
+
+test('LLL cannot single out the error vector once the dimension is too large', () => {
+    const [run] = lweLatticeAttack({ dimensions: [40], seed: 42 }).runs;
+    assert.equal(run.success, false);
+    assert.equal(run.outcome, 'failed');
+    // The error vector is still there, but everything LLL reaches is longer
+    assert.ok(run.shortestNorm > run.errorNorm);
+    assert.match(run.explanation, /too close to the .* expected of a random lattice/);
+    assert.throws(() => lweLatticeAttack({ dimensions: [41] }), /dimensions\[0\]/);
+});
+
+test('decryption fails once the accumulated noise reaches q/4', () => {
+    const quiet = lweEncryptDecrypt({ message: 'OK', n: 16, q: 257, error: 0.5, seed: 7 });
+    assert.equal(quiet.recoveredMessage, 'OK');
+    assert.ok(quiet.noise.every(({ noise }) => Math.abs(noise) < quiet.threshold));
+
+    const noisy = lweEncryptDecrypt({ message: 'OK', n: 16, q: 257, error: 8, seed: 7 });
+    assert.ok(noisy.bitErrors > 0);
+    assert.notEqual(noisy.recoveredMessage, 'OK');
+});
@@ -0,0 +1,66 @@
+// mosca-risk.test.js - Mosca verdicts at the edges of each threat horizon
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { assessMoscaRisk } = require('../src/crypto/mosca-risk');
+
+const assess = input => assessMoscaRisk({ currentYear: 2026, ...input });
+
+test('a fixed horizon is the plain inequality x + y > z', () => {
+    // Data still secret exactly when the quantum computer arrives has not yet been read
+    assert.equal(assess({ shelfLifeYears: 7, migrationYears: 8, threatHorizon: 15 }).verdict, 'safe');
+    assert.equal(assess({ shelfLifeYears: 7, migrationYears: 8.5, threatHorizon: 15 }).verdict, 'at-risk');
+
+    const late = assess({ shelfLifeYears: 10, migrationYears: 8, threatHorizon: 15 });
+    assert.equal(late.exposureProbability, 1);
+    assert.equal(late.horizon.marginYears, -3);
+    assert.equal(late.migration.startBy, 2023);
+    assert.match(late.summary, /should have started in 2023/);
+});
+
+test('data outliving the horizon is exposed even if encrypted today', () => {
+    const result = assess({ shelfLifeYears: 20, migrationYears: 1, threatHorizon: 12 });
+    assert.equal(result.dataEncryptedToday.exposureProbability, 1);
+    assert.equal(result.dataEncryptedToday.atRiskFrom, 2038);
+
+    assert.equal(assess({ shelfLifeYears: 5, migrationYears: 10, threatHorizon: 12 }).dataEncryptedToday.atRiskFrom, null);
+});
+
+test('the risk tolerance decides a verdict under uncertainty', () => {
+    // P(z < 12) is 10% for a horizon uniform over 10 to 30 years
+    const horizon = { distribution: 'uniform', min: 10, max: 30 };
+    const strict = assess({ shelfLifeYears: 4, migrationYears: 8, threatHorizon: horizon });
+    assert.equal(strict.exposureProbability, 0.1);
+    assert.equal(strict.verdict, 'at-risk');
+    assert.equal(assess({ shelfLifeYears: 4, migrationYears: 8, threatHorizon: horizon, riskTolerance: 0.2 }).verdict, 'safe');
+    assert.equal(strict.horizon.medianYear, 2046);
+});
+
+test('a survey horizon that never reaches the tolerance is safe for any x + y', () => {
+    const horizon = { distribution: 'cumulative', points: [[10, 0.01], [30, 0.04]] };
+    const result = assess({ shelfLifeYears: 50, migrationYears: 20, threatHorizon: horizon });
+    assert.equal(result.verdict, 'safe');
+    assert.equal(result.exposureProbability, 0.04);
+    assert.equal(result.horizon.toleranceYear, null);
+    assert.equal(result.horizon.medianYear, null);
+    assert.equal(result.migration.startBy, null);
+    assert.match(result.summary, /never reaches the risk tolerance/);
+});
+
+test('a quantum-safe algorithm is never at risk, however late the migration', () => {
+    const result = assess({ shelfLifeYears: 30, migrationYears: 10, threatHorizon: 5, algorithm: 'ML-KEM-768' });
+    assert.equal(result.verdict, 'quantum-safe');
+    assert.equal(result.exposureProbability, 0);
+    assert.equal(result.migration.startBy, null);
+
+    assert.equal(assess({ shelfLifeYears: 30, migrationYears: 10, threatHorizon: 5, algorithm: 'RSA-2048' }).verdict, 'at-risk');
+});
+
+test('horizons with points or bounds out of order are rejected', () => {
+    assert.throws(() => assess({ shelfLifeYears: 1, migrationYears: 1, threatHorizon: { distribution: 'cumulative', points: [[10, 0.2], [10, 0.3]] } }),
+        /must increase in years/);
+    assert.throws(() => assess({ shelfLifeYears: 1, migrationYears: 1, threatHorizon: { distribution: 'cumulative', points: [[10, 0.3], [20, 0.2]] } }),
+        /not decrease in probability/);
+    assert.throws(() => assess({ shelfLifeYears: 1, migrationYears: 1, threatHorizon: { distribution: 'triangular', min: 10, mode: 5, max: 20 } }),
+        /min <= mode <= max/);
+});
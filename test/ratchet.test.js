@@ -0,0 +1,107 @@
+// ratchet.test.js - The double ratchet: reordering, skipped keys, commit after authentication and epoch limits
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createKEM, DoubleRatchet } = require('../src/crypto/quantum-crypto');
+
+const RATCHET_INTERVAL = 20; // Messages per epoch before the sender re-encapsulates
+
+/**
+ * Alice's and Bob's ratchets over one session, as QuantumCrypto sets them up after the key exchange
+ */
+async function ratchetPair() {
+    const kem = createKEM('ML-KEM-1024');
+    const [aliceKeys, bobKeys] = [await kem.keyGen(), await kem.keyGen()];
+    const [aliceToBob, bobToAlice] = [crypto.randomBytes(32), crypto.randomBytes(32)];
+    const alice = new DoubleRatchet({ sendRoot: aliceToBob, receiveRoot: bobToAlice, kem, ownKeyPair: aliceKeys,
+        peerPublicKey: bobKeys.publicKey, peerAlgorithm: kem.name });
+    const bob = new DoubleRatchet({ sendRoot: bobToAlice, receiveRoot: aliceToBob, kem, ownKeyPair: bobKeys,
+        peerPublicKey: aliceKeys.publicKey, peerAlgorithm: kem.name });
+    return { alice, bob };
+}
+
+async function send(ratchet, count) {
+    const sent = [];
+    for (let i = 0; i < count; i++) {
+        sent.push(await ratchet.nextSendKey());
+    }
+    return sent;
+}
+
+async function receive(ratchet, { header, messageKey }) {
+    const received = await ratchet.receiveKey(header);
+    assert.deepEqual(received.messageKey, messageKey);
+    received.commit();
+}
+
+test('messages received out of order within an epoch use their skipped keys once', async () => {
+    const { alice, bob } = await ratchetPair();
+    const sent = await send(alice, 6);
+    for (const message of [sent[4], sent[0], sent[5], sent[2], sent[1], sent[3]]) {
+        await receive(bob, message);
+    }
+    assert.equal(bob.skippedKeys.size, 0);
+    await assert.rejects(bob.receiveKey(sent[2].header), /already used or expired/);
+
+    // Both directions ratchet independently
+    const replies = await send(bob, 2);
+    await receive(alice, replies[1]);
+    await receive(alice, replies[0]);
+});
+
+test('only a committed key advances the ratchet', async () => {
+    const { alice, bob } = await ratchetPair();
+    const [first, second] = await send(alice, 2);
+
+    // A forged message whose tag fails is never committed, so nothing moves
+    const forged = await bob.receiveKey(second.header);
+    assert.deepEqual(forged.messageKey, second.messageKey);
+    assert.equal(bob.receive.epoch, 0);
+    assert.equal(bob.skippedKeys.size, 0);
+
+    await receive(bob, first);
+    await receive(bob, second);
+    assert.equal(bob.receive.epoch, 1);
+});
+
+test('the previous epoch\'s tail still decrypts after a new epoch starts', async () => {
+    const { alice, bob } = await ratchetPair();
+    const sent = await send(alice, RATCHET_INTERVAL + 2);
+    assert.deepEqual(sent.map(({ header }) => header.epoch), [...Array(RATCHET_INTERVAL).fill(1), 2, 2]);
+
+    await receive(bob, sent[0]);
+    await receive(bob, sent[RATCHET_INTERVAL + 1]); // Finishes epoch 1 from pn, then skips one in epoch 2
+    assert.equal(bob.skippedKeys.size, RATCHET_INTERVAL);
+    for (const message of sent.slice(1, RATCHET_INTERVAL + 1).reverse()) {
+        await receive(bob, message);
+    }
+    assert.equal(bob.skippedKeys.size, 0);
+});
+
+test('an epoch two ahead waits until a message of the one between arrives', async () => {
+    const { alice, bob } = await ratchetPair();
+    const sent = await send(alice, 2 * RATCHET_INTERVAL + 1);
+    const [epochOne, epochTwo, epochThree] = [sent[0], sent[RATCHET_INTERVAL], sent[2 * RATCHET_INTERVAL]];
+    assert.equal(epochThree.header.epoch, 3);
+
+    await receive(bob, epochOne);
+    await assert.rejects(bob.receiveKey(epochThree.header), /Ratchet epoch 2 is missing/);
+    await receive(bob, epochTwo);
+    await receive(bob, epochThree);
+});
+
+test('a header skipping more than one epoch\'s worth of messages is rejected', async () => {
+    const { alice, bob } = await ratchetPair();
+    const sent = await send(alice, RATCHET_INTERVAL + 1);
+    const [first, next] = [sent[0], sent[RATCHET_INTERVAL]];
+
+    // The last message of an epoch is n = RATCHET_INTERVAL - 1
+    await assert.rejects(bob.receiveKey({ ...first.header, n: RATCHET_INTERVAL + 1 }), /Too many skipped messages/);
+    assert.ok(await bob.receiveKey({ ...first.header, n: RATCHET_INTERVAL - 1 }));
+    await receive(bob, first);
+
+    // A forged pn would make Bob derive more of epoch 1 than it can hold
+    await assert.rejects(bob.receiveKey({ ...next.header, pn: RATCHET_INTERVAL + 2 }), /Too many skipped messages/);
+    await receive(bob, next);
+});
@@ -0,0 +1,60 @@
+// registry.test.js - Algorithm and cipher-suite registry: categories, lookups and retirement
+
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const nodeBackend = require('../src/crypto/node-backend');
+const { createQuantumCore } = require('../src/crypto/core/quantum-core.mjs');
+const Envelope = require('../src/frontend/envelope');
+const KeyFile = require('../src/frontend/keyfile');
+
+// A core of our own, so the suites registered here do not leak into other tests
+const core = createQuantumCore({ backend: nodeBackend, Envelope, KeyFile });
+
+before(() => {
+    mock.method(console, 'log', () => {});
+});
+
+test('a suite is as strong as its weakest component', () => {
+    const suites = new Map(core.listSuites().map(suite => [suite.name, suite]));
+    assert.equal(suites.get(core.DEFAULT_SUITE).nistCategory, 3); // ML-DSA-65 is category 3, ML-KEM-1024 category 5
+    assert.equal(suites.get('QC-MLKEM1024-SLHDSA-SHA2-128f').nistCategory, 1);
+    for (const name of ['QC-RSA2048-MLDSA65', 'QC-ECDHP256-MLDSA65']) {
+        assert.equal(suites.get(name).quantumSafe, false);
+        assert.equal(suites.get(name).nistCategory, null);
+    }
+    assert.equal(core.securityLevel('RSA-2048'), 'Not quantum-safe');
+    assert.equal(core.securityLevel('ML-KEM-1024'), 'Level 5');
+});
+
+test('suites resolve by name, wire ID or components', () => {
+    const suite = core.getSuite('QC-X25519MLKEM1024-MLDSA65');
+    assert.equal(core.getSuite(suite.id), suite);
+    assert.equal(core.findSuite({ kem: suite.kem, signature: suite.signature }), suite);
+    assert.throws(() => core.getSuite(999), /Unsupported cipher suite: 999/);
+    assert.throws(() => core.findSuite({ kem: 'ML-KEM-1024', signature: 'Ed25519' }), /No cipher suite combines/);
+    assert.throws(() => core.createKEM('ML-DSA-65'), /Unsupported kem: ML-DSA-65/);
+});
+
+test('a retired suite or algorithm stays resolvable but cannot be used', () => {
+    core.registerSuite({ id: 100, name: 'QC-TEST-RETIRED', kem: 'ML-KEM-1024', signature: 'ML-DSA-65', status: 'retired' });
+    assert.equal(core.getSuite(100).name, 'QC-TEST-RETIRED');
+    assert.throws(() => core.getSuite(100, { active: true }), /QC-TEST-RETIRED has been retired/);
+    assert.ok(!core.listSuites().some(suite => suite.id === 100));
+    assert.ok(core.listSuites({ includeRetired: true }).some(suite => suite.id === 100));
+    assert.throws(() => new core.QuantumCrypto({ suite: 'QC-TEST-RETIRED' }), /has been retired/);
+
+    // Retiring a component retires every suite built on it
+    core.registerAlgorithm({ id: 'TEST-KEM', type: 'kem', standard: 'none', nistCategory: 1, status: 'retired',
+        create: () => core.createKEM('ML-KEM-1024') });
+    core.registerSuite({ id: 101, name: 'QC-TEST-KEM', kem: 'TEST-KEM', signature: 'ML-DSA-65' });
+    assert.throws(() => core.getSuite('QC-TEST-KEM', { active: true }), /has been retired/);
+    assert.throws(() => core.createKEM('TEST-KEM'), /TEST-KEM has been retired/);
+});
+
+test('registrations must be unique and well-typed', () => {
+    assert.throws(() => core.registerAlgorithm({ id: 'ML-KEM-1024', type: 'kem' }), /Algorithm already registered/);
+    assert.throws(() => core.registerSuite({ id: 1, name: 'QC-TEST-DUPLICATE', kem: 'ML-KEM-1024', signature: 'ML-DSA-65' }),
+        /Suite already registered/);
+    assert.throws(() => core.registerSuite({ id: 102, name: 'QC-TEST-MIXED', kem: 'ML-DSA-65', signature: 'ML-DSA-65' }),
+        /ML-DSA-65 is not a kem/);
+});
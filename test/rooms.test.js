@@ -0,0 +1,329 @@
+// rooms.test.js - Chat rooms over the real WebSocket server: membership, passwords, limits and room-scoped relaying
+
+const { describe, test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const { QuantumCrypto } = require('../src/crypto/quantum-crypto');
+const Envelope = require('../src/frontend/envelope');
+const Attachment = require('../src/frontend/attachment');
+const Label = require('../src/frontend/label');
+const { startServer } = require('./test-server');
+
+const REPLY_TIMEOUT_MS = 5000;
+
+let service;
+const connections = [];
+
+/**
+ * A WebSocket client that keeps what the server sends until a test asks for it
+ * @returns {Promise<object>} - { id, next(type, match), drain(type), sync(), send(message), close() }
+ */
+async function connect() {
+    const ws = new WebSocket(service.wsUrl);
+    const inbox = [];
+    const waiting = [];
+    ws.on('message', (data) => {
+        const message = JSON.parse(data);
+        const index = waiting.findIndex(waiter => waiter.accepts(message));
+        if (index === -1) {
+            inbox.push(message);
+        } else {
+            waiting.splice(index, 1)[0].resolve(message);
+        }
+    });
+
+    const client = {
+        send: (message) => ws.send(JSON.stringify(message)),
+        next(type, match = () => true) {
+            const accepts = (message) => message.type === type && match(message);
+            const index = inbox.findIndex(accepts);
+            if (index !== -1) {
+                return Promise.resolve(inbox.splice(index, 1)[0]);
+            }
+            return new Promise((resolve, reject) => {
+                const waiter = { accepts, resolve: (message) => { clearTimeout(timer); resolve(message); } };
+                const timer = setTimeout(() => {
+                    waiting.splice(waiting.indexOf(waiter), 1);
+                    reject(new Error(`No ${type} message within ${REPLY_TIMEOUT_MS} ms`));
+                }, REPLY_TIMEOUT_MS);
+                waiting.push(waiter);
+            });
+        },
+        // Messages of a type received so far, removed from the inbox
+        drain(type) {
+            const matching = inbox.filter(message => message.type === type);
+            inbox.splice(0, inbox.length, ...inbox.filter(message => message.type !== type));
+            return matching;
+        },
+        // The server answers in order, so once the reply to a cheap request is in, everything sent to us before it is too
+        async sync() {
+            client.send({ type: 'mosca_risk', input: {} });
+            await client.next('mosca_risk_result');
+        },
+        close: () => new Promise(resolve => {
+            if (ws.readyState === WebSocket.CLOSED) {
+                resolve();
+            } else {
+                ws.once('close', resolve);
+                ws.close();
+            }
+        })
+    };
+    connections.push(client);
+    client.id = (await client.next('connected')).clientId;
+    return client;
+}
+
+/**
+ * Connect with a real ML-KEM-1024 / ML-DSA-65 identity, registered as app.js registers it
+ */
+async function connectWithKeys() {
+    const client = await connect();
+    client.crypto = new QuantumCrypto({ clientId: client.id });
+    const keyInfo = await client.crypto.generateKeyPair();
+    client.keyInfo = keyInfo;
+    client.send({ type: 'register_keys', ...keyInfo, label: `Tester ${client.id.substring(0, 4)}` });
+    await client.next('keys_generated');
+    return client;
+}
+
+async function joinRoom(client, room, password = undefined) {
+    client.send({ type: 'join_room', room, password });
+    return client.next('room_joined');
+}
+
+async function roomError(client, message) {
+    client.send(message);
+    return client.next('room_error');
+}
+
+async function openRooms(client) {
+    client.drain('room_list');
+    client.send({ type: 'list_rooms' });
+    return (await client.next('room_list')).rooms;
+}
+
+before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    service = await startServer();
+});
+
+after(async () => {
+    await Promise.all(connections.map(client => client.close()));
+    await service.stop();
+});
+
+describe('chat rooms', () => {
+    test('a room is created, joined, left, and closed with its last member', async () => {
+        const alice = await connectWithKeys();
+        const bob = await connectWithKeys();
+
+        alice.send({ type: 'create_room', room: 'Book club' });
+        assert.deepEqual(
+            (({ room, members, maxMembers, passwordProtected }) => ({ room, members, maxMembers, passwordProtected }))(await alice.next('room_joined')),
+            { room: 'Book club', members: 1, maxMembers: 50, passwordProtected: false });
+        assert.deepEqual((await openRooms(bob)).find(room => room.name === 'Book club'),
+            { name: 'Book club', members: 1, maxMembers: 50, passwordProtected: false, default: false });
+
+        assert.equal((await joinRoom(bob, 'Book club')).members, 2);
+        const announced = await alice.next('peer_public_key', message => message.clientId === bob.id);
+        assert.equal(announced.publicKey, bob.keyInfo.publicKey);
+        assert.equal(announced.label, `Tester ${bob.id.substring(0, 4)}`);
+
+        bob.send({ type: 'leave_room' });
+        assert.equal((await bob.next('room_joined')).room, 'lobby');
+        assert.equal((await alice.next('user_left')).clientId, bob.id);
+
+        alice.send({ type: 'leave_room' });
+        await alice.next('room_joined', message => message.room === 'lobby');
+        assert.ok(!(await openRooms(alice)).some(room => room.name === 'Book club'));
+        assert.match((await roomError(bob, { type: 'join_room', room: 'Book club' })).error, /There is no room called "Book club"/);
+    });
+
+    test('a password-protected room turns away wrong passwords', async () => {
+        const owner = await connect();
+        const guest = await connect();
+        owner.send({ type: 'create_room', room: 'vault', password: 'open sesame' });
+        assert.equal((await owner.next('room_joined')).passwordProtected, true);
+
+        for (const password of ['open sesame!', '', undefined, 42]) {
+            const refusal = await roomError(guest, { type: 'join_room', room: 'vault', password });
+            assert.match(refusal.error, /Wrong password for room "vault"/, String(password));
+            assert.equal(refusal.room, 'lobby');
+        }
+        assert.equal((await openRooms(guest)).find(room => room.name === 'vault').members, 1);
+
+        assert.equal((await joinRoom(guest, 'vault', 'open sesame')).members, 2);
+    });
+
+    test('one room request at a time per client', async () => {
+        const owner = await connect();
+        const guest = await connect();
+        owner.send({ type: 'create_room', room: 'queue', password: 'hunter2' });
+        await owner.next('room_joined');
+
+        guest.send({ type: 'join_room', room: 'queue', password: 'wrong' });
+        guest.send({ type: 'join_room', room: 'queue', password: 'hunter2' });
+        const errors = [(await guest.next('room_error')).error, (await guest.next('room_error')).error];
+        assert.deepEqual(errors.sort(), ['Another room request is still in progress', 'Wrong password for room "queue"']);
+        assert.equal((await joinRoom(guest, 'queue', 'hunter2')).room, 'queue');
+    });
+
+    test('member limits are enforced', async () => {
+        const [first, second, third] = [await connect(), await connect(), await connect()];
+        for (const maxMembers of [1, 51, 2.5, '2']) {
+            assert.match((await roomError(first, { type: 'create_room', room: 'tiny', maxMembers })).error, /maxMembers must be an integer from 2 to 50/);
+        }
+        assert.match((await roomError(first, { type: 'create_room', room: ' ' })).error, /Room names are 1 to 32/);
+
+        first.send({ type: 'create_room', room: 'pair', maxMembers: 2 });
+        assert.equal((await first.next('room_joined')).maxMembers, 2);
+        assert.match((await roomError(second, { type: 'create_room', room: 'pair' })).error, /Room "pair" already exists/);
+        await joinRoom(second, 'pair');
+        assert.match((await roomError(third, { type: 'join_room', room: 'pair' })).error, /Room "pair" is full \(2 members\)/);
+
+        second.send({ type: 'leave_room' });
+        await second.next('room_joined', message => message.room === 'lobby');
+        assert.equal((await joinRoom(third, 'pair')).members, 2);
+    });
+
+    test('keys, messages and attachments only reach the sender\'s room', async () => {
+        const alice = await connectWithKeys();
+        const bob = await connectWithKeys();
+        const carol = await connectWithKeys(); // Stays in the lobby
+
+        alice.send({ type: 'create_room', room: 'fan-out' });
+        await alice.next('room_joined');
+        await joinRoom(bob, 'fan-out');
+        await alice.next('peer_public_key', message => message.clientId === bob.id);
+
+        // What Carol heard while everyone was in the lobby is legitimate; from here on she must hear nothing
+        const ROOM_TRAFFIC = ['peer_public_key', 'peer_key_exchange', 'message_received', 'attachment_incoming', 'attachment_chunk', 'user_left'];
+        await carol.sync();
+        ROOM_TRAFFIC.forEach(type => carol.drain(type));
+
+        // A key exchange across rooms is refused; inside the room it is relayed
+        carol.send({ type: 'kem_ciphertext', peerId: alice.id, ciphertext: '00', algorithm: 'ML-KEM-1024' });
+        assert.equal((await carol.next('error')).error, 'Peer is not in your room');
+
+        const { ciphertext, algorithm } = await alice.crypto.performKeyExchange(bob.keyInfo.publicKey, bob.id);
+        alice.send({ type: 'kem_ciphertext', peerId: bob.id, ciphertext, algorithm });
+        const exchange = await bob.next('peer_key_exchange');
+        assert.equal(exchange.clientId, alice.id);
+        bob.crypto.setPeerPublicKey(alice.id, exchange.publicKey, exchange.publicKeyAlgorithm);
+        assert.equal(await bob.crypto.completeKeyExchange(exchange.ciphertext, alice.id, exchange.algorithm), true);
+
+        // Group messages go to room members; an envelope readdressed to the lobby is refused
+        const envelope = await alice.crypto.encrypt('hello, room', bob.id);
+        alice.send({ type: 'encrypted_group_message', encryptedMessages: [{ forPeer: bob.id, envelope }] });
+        await alice.next('message_sent');
+        const received = await bob.next('message_received');
+        assert.equal(received.fromPeer, alice.id);
+        assert.equal(await bob.crypto.decrypt(received.envelope, alice.id), 'hello, room');
+
+        const readdressed = Envelope.serialize({ ...Envelope.parse(envelope), recipient: carol.id });
+        alice.send({ type: 'encrypted_group_message', encryptedMessages: [{ forPeer: carol.id, envelope: readdressed }] });
+        assert.equal((await alice.next('error')).error, 'Envelope recipient is not in your room');
+
+        // Attachments: recipients outside the room are dropped, and a transfer to nobody in the room is refused
+        const size = 10;
+        const fileId = 'ab'.repeat(16);
+        alice.send({ type: 'attachment_start', fileId, size, chunkCount: 1, recipients: [bob.id, carol.id] });
+        await alice.next('attachment_accepted');
+        assert.equal((await bob.next('attachment_incoming')).fromPeer, alice.id);
+        const data = 'A'.repeat(Attachment.encodedChunkLength(0, size));
+        alice.send({ type: 'attachment_chunk', fileId, index: 0, data });
+        assert.equal((await alice.next('attachment_complete')).recipients, 1);
+        assert.equal((await bob.next('attachment_chunk')).data, data);
+
+        alice.send({ type: 'attachment_start', fileId: 'cd'.repeat(16), size, chunkCount: 1, recipients: [carol.id] });
+        assert.equal((await alice.next('attachment_cancelled')).reason, 'None of the attachment recipients are connected to your room');
+
+        // Carol saw none of it: no keys, no messages, no attachment traffic from the room
+        await carol.sync();
+        for (const type of ROOM_TRAFFIC) {
+            assert.deepEqual(carol.drain(type), [], type);
+        }
+    });
+
+    test('names are checked with the rule the client uses', async () => {
+        const client = await connect();
+        const { keyInfo } = await connectWithKeys(); // Any well-formed keys will do
+        for (const label of ['', ' leading space', 'x'.repeat(33), 'tab\there', 'zero\u200bwidth', 42]) {
+            assert.equal(Label.isValid(label), false, String(label));
+            client.send({ type: 'register_keys', ...keyInfo, label });
+            assert.equal((await client.next('error')).error, Label.RULE, String(label));
+        }
+        assert.equal(Label.isValid('Zoë 2.0_beta-1'), true);
+    });
+
+    test('only a relayed key exchange can be confirmed, once', async () => {
+        const alice = await connectWithKeys();
+        const bob = await connectWithKeys();
+        const mallory = await connectWithKeys();
+        alice.send({ type: 'create_room', room: 'handshake' });
+        await alice.next('room_joined');
+        await joinRoom(bob, 'handshake');
+        await joinRoom(mallory, 'handshake');
+
+        // Nobody sent Mallory a ciphertext, so there is nothing for her to confirm
+        const rejected = async (sender, peerId) => {
+            sender.send({ type: 'key_exchange_ack', peerId, confirmation: '00' });
+            assert.equal((await sender.next('error')).error, 'No key exchange with that peer is pending');
+        };
+        await rejected(mallory, alice.id);
+        await rejected(mallory, 'no-such-client');
+
+        const { ciphertext, algorithm } = await alice.crypto.performKeyExchange(bob.keyInfo.publicKey, bob.id);
+        alice.send({ type: 'kem_ciphertext', peerId: bob.id, ciphertext, algorithm });
+        await bob.next('peer_key_exchange');
+        await rejected(mallory, alice.id); // The exchange is Bob's to confirm
+        bob.send({ type: 'key_exchange_ack', peerId: alice.id, confirmation: 'ab' });
+        assert.equal((await bob.next('key_exchange_complete')).peerId, alice.id);
+        assert.equal((await alice.next('peer_ready', message => message.peerId === bob.id)).confirmation, 'ab');
+        await rejected(bob, alice.id);
+
+        await alice.sync();
+        assert.deepEqual(alice.drain('peer_ready').filter(message => message.peerId === mallory.id), []);
+    });
+
+    test('an attachment resumes only in the room it was sent to', async () => {
+        // Two chunks, so the transfer is still open after the first
+        const size = 70 * 1024;
+        const chunk = 'A'.repeat(Attachment.encodedChunkLength(0, size));
+        const startUpload = async (sender, recipient, fileId) => {
+            sender.send({ type: 'attachment_start', fileId, size, chunkCount: 2, recipients: [recipient.id] });
+            const { resumeToken } = await sender.next('attachment_accepted');
+            sender.send({ type: 'attachment_chunk', fileId, index: 0, data: chunk });
+            await sender.next('attachment_ack');
+            await sender.close();
+            return resumeToken;
+        };
+
+        // In the lobby, where a reconnect lands, the sender picks up where it left off
+        const lobbyRecipient = await connect();
+        const lobbyToken = await startUpload(await connect(), lobbyRecipient, '01'.repeat(16));
+        const resumed = await connect();
+        resumed.send({ type: 'attachment_resume', fileId: '01'.repeat(16), resumeToken: lobbyToken });
+        assert.equal((await resumed.next('attachment_accepted')).nextIndex, 1);
+        resumed.send({ type: 'attachment_cancel', fileId: '01'.repeat(16) });
+        await lobbyRecipient.next('attachment_cancelled');
+
+        // Resuming from the lobby an upload to another room would relay into a room the sender is not in
+        const sender = await connect();
+        const recipient = await connect();
+        sender.send({ type: 'create_room', room: 'uploads' });
+        await sender.next('room_joined');
+        await joinRoom(recipient, 'uploads');
+        const roomToken = await startUpload(sender, recipient, '02'.repeat(16));
+        assert.equal((await recipient.next('attachment_chunk')).index, 0);
+
+        const reconnected = await connect();
+        reconnected.send({ type: 'attachment_resume', fileId: '02'.repeat(16), resumeToken: roomToken });
+        assert.equal((await reconnected.next('attachment_cancelled')).reason, 'The sender left the room');
+        assert.equal((await recipient.next('attachment_cancelled')).reason, 'The sender left the room');
+        reconnected.send({ type: 'attachment_resume', fileId: '02'.repeat(16), resumeToken: roomToken });
+        assert.equal((await reconnected.next('attachment_cancelled')).reason, 'Unknown attachment or resume token');
+    });
+});
@@ -0,0 +1,77 @@
+// safety-number.test.js - Identity fingerprints and the safety numbers peers compare
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const SafetyNumber = require('../src/frontend/safety-number');
+
+const identity = () => ({
+    kemAlgorithm: 'ML-KEM-1024',
+    kemPublicKey: crypto.randomBytes(1568),
+    signatureAlgorithm: 'ML-DSA-65',
+    signaturePublicKey: crypto.randomBytes(1952)
+});
+
+/**
+ * The fingerprint computed straight from the format in safety-number.js, with Node's SHA3-512
+ */
+function referenceFingerprint({ kemAlgorithm, kemPublicKey, signatureAlgorithm, signaturePublicKey }) {
+    const prefixed = (bytes, size) => {
+        const length = Buffer.alloc(size);
+        length.writeUIntBE(bytes.length, 0, size);
+        return Buffer.concat([length, bytes]);
+    };
+    const digest = crypto.createHash('sha3-512').update(Buffer.concat([
+        Buffer.from('QuantumChat identity'),
+        prefixed(Buffer.from(kemAlgorithm), 1), prefixed(kemPublicKey, 4),
+        prefixed(Buffer.from(signatureAlgorithm), 1), prefixed(signaturePublicKey, 4)
+    ])).digest();
+    let hash = crypto.createHash('sha3-512').update(Buffer.from([0, SafetyNumber.VERSION])).update(digest).digest();
+    for (let i = 1; i < SafetyNumber.ITERATIONS; i++) {
+        hash = crypto.createHash('sha3-512').update(hash).update(digest).digest();
+    }
+    let digits = '';
+    for (let offset = 0; offset < 30; offset += 5) {
+        digits += String(hash.readUIntBE(offset, 5) % 100000).padStart(5, '0');
+    }
+    return digits;
+}
+
+test('a fingerprint follows the documented format, from bytes or hex', () => {
+    const alice = identity();
+    const digits = SafetyNumber.fingerprint(alice);
+    assert.match(digits, /^\d{30}$/);
+    assert.equal(digits, referenceFingerprint(alice));
+    assert.equal(SafetyNumber.fingerprint({ ...alice, kemPublicKey: alice.kemPublicKey.toString('hex') }), digits);
+    assert.equal(SafetyNumber.format(digits).split(' ').length, 6);
+});
+
+test('any change to the identity changes its fingerprint', () => {
+    const alice = identity();
+    const digits = SafetyNumber.fingerprint(alice);
+    const flipped = Buffer.from(alice.signaturePublicKey);
+    flipped[flipped.length - 1] ^= 1;
+    assert.notEqual(SafetyNumber.fingerprint({ ...alice, signaturePublicKey: flipped }), digits);
+    assert.notEqual(SafetyNumber.fingerprint({ ...alice, kemAlgorithm: 'X25519+ML-KEM-1024' }), digits);
+    // Length prefixes keep bytes from moving between fields unnoticed
+    const shifted = { ...alice, kemPublicKey: alice.kemPublicKey.subarray(0, 1567),
+        signaturePublicKey: Buffer.concat([alice.kemPublicKey.subarray(1567), alice.signaturePublicKey]) };
+    assert.notEqual(SafetyNumber.fingerprint(shifted), digits);
+});
+
+test('both ends see the same safety number and can compare it however it was typed', () => {
+    const [alice, bob] = [SafetyNumber.fingerprint(identity()), SafetyNumber.fingerprint(identity())];
+    const ours = SafetyNumber.compute(alice, bob);
+    assert.deepEqual(SafetyNumber.compute(bob, alice), ours);
+    assert.equal(ours.groups.length, 12);
+    assert.equal(ours.payload, `${SafetyNumber.VERSION}${ours.digits}`);
+
+    assert.equal(SafetyNumber.matches(ours, ours.groups.join(' ')), true);
+    assert.equal(SafetyNumber.matches(ours, ours.groups.join('-')), true);
+    assert.equal(SafetyNumber.matches(ours, ours.payload), true);
+    const wrong = ours.digits.replace(/.$/, digit => String((Number(digit) + 1) % 10));
+    assert.equal(SafetyNumber.matches(ours, wrong), false);
+
+    assert.throws(() => SafetyNumber.matches(ours, `2${ours.digits}`), /Unsupported safety number version 2/);
+    assert.throws(() => SafetyNumber.matches(ours, ours.digits.slice(1)), /60 digits/);
+});
@@ -0,0 +1,86 @@
+// secret-hygiene.test.js - Session key lifetimes, zeroization and constant-time comparison
+
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('timers/promises');
+const { QuantumCrypto, constantTimeEqual } = require('../src/crypto/quantum-crypto');
+
+const isWiped = (bytes) => bytes.every(byte => byte === 0);
+
+/**
+ * Alice initiates a session with Bob; both use the given options
+ */
+async function session(options = {}) {
+    const alice = new QuantumCrypto({ clientId: 'alice', ...options });
+    const bob = new QuantumCrypto({ clientId: 'bob', ...options });
+    const [aliceKeys, bobKeys] = [await alice.generateKeyPair(), await bob.generateKeyPair()];
+    alice.setPeerPublicKey('bob', bobKeys.publicKey, bobKeys.algorithm);
+    bob.setPeerPublicKey('alice', aliceKeys.publicKey, aliceKeys.algorithm);
+    const { ciphertext, algorithm } = await alice.performKeyExchange(bobKeys.publicKey, 'bob');
+    await bob.completeKeyExchange(ciphertext, 'alice', algorithm);
+    return { alice, bob };
+}
+
+before(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+});
+
+test('session keys are wiped when their lifetime ends', async () => {
+    const expired = [];
+    const { alice, bob } = await session({ sessionLifetimeMs: 100, onSessionExpired: peerId => expired.push(peerId) });
+    const expiredFor = (peerId) => expired.filter(id => id === peerId).length;
+    const keys = bob.sessionKeys.get('alice');
+    assert.equal(await bob.decrypt(await alice.encrypt('before', 'bob'), 'alice'), 'before');
+
+    await sleep(150);
+    // Each end is told once about its side of the session
+    assert.deepEqual([expiredFor('alice'), expiredFor('bob')], [1, 1]);
+    assert.ok(isWiped(keys.sendKey) && isWiped(keys.receiveKey) && isWiped(keys.headerKey) && isWiped(keys.confirmKey));
+    assert.equal(bob.hasSharedSecretWith('alice'), false);
+    await assert.rejects(bob.encrypt('after', 'alice'), /Failed to encrypt message/);
+
+    // The peer's public key is kept, so a fresh exchange restores the conversation
+    const { ciphertext, algorithm } = await alice.performKeyExchange(bob.publicKeyInfo().publicKey, 'bob');
+    await bob.completeKeyExchange(ciphertext, 'alice', algorithm);
+    assert.equal(await bob.decrypt(await alice.encrypt('again', 'bob'), 'alice'), 'again');
+    alice.destroy();
+    bob.destroy();
+});
+
+test('an expired session is unusable even before its timer fires', async () => {
+    const { alice, bob } = await session();
+    const now = Date.now();
+    mock.method(Date, 'now', () => now + 60 * 60 * 1000);
+    try {
+        assert.equal(alice.hasSharedSecretWith('bob'), false);
+        assert.deepEqual(bob.sessionPeerIds(), []);
+    } finally {
+        Date.now.mock.restore();
+    }
+    alice.destroy();
+    bob.destroy();
+});
+
+test('destroy() zeroizes the identity private keys', async () => {
+    const { alice, bob } = await session();
+    const kemSecret = alice.keyPair.private;
+    const signingSecret = alice.signatureKey.private;
+    alice.destroy();
+    assert.ok(isWiped(kemSecret) && isWiped(signingSecret));
+    assert.equal(alice.keyPair, null);
+    assert.equal(alice.hasSharedSecretWith('bob'), false);
+    assert.throws(() => alice.signMessage('anything'));
+    bob.destroy();
+});
+
+test('constant-time comparison and lifetime bounds', () => {
+    assert.equal(constantTimeEqual(Uint8Array.of(1, 2, 3), Uint8Array.of(1, 2, 3)), true);
+    assert.equal(constantTimeEqual(Uint8Array.of(1, 2, 3), Uint8Array.of(1, 2, 4)), false);
+    assert.equal(constantTimeEqual(Uint8Array.of(1, 2, 3), Uint8Array.of(1, 2)), false);
+
+    for (const sessionLifetimeMs of [0, -1, 1.5, 2 ** 31, '60000']) {
+        assert.throws(() => new QuantumCrypto({ sessionLifetimeMs }), /Session lifetime must be a positive number/, String(sessionLifetimeMs));
+    }
+    assert.doesNotThrow(() => new QuantumCrypto({ sessionLifetimeMs: null }));
+});
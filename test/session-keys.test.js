@@ -0,0 +1,63 @@
+// session-keys.test.js - Directional HKDF session keys and key confirmation
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { QuantumCrypto, deriveSessionKeys } = require('../src/crypto/quantum-crypto');
+
+/**
+ * Two Node clients with an established session, as the relay would set them up
+ */
+async function session(initiatorId, responderId) {
+    const initiator = new QuantumCrypto({ clientId: initiatorId });
+    const responder = new QuantumCrypto({ clientId: responderId });
+    const [initiatorKeys, responderKeys] = [await initiator.generateKeyPair(), await responder.generateKeyPair()];
+    initiator.setPeerPublicKey(responderId, responderKeys.publicKey, responderKeys.algorithm);
+    responder.setPeerPublicKey(initiatorId, initiatorKeys.publicKey, initiatorKeys.algorithm);
+    const { ciphertext, algorithm } = await initiator.performKeyExchange(responderKeys.publicKey, responderId);
+    assert.equal(await responder.completeKeyExchange(ciphertext, initiatorId, algorithm), true);
+    return { initiator, responder };
+}
+
+test('each direction gets its own key, and both ends agree on all four', () => {
+    const secret = crypto.randomBytes(32);
+    const alice = deriveSessionKeys(secret, 'alice', 'bob', 'ML-KEM-1024');
+    const bob = deriveSessionKeys(secret, 'bob', 'alice', 'ML-KEM-1024');
+
+    assert.deepEqual(alice.sendKey, bob.receiveKey);
+    assert.deepEqual(alice.receiveKey, bob.sendKey);
+    assert.deepEqual(alice.headerKey, bob.headerKey);
+    assert.deepEqual(alice.confirmKey, bob.confirmKey);
+    const distinct = new Set([alice.sendKey, alice.receiveKey, alice.headerKey, alice.confirmKey].map(key => key.toString()));
+    assert.equal(distinct.size, 4);
+    assert.ok(Object.values(alice).every(key => key.length === 32));
+});
+
+test('the keys are bound to the KEM and to both client IDs', () => {
+    const secret = crypto.randomBytes(32);
+    const { sendKey } = deriveSessionKeys(secret, 'alice', 'bob', 'ML-KEM-1024');
+    assert.notDeepEqual(deriveSessionKeys(secret, 'alice', 'bob', 'X25519+ML-KEM-1024').sendKey, sendKey);
+    assert.notDeepEqual(deriveSessionKeys(secret, 'alice', 'carol', 'ML-KEM-1024').sendKey, sendKey);
+    assert.throws(() => deriveSessionKeys(secret, 'alice', 'alice', 'ML-KEM-1024'), /two distinct client IDs/);
+    assert.throws(() => deriveSessionKeys(secret, 'alice', '', 'ML-KEM-1024'), /two distinct client IDs/);
+});
+
+test('key confirmation proves the responder derived the same keys, in one direction only', async () => {
+    const { initiator, responder } = await session('alice', 'bob');
+    const confirmation = responder.createKeyConfirmation('alice');
+    assert.equal(initiator.verifyKeyConfirmation('bob', confirmation), true);
+
+    // Reflected back at the responder, or truncated or garbled, the tag is worthless
+    assert.equal(responder.verifyKeyConfirmation('alice', confirmation), false);
+    assert.equal(initiator.verifyKeyConfirmation('bob', confirmation.slice(0, -2)), false);
+    assert.equal(initiator.verifyKeyConfirmation('bob', 'zz'.repeat(32)), false);
+    assert.equal(initiator.verifyKeyConfirmation('mallory', confirmation), false);
+
+    // Another session's tag does not carry over
+    const other = await session('alice', 'bob');
+    assert.equal(initiator.verifyKeyConfirmation('bob', other.responder.createKeyConfirmation('alice')), false);
+    assert.throws(() => responder.createKeyConfirmation('mallory'), /No session keys for this peer/);
+    for (const client of [initiator, responder, other.initiator, other.responder]) {
+        client.destroy();
+    }
+});
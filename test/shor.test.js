@@ -0,0 +1,71 @@
+// shor.test.js - Shor's algorithm on the simulator, from the circuit's peaks to broken toy RSA
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TOY_RSA_MODULI, convergents, minimalOrder, runOrderFindingCircuit, factorWithShor, breakToyRsa } = require('../src/crypto/shor');
+
+test('the counting register peaks at multiples of 2^t / r', () => {
+    // 7 has order 4 mod 15: the 8 counting qubits measure 0, 64, 128 or 192, each a quarter of the time
+    const circuit = runOrderFindingCircuit(15, 7, Math.random);
+    assert.equal(circuit.countingQubits, 8);
+    assert.deepEqual(circuit.peaks.map(peak => peak.value).sort((a, b) => a - b), [0, 64, 128, 192]);
+    assert.ok(circuit.peaks.every(peak => peak.probability === 0.25));
+    assert.equal(circuit.measured % 64, 0);
+});
+
+test('convergents of a measured phase expose the order as a denominator', () => {
+    assert.deepEqual(convergents(192, 256), [[0, 1], [1, 1], [3, 4]]);
+    // 2 has order 6 mod 21; 2^10 / 6 is not an integer, so the peak near 5/6 is only approximate
+    assert.ok(convergents(853, 1024).some(([n, d]) => n === 5 && d === 6));
+});
+
+test('a seeded run factors 15 with the circuit', () => {
+    const result = factorWithShor(15, { seed: 42 });
+    assert.equal(result.method, 'shor');
+    assert.deepEqual(result.factors, [3, 5]);
+    const factored = result.attempts.at(-1);
+    assert.equal(factored.outcome, 'factored');
+    assert.equal(factored.base ** factored.order % 15, 1);
+});
+
+test('a multiple of the order is reduced to the order', () => {
+    assert.equal(minimalOrder(15, 2, 8), 4);
+    assert.equal(minimalOrder(15, 7, 12), 4);
+    assert.equal(minimalOrder(21, 2, 12), 6);
+    assert.equal(minimalOrder(35, 3, 24), 12);
+    assert.equal(minimalOrder(21, 2, 6), 6);
+    // 14 ≡ -1 (mod 15): from the multiple 4, 14^2 ≡ 1 would give only trivial factors
+    assert.equal(minimalOrder(15, 14, 4), 2);
+});
+
+test('every order a run reports is minimal', () => {
+    const modPow = (base, exponent, modulus) => Number(BigInt(base) ** BigInt(exponent) % BigInt(modulus));
+    for (const modulus of [21, 33, 35]) {
+        for (let seed = 0; seed < 4; seed++) {
+            for (const { base, order } of factorWithShor(modulus, { seed }).attempts.filter(attempt => attempt.order !== null)) {
+                assert.equal(modPow(base, order, modulus), 1);
+                for (let p = 2; p <= order; p++) {
+                    assert.ok(order % p !== 0 || modPow(base, order / p, modulus) !== 1, `${base} mod ${modulus}: ${order} is not minimal`);
+                }
+            }
+        }
+    }
+});
+
+test('even moduli and prime powers never reach the circuit', () => {
+    const even = factorWithShor(22, { seed: 1 });
+    assert.deepEqual([even.method, even.factors, even.qubits, even.attempts.length], ['classical', [2, 11], null, 0]);
+    const power = factorWithShor(27, { seed: 1 });
+    assert.deepEqual([power.method, power.factors], ['classical', [3, 9]]);
+    assert.match(power.classicalChecks[0], /27 = 3\^3 is a prime power/);
+    assert.throws(() => factorWithShor(251), /251 is prime/);
+});
+
+test('toy RSA moduli are products of two distinct odd primes', () => {
+    assert.ok(TOY_RSA_MODULI.includes(15) && TOY_RSA_MODULI.includes(253));
+    assert.ok(![63, 25, 45, 49, 22].some(n => TOY_RSA_MODULI.includes(n)));
+
+    const result = breakToyRsa({ modulus: 15, message: 'HI', seed: 42 });
+    assert.equal(result.success, true);
+    assert.equal(result.recoveredMessage, 'HI');
+});
@@ -0,0 +1,28 @@
+// test-server.js - Run the QuantumChat server on a free port for API and room tests
+
+const { once } = require('events');
+
+/**
+ * Start the server on an ephemeral port
+ * server.js listens as soon as it is required, so each test file gets one server.
+ * @returns {Promise<object>} - { server, url, wsUrl, stop }
+ */
+async function startServer() {
+    process.env.PORT = '0';
+    const { server } = require('../src/backend/server');
+    if (!server.listening) {
+        await once(server, 'listening');
+    }
+    const { port } = server.address();
+    return {
+        server,
+        url: `http://127.0.0.1:${port}`,
+        wsUrl: `ws://127.0.0.1:${port}`,
+        stop: () => new Promise(resolve => {
+            server.closeAllConnections();
+            server.close(resolve);
+        })
+    };
+}
+
+module.exports = { startServer };